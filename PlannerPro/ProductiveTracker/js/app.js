@@ -72,10 +72,25 @@ class PlannerApp {
             // Initialize notification manager
             this.components.notifications = new NotificationManager();
             
+            // Initialize undo/redo history
+            this.components.history = new HistoryManager();
+            await this.components.history.init();
+            
+            // Initialize projects before the tasks and expenses assigned to them
+            this.components.projects = new ProjectManager();
+            await this.components.projects.init();
+            
             // Initialize task manager
             this.components.tasks = new TaskManager();
             await this.components.tasks.init();
             
+            // Inline handlers in the task markup call the global instance
+            window.taskManager = this.components.tasks;
+            
+            // Initialize pomodoro timer
+            this.components.pomodoro = new PomodoroManager();
+            await this.components.pomodoro.init();
+            
             // Initialize calendar
             this.components.calendar = new CalendarManager();
             await this.components.calendar.init();
@@ -84,6 +99,14 @@ class PlannerApp {
             this.components.dragDrop = new DragDropManager();
             await this.components.dragDrop.init();
             
+            // Initialize kanban board
+            this.components.board = new BoardManager();
+            await this.components.board.init();
+            
+            // Initialize timeline
+            this.components.timeline = new TimelineManager();
+            await this.components.timeline.init();
+            
             // Initialize statistics
             this.components.statistics = new StatisticsManager();
             await this.components.statistics.init();
@@ -92,10 +115,26 @@ class PlannerApp {
             this.components.filters = new FilterManager();
             await this.components.filters.init();
             
-            // Initialize expenses
-            this.components.expenses = new ExpenseManager();
+            // Initialize currencies before the budgets and expenses they convert
+            this.components.currency = new CurrencyManager();
+            await this.components.currency.init();
+            
+            // Initialize budgets before the expenses they track
+            this.components.budgets = new BudgetManager();
+            await this.components.budgets.init();
+            
+            // Initialize categorisation rules used by the expense form and imports
+            this.components.rules = new RuleManager();
+            await this.components.rules.init();
+            
+            // Initialize expenses, sharing the instance inline expense handlers call
+            this.components.expenses = window.expenseManager || new ExpenseManager();
             await this.components.expenses.init();
             
+            // Initialize bank statement import on top of expenses
+            this.components.bankImport = new BankImportManager();
+            await this.components.bankImport.init();
+            
             console.log('✅ All components initialized');
             
         } catch (error) {
@@ -288,6 +327,30 @@ class PlannerApp {
                     }
                     break;
 
+                case 'board':
+                    if (this.components.board) {
+                        this.components.board.refresh();
+                    }
+                    break;
+
+                case 'timeline':
+                    if (this.components.timeline) {
+                        this.components.timeline.refresh();
+                    }
+                    break;
+
+                case 'projects':
+                    if (this.components.projects) {
+                        this.components.projects.refresh();
+                    }
+                    break;
+
+                case 'expenses':
+                    if (this.components.expenses) {
+                        this.components.expenses.refresh();
+                    }
+                    break;
+
                 case 'stats':
                     if (this.components.statistics) {
                         this.components.statistics.refresh();
@@ -321,6 +384,26 @@ class PlannerApp {
                     }
                     break;
 
+                case 'k':
+                case 'K':
+                    if (isCtrl) {
+                        e.preventDefault();
+                        this.components.tasks?.openQuickAdd();
+                    }
+                    break;
+
+                case 'z':
+                case 'Z':
+                    if (isCtrl) {
+                        e.preventDefault();
+                        if (isShift) {
+                            this.components.history?.redo();
+                        } else {
+                            this.components.history?.undo();
+                        }
+                    }
+                    break;
+
                 case '1':
                     if (isCtrl) {
                         e.preventDefault();
@@ -354,6 +437,7 @@ class PlannerApp {
                     this.closeAllModals();
                     break;
 
+                // Pages by the calendar's current view: month, week, day or agenda range
                 case 'ArrowLeft':
                     if (this.currentView === 'calendar' && isCtrl) {
                         e.preventDefault();
@@ -445,6 +529,11 @@ class PlannerApp {
         try {
             const settingsModal = document.getElementById('settings-modal-overlay');
             if (settingsModal) {
+                // Task and expense counts per category change as items do
+                this.getComponent('tasks')?.renderCategorySettings();
+                this.getComponent('expenses')?.renderCategorySettings();
+                this.getComponent('currency')?.renderRateSettings();
+
                 settingsModal.classList.add('active');
                 
                 // Focus on first setting
@@ -499,6 +588,32 @@ class PlannerApp {
                 };
             }
 
+            // Default calendar view
+            const defaultViewSelect = document.getElementById('default-view');
+            if (defaultViewSelect && this.components.calendar) {
+                defaultViewSelect.value = this.components.calendar.currentView;
+                defaultViewSelect.onchange = (e) => {
+                    this.components.calendar.setView(e.target.value);
+                };
+            }
+
+            // Pomodoro lengths
+            const pomodoroInputs = {
+                'pomodoro-work': 'workMinutes',
+                'pomodoro-short-break': 'shortBreakMinutes',
+                'pomodoro-long-break': 'longBreakMinutes',
+                'pomodoro-long-break-every': 'longBreakEvery'
+            };
+            Object.entries(pomodoroInputs).forEach(([inputId, key]) => {
+                const input = document.getElementById(inputId);
+                if (input && this.components.pomodoro) {
+                    input.value = this.components.pomodoro.settings[key];
+                    input.onchange = (e) => {
+                        this.components.pomodoro.updateSettings({ [key]: e.target.value });
+                    };
+                }
+            });
+
             // Other settings
             this.setupDataManagementListeners();
 
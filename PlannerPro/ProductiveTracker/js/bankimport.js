@@ -0,0 +1,844 @@
+/**
+ * Bank Import Manager - Imports bank and credit-card statements (CSV, OFX, QIF) as expenses
+ * Maps CSV columns onto expense fields, previews the rows, skips ones that are already recorded
+ * and remembers each bank's mapping as a profile
+ */
+
+class BankImportManager {
+    constructor() {
+        this.storage = null;
+        this.profiles = [];
+        this.signConventions = [
+            { id: 'negative', name: 'Spending is negative' },
+            { id: 'positive', name: 'Spending is positive' },
+            { id: 'columns', name: 'Separate debit and credit columns' }
+        ];
+        this.dateFormats = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+        this.fileName = '';
+        this.format = 'csv';
+        this.allRows = [];
+        this.header = [];
+        this.rows = [];
+        this.transactions = []; // Parsed OFX or QIF transactions
+        this.preview = [];
+
+        // Bind methods
+        this.init = this.init.bind(this);
+    }
+
+    /**
+     * Initialize bank import manager
+     */
+    async init() {
+        try {
+            // Get storage instance
+            this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
+
+            await this.loadProfiles();
+
+            // Setup event listeners
+            this.setupEventListeners();
+
+            console.log('✅ BankImportManager initialized');
+
+        } catch (error) {
+            console.error('❌ BankImportManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load saved bank profiles from settings
+     */
+    async loadProfiles() {
+        try {
+            const profiles = await this.storage.getSetting('bankProfiles', []);
+            this.profiles = Array.isArray(profiles) ? profiles.map(profile => this.normalizeProfile(profile)) : [];
+        } catch (error) {
+            console.error('❌ Failed to load bank profiles:', error);
+            this.profiles = [];
+        }
+    }
+
+    /**
+     * Normalize a bank profile (a named column mapping)
+     */
+    normalizeProfile(profile) {
+        const column = value => Number.isInteger(value) && value >= 0 ? value : null;
+
+        return {
+            id: profile.id || this.generateProfileId(),
+            name: (profile.name || '').trim() || 'Bank',
+            headerSignature: profile.headerSignature || '',
+            hasHeader: profile.hasHeader !== false,
+            dateColumn: column(profile.dateColumn),
+            descriptionColumn: column(profile.descriptionColumn),
+            amountColumn: column(profile.amountColumn),
+            debitColumn: column(profile.debitColumn),
+            creditColumn: column(profile.creditColumn),
+            signConvention: this.signConventions.some(s => s.id === profile.signConvention) ? profile.signConvention : 'negative',
+            dateFormat: this.dateFormats.includes(profile.dateFormat) ? profile.dateFormat : 'YYYY-MM-DD',
+            decimalSeparator: profile.decimalSeparator === ',' ? ',' : '.',
+            currency: profile.currency || '',
+            category: profile.category || '',
+            paymentMethod: profile.paymentMethod || 'debit_card'
+        };
+    }
+
+    /**
+     * Generate unique profile ID
+     */
+    generateProfileId() {
+        return 'bank_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Save the profile list and refresh the profile picker
+     */
+    async saveProfiles(profiles) {
+        this.profiles = profiles.map(profile => this.normalizeProfile(profile));
+        await this.storage.setSetting('bankProfiles', this.profiles);
+        this.populateProfileSelect();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        try {
+            document.getElementById('import-expenses-btn')?.addEventListener('click', () => this.openImportModal());
+            document.getElementById('close-bank-import-modal')?.addEventListener('click', () => this.closeImportModal());
+            document.getElementById('cancel-bank-import')?.addEventListener('click', () => this.closeImportModal());
+            document.getElementById('confirm-bank-import')?.addEventListener('click', () => this.importSelected());
+            document.getElementById('bank-import-save-profile')?.addEventListener('click', () => this.saveCurrentProfile());
+            document.getElementById('bank-import-delete-profile')?.addEventListener('click', () => this.deleteProfile(document.getElementById('bank-import-profile').value));
+
+            document.getElementById('bank-import-file')?.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.loadFile(e.target.files[0]);
+            });
+
+            document.getElementById('bank-import-profile')?.addEventListener('change', (e) => {
+                const profile = this.profiles.find(p => p.id === e.target.value);
+                if (profile) this.writeMappingForm(profile);
+                this.buildPreview();
+            });
+
+            // Any mapping change redraws the preview
+            document.getElementById('bank-import-mapping')?.addEventListener('change', (e) => {
+                if (e.target.id === 'bank-import-profile-name') return;
+                if (e.target.id === 'bank-import-header') this.splitHeader();
+                this.updateMappingFields();
+                this.buildPreview();
+            });
+
+            const modalOverlay = document.getElementById('bank-import-modal-overlay');
+            modalOverlay?.addEventListener('click', (e) => {
+                if (e.target === modalOverlay) {
+                    this.closeImportModal();
+                }
+            });
+
+            console.log('✅ Bank import event listeners setup');
+
+        } catch (error) {
+            console.error('❌ Failed to setup bank import event listeners:', error);
+        }
+    }
+
+    /**
+     * Open the import modal with a clean slate
+     */
+    openImportModal() {
+        try {
+            const modal = document.getElementById('bank-import-modal-overlay');
+            if (!modal) return;
+
+            this.reset();
+            modal.classList.add('active');
+
+            // Animate modal appearance
+            if (typeof gsap !== 'undefined') {
+                gsap.fromTo(modal.querySelector('.modal'),
+                    { scale: 0.8, opacity: 0 },
+                    { scale: 1, opacity: 1, duration: 0.3, ease: "power2.out" }
+                );
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to open bank import modal:', error);
+        }
+    }
+
+    /**
+     * Close the import modal
+     */
+    closeImportModal() {
+        try {
+            const modal = document.getElementById('bank-import-modal-overlay');
+            if (modal) {
+                // Animate modal disappearance
+                if (typeof gsap !== 'undefined') {
+                    gsap.to(modal.querySelector('.modal'), {
+                        scale: 0.8,
+                        opacity: 0,
+                        duration: 0.2,
+                        ease: "power2.in",
+                        onComplete: () => {
+                            modal.classList.remove('active');
+                        }
+                    });
+                } else {
+                    modal.classList.remove('active');
+                }
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to close bank import modal:', error);
+        }
+    }
+
+    /**
+     * Forget the loaded statement and hide the mapping step
+     */
+    reset() {
+        this.fileName = '';
+        this.format = 'csv';
+        this.header = [];
+        this.rows = [];
+        this.allRows = [];
+        this.transactions = [];
+        this.preview = [];
+
+        const fileInput = document.getElementById('bank-import-file');
+        if (fileInput) fileInput.value = '';
+
+        const mapping = document.getElementById('bank-import-mapping');
+        if (mapping) mapping.style.display = 'none';
+
+        this.populateProfileSelect();
+        this.renderPreview();
+    }
+
+    /**
+     * Fill the bank profile picker
+     */
+    populateProfileSelect() {
+        const select = document.getElementById('bank-import-profile');
+        if (!select) return;
+
+        const value = select.value;
+        select.innerHTML = '<option value="">New profile</option>' + this.profiles
+            .map(profile => `<option value="${profile.id}">${this.escapeHtml(profile.name)}</option>`)
+            .join('');
+        if (this.profiles.some(profile => profile.id === value)) select.value = value;
+    }
+
+    /**
+     * Read a statement file. OFX and QIF go straight to the preview; CSV files use their saved
+     * profile or a guessed mapping.
+     */
+    async loadFile(file) {
+        try {
+            const text = await file.text();
+            const format = StatementFormats.detectFormat(text, file.name);
+            this.fileName = file.name;
+
+            if (format) {
+                this.loadStatement(text, format);
+                return;
+            }
+
+            this.format = 'csv';
+            this.transactions = [];
+            this.allRows = this.parseCSV(text, this.detectDelimiter(text))
+                .filter(row => row.some(cell => cell.trim() !== ''));
+
+            if (this.allRows.length === 0) {
+                NotificationManager.show('Empty File', 'No rows were found in this file', 'warning');
+                return;
+            }
+
+            const signature = this.allRows[0].map(cell => cell.trim().toLowerCase()).join('|');
+            const profile = this.profiles.find(p => p.hasHeader && p.headerSignature === signature);
+            const select = document.getElementById('bank-import-profile');
+
+            if (profile) {
+                if (select) select.value = profile.id;
+                this.writeMappingForm(profile);
+            } else {
+                if (select) select.value = '';
+                document.getElementById('bank-import-header').checked = this.looksLikeHeader(this.allRows[0]);
+                this.splitHeader();
+                this.writeMappingForm(this.guessMapping());
+            }
+
+            document.getElementById('bank-import-mapping').style.display = 'block';
+            this.buildPreview();
+
+        } catch (error) {
+            console.error('❌ Failed to read bank statement:', error);
+            NotificationManager.show('Import Failed', 'Failed to read the file. Please check it is a CSV, OFX or QIF export.', 'error');
+        }
+    }
+
+    /**
+     * Preview an OFX or QIF statement, which needs no column mapping
+     */
+    loadStatement(text, format) {
+        this.format = format;
+        this.allRows = [];
+        this.rows = [];
+        this.transactions = StatementFormats.parse(text, format);
+
+        if (this.transactions.length === 0) {
+            NotificationManager.show('Empty File', 'No transactions were found in this file', 'warning');
+        }
+
+        document.getElementById('bank-import-mapping').style.display = 'none';
+        this.buildPreview();
+    }
+
+    /**
+     * Preview entries for OFX or QIF transactions, with categories mapped from the statement or the payee
+     */
+    getStatementEntries() {
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        const context = {
+            categories: expenseManager?.categories || [],
+            payeeCategories: StatementFormats.getPayeeCategories(expenseManager?.expenses || []),
+            currency: window.plannerApp?.getComponent('currency')?.homeCurrency || 'USD'
+        };
+
+        return this.transactions.map((transaction, index) => {
+            const data = StatementFormats.toExpenseData(transaction, context);
+            const row = [transaction.date, transaction.payee || transaction.memo, String(transaction.amount)];
+            return data ? { index, row, status: 'new', data } : { index, row, status: 'income', reason: 'Credit' };
+        });
+    }
+
+    /**
+     * Separate the header row from the data rows
+     */
+    splitHeader() {
+        const hasHeader = document.getElementById('bank-import-header')?.checked;
+        const width = Math.max(0, ...this.allRows.map(row => row.length));
+
+        this.header = hasHeader
+            ? Array.from({ length: width }, (_, i) => (this.allRows[0][i] || '').trim() || `Column ${i + 1}`)
+            : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+        this.rows = hasHeader ? this.allRows.slice(1) : this.allRows;
+
+        this.populateColumnSelects();
+    }
+
+    /**
+     * A first row with no amounts or dates in it is taken as the header
+     */
+    looksLikeHeader(row) {
+        return row.every(cell => !/\d/.test(cell) || /^[a-z\s]+\d?$/i.test(cell.trim()));
+    }
+
+    /**
+     * Pick the delimiter that appears most in the first line
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+        return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+    }
+
+    /**
+     * Split CSV text into rows of cells, honouring quoted fields
+     */
+    parseCSV(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Guess a mapping from the header names and the first rows
+     */
+    guessMapping() {
+        const find = pattern => {
+            const index = this.header.findIndex(name => pattern.test(name));
+            return index >= 0 ? index : null;
+        };
+
+        const amountColumn = find(/amount|value|sum|betrag/i);
+        const debitColumn = find(/debit|withdrawal|paid out|money out/i);
+        const creditColumn = find(/credit|deposit|paid in|money in/i);
+        const dateColumn = find(/date|posted|datum/i) ?? 0;
+        const samples = this.rows.slice(0, 20).map(row => row[dateColumn] || '');
+        const amounts = this.rows.slice(0, 20).map(row => row[amountColumn ?? debitColumn] || '');
+
+        return {
+            dateColumn,
+            descriptionColumn: find(/desc|payee|memo|details|narrative|merchant|name/i),
+            amountColumn,
+            debitColumn,
+            creditColumn,
+            signConvention: amountColumn === null && debitColumn !== null ? 'columns' : 'negative',
+            dateFormat: this.guessDateFormat(samples),
+            decimalSeparator: amounts.some(value => /\d,\d{2}$/.test(value.trim())) ? ',' : '.',
+            currency: '',
+            category: '',
+            paymentMethod: 'debit_card'
+        };
+    }
+
+    /**
+     * The date format that reads the most sample dates, preferring earlier formats on a tie
+     */
+    guessDateFormat(samples) {
+        const scores = this.dateFormats.map(format => samples.filter(value => this.parseDate(value, format)).length);
+        return this.dateFormats[scores.indexOf(Math.max(...scores))];
+    }
+
+    /**
+     * Fill the column pickers from the header
+     */
+    populateColumnSelects() {
+        const optionsHTML = this.header
+            .map((name, index) => `<option value="${index}">${this.escapeHtml(name)}</option>`)
+            .join('');
+
+        ['date', 'description', 'amount', 'debit', 'credit'].forEach(field => {
+            const select = document.getElementById(`bank-import-${field}-column`);
+            if (!select) return;
+
+            const value = select.value;
+            select.innerHTML = `<option value="">None</option>${optionsHTML}`;
+            if (value !== '' && Number(value) < this.header.length) select.value = value;
+        });
+    }
+
+    /**
+     * Show a mapping in the form
+     */
+    writeMappingForm(mapping) {
+        if (mapping.hasHeader !== undefined) {
+            document.getElementById('bank-import-header').checked = mapping.hasHeader;
+            this.splitHeader();
+        }
+
+        ['date', 'description', 'amount', 'debit', 'credit'].forEach(field => {
+            const select = document.getElementById(`bank-import-${field}-column`);
+            const value = mapping[`${field}Column`];
+            if (select) select.value = value === null || value === undefined ? '' : String(value);
+        });
+
+        const homeCurrency = window.plannerApp?.getComponent('currency')?.homeCurrency || 'USD';
+        document.getElementById('bank-import-sign').value = mapping.signConvention;
+        document.getElementById('bank-import-date-format').value = mapping.dateFormat;
+        document.getElementById('bank-import-decimal').value = mapping.decimalSeparator;
+        document.getElementById('bank-import-currency').value = mapping.currency || homeCurrency;
+        document.getElementById('bank-import-category').value = mapping.category || '';
+        document.getElementById('bank-import-payment').value = mapping.paymentMethod;
+        document.getElementById('bank-import-profile-name').value = mapping.name || '';
+
+        this.updateMappingFields();
+    }
+
+    /**
+     * Read the mapping from the form
+     */
+    readMappingForm() {
+        const column = field => {
+            const value = document.getElementById(`bank-import-${field}-column`)?.value;
+            return value === '' || value === undefined ? null : Number(value);
+        };
+
+        return {
+            hasHeader: document.getElementById('bank-import-header').checked,
+            dateColumn: column('date'),
+            descriptionColumn: column('description'),
+            amountColumn: column('amount'),
+            debitColumn: column('debit'),
+            creditColumn: column('credit'),
+            signConvention: document.getElementById('bank-import-sign').value,
+            dateFormat: document.getElementById('bank-import-date-format').value,
+            decimalSeparator: document.getElementById('bank-import-decimal').value,
+            currency: document.getElementById('bank-import-currency').value,
+            category: document.getElementById('bank-import-category').value,
+            paymentMethod: document.getElementById('bank-import-payment').value
+        };
+    }
+
+    /**
+     * Show the amount column or the debit and credit columns to match the sign convention
+     */
+    updateMappingFields() {
+        const separate = document.getElementById('bank-import-sign')?.value === 'columns';
+        const amountGroup = document.getElementById('bank-import-amount-group');
+
+        if (amountGroup) amountGroup.style.display = separate ? 'none' : 'block';
+        document.querySelectorAll('.bank-import-split-column').forEach(group => {
+            group.style.display = separate ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Parse a date in the given format into YYYY-MM-DD, or null when it doesn't fit
+     */
+    parseDate(value, format) {
+        const parts = String(value || '').trim().match(/\d+/g);
+        const order = format.split(/[^A-Z]+/);
+        if (!parts || parts.length < 3) return null;
+
+        const fields = {};
+        order.forEach((token, i) => { fields[token[0]] = parseInt(parts[i], 10); });
+
+        const year = fields.Y < 100 ? 2000 + fields.Y : fields.Y;
+        const date = new Date(Date.UTC(year, fields.M - 1, fields.D));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== fields.M - 1 || date.getUTCDate() !== fields.D) {
+            return null;
+        }
+
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Parse an amount like "-1,234.50", "(12.00)", "12,50 €" or "45.00-", or null when empty
+     */
+    parseAmount(value, decimalSeparator = '.') {
+        const text = String(value || '').trim();
+        if (!/\d/.test(text)) return null;
+
+        const negative = /^\(.*\)$/.test(text) || /^-|-$|^[^\d]*-/.test(text);
+        const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+        const number = parseFloat(text
+            .split(thousandsSeparator).join('')
+            .replace(decimalSeparator, '.')
+            .replace(/[^\d.]/g, ''));
+
+        if (isNaN(number)) return null;
+        return negative ? -number : number;
+    }
+
+    /**
+     * Turn a statement row into expense data, or explain why it can't be imported
+     */
+    rowToExpense(row, mapping) {
+        const cell = index => index === null ? '' : (row[index] || '').trim();
+
+        const date = this.parseDate(cell(mapping.dateColumn), mapping.dateFormat);
+        if (!date) return { status: 'invalid', reason: 'Unreadable date' };
+
+        let amount;
+        if (mapping.signConvention === 'columns') {
+            const debit = this.parseAmount(cell(mapping.debitColumn), mapping.decimalSeparator);
+            const credit = this.parseAmount(cell(mapping.creditColumn), mapping.decimalSeparator);
+            if (!debit && credit) return { status: 'income', reason: 'Credit' };
+            amount = debit === null ? null : Math.abs(debit);
+        } else {
+            const value = this.parseAmount(cell(mapping.amountColumn), mapping.decimalSeparator);
+            const spending = value === null ? null : (mapping.signConvention === 'negative' ? -value : value);
+            if (spending !== null && spending < 0) return { status: 'income', reason: 'Credit' };
+            amount = spending;
+        }
+
+        if (!amount) return { status: 'invalid', reason: 'No amount' };
+
+        return {
+            status: 'new',
+            data: {
+                description: cell(mapping.descriptionColumn) || 'Bank transaction',
+                amount: Math.round(amount * 100) / 100,
+                currency: mapping.currency,
+                category: mapping.category,
+                projectId: null,
+                paymentMethod: mapping.paymentMethod,
+                date,
+                location: '',
+                notes: '',
+                tags: [],
+                isRecurring: false,
+                recurringType: 'monthly'
+            }
+        };
+    }
+
+    /**
+     * Words of a description, without reference numbers and punctuation
+     */
+    getDescriptionWords(text) {
+        return new Set(String(text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !/\d/.test(word)));
+    }
+
+    /**
+     * Whether two descriptions name the same payee: most words of the shorter one appear in the other
+     */
+    isSimilarDescription(a, b) {
+        const wordsA = this.getDescriptionWords(a);
+        const wordsB = this.getDescriptionWords(b);
+        if (wordsA.size === 0 || wordsB.size === 0) return true;
+
+        const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+        return shared / Math.min(wordsA.size, wordsB.size) >= 0.5;
+    }
+
+    /**
+     * An existing expense with the same date, amount and a similar description, skipping ones already matched
+     */
+    findDuplicate(data, expenses, matchedIds) {
+        const homeCurrency = window.plannerApp?.getComponent('currency')?.homeCurrency || 'USD';
+
+        return expenses.find(expense =>
+            !matchedIds.has(expense.id) &&
+            expense.date === data.date &&
+            (expense.currency || homeCurrency) === data.currency &&
+            Math.abs((parseFloat(expense.amount) || 0) - data.amount) < 0.005 &&
+            this.isSimilarDescription(expense.description, data.description));
+    }
+
+    /**
+     * Map every row and mark the ones that are already recorded. Transactions with a FITID
+     * match on it; the rest match on date, amount and description.
+     */
+    buildPreview() {
+        const mapping = this.readMappingForm();
+        const expenses = window.plannerApp?.getComponent('expenses')?.expenses || [];
+        const matchedIds = new Set();
+        const entries = this.format === 'csv'
+            ? this.rows.map((row, index) => ({ index, row, ...this.rowToExpense(row, mapping) }))
+            : this.getStatementEntries();
+
+        this.preview = entries.map(entry => {
+            if (entry.data) entry.data = this.categorize(entry.data);
+
+            if (entry.status === 'new' && entry.data.externalId) {
+                if (StatementFormats.findImported(entry.data, expenses)) {
+                    entry.status = 'duplicate';
+                    entry.reason = 'Already imported';
+                }
+            } else if (entry.status === 'new') {
+                const duplicate = this.findDuplicate(entry.data, expenses, matchedIds);
+                if (duplicate) {
+                    matchedIds.add(duplicate.id);
+                    entry.status = 'duplicate';
+                    entry.reason = `Matches "${duplicate.description}"`;
+                }
+            }
+
+            entry.include = entry.status === 'new';
+            return entry;
+        });
+
+        this.renderPreview();
+    }
+
+    /**
+     * Pick a category for imported data: a matching rule, else the mapped category,
+     * else one learned from similar past expenses
+     */
+    categorize(data) {
+        const rules = window.plannerApp?.getComponent('rules');
+        const categorized = rules ? rules.apply(data) : data;
+        if (categorized.category) return categorized;
+
+        return { ...categorized, category: rules?.suggest(categorized)?.category || 'other' };
+    }
+
+    /**
+     * Draw the preview table
+     */
+    renderPreview() {
+        const container = document.getElementById('bank-import-preview');
+        const confirmButton = document.getElementById('confirm-bank-import');
+        if (!container) return;
+
+        const selected = this.preview.filter(entry => entry.include).length;
+        if (confirmButton) {
+            confirmButton.disabled = selected === 0;
+            confirmButton.textContent = selected > 0 ? `Import ${selected} ${selected === 1 ? 'Expense' : 'Expenses'}` : 'Import';
+        }
+
+        if (this.preview.length === 0) {
+            container.innerHTML = !this.fileName
+                ? '<p class="bank-import-empty">Choose a CSV export from your bank to preview it here.</p>'
+                : '<p class="bank-import-empty">The file has no rows to import.</p>';
+            return;
+        }
+
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        const counts = ['new', 'duplicate', 'income', 'invalid']
+            .map(status => [status, this.preview.filter(entry => entry.status === status).length]);
+        const labels = { new: 'new', duplicate: 'already recorded', income: 'credits skipped', invalid: 'unreadable' };
+
+        container.innerHTML = `
+            <p class="bank-import-counts">${counts.filter(([, count]) => count > 0).map(([status, count]) => `${count} ${labels[status]}`).join(' · ')}</p>
+            <div class="bank-import-table-wrapper">
+                <table class="bank-import-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Date</th>
+                            <th>Description</th>
+                            <th>Category</th>
+                            <th>Amount</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.preview.map(entry => `
+                            <tr class="bank-import-row ${entry.status}" data-index="${entry.index}">
+                                <td><input type="checkbox" class="bank-import-include" ${entry.include ? 'checked' : ''} ${entry.data ? '' : 'disabled'}></td>
+                                <td>${entry.data ? entry.data.date : this.escapeHtml(entry.row.join(', ').slice(0, 40))}</td>
+                                <td>${entry.data ? this.escapeHtml(entry.data.description) : ''}</td>
+                                <td>${entry.data && expenseManager ? this.escapeHtml(expenseManager.getCategoryLabel(entry.data.category)) : ''}</td>
+                                <td>${entry.data && expenseManager ? expenseManager.formatMoney(entry.data.amount, entry.data.currency) : ''}</td>
+                                <td class="bank-import-status">${this.escapeHtml(entry.reason || 'New')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.querySelectorAll('.bank-import-include').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const entry = this.preview.find(p => p.index === Number(e.target.closest('tr').dataset.index));
+                if (entry) entry.include = e.target.checked;
+                this.renderPreview();
+            });
+        });
+    }
+
+    /**
+     * Create expenses for the ticked rows
+     */
+    async importSelected() {
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        const entries = this.preview.filter(entry => entry.include && entry.data);
+        if (!expenseManager || entries.length === 0) return;
+
+        try {
+            const beforeExpenses = [...expenseManager.expenses];
+            const created = [];
+
+            for (const entry of entries) {
+                created.push(await expenseManager.createExpense(entry.data));
+            }
+
+            this.closeImportModal();
+            expenseManager.triggerExpenseUpdate();
+
+            window.plannerApp?.getComponent('budgets')?.checkThresholds(beforeExpenses, [...beforeExpenses, ...created]);
+
+            const label = `${created.length} ${created.length === 1 ? 'expense' : 'expenses'} imported`;
+            const command = expenseManager.recordExpenseHistory(label, [], created);
+            NotificationManager.show('Statement Imported', label, 'success', HistoryManager.undoOptions(command));
+
+        } catch (error) {
+            console.error('❌ Failed to import bank statement:', error);
+            NotificationManager.show('Import Failed', 'Failed to import expenses. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Save the current mapping under the chosen profile, or as a new one
+     */
+    async saveCurrentProfile() {
+        try {
+            const select = document.getElementById('bank-import-profile');
+            const name = document.getElementById('bank-import-profile-name').value.trim();
+            if (!name) {
+                NotificationManager.show('Validation Error', 'Please name the profile, e.g. after the bank or card', 'error');
+                return;
+            }
+
+            const existing = this.profiles.find(profile => profile.id === select.value);
+            const profile = this.normalizeProfile({
+                ...this.readMappingForm(),
+                id: existing?.id,
+                name,
+                headerSignature: (this.allRows[0] || []).map(cell => cell.trim().toLowerCase()).join('|')
+            });
+
+            await this.saveProfiles(existing
+                ? this.profiles.map(p => p.id === profile.id ? profile : p)
+                : [...this.profiles, profile]);
+            select.value = profile.id;
+
+            NotificationManager.show('Profile Saved', `"${name}" statements will be mapped the same way next time`, 'success');
+
+        } catch (error) {
+            console.error('❌ Failed to save bank profile:', error);
+            NotificationManager.show('Save Failed', 'Failed to save profile. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Delete a saved profile
+     */
+    async deleteProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile || !confirm(`Delete the "${profile.name}" profile?`)) return;
+
+        try {
+            await this.saveProfiles(this.profiles.filter(p => p.id !== profileId));
+            NotificationManager.show('Profile Deleted', `"${profile.name}" was deleted`, 'info');
+        } catch (error) {
+            console.error('❌ Failed to delete bank profile:', error);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Make BankImportManager globally available
+if (typeof window !== 'undefined') {
+    window.BankImportManager = BankImportManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BankImportManager;
+}
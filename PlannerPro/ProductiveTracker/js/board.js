@@ -0,0 +1,503 @@
+/**
+ * Board Manager - Kanban board of tasks in columns by status, category or priority
+ * Dropping a card on a column (through DragDropManager) sets that field on the task
+ */
+
+class BoardManager {
+    constructor() {
+        this.storage = null;
+        this.tasks = [];
+        this.settings = {
+            groupBy: 'status', // status | category | priority
+            statuses: [
+                { id: 'pending', name: 'To Do' },
+                { id: 'in-progress', name: 'In Progress' },
+                { id: 'waiting', name: 'Waiting' },
+                { id: 'completed', name: 'Done' }
+            ],
+            wipLimits: {} // "groupBy:value" -> max cards
+        };
+        this.builtInStatuses = ['pending', 'completed'];
+        this.priorityColumns = [
+            { value: 'high', label: 'High' },
+            { value: 'medium', label: 'Medium' },
+            { value: 'low', label: 'Low' }
+        ];
+        this.isSettingsOpen = false;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.render = this.render.bind(this);
+    }
+
+    /**
+     * Initialize board manager
+     */
+    async init() {
+        try {
+            // Get storage instance
+            this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
+
+            this.tasks = await this.storage.getAllTasks();
+            await this.loadSettings();
+
+            // Setup event listeners
+            this.setupEventListeners();
+            this.setupTaskUpdateListener();
+
+            this.render();
+
+            console.log('✅ BoardManager initialized');
+
+        } catch (error) {
+            console.error('❌ BoardManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load board settings
+     */
+    async loadSettings() {
+        try {
+            const savedSettings = await this.storage.getSetting('board', {});
+            this.settings = this.normalizeSettings({ ...this.settings, ...savedSettings });
+        } catch (error) {
+            console.error('❌ Failed to load board settings:', error);
+        }
+    }
+
+    /**
+     * Keep the built-in statuses and drop malformed entries
+     */
+    normalizeSettings(settings) {
+        const groupBy = ['status', 'category', 'priority'].includes(settings.groupBy) ? settings.groupBy : 'status';
+        const statuses = (Array.isArray(settings.statuses) ? settings.statuses : [])
+            .filter(status => status && status.id && status.name);
+
+        // Pending and completed drive the rest of the app, so they are always on the board
+        if (!statuses.some(status => status.id === 'pending')) {
+            statuses.unshift({ id: 'pending', name: 'To Do' });
+        }
+        if (!statuses.some(status => status.id === 'completed')) {
+            statuses.push({ id: 'completed', name: 'Done' });
+        }
+
+        const wipLimits = {};
+        Object.entries(settings.wipLimits || {}).forEach(([key, limit]) => {
+            const value = parseInt(limit, 10);
+            if (value > 0) wipLimits[key] = value;
+        });
+
+        return { groupBy, statuses, wipLimits };
+    }
+
+    /**
+     * Save board settings and redraw
+     */
+    async saveSettings() {
+        try {
+            this.settings = this.normalizeSettings(this.settings);
+            await this.storage.setSetting('board', this.settings);
+            this.render();
+        } catch (error) {
+            console.error('❌ Failed to save board settings:', error);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        try {
+            const groupBySelect = document.getElementById('board-group-by');
+            if (groupBySelect) {
+                groupBySelect.value = this.settings.groupBy;
+                groupBySelect.addEventListener('change', (e) => {
+                    this.settings.groupBy = e.target.value;
+                    this.saveSettings();
+                });
+            }
+
+            document.getElementById('board-settings-btn')?.addEventListener('click', () => {
+                this.isSettingsOpen = !this.isSettingsOpen;
+                this.renderSettings();
+            });
+
+            document.getElementById('board-add-status')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('board-new-status');
+                this.addStatus(input.value);
+                input.value = '';
+            });
+
+            console.log('✅ Board event listeners setup');
+
+        } catch (error) {
+            console.error('❌ Failed to setup board event listeners:', error);
+        }
+    }
+
+    /**
+     * Setup task update listener
+     */
+    setupTaskUpdateListener() {
+        try {
+            document.addEventListener('tasksUpdated', (e) => {
+                this.tasks = e.detail.tasks || [];
+                this.render();
+            });
+        } catch (error) {
+            console.error('❌ Failed to setup task update listener:', error);
+        }
+    }
+
+    /**
+     * Refresh board
+     */
+    refresh() {
+        this.render();
+    }
+
+    /**
+     * Get the columns for the current grouping, plus any values tasks use that aren't configured
+     */
+    getColumns() {
+        const groupBy = this.settings.groupBy;
+        let columns;
+
+        if (groupBy === 'status') {
+            return this.settings.statuses.map(status => ({ value: status.id, label: status.name }));
+        }
+
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        const labelFor = (value) => groupBy === 'category' && taskManager
+            ? taskManager.getCategoryName(value)
+            : this.capitalize(value);
+
+        if (groupBy === 'priority') {
+            columns = [...this.priorityColumns];
+        } else {
+            // Archived categories only get a column while they still hold tasks
+            const categories = taskManager ? taskManager.getCategoryIds() : ['work', 'personal', 'health', 'education', 'shopping'];
+            columns = categories.map(category => ({ value: category, label: labelFor(category) }));
+        }
+
+        this.tasks.forEach(task => {
+            const value = task[groupBy];
+            if (value && !columns.some(column => column.value === value)) {
+                columns.push({ value, label: labelFor(value) });
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Get the column a task belongs in; unknown statuses fall back to the first column
+     */
+    getColumnValue(task) {
+        return this.settings.groupBy === 'status' ? this.getStatusValue(task) : task[this.settings.groupBy];
+    }
+
+    /**
+     * Get the tasks in a column, in the task list's order
+     */
+    getColumnTasks(value) {
+        const tasks = this.tasks.filter(task => this.getColumnValue(task) === value);
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        return taskManager ? taskManager.sortTasks(tasks) : tasks;
+    }
+
+    /**
+     * Get the WIP limit of a column, or null without one
+     */
+    getWipLimit(groupBy, value) {
+        return this.settings.wipLimits[`${groupBy}:${value}`] || null;
+    }
+
+    /**
+     * Set or clear (0/empty) the WIP limit of a column
+     */
+    async setWipLimit(value, limit) {
+        const key = `${this.settings.groupBy}:${value}`;
+        const parsed = parseInt(limit, 10);
+
+        if (parsed > 0) {
+            this.settings.wipLimits[key] = parsed;
+        } else {
+            delete this.settings.wipLimits[key];
+        }
+
+        await this.saveSettings();
+    }
+
+    /**
+     * Warn when a move leaves a column above its WIP limit
+     */
+    warnIfOverLimit(field, value) {
+        const limit = this.getWipLimit(field, value);
+        if (!limit || field !== this.settings.groupBy) return;
+
+        const count = this.tasks.filter(task => this.getColumnValue(task) === value).length;
+
+        if (count > limit) {
+            const label = this.getColumnLabel(field, value);
+            NotificationManager.show('WIP Limit Exceeded', `${label} has ${count} tasks (limit ${limit})`, 'warning');
+        }
+    }
+
+    /**
+     * Get the display name of a column
+     */
+    getColumnLabel(field, value) {
+        if (field === 'status') {
+            return this.settings.statuses.find(status => status.id === value)?.name || value;
+        }
+
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        if (field === 'category' && taskManager) {
+            return taskManager.getCategoryName(value);
+        }
+        return this.capitalize(value);
+    }
+
+    /**
+     * Add a custom status column before Done
+     */
+    async addStatus(name) {
+        try {
+            const label = (name || '').trim();
+            if (!label) return;
+
+            const baseId = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'status';
+            let id = baseId;
+            for (let i = 2; this.settings.statuses.some(status => status.id === id); i++) {
+                id = `${baseId}-${i}`;
+            }
+
+            const doneIndex = this.settings.statuses.findIndex(status => status.id === 'completed');
+            this.settings.statuses.splice(doneIndex, 0, { id, name: label });
+            await this.saveSettings();
+
+            console.log(`✅ Board status added: ${label}`);
+
+        } catch (error) {
+            console.error('❌ Failed to add status:', error);
+        }
+    }
+
+    /**
+     * Rename a status column
+     */
+    async renameStatus(id, name) {
+        const status = this.settings.statuses.find(s => s.id === id);
+        if (!status || !name.trim()) return;
+
+        status.name = name.trim();
+        await this.saveSettings();
+    }
+
+    /**
+     * Remove a custom status; its tasks go back to pending
+     */
+    async removeStatus(id) {
+        try {
+            if (this.builtInStatuses.includes(id)) return;
+
+            const status = this.settings.statuses.find(s => s.id === id);
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            const affected = taskManager ? taskManager.getTasksByStatus(id) : [];
+
+            if (affected.length > 0) {
+                const pendingName = this.getColumnLabel('status', 'pending');
+                const confirmed = confirm(`Remove "${status.name}"? Its ${affected.length} tasks will move to "${pendingName}".`);
+                if (!confirmed) return;
+
+                await taskManager.bulkUpdate(task => { task.status = 'pending'; }, `moved to ${pendingName}`, affected);
+            }
+
+            this.settings.statuses = this.settings.statuses.filter(s => s.id !== id);
+            delete this.settings.wipLimits[`status:${id}`];
+            await this.saveSettings();
+
+            console.log(`✅ Board status removed: ${status.name}`);
+
+        } catch (error) {
+            console.error('❌ Failed to remove status:', error);
+        }
+    }
+
+    /**
+     * Render board columns and cards
+     */
+    render() {
+        try {
+            const board = document.getElementById('board');
+            if (!board) return;
+
+            const groupBy = this.settings.groupBy;
+            board.innerHTML = this.getColumns()
+                .map(column => this.createColumnHTML(groupBy, column, this.getColumnTasks(column.value)))
+                .join('');
+
+            board.querySelectorAll('.board-card').forEach(card => {
+                card.addEventListener('click', () => {
+                    window.plannerApp?.getComponent('tasks')?.editTask(card.dataset.taskId);
+                });
+            });
+
+            this.renderSettings();
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+
+            // Cards and columns are new elements; wire them up for dragging
+            window.plannerApp?.getComponent('dragDrop')?.setupBoardDragAndDrop();
+
+        } catch (error) {
+            console.error('❌ Failed to render board:', error);
+        }
+    }
+
+    /**
+     * Create HTML for a board column
+     */
+    createColumnHTML(groupBy, column, tasks) {
+        const limit = this.getWipLimit(groupBy, column.value);
+        const isOverLimit = limit && tasks.length > limit;
+
+        return `
+            <div class="board-column ${isOverLimit ? 'over-limit' : ''}" data-field="${groupBy}" data-value="${this.escapeHtml(column.value)}">
+                <div class="board-column-header">
+                    <h3>${this.escapeHtml(column.label)}</h3>
+                    <span class="board-column-count" title="${limit ? `WIP limit ${limit}` : 'No WIP limit'}">
+                        ${tasks.length}${limit ? ` / ${limit}` : ''}
+                    </span>
+                </div>
+                <div class="board-column-cards">
+                    ${tasks.length > 0
+                        ? tasks.map(task => this.createCardHTML(task)).join('')
+                        : '<p class="board-column-empty">No tasks</p>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a task card
+     */
+    createCardHTML(task) {
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        const formattedDate = taskManager ? taskManager.formatTaskDate(task) : task.dueDate;
+        const isOverdue = taskManager ? taskManager.isTaskOverdue(task) : false;
+        const subtasks = task.subtasks || [];
+        const completedSubtasks = subtasks.filter(subtask => subtask.completed).length;
+
+        // Show whichever of category/status isn't already the column
+        const badge = this.settings.groupBy === 'category'
+            ? this.getColumnLabel('status', this.getStatusValue(task))
+            : (taskManager ? taskManager.getCategoryName(task.category) : this.capitalize(task.category || ''));
+
+        return `
+            <div class="board-card ${task.status === 'completed' ? 'completed' : ''}" data-task-id="${task.id}" draggable="true">
+                <div class="task-priority-indicator ${task.priority}"></div>
+                <div class="board-card-title">${this.escapeHtml(task.title)}</div>
+                <div class="board-card-meta">
+                    ${formattedDate ? `
+                        <span class="board-card-date ${isOverdue ? 'overdue' : ''}">
+                            <i data-feather="calendar"></i>${this.escapeHtml(formattedDate)}
+                        </span>
+                    ` : ''}
+                    ${subtasks.length > 0 ? `
+                        <span class="board-card-progress">
+                            <i data-feather="check-square"></i>${completedSubtasks}/${subtasks.length}
+                        </span>
+                    ` : ''}
+                    ${badge ? `<span class="board-card-badge">${this.escapeHtml(badge)}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Get a task's status, falling back to pending for statuses no longer on the board
+     */
+    getStatusValue(task) {
+        return this.settings.statuses.some(status => status.id === task.status) ? task.status : 'pending';
+    }
+
+    /**
+     * Render the column settings: names of statuses, WIP limits and removal of custom statuses
+     */
+    renderSettings() {
+        try {
+            const panel = document.getElementById('board-settings');
+            const list = document.getElementById('board-settings-list');
+            if (!panel || !list) return;
+
+            panel.hidden = !this.isSettingsOpen;
+            document.getElementById('board-add-status').hidden = this.settings.groupBy !== 'status';
+            if (!this.isSettingsOpen) return;
+
+            const groupBy = this.settings.groupBy;
+            list.innerHTML = this.getColumns().map(column => {
+                const limit = this.getWipLimit(groupBy, column.value);
+                const isStatus = groupBy === 'status';
+                const isCustom = isStatus && !this.builtInStatuses.includes(column.value);
+
+                return `
+                    <div class="board-settings-row" data-value="${this.escapeHtml(column.value)}">
+                        ${isStatus
+                            ? `<input type="text" class="board-status-name" value="${this.escapeHtml(column.label)}" aria-label="Status name">`
+                            : `<span class="board-settings-label">${this.escapeHtml(column.label)}</span>`}
+                        <input type="number" class="board-wip-limit" min="0" value="${limit || ''}" placeholder="No limit" aria-label="WIP limit">
+                        ${isCustom ? `
+                            <button class="btn-icon board-remove-status" title="Remove status">
+                                <i data-feather="trash-2"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            list.querySelectorAll('.board-settings-row').forEach(row => {
+                const value = row.dataset.value;
+                row.querySelector('.board-status-name')?.addEventListener('change', (e) => this.renameStatus(value, e.target.value));
+                row.querySelector('.board-wip-limit')?.addEventListener('change', (e) => this.setWipLimit(value, e.target.value));
+                row.querySelector('.board-remove-status')?.addEventListener('click', () => this.removeStatus(value));
+            });
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to render board settings:', error);
+        }
+    }
+
+    capitalize(text) {
+        return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Make BoardManager globally available
+if (typeof window !== 'undefined') {
+    window.BoardManager = BoardManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoardManager;
+}
@@ -0,0 +1,581 @@
+/**
+ * Budget Manager - Spending limits per expense category and overall
+ * Budgets run monthly or over a custom date range, warn as spending crosses their thresholds,
+ * and can carry unused money into the next month
+ */
+
+class BudgetManager {
+    constructor() {
+        this.storage = null;
+        this.budgets = [];
+        this.periods = [
+            { id: 'monthly', name: 'Monthly' },
+            { id: 'custom', name: 'Custom dates' }
+        ];
+        this.thresholds = [80, 100]; // Percent of the limit that triggers an alert
+        this.maxRolloverMonths = 120;
+        this.editingBudgetId = null;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+    }
+
+    /**
+     * Initialize budget manager
+     */
+    async init() {
+        try {
+            // Get storage instance
+            this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
+
+            await this.loadBudgets();
+
+            // Setup event listeners
+            this.setupEventListeners();
+
+            console.log('✅ BudgetManager initialized');
+
+        } catch (error) {
+            console.error('❌ BudgetManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load budgets from settings
+     */
+    async loadBudgets() {
+        try {
+            const budgets = await this.storage.getSetting('budgets', []);
+            this.budgets = Array.isArray(budgets) ? budgets.map(budget => this.normalizeBudget(budget)) : [];
+        } catch (error) {
+            console.error('❌ Failed to load budgets:', error);
+            this.budgets = [];
+        }
+    }
+
+    /**
+     * Normalize budget object to ensure all required properties exist
+     */
+    normalizeBudget(budget) {
+        const period = this.periods.some(p => p.id === budget.period) ? budget.period : 'monthly';
+
+        return {
+            id: budget.id || this.generateBudgetId(),
+            categoryId: budget.categoryId || null, // null is the overall budget
+            amount: Math.max(0, parseFloat(budget.amount) || 0),
+            period,
+            startDate: budget.startDate || this.toDateString(new Date()),
+            endDate: period === 'custom' ? budget.endDate || null : null,
+            rollover: period === 'monthly' && Boolean(budget.rollover),
+            createdAt: budget.createdAt || new Date().toISOString(),
+            updatedAt: budget.updatedAt || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Generate unique budget ID
+     */
+    generateBudgetId() {
+        return 'budget_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Save budgets and redraw the expense view
+     */
+    async saveBudgets(budgets) {
+        this.budgets = budgets.map(budget => this.normalizeBudget(budget));
+        await this.storage.setSetting('budgets', this.budgets);
+        this.renderBudgetList();
+        window.plannerApp?.getComponent('expenses')?.updateDisplay();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        try {
+            document.getElementById('manage-budgets-btn')?.addEventListener('click', () => this.openBudgetModal());
+            document.getElementById('close-budget-modal')?.addEventListener('click', () => this.closeBudgetModal());
+            document.getElementById('cancel-budget')?.addEventListener('click', () => this.resetBudgetForm());
+            document.getElementById('budget-form')?.addEventListener('submit', (e) => this.handleFormSubmit(e));
+            document.getElementById('budget-period')?.addEventListener('change', () => this.updatePeriodFields());
+
+            const modalOverlay = document.getElementById('budget-modal-overlay');
+            modalOverlay?.addEventListener('click', (e) => {
+                if (e.target === modalOverlay) {
+                    this.closeBudgetModal();
+                }
+            });
+
+            console.log('✅ Budget event listeners setup');
+
+        } catch (error) {
+            console.error('❌ Failed to setup budget event listeners:', error);
+        }
+    }
+
+    /**
+     * Get the budget for a category, or the overall budget for null
+     */
+    getBudget(categoryId = null) {
+        return this.budgets.find(budget => budget.categoryId === (categoryId || null));
+    }
+
+    /**
+     * Display name for what a budget covers
+     */
+    getScopeName(budget) {
+        if (!budget.categoryId) return 'Overall spending';
+
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        return expenseManager ? expenseManager.getCategoryLabel(budget.categoryId) : budget.categoryId;
+    }
+
+    /**
+     * Format a local date as YYYY-MM-DD
+     */
+    toDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * The calendar month containing a date
+     */
+    getMonthRange(date) {
+        return {
+            start: this.toDateString(new Date(date.getFullYear(), date.getMonth(), 1)),
+            end: this.toDateString(new Date(date.getFullYear(), date.getMonth() + 1, 0))
+        };
+    }
+
+    /**
+     * The period a budget is measured over on a given day
+     */
+    getPeriod(budget, today = new Date()) {
+        if (budget.period === 'custom') {
+            return { start: budget.startDate, end: budget.endDate || budget.startDate };
+        }
+        return this.getMonthRange(today);
+    }
+
+    /**
+     * Total spent against a budget between two dates, in the home currency. Category budgets include
+     * their sub-categories and only the split lines filed under them.
+     */
+    getSpent(budget, expenses, start, end) {
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        const categoryIds = budget.categoryId
+            ? (expenseManager ? expenseManager.getCategoryFamily(budget.categoryId) : [budget.categoryId])
+            : null;
+
+        return expenses
+            .filter(expense => expense.date >= start && expense.date <= end)
+            .flatMap(expense => (expenseManager ? expenseManager.getExpenseLines(expense) : [expense])
+                .filter(line => !categoryIds || categoryIds.includes(line.category))
+                .map(line => ({ ...expense, amount: line.amount })))
+            .reduce((total, expense) => total + (expenseManager ? expenseManager.getHomeAmount(expense) : parseFloat(expense.amount) || 0), 0);
+    }
+
+    /**
+     * Unused money carried into the month starting at periodStart, counted from the budget's first month
+     */
+    getRollover(budget, expenses, periodStart) {
+        if (!budget.rollover || budget.period !== 'monthly') return 0;
+
+        const [year, month] = budget.startDate.split('-').map(Number);
+        let carry = 0;
+
+        for (let i = 0; i < this.maxRolloverMonths; i++) {
+            const range = this.getMonthRange(new Date(year, month - 1 + i, 1));
+            if (range.start >= periodStart) break;
+
+            carry = Math.max(0, budget.amount + carry - this.getSpent(budget, expenses, range.start, range.end));
+        }
+
+        return carry;
+    }
+
+    /**
+     * Limit, spending and progress of a budget in its current period
+     */
+    getBudgetStatus(budget, expenses = this.getExpenses(), today = new Date()) {
+        const period = this.getPeriod(budget, today);
+        const rollover = this.getRollover(budget, expenses, period.start);
+        const limit = budget.amount + rollover;
+        const spent = this.getSpent(budget, expenses, period.start, period.end);
+        const percent = limit > 0 ? Math.round((spent / limit) * 100) : (spent > 0 ? 100 : 0);
+
+        let level = 'ok';
+        if (percent >= this.thresholds[this.thresholds.length - 1]) {
+            level = 'over';
+        } else if (percent >= this.thresholds[0]) {
+            level = 'warning';
+        }
+
+        return { period, rollover, limit, spent, remaining: limit - spent, percent, level };
+    }
+
+    /**
+     * Current expenses from the expense manager
+     */
+    getExpenses() {
+        return window.plannerApp?.getComponent('expenses')?.expenses || [];
+    }
+
+    /**
+     * Alert for every budget an expense change pushed past a threshold
+     */
+    checkThresholds(beforeExpenses, afterExpenses) {
+        try {
+            this.budgets.forEach(budget => {
+                const before = this.getBudgetStatus(budget, beforeExpenses);
+                const after = this.getBudgetStatus(budget, afterExpenses);
+
+                // Only the highest threshold crossed, so one expense gives one alert per budget
+                const crossed = this.thresholds.filter(threshold => before.percent < threshold && after.percent >= threshold).pop();
+                if (!crossed) return;
+
+                const name = this.getScopeName(budget);
+                const limit = this.formatAmount(after.limit);
+
+                if (crossed >= 100) {
+                    NotificationManager.show('Budget Exceeded', `${name} is over its ${limit} budget by ${this.formatAmount(-after.remaining)}`, 'error');
+                } else {
+                    NotificationManager.show('Budget Alert', `${name} has used ${after.percent}% of its ${limit} budget`, 'warning');
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to check budget thresholds:', error);
+        }
+    }
+
+    /**
+     * Format an amount in the expense manager's currency format
+     */
+    formatAmount(amount) {
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        return expenseManager ? expenseManager.formatCurrency(amount) : amount.toFixed(2);
+    }
+
+    /**
+     * Progress bar markup for a budget status
+     */
+    getProgressHTML(status) {
+        return `
+            <div class="budget-progress ${status.level}" title="${this.formatAmount(status.spent)} of ${this.formatAmount(status.limit)}${status.rollover > 0 ? ` (includes ${this.formatAmount(status.rollover)} rolled over)` : ''}">
+                <div class="budget-progress-bar">
+                    <div class="budget-progress-fill" style="width: ${Math.min(status.percent, 100)}%"></div>
+                </div>
+                <span class="budget-progress-label">${status.percent}% of ${this.formatAmount(status.limit)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the overall budget in the expense summary
+     */
+    renderOverallBudget() {
+        const container = document.getElementById('overall-budget');
+        if (!container) return;
+
+        const budget = this.getBudget(null);
+        if (!budget) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const status = this.getBudgetStatus(budget);
+        container.innerHTML = `
+            <div class="summary-item">
+                <span class="summary-label">Budget left</span>
+                <span class="summary-value ${status.remaining < 0 ? 'over-budget' : ''}">${this.formatAmount(status.remaining)}</span>
+            </div>
+            ${this.getProgressHTML(status)}
+        `;
+    }
+
+    /**
+     * Open the budget modal
+     */
+    openBudgetModal() {
+        try {
+            const modal = document.getElementById('budget-modal-overlay');
+            if (!modal) return;
+
+            this.resetBudgetForm();
+            this.renderBudgetList();
+            modal.classList.add('active');
+
+            // Animate modal appearance
+            if (typeof gsap !== 'undefined') {
+                gsap.fromTo(modal.querySelector('.modal'),
+                    { scale: 0.8, opacity: 0 },
+                    { scale: 1, opacity: 1, duration: 0.3, ease: "power2.out" }
+                );
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to open budget modal:', error);
+        }
+    }
+
+    /**
+     * Close the budget modal
+     */
+    closeBudgetModal() {
+        try {
+            const modal = document.getElementById('budget-modal-overlay');
+            if (modal) {
+                // Animate modal disappearance
+                if (typeof gsap !== 'undefined') {
+                    gsap.to(modal.querySelector('.modal'), {
+                        scale: 0.8,
+                        opacity: 0,
+                        duration: 0.2,
+                        ease: "power2.in",
+                        onComplete: () => {
+                            modal.classList.remove('active');
+                        }
+                    });
+                } else {
+                    modal.classList.remove('active');
+                }
+            }
+
+            this.editingBudgetId = null;
+        } catch (error) {
+            console.error('❌ Failed to close budget modal:', error);
+        }
+    }
+
+    /**
+     * Fill the scope dropdown with the overall option and every expense category
+     */
+    populateScopeSelect(selectedId = '') {
+        const select = document.getElementById('budget-scope');
+        if (!select) return;
+
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        const categories = expenseManager ? expenseManager.getOrderedCategories() : [];
+
+        select.innerHTML = `
+            <option value="">Overall spending</option>
+            ${categories.map(category => `
+                <option value="${this.escapeHtml(category.id)}">${category.parentId ? '&nbsp;&nbsp;&nbsp;&nbsp;' : ''}${this.escapeHtml(category.icon || '')} ${this.escapeHtml(category.name)}</option>
+            `).join('')}
+        `;
+        select.value = selectedId || '';
+    }
+
+    /**
+     * Show the date fields that apply to the chosen period
+     */
+    updatePeriodFields() {
+        const isCustom = document.getElementById('budget-period')?.value === 'custom';
+        const endGroup = document.getElementById('budget-end-group');
+        const rolloverGroup = document.getElementById('budget-rollover-group');
+
+        if (endGroup) endGroup.style.display = isCustom ? '' : 'none';
+        if (rolloverGroup) rolloverGroup.style.display = isCustom ? 'none' : '';
+
+        const startLabel = document.querySelector('label[for="budget-start"]');
+        if (startLabel) startLabel.textContent = isCustom ? 'From' : 'Starting';
+    }
+
+    /**
+     * Put the form back to adding a new budget, or load an existing one to edit
+     */
+    resetBudgetForm(budget = null) {
+        const form = document.getElementById('budget-form');
+        if (!form) return;
+
+        form.reset();
+        this.editingBudgetId = budget ? budget.id : null;
+        this.populateScopeSelect(budget?.categoryId);
+
+        document.getElementById('budget-amount').value = budget ? budget.amount : '';
+        document.getElementById('budget-period').value = budget?.period || 'monthly';
+        document.getElementById('budget-start').value = budget?.startDate || this.getMonthRange(new Date()).start;
+        document.getElementById('budget-end').value = budget?.endDate || '';
+        document.getElementById('budget-rollover').checked = Boolean(budget?.rollover);
+        document.getElementById('save-budget').textContent = budget ? 'Save Budget' : 'Add Budget';
+        document.getElementById('cancel-budget').style.display = budget ? '' : 'none';
+
+        this.updatePeriodFields();
+    }
+
+    /**
+     * Handle budget form submission
+     */
+    async handleFormSubmit(e) {
+        e.preventDefault();
+
+        try {
+            const formData = {
+                categoryId: document.getElementById('budget-scope').value || null,
+                amount: parseFloat(document.getElementById('budget-amount').value),
+                period: document.getElementById('budget-period').value,
+                startDate: document.getElementById('budget-start').value,
+                endDate: document.getElementById('budget-end').value || null,
+                rollover: document.getElementById('budget-rollover').checked
+            };
+
+            if (!formData.amount || formData.amount <= 0) {
+                NotificationManager.show('Validation Error', 'Please enter a budget amount', 'error');
+                return;
+            }
+
+            if (!formData.startDate || (formData.period === 'custom' && (!formData.endDate || formData.endDate < formData.startDate))) {
+                NotificationManager.show('Validation Error', 'Please enter a valid date range', 'error');
+                return;
+            }
+
+            // One budget per category; setting another replaces it
+            const previous = this.budgets.find(budget => budget.id === this.editingBudgetId) || this.getBudget(formData.categoryId);
+            const duplicate = this.getBudget(formData.categoryId);
+            const budget = this.normalizeBudget({
+                ...previous,
+                ...formData,
+                updatedAt: new Date().toISOString()
+            });
+
+            const before = this.budgets.map(b => HistoryManager.snapshot(b));
+            await this.saveBudgets([
+                ...this.budgets.filter(b => b.id !== previous?.id && b !== duplicate),
+                budget
+            ]);
+            this.resetBudgetForm();
+
+            const action = previous ? 'updated' : 'added';
+            const label = `Budget for ${this.getScopeName(budget)} ${action}`;
+            const command = this.recordBudgetHistory(label, before);
+            NotificationManager.show('Budget Saved', label, 'success', HistoryManager.undoOptions(command));
+
+        } catch (error) {
+            console.error('❌ Failed to save budget:', error);
+            NotificationManager.show('Save Failed', 'Failed to save budget. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Delete a budget
+     */
+    async deleteBudget(budgetId) {
+        try {
+            const budget = this.budgets.find(b => b.id === budgetId);
+            if (!budget) return;
+
+            const before = this.budgets.map(b => HistoryManager.snapshot(b));
+            await this.saveBudgets(this.budgets.filter(b => b.id !== budgetId));
+            if (this.editingBudgetId === budgetId) this.resetBudgetForm();
+
+            const label = `Budget for ${this.getScopeName(budget)} deleted`;
+            const command = this.recordBudgetHistory(label, before);
+            NotificationManager.show('Budget Deleted', label, 'info', HistoryManager.undoOptions(command));
+
+        } catch (error) {
+            console.error('❌ Failed to delete budget:', error);
+            NotificationManager.show('Delete Failed', 'Failed to delete budget. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Record a change to the budget list for undo
+     */
+    recordBudgetHistory(label, beforeBudgets) {
+        const before = beforeBudgets;
+        const after = this.budgets.map(budget => HistoryManager.snapshot(budget));
+
+        return HistoryManager.record({
+            label,
+            undo: () => this.saveBudgets(HistoryManager.snapshot(before)),
+            redo: () => this.saveBudgets(HistoryManager.snapshot(after))
+        });
+    }
+
+    /**
+     * Describe a budget's period, e.g. "Monthly, rolls over"
+     */
+    describePeriod(budget) {
+        if (budget.period === 'custom') {
+            const expenseManager = window.plannerApp?.getComponent('expenses');
+            const format = (date) => expenseManager ? expenseManager.formatDate(date) : date;
+            return `${format(budget.startDate)} – ${format(budget.endDate)}`;
+        }
+        return budget.rollover ? 'Monthly, rolls over' : 'Monthly';
+    }
+
+    /**
+     * Render the budgets in the budget modal
+     */
+    renderBudgetList() {
+        try {
+            const list = document.getElementById('budget-list');
+            if (!list) return;
+
+            if (this.budgets.length === 0) {
+                list.innerHTML = '<p class="budget-empty">No budgets yet. Add one below.</p>';
+                return;
+            }
+
+            // Overall first, then categories by name
+            const budgets = [...this.budgets].sort((a, b) => {
+                if (!a.categoryId || !b.categoryId) return a.categoryId ? 1 : -1;
+                return this.getScopeName(a).localeCompare(this.getScopeName(b));
+            });
+
+            list.innerHTML = budgets.map(budget => `
+                <div class="budget-item" data-budget-id="${budget.id}">
+                    <div class="budget-item-header">
+                        <span class="budget-item-name">${this.escapeHtml(this.getScopeName(budget))}</span>
+                        <span class="budget-item-period">${this.escapeHtml(this.describePeriod(budget))}</span>
+                        <button class="btn-icon budget-edit" title="Edit">
+                            <i data-feather="edit-2"></i>
+                        </button>
+                        <button class="btn-icon btn-danger budget-delete" title="Delete">
+                            <i data-feather="trash-2"></i>
+                        </button>
+                    </div>
+                    ${this.getProgressHTML(this.getBudgetStatus(budget))}
+                </div>
+            `).join('');
+
+            list.querySelectorAll('.budget-item').forEach(item => {
+                const budgetId = item.dataset.budgetId;
+                item.querySelector('.budget-edit')?.addEventListener('click', () => {
+                    this.resetBudgetForm(this.budgets.find(budget => budget.id === budgetId));
+                });
+                item.querySelector('.budget-delete')?.addEventListener('click', () => this.deleteBudget(budgetId));
+            });
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to render budgets:', error);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Make BudgetManager globally available
+if (typeof window !== 'undefined') {
+    window.BudgetManager = BudgetManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BudgetManager;
+}
@@ -8,6 +8,7 @@ class CalendarManager {
         this.currentDate = new Date();
         this.currentView = 'month';
         this.tasks = [];
+        this.occurrences = {};
         this.storage = null;
         this.weekStartsOn = 0; // 0 = Sunday, 1 = Monday
         this.monthNames = [
@@ -15,6 +16,15 @@ class CalendarManager {
             'July', 'August', 'September', 'October', 'November', 'December'
         ];
         this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.views = ['year', 'month', 'week', 'day', 'agenda'];
+        this.yearHeatmapMode = 'due'; // Shade year view days by tasks 'due' or 'completed'
+        this.agendaHorizons = [7, 14, 30];
+        this.agendaHorizon = 14; // Days listed per agenda page
+        this.hourHeight = 48; // Pixels per hour in the time grid
+        this.defaultTaskDuration = 60; // Minutes, for timed tasks without a duration
+        this.resizeStep = 15; // Minutes that resizing a time block snaps to
+        this.lastResizeAt = 0;
+        this.currentTimeTimer = null;
         this.isMobileMode = false;
         
         // Bind methods
@@ -64,7 +74,9 @@ class CalendarManager {
             if (this.storage) {
                 const settings = await this.storage.getSetting('calendar', {});
                 this.weekStartsOn = settings.weekStartsOn || 0;
-                this.currentView = settings.defaultView || 'month';
+                this.currentView = this.views.includes(settings.defaultView) ? settings.defaultView : 'month';
+                this.agendaHorizon = this.agendaHorizons.includes(settings.agendaHorizon) ? settings.agendaHorizon : 14;
+                this.yearHeatmapMode = settings.yearHeatmapMode === 'completed' ? 'completed' : 'due';
             }
         } catch (error) {
             console.error('❌ Failed to load calendar settings:', error);
@@ -94,27 +106,27 @@ class CalendarManager {
                 });
             });
 
-            // Keyboard navigation
-            document.addEventListener('keydown', (e) => {
-                if (window.plannerApp?.currentView !== 'calendar') return;
-                
-                if (e.ctrlKey || e.metaKey) {
-                    switch (e.key) {
-                        case 'ArrowLeft':
-                            e.preventDefault();
-                            this.previousMonth();
-                            break;
-                        case 'ArrowRight':
-                            e.preventDefault();
-                            this.nextMonth();
-                            break;
-                        case 'Home':
-                            e.preventDefault();
-                            this.goToToday();
-                            break;
-                    }
-                }
-            });
+            // Agenda horizon
+            const horizonSelect = document.getElementById('agenda-horizon');
+            if (horizonSelect) {
+                horizonSelect.value = this.agendaHorizon;
+                horizonSelect.addEventListener('change', (e) => {
+                    this.setAgendaHorizon(parseInt(e.target.value, 10));
+                });
+            }
+
+            // Year heatmap mode
+            const heatmapSelect = document.getElementById('year-heatmap-mode');
+            if (heatmapSelect) {
+                heatmapSelect.value = this.yearHeatmapMode;
+                heatmapSelect.addEventListener('change', (e) => {
+                    this.yearHeatmapMode = e.target.value;
+                    this.saveSettings();
+                    this.generateCalendar();
+                });
+            }
+
+            // Keyboard navigation is handled by PlannerApp.handleKeyboard
 
             console.log('✅ Calendar event listeners setup');
 
@@ -176,11 +188,24 @@ class CalendarManager {
 
             // Clear existing content
             calendarGrid.innerHTML = '';
+            clearInterval(this.currentTimeTimer);
+
+            // Let styles switch layout per view
+            const calendarContainer = calendarGrid.closest('.calendar-container');
+            if (calendarContainer) {
+                calendarContainer.dataset.view = this.currentView;
+            }
 
             if (this.currentView === 'month') {
                 this.generateMonthView(calendarGrid);
             } else if (this.currentView === 'week') {
                 this.generateWeekView(calendarGrid);
+            } else if (this.currentView === 'day') {
+                this.generateDayView(calendarGrid);
+            } else if (this.currentView === 'agenda') {
+                this.generateAgendaView(calendarGrid);
+            } else if (this.currentView === 'year') {
+                this.generateYearView(calendarGrid);
             }
 
             // Animate calendar appearance
@@ -199,7 +224,29 @@ class CalendarManager {
             const currentMonthElement = document.getElementById('current-month');
             if (currentMonthElement) {
                 const monthYear = `${this.monthNames[this.currentDate.getMonth()]} ${this.currentDate.getFullYear()}`;
-                currentMonthElement.textContent = monthYear;
+                if (this.currentView === 'day') {
+                    currentMonthElement.textContent = this.currentDate.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+                } else if (this.currentView === 'year') {
+                    currentMonthElement.textContent = String(this.currentDate.getFullYear());
+                } else if (this.currentView === 'agenda') {
+                    const { start, end } = this.getAgendaRange();
+                    const startLabel = start.toLocaleDateString([], { month: 'short', day: 'numeric' });
+                    const endLabel = end.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+                    currentMonthElement.textContent = `${startLabel} – ${endLabel}`;
+                } else {
+                    currentMonthElement.textContent = monthYear;
+                }
+            }
+
+            // The horizon picker only applies to the agenda
+            const horizonSelect = document.getElementById('agenda-horizon');
+            if (horizonSelect) {
+                horizonSelect.style.display = this.currentView === 'agenda' ? '' : 'none';
+            }
+
+            const heatmapSelect = document.getElementById('year-heatmap-mode');
+            if (heatmapSelect) {
+                heatmapSelect.style.display = this.currentView === 'year' ? '' : 'none';
             }
 
             // Update view buttons
@@ -232,6 +279,11 @@ class CalendarManager {
             const dayOfWeek = (firstDay.getDay() - this.weekStartsOn + 7) % 7;
             startDate.setDate(startDate.getDate() - dayOfWeek);
 
+            // Expand repeating tasks over the visible 6 weeks
+            const endDate = new Date(startDate);
+            endDate.setDate(startDate.getDate() + 41);
+            this.expandRecurringTasks(startDate, endDate);
+
             // Generate 6 weeks (42 days)
             const today = new Date();
             for (let i = 0; i < 42; i++) {
@@ -249,29 +301,625 @@ class CalendarManager {
 
 
     /**
-     * Generate week view
+     * Generate week view as a time grid with one column per day
      */
     generateWeekView(container) {
         try {
-            // Add weekday headers
-            this.addWeekdayHeaders(container);
-
-            // Get week start date
             const weekStart = this.getWeekStart(this.currentDate);
+            const days = Array.from({ length: 7 }, (_, i) => {
+                const day = new Date(weekStart);
+                day.setDate(weekStart.getDate() + i);
+                return day;
+            });
+
+            this.expandRecurringTasks(days[0], days[6]);
+            this.renderTimeGrid(container, days);
+
+        } catch (error) {
+            console.error('❌ Failed to generate week view:', error);
+        }
+    }
+
+    /**
+     * Generate day view with an all-day strip and a 24-hour time grid
+     */
+    generateDayView(container) {
+        try {
+            const date = new Date(this.currentDate);
+            this.expandRecurringTasks(date, date);
+            this.renderTimeGrid(container, [date]);
+
+        } catch (error) {
+            console.error('❌ Failed to generate day view:', error);
+        }
+    }
+
+    /**
+     * Render a time grid for one or more days: all-day strip on top, hourly columns below
+     */
+    renderTimeGrid(container, days) {
+        try {
             const today = new Date();
+            const gridView = document.createElement('div');
+            gridView.className = 'time-grid-view';
+
+            // Day headings for multi-day grids
+            if (days.length > 1) {
+                const header = document.createElement('div');
+                header.className = 'time-grid-header';
+                header.appendChild(this.createTimeGutter());
+
+                days.forEach(date => {
+                    const heading = document.createElement('div');
+                    heading.className = 'time-grid-day-header';
+                    heading.classList.toggle('today', this.isSameDay(date, today));
+                    heading.textContent = `${this.dayNames[date.getDay()]} ${date.getDate()}`;
+                    heading.addEventListener('click', () => {
+                        this.currentDate = new Date(date);
+                        this.setView('day');
+                    });
+                    header.appendChild(heading);
+                });
 
-            // Generate 7 days
-            for (let i = 0; i < 7; i++) {
-                const currentDay = new Date(weekStart);
-                currentDay.setDate(weekStart.getDate() + i);
-                
-                const dayElement = this.createDayElement(currentDay, this.currentDate.getMonth(), today, true);
-                container.appendChild(dayElement);
+                gridView.appendChild(header);
+            }
+
+            // All-day strip for tasks without a time
+            const allDayStrip = document.createElement('div');
+            allDayStrip.className = 'all-day-strip';
+            allDayStrip.appendChild(this.createTimeGutter('All day'));
+
+            days.forEach(date => {
+                const allDayTasks = document.createElement('div');
+                allDayTasks.className = 'all-day-tasks';
+                allDayTasks.dataset.date = date.toISOString().split('T')[0];
+
+                this.getTasksForDate(date)
+                    .filter(task => !this.getTaskTimeRange(task))
+                    .forEach(task => allDayTasks.appendChild(this.createTaskPreview(task)));
+
+                allDayTasks.addEventListener('click', (e) => this.handleDayClick(date, e));
+                this.addDragDropSupport(allDayTasks, date);
+                allDayStrip.appendChild(allDayTasks);
+            });
+
+            gridView.appendChild(allDayStrip);
+
+            // Hourly grid: labels column plus one column per day
+            const timeGrid = document.createElement('div');
+            timeGrid.className = 'time-grid';
+
+            const labels = document.createElement('div');
+            labels.className = 'time-labels';
+            for (let hour = 0; hour < 24; hour++) {
+                const label = this.createTimeGutter(`${String(hour).padStart(2, '0')}:00`);
+                label.style.height = `${this.hourHeight}px`;
+                labels.appendChild(label);
             }
+            timeGrid.appendChild(labels);
+
+            days.forEach(date => timeGrid.appendChild(this.createTimeGridColumn(date, today)));
+
+            const scroller = document.createElement('div');
+            scroller.className = 'time-grid-scroll';
+            scroller.appendChild(timeGrid);
+            gridView.appendChild(scroller);
+            container.appendChild(gridView);
+
+            // Start the visible part of the grid around working hours or now
+            const showsToday = days.some(date => this.isSameDay(date, today));
+            const scrollHour = showsToday ? Math.max(today.getHours() - 2, 0) : 7;
+            scroller.scrollTop = scrollHour * this.hourHeight;
 
         } catch (error) {
-            console.error('❌ Failed to generate week view:', error);
+            console.error('❌ Failed to render time grid:', error);
+        }
+    }
+
+    /**
+     * Create a cell of the time label gutter
+     */
+    createTimeGutter(text = '') {
+        const label = document.createElement('span');
+        label.className = 'time-label';
+        label.textContent = text;
+        return label;
+    }
+
+    /**
+     * Create one day column of the time grid with hourly slots and task blocks
+     */
+    createTimeGridColumn(date, today) {
+        const column = document.createElement('div');
+        column.className = 'time-grid-column';
+        column.dataset.date = date.toISOString().split('T')[0];
+        column.style.height = `${this.hourHeight * 24}px`;
+
+        for (let hour = 0; hour < 24; hour++) {
+            const slot = document.createElement('div');
+            slot.className = 'time-slot';
+            slot.style.height = `${this.hourHeight}px`;
+            slot.dataset.hour = hour;
+            slot.addEventListener('click', (e) => this.handleDayClick(date, e, hour));
+            column.appendChild(slot);
+        }
+
+        this.layoutTimeBlocks(this.getTasksForDate(date))
+            .forEach(block => column.appendChild(this.createTimeBlockElement(block)));
+
+        this.addDragDropSupport(column, date);
+
+        if (this.isSameDay(date, today)) {
+            this.addCurrentTimeIndicator(column);
+        }
+
+        return column;
+    }
+
+    /**
+     * Generate year view with twelve mini-months shaded by task density
+     */
+    generateYearView(container) {
+        try {
+            const year = this.currentDate.getFullYear();
+            const today = new Date();
+            const counts = this.getYearTaskCounts(year);
+            const maxCount = Math.max(0, ...Object.values(counts));
+
+            const yearView = document.createElement('div');
+            yearView.className = 'year-view';
+
+            for (let month = 0; month < 12; month++) {
+                yearView.appendChild(this.createMiniMonth(year, month, counts, maxCount, today));
+            }
+
+            container.appendChild(yearView);
+
+        } catch (error) {
+            console.error('❌ Failed to generate year view:', error);
+        }
+    }
+
+    /**
+     * Count tasks per day of a year, by due date or completion date
+     */
+    getYearTaskCounts(year) {
+        const counts = {};
+        const increment = (dateString) => {
+            if (dateString && dateString.startsWith(`${year}-`)) {
+                counts[dateString] = (counts[dateString] || 0) + 1;
+            }
+        };
+
+        if (this.yearHeatmapMode === 'completed') {
+            this.tasks
+                .filter(task => task.status === 'completed' && task.completedAt)
+                .forEach(task => increment(new Date(task.completedAt).toISOString().split('T')[0]));
+        } else {
+            this.expandRecurringTasks(new Date(year, 0, 1), new Date(year, 11, 31));
+            this.tasks.forEach(task => increment(task.dueDate));
+            Object.entries(this.occurrences).forEach(([date, occurrences]) => {
+                occurrences.forEach(() => increment(date));
+            });
+        }
+
+        return counts;
+    }
+
+    /**
+     * Create a mini-month for the year view
+     */
+    createMiniMonth(year, month, counts, maxCount, today) {
+        const miniMonth = document.createElement('div');
+        miniMonth.className = 'mini-month';
+
+        const title = document.createElement('h3');
+        title.className = 'mini-month-title';
+        title.textContent = this.monthNames[month];
+        title.addEventListener('click', () => {
+            this.currentDate = new Date(year, month, 1);
+            this.setView('month');
+        });
+        miniMonth.appendChild(title);
+
+        const grid = document.createElement('div');
+        grid.className = 'mini-month-grid';
+
+        for (let i = 0; i < 7; i++) {
+            const weekday = document.createElement('span');
+            weekday.className = 'mini-weekday';
+            weekday.textContent = this.dayNames[(i + this.weekStartsOn) % 7].charAt(0);
+            grid.appendChild(weekday);
+        }
+
+        const firstDay = new Date(year, month, 1);
+        const leadingBlanks = (firstDay.getDay() - this.weekStartsOn + 7) % 7;
+        for (let i = 0; i < leadingBlanks; i++) {
+            grid.appendChild(document.createElement('span'));
+        }
+
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(year, month, day);
+            const dateString = date.toISOString().split('T')[0];
+            const count = counts[dateString] || 0;
+
+            const cell = document.createElement('span');
+            cell.className = 'year-day';
+            cell.dataset.date = dateString;
+            cell.textContent = day;
+            cell.title = `${this.formatDate(date)}: ${count} task${count !== 1 ? 's' : ''} ${this.yearHeatmapMode}`;
+
+            if (count > 0) {
+                cell.classList.add(`heat-${Math.ceil((count / maxCount) * 4)}`);
+            }
+            if (this.isSameDay(date, today)) {
+                cell.classList.add('today');
+            }
+
+            // Drill into the month containing this day
+            cell.addEventListener('click', () => {
+                this.currentDate = new Date(date);
+                this.setView('month');
+            });
+
+            this.addDragDropSupport(cell, date);
+            grid.appendChild(cell);
         }
+
+        miniMonth.appendChild(grid);
+        return miniMonth;
+    }
+
+    /**
+     * Generate agenda view listing tasks grouped by day, with overdue tasks first
+     */
+    generateAgendaView(container) {
+        try {
+            const { start, end } = this.getAgendaRange();
+            const today = new Date();
+            const todayString = today.toISOString().split('T')[0];
+            const startString = start.toISOString().split('T')[0];
+            const endString = end.toISOString().split('T')[0];
+            this.expandRecurringTasks(start, end);
+
+            const agenda = document.createElement('div');
+            agenda.className = 'agenda-view';
+
+            // Overdue tasks belong on the page that contains today
+            if (startString <= todayString && todayString <= endString) {
+                const overdueTasks = this.tasks
+                    .filter(task => task.status !== 'completed' && task.dueDate && task.dueDate < todayString)
+                    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+                if (overdueTasks.length > 0) {
+                    agenda.appendChild(this.createAgendaGroup('Overdue', overdueTasks, null, true));
+                }
+            }
+
+            for (let i = 0; i < this.agendaHorizon; i++) {
+                const date = new Date(start);
+                date.setDate(start.getDate() + i);
+
+                const dayTasks = this.getTasksForDate(date);
+                if (dayTasks.length === 0) continue;
+
+                const label = this.isSameDay(date, today)
+                    ? `Today · ${date.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })}`
+                    : date.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' });
+
+                agenda.appendChild(this.createAgendaGroup(label, dayTasks, date));
+            }
+
+            if (!agenda.hasChildNodes()) {
+                const empty = document.createElement('div');
+                empty.className = 'agenda-empty';
+                empty.textContent = `Nothing scheduled for the next ${this.agendaHorizon} days`;
+                agenda.appendChild(empty);
+            }
+
+            container.appendChild(agenda);
+
+        } catch (error) {
+            console.error('❌ Failed to generate agenda view:', error);
+        }
+    }
+
+    /**
+     * Create one agenda day group
+     */
+    createAgendaGroup(label, tasks, date, isOverdue = false) {
+        const group = document.createElement('div');
+        group.className = `agenda-group${isOverdue ? ' overdue' : ''}`;
+
+        const heading = document.createElement('h3');
+        heading.className = 'agenda-date';
+        heading.textContent = label;
+        group.appendChild(heading);
+
+        // Timed tasks first in time order, then the rest
+        const sortedTasks = [...tasks].sort((a, b) => {
+            if (a.dueTime && b.dueTime) return a.dueTime.localeCompare(b.dueTime);
+            return a.dueTime ? -1 : b.dueTime ? 1 : 0;
+        });
+
+        sortedTasks.forEach(task => {
+            const item = document.createElement('div');
+            item.className = `agenda-item${task.status === 'completed' ? ' completed' : ''}`;
+
+            const time = document.createElement('span');
+            time.className = 'agenda-time';
+            time.textContent = isOverdue ? task.dueDate : task.dueTime || 'All day';
+            item.appendChild(time);
+
+            item.appendChild(this.createTaskPreview(task));
+            group.appendChild(item);
+        });
+
+        if (date) {
+            group.dataset.date = date.toISOString().split('T')[0];
+            this.addDragDropSupport(group, date);
+        }
+
+        return group;
+    }
+
+    /**
+     * Get the first and last day of the current agenda page
+     */
+    getAgendaRange() {
+        const start = new Date(this.currentDate);
+        const end = new Date(start);
+        end.setDate(start.getDate() + this.agendaHorizon - 1);
+        return { start, end };
+    }
+
+    /**
+     * Set how many days the agenda lists per page
+     */
+    setAgendaHorizon(days) {
+        try {
+            if (!this.agendaHorizons.includes(days)) return;
+
+            this.agendaHorizon = days;
+            this.saveSettings();
+            this.generateCalendar();
+
+        } catch (error) {
+            console.error('❌ Failed to set agenda horizon:', error);
+        }
+    }
+
+    /**
+     * Get a task's time block in minutes after midnight, or null for tasks without a time
+     */
+    getTaskTimeRange(task) {
+        const startTime = task.startTime || task.dueTime;
+        if (!startTime) return null;
+
+        const start = this.timeToMinutes(startTime);
+        const end = task.endTime && this.timeToMinutes(task.endTime) > start
+            ? this.timeToMinutes(task.endTime)
+            : start + this.getTaskDuration(task);
+
+        return { start, end: Math.min(end, 24 * 60) };
+    }
+
+    /**
+     * Lay out time blocks so overlapping ones sit side by side
+     */
+    layoutTimeBlocks(tasks) {
+        try {
+            const blocks = tasks
+                .map(task => ({ task, range: this.getTaskTimeRange(task) }))
+                .filter(block => block.range)
+                .map(({ task, range }) => ({ task, start: range.start, end: range.end, column: 0, columns: 1 }))
+                .sort((a, b) => a.start - b.start || b.end - a.end);
+
+            // Blocks that overlap, directly or through each other, share a column count
+            let cluster = [];
+            let clusterEnd = -1;
+            const closeCluster = () => {
+                const columns = Math.max(...cluster.map(block => block.column)) + 1;
+                cluster.forEach(block => { block.columns = columns; });
+                cluster = [];
+                clusterEnd = -1;
+            };
+
+            blocks.forEach(block => {
+                if (cluster.length > 0 && block.start >= clusterEnd) {
+                    closeCluster();
+                }
+
+                // Take the first column not occupied at this block's start
+                const occupied = cluster.filter(other => other.end > block.start).map(other => other.column);
+                while (occupied.includes(block.column)) {
+                    block.column++;
+                }
+
+                cluster.push(block);
+                clusterEnd = Math.max(clusterEnd, block.end);
+            });
+
+            if (cluster.length > 0) {
+                closeCluster();
+            }
+
+            return blocks;
+
+        } catch (error) {
+            console.error('❌ Failed to lay out time blocks:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Create a task block positioned and sized in the time grid
+     */
+    createTimeBlockElement(block) {
+        try {
+            const { task, start, end, column, columns } = block;
+
+            const element = this.createTaskPreview(task);
+            element.classList.add('timed-task');
+            element.style.left = `${(column / columns) * 100}%`;
+            element.style.width = `${100 / columns}%`;
+
+            const time = document.createElement('span');
+            time.className = 'timed-task-time';
+            element.prepend(time);
+            this.positionTimeBlock(element, start, end);
+
+            // Projected occurrences belong to their series and can't be resized on their own
+            if (!task.isOccurrence) {
+                ['start', 'end'].forEach(edge => {
+                    const handle = document.createElement('div');
+                    handle.className = `resize-handle resize-${edge}`;
+                    handle.addEventListener('mousedown', (e) => this.startTimeBlockResize(e, element, task, edge, start, end));
+                    handle.addEventListener('click', (e) => e.stopPropagation());
+                    element.appendChild(handle);
+                });
+            }
+
+            return element;
+
+        } catch (error) {
+            console.error('❌ Failed to create time block:', error);
+            return document.createElement('div');
+        }
+    }
+
+    /**
+     * Set a time block's position, height and time label
+     */
+    positionTimeBlock(element, start, end) {
+        element.style.top = `${(start / 60) * this.hourHeight}px`;
+        element.style.height = `${Math.max(((end - start) / 60) * this.hourHeight, 18)}px`;
+
+        const time = element.querySelector('.timed-task-time');
+        if (time) {
+            time.textContent = `${this.minutesToTime(start)} – ${this.minutesToTime(end)}`;
+        }
+    }
+
+    /**
+     * Resize a time block by dragging its top or bottom edge
+     */
+    startTimeBlockResize(event, element, task, edge, start, end) {
+        try {
+            event.preventDefault();
+            event.stopPropagation();
+
+            const startY = event.clientY;
+            let newStart = start;
+            let newEnd = end;
+            element.classList.add('resizing');
+
+            const onMouseMove = (e) => {
+                const minutes = ((e.clientY - startY) / this.hourHeight) * 60;
+                const delta = Math.round(minutes / this.resizeStep) * this.resizeStep;
+
+                if (edge === 'start') {
+                    newStart = Math.min(Math.max(start + delta, 0), end - this.resizeStep);
+                } else {
+                    newEnd = Math.max(Math.min(end + delta, 24 * 60), start + this.resizeStep);
+                }
+
+                this.positionTimeBlock(element, newStart, newEnd);
+            };
+
+            const onMouseUp = () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                element.classList.remove('resizing');
+
+                // Keep the click that ends the drag from opening the task
+                this.lastResizeAt = Date.now();
+
+                if (newStart !== start || newEnd !== end) {
+                    this.resizeTask(task.id, newStart, newEnd);
+                }
+            };
+
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+
+        } catch (error) {
+            console.error('❌ Failed to start resizing time block:', error);
+        }
+    }
+
+    /**
+     * Save a task's new time block after resizing
+     */
+    async resizeTask(taskId, start, end) {
+        try {
+            const task = this.tasks.find(t => t.id === taskId);
+            if (!task) return;
+
+            task.startTime = this.minutesToTime(start);
+            task.endTime = this.minutesToTime(end);
+            task.duration = end - start;
+            task.updatedAt = new Date().toISOString();
+
+            await this.storage.saveTask(task);
+            this.generateCalendar();
+
+            // Dispatch update event
+            document.dispatchEvent(new CustomEvent('tasksUpdated', {
+                detail: { tasks: this.tasks, timestamp: Date.now() }
+            }));
+
+            console.log(`✅ Task ${taskId} resized to ${task.startTime} – ${task.endTime}`);
+
+        } catch (error) {
+            console.error('❌ Failed to resize task:', error);
+        }
+    }
+
+    /**
+     * Add a line marking the current time, kept up to date every minute
+     */
+    addCurrentTimeIndicator(column) {
+        try {
+            const indicator = document.createElement('div');
+            indicator.className = 'current-time-indicator';
+            column.appendChild(indicator);
+
+            const updatePosition = () => {
+                const now = new Date();
+                indicator.style.top = `${((now.getHours() * 60 + now.getMinutes()) / 60) * this.hourHeight}px`;
+            };
+
+            updatePosition();
+            this.currentTimeTimer = setInterval(updatePosition, 60 * 1000);
+
+        } catch (error) {
+            console.error('❌ Failed to add current time indicator:', error);
+        }
+    }
+
+    /**
+     * Get a task's duration in minutes
+     */
+    getTaskDuration(task) {
+        return parseInt(task.duration, 10) || this.defaultTaskDuration;
+    }
+
+    /**
+     * Convert "HH:MM" to minutes after midnight
+     */
+    timeToMinutes(time) {
+        const [hours, minutes] = (time || '00:00').split(':').map(Number);
+        return (hours || 0) * 60 + (minutes || 0);
+    }
+
+    /**
+     * Convert minutes after midnight to "HH:MM"
+     */
+    minutesToTime(totalMinutes) {
+        const minutes = Math.max(0, Math.min(totalMinutes, 24 * 60 - 1));
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
     }
 
     /**
@@ -391,10 +1039,52 @@ class CalendarManager {
             taskPreview.title = `${task.title} - ${task.priority} priority`;
             taskPreview.dataset.taskId = task.id;
 
-            // Add click handler to open task
+            // Category colour as a stripe, so priority keeps the background
+            const categoryManager = window.plannerApp?.getComponent('tasks');
+            if (categoryManager && task.category) {
+                taskPreview.style.setProperty('--category-color', categoryManager.getCategoryColor(task.category));
+                taskPreview.title += ` - ${categoryManager.getCategoryName(task.category)}`;
+            }
+
+            // Show checklist progress, e.g. "3/5"
+            if (Array.isArray(task.subtasks) && task.subtasks.length > 0) {
+                const completed = task.subtasks.filter(subtask => subtask.completed).length;
+                const progress = document.createElement('span');
+                progress.className = 'task-preview-progress';
+                progress.textContent = `${completed}/${task.subtasks.length}`;
+                taskPreview.appendChild(progress);
+                taskPreview.title += ` - ${completed}/${task.subtasks.length} steps done`;
+            }
+
+            // Flag tasks scheduled before a prerequisite is due
+            const conflicts = TaskDependencies.getScheduleConflicts(task, this.tasks);
+            if (conflicts.length > 0) {
+                taskPreview.classList.add('dependency-conflict');
+                taskPreview.title += ` - scheduled before ${conflicts.map(conflict => `"${conflict.title}"`).join(', ')}`;
+            }
+
+            if (task.recurrence) {
+                taskPreview.classList.add('recurring');
+                taskPreview.title += ` - ${RecurrenceRule.describe(task.recurrence)}`;
+            }
+
+            // Projected occurrences open the task that owns the series
+            if (task.isOccurrence) {
+                taskPreview.classList.add('occurrence');
+                taskPreview.dataset.taskId = task.sourceTaskId;
+            }
+
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            if (taskManager?.isSelected(taskPreview.dataset.taskId)) {
+                taskPreview.classList.add('selected');
+            }
+
+            // Add click handler to open task; shift/ctrl-click selects instead
             taskPreview.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.openTask(task.id);
+                if (Date.now() - this.lastResizeAt < 300) return;
+                if (taskManager?.handleSelectionClick(taskPreview.dataset.taskId, e, this.getVisibleTaskIds())) return;
+                this.openTask(taskPreview.dataset.taskId);
             });
 
             return taskPreview;
@@ -405,6 +1095,14 @@ class CalendarManager {
         }
     }
 
+    /**
+     * Get ids of the tasks shown in the calendar, in display order
+     */
+    getVisibleTaskIds() {
+        const previews = document.querySelectorAll('#calendar-grid .task-preview[data-task-id]');
+        return [...new Set(Array.from(previews).map(preview => preview.dataset.taskId))];
+    }
+
     /**
      * Add drag and drop support to day element
      */
@@ -427,9 +1125,17 @@ class CalendarManager {
                 dayElement.classList.remove('drag-over');
                 
                 const taskId = e.dataTransfer.getData('text/plain');
-                if (taskId) {
-                    this.moveTaskToDate(taskId, date);
+                if (!taskId) return;
+
+                // A dragged selection moves as a group; stop the day's other drop handler repeating it
+                const dragDrop = window.plannerApp?.getComponent('dragDrop');
+                if (dragDrop?.draggedTaskIds.length > 1) {
+                    e.stopImmediatePropagation();
+                    dragDrop.moveTasksToDate(dragDrop.draggedTaskIds, date.toISOString().split('T')[0]);
+                    return;
                 }
+
+                this.moveTaskToDate(taskId, date);
             });
 
         } catch (error) {
@@ -440,10 +1146,10 @@ class CalendarManager {
     /**
      * Handle day click
      */
-    handleDayClick(date, event) {
+    handleDayClick(date, event, hour = null) {
         try {
             // Don't trigger if clicking on a task preview
-            if (event.target.classList.contains('task-preview')) {
+            if (event.target.closest('.task-preview')) {
                 return;
             }
 
@@ -458,6 +1164,14 @@ class CalendarManager {
                     if (dateInput) {
                         dateInput.value = date.toISOString().split('T')[0];
                     }
+
+                    // Clicking an hour in the time grid pre-fills a one-hour block
+                    if (hour !== null) {
+                        const startTime = `${String(hour).padStart(2, '0')}:00`;
+                        document.getElementById('task-time').value = startTime;
+                        document.getElementById('task-start-time').value = startTime;
+                        document.getElementById('task-end-time').value = this.minutesToTime((hour + 1) * 60);
+                    }
                 }, 100);
             }
 
@@ -488,8 +1202,14 @@ class CalendarManager {
             const task = this.tasks.find(t => t.id === taskId);
             if (!task) return;
 
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            const before = HistoryManager.snapshot(task);
             const dateString = date.toISOString().split('T')[0];
-            task.dueDate = dateString;
+            if (taskManager) {
+                taskManager.rescheduleTask(task, dateString);
+            } else {
+                task.dueDate = dateString;
+            }
             task.updatedAt = new Date().toISOString();
 
             // Save task
@@ -511,7 +1231,9 @@ class CalendarManager {
             document.dispatchEvent(event);
 
             // Show notification
-            NotificationManager.show('Task Moved', `Task moved to ${this.formatDate(date)}`, 'success');
+            const command = taskManager
+                ?.recordTaskHistory(`"${task.title}" moved to ${this.formatDate(date)}`, [before], [task]);
+            NotificationManager.show('Task Moved', `Task moved to ${this.formatDate(date)}`, 'success', HistoryManager.undoOptions(command));
 
         } catch (error) {
             console.error('❌ Failed to move task to date:', error);
@@ -519,13 +1241,51 @@ class CalendarManager {
         }
     }
 
+    /**
+     * Project future occurrences of repeating tasks across a date range
+     */
+    expandRecurringTasks(startDate, endDate) {
+        try {
+            const rangeStart = startDate.toISOString().split('T')[0];
+            const rangeEnd = endDate.toISOString().split('T')[0];
+            const scheduled = new Set(this.tasks.map(task => `${task.seriesId || task.id}|${task.dueDate}`));
+
+            this.occurrences = {};
+
+            this.tasks.forEach(task => {
+                if (!task.recurrence || !task.dueDate || task.status === 'completed') return;
+
+                const seriesId = task.seriesId || task.id;
+                const anchor = task.recurrence.anchor || task.dueDate;
+
+                RecurrenceRule.getOccurrencesBetween(task.recurrence, anchor, rangeStart, rangeEnd)
+                    .filter(date => date > task.dueDate && !scheduled.has(`${seriesId}|${date}`))
+                    .forEach(date => {
+                        if (!this.occurrences[date]) this.occurrences[date] = [];
+                        this.occurrences[date].push({
+                            ...task,
+                            id: `${task.id}@${date}`,
+                            dueDate: date,
+                            isOccurrence: true,
+                            sourceTaskId: task.id
+                        });
+                    });
+            });
+
+        } catch (error) {
+            console.error('❌ Failed to expand recurring tasks:', error);
+            this.occurrences = {};
+        }
+    }
+
     /**
      * Get tasks for a specific date
      */
     getTasksForDate(date) {
         try {
             const dateString = date.toISOString().split('T')[0];
-            return this.tasks.filter(task => task.dueDate === dateString);
+            const tasks = this.tasks.filter(task => task.dueDate === dateString);
+            return [...tasks, ...(this.occurrences[dateString] || [])];
         } catch (error) {
             console.error('❌ Failed to get tasks for date:', error);
             return [];
@@ -537,10 +1297,16 @@ class CalendarManager {
      */
     previousMonth() {
         try {
-            if (this.currentView === 'month') {
+            if (this.currentView === 'year') {
+                this.currentDate.setFullYear(this.currentDate.getFullYear() - 1);
+            } else if (this.currentView === 'month') {
                 this.currentDate.setMonth(this.currentDate.getMonth() - 1);
             } else if (this.currentView === 'week') {
                 this.currentDate.setDate(this.currentDate.getDate() - 7);
+            } else if (this.currentView === 'day') {
+                this.currentDate.setDate(this.currentDate.getDate() - 1);
+            } else if (this.currentView === 'agenda') {
+                this.currentDate.setDate(this.currentDate.getDate() - this.agendaHorizon);
             }
             
             this.animateNavigation('left');
@@ -555,10 +1321,16 @@ class CalendarManager {
      */
     nextMonth() {
         try {
-            if (this.currentView === 'month') {
+            if (this.currentView === 'year') {
+                this.currentDate.setFullYear(this.currentDate.getFullYear() + 1);
+            } else if (this.currentView === 'month') {
                 this.currentDate.setMonth(this.currentDate.getMonth() + 1);
             } else if (this.currentView === 'week') {
                 this.currentDate.setDate(this.currentDate.getDate() + 7);
+            } else if (this.currentView === 'day') {
+                this.currentDate.setDate(this.currentDate.getDate() + 1);
+            } else if (this.currentView === 'agenda') {
+                this.currentDate.setDate(this.currentDate.getDate() + this.agendaHorizon);
             }
             
             this.animateNavigation('right');
@@ -589,23 +1361,36 @@ class CalendarManager {
      */
     setView(view) {
         try {
-            if (view !== this.currentView) {
+            if (this.views.includes(view) && view !== this.currentView) {
                 this.currentView = view;
                 this.generateCalendar();
                 
                 // Save setting
-                if (this.storage) {
-                    this.storage.setSetting('calendar', { 
-                        defaultView: view,
-                        weekStartsOn: this.weekStartsOn 
-                    });
-                }
+                this.saveSettings();
             }
         } catch (error) {
             console.error('❌ Failed to set calendar view:', error);
         }
     }
 
+    /**
+     * Save calendar settings
+     */
+    async saveSettings() {
+        try {
+            if (this.storage) {
+                await this.storage.setSetting('calendar', {
+                    defaultView: this.currentView,
+                    weekStartsOn: this.weekStartsOn,
+                    agendaHorizon: this.agendaHorizon,
+                    yearHeatmapMode: this.yearHeatmapMode
+                });
+            }
+        } catch (error) {
+            console.error('❌ Failed to save calendar settings:', error);
+        }
+    }
+
     /**
      * Set mobile mode
      */
@@ -762,12 +1547,7 @@ class CalendarManager {
             this.weekStartsOn = dayIndex;
             
             // Save setting
-            if (this.storage) {
-                await this.storage.setSetting('calendar', {
-                    defaultView: this.currentView,
-                    weekStartsOn: this.weekStartsOn
-                });
-            }
+            await this.saveSettings();
             
             // Regenerate calendar
             this.generateCalendar();
@@ -0,0 +1,357 @@
+/**
+ * Currency Manager - Home currency and dated exchange rates
+ * Converts expense amounts into the home currency using the rate in effect on the expense's date
+ */
+
+class CurrencyManager {
+    constructor() {
+        this.storage = null;
+        this.currencies = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'];
+        this.homeCurrency = 'USD';
+        this.rates = []; // { id, date, from, to, rate }: 1 unit of `from` is `rate` units of `to`
+
+        // Bind methods
+        this.init = this.init.bind(this);
+    }
+
+    /**
+     * Initialize currency manager
+     */
+    async init() {
+        try {
+            // Get storage instance
+            this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
+
+            await this.loadSettings();
+
+            // Setup event listeners
+            this.setupEventListeners();
+
+            console.log('✅ CurrencyManager initialized');
+
+        } catch (error) {
+            console.error('❌ CurrencyManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load home currency and exchange rates from settings
+     */
+    async loadSettings() {
+        try {
+            const homeCurrency = await this.storage.getSetting('homeCurrency', 'USD');
+            const rates = await this.storage.getSetting('exchangeRates', []);
+
+            this.homeCurrency = this.currencies.includes(homeCurrency) ? homeCurrency : 'USD';
+            this.rates = Array.isArray(rates) ? rates.map(rate => this.normalizeRate(rate)).filter(Boolean) : [];
+        } catch (error) {
+            console.error('❌ Failed to load currency settings:', error);
+        }
+    }
+
+    /**
+     * Normalize a rate, returning null when it can't be used
+     */
+    normalizeRate(rate) {
+        const value = parseFloat(rate?.rate);
+        const from = String(rate?.from || '').toUpperCase();
+        const to = String(rate?.to || this.homeCurrency).toUpperCase();
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(rate?.date || '') || !/^[A-Z]{3}$/.test(from) || !/^[A-Z]{3}$/.test(to) || from === to || !(value > 0)) {
+            return null;
+        }
+
+        return {
+            id: rate.id || this.generateRateId(),
+            date: rate.date,
+            from,
+            to,
+            rate: value
+        };
+    }
+
+    /**
+     * Generate unique rate ID
+     */
+    generateRateId() {
+        return 'rate_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Save the rate table and redraw everything that shows converted amounts
+     */
+    async saveRates(rates) {
+        this.rates = rates
+            .map(rate => this.normalizeRate(rate))
+            .filter(Boolean)
+            .sort((a, b) => b.date.localeCompare(a.date) || a.from.localeCompare(b.from));
+        await this.storage.setSetting('exchangeRates', this.rates);
+        this.onCurrencyChanged();
+    }
+
+    /**
+     * Change the home currency
+     */
+    async setHomeCurrency(currency) {
+        try {
+            if (!this.currencies.includes(currency)) return;
+
+            this.homeCurrency = currency;
+            await this.storage.setSetting('homeCurrency', currency);
+            this.onCurrencyChanged();
+
+            NotificationManager.show('Home Currency', `Totals are now shown in ${currency}`, 'success');
+        } catch (error) {
+            console.error('❌ Failed to set home currency:', error);
+        }
+    }
+
+    /**
+     * Redraw the rate table and the expense totals
+     */
+    onCurrencyChanged() {
+        this.renderRateSettings();
+        window.plannerApp?.getComponent('expenses')?.updateDisplay();
+        window.plannerApp?.getComponent('budgets')?.renderBudgetList();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        try {
+            document.getElementById('home-currency')?.addEventListener('change', (e) => this.setHomeCurrency(e.target.value));
+
+            document.getElementById('exchange-rate-add')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addRate({
+                    date: document.getElementById('exchange-rate-date').value,
+                    from: document.getElementById('exchange-rate-from').value,
+                    to: this.homeCurrency,
+                    rate: document.getElementById('exchange-rate-value').value
+                });
+            });
+
+            document.getElementById('exchange-rate-import-btn')?.addEventListener('click', () => {
+                const textarea = document.getElementById('exchange-rate-import-text');
+                this.importRates(textarea.value).then(imported => {
+                    if (imported > 0) textarea.value = '';
+                });
+            });
+
+            console.log('✅ Currency event listeners setup');
+
+        } catch (error) {
+            console.error('❌ Failed to setup currency event listeners:', error);
+        }
+    }
+
+    /**
+     * Rate to convert one unit of `from` into `to` on a date. Without a rate between the two,
+     * converts through a currency both have a rate with, e.g. EUR→USD→GBP.
+     */
+    getRate(from, to, date) {
+        const direct = this.getDirectRate(from, to, date);
+        if (direct !== null) return direct;
+
+        const viaCurrencies = new Set(this.rates.flatMap(rate => [rate.from, rate.to]));
+        for (const via of viaCurrencies) {
+            if (via === from || via === to) continue;
+
+            const first = this.getDirectRate(from, via, date);
+            const second = first === null ? null : this.getDirectRate(via, to, date);
+            if (second !== null) return first * second;
+        }
+
+        return null;
+    }
+
+    /**
+     * Rate between two currencies from their own rates: the latest on or before the date,
+     * else the earliest after it. Inverse rates are used when only the other direction is known.
+     */
+    getDirectRate(from, to, date) {
+        if (from === to) return 1;
+
+        const candidates = this.rates
+            .filter(rate => (rate.from === from && rate.to === to) || (rate.from === to && rate.to === from))
+            .map(rate => ({ date: rate.date, value: rate.from === from ? rate.rate : 1 / rate.rate }));
+        if (candidates.length === 0) return null;
+
+        const day = date || new Date().toISOString().split('T')[0];
+        const onOrBefore = candidates.filter(rate => rate.date <= day).sort((a, b) => b.date.localeCompare(a.date));
+        if (onOrBefore.length > 0) return onOrBefore[0].value;
+
+        return candidates.sort((a, b) => a.date.localeCompare(b.date))[0].value;
+    }
+
+    /**
+     * Convert an amount into the home currency, or null when there is no rate for it
+     */
+    convert(amount, currency, date = null) {
+        const rate = this.getRate(currency || this.homeCurrency, this.homeCurrency, date);
+        return rate === null ? null : (parseFloat(amount) || 0) * rate;
+    }
+
+    /**
+     * Add a rate, replacing one for the same day and currency pair
+     */
+    async addRate(rateData) {
+        try {
+            const rate = this.normalizeRate(rateData);
+            if (!rate) {
+                NotificationManager.show('Validation Error', 'Please enter a date, a currency and a rate above zero', 'error');
+                return null;
+            }
+
+            await this.saveRates([...this.rates.filter(r => !this.isSameRate(r, rate)), rate]);
+            document.getElementById('exchange-rate-value').value = '';
+
+            return rate;
+        } catch (error) {
+            console.error('❌ Failed to add exchange rate:', error);
+            NotificationManager.show('Save Failed', 'Failed to save exchange rate. Please try again.', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Whether two rates are for the same day and currency pair
+     */
+    isSameRate(a, b) {
+        return a.date === b.date && a.from === b.from && a.to === b.to;
+    }
+
+    /**
+     * Delete a rate
+     */
+    async deleteRate(rateId) {
+        try {
+            await this.saveRates(this.rates.filter(rate => rate.id !== rateId));
+        } catch (error) {
+            console.error('❌ Failed to delete exchange rate:', error);
+        }
+    }
+
+    /**
+     * Import rates from CSV lines of "date,from,to,rate", "date,from,rate" or "from,rate".
+     * A missing date means today and a missing target currency means the home currency.
+     */
+    async importRates(text) {
+        try {
+            const today = new Date().toISOString().split('T')[0];
+            const imported = [];
+            let skipped = 0;
+
+            (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+                const cells = line.split(/[,;\t]/).map(cell => cell.trim());
+                let fields;
+
+                if (cells.length >= 4) {
+                    fields = { date: cells[0], from: cells[1], to: cells[2], rate: cells[3] };
+                } else if (cells.length === 3) {
+                    fields = { date: cells[0], from: cells[1], to: this.homeCurrency, rate: cells[2] };
+                } else if (cells.length === 2) {
+                    fields = { date: today, from: cells[0], to: this.homeCurrency, rate: cells[1] };
+                }
+
+                const rate = fields ? this.normalizeRate(fields) : null;
+                if (rate) {
+                    imported.push(rate);
+                } else if (!/^date|^from/i.test(line)) {
+                    // Header rows are expected; anything else unreadable is reported
+                    skipped++;
+                }
+            });
+
+            if (imported.length > 0) {
+                const kept = this.rates.filter(rate => !imported.some(newRate => this.isSameRate(rate, newRate)));
+                await this.saveRates([...kept, ...imported]);
+            }
+
+            const message = `${imported.length} ${imported.length === 1 ? 'rate' : 'rates'} imported${skipped > 0 ? `, ${skipped} unreadable ${skipped === 1 ? 'line' : 'lines'} skipped` : ''}`;
+            NotificationManager.show('Rates Imported', message, imported.length > 0 ? 'success' : 'warning');
+
+            return imported.length;
+        } catch (error) {
+            console.error('❌ Failed to import exchange rates:', error);
+            NotificationManager.show('Import Failed', 'Failed to import exchange rates. Please check the format.', 'error');
+            return 0;
+        }
+    }
+
+    /**
+     * Render the home currency and rate table in settings
+     */
+    renderRateSettings() {
+        try {
+            const homeSelect = document.getElementById('home-currency');
+            if (homeSelect) homeSelect.value = this.homeCurrency;
+
+            const fromSelect = document.getElementById('exchange-rate-from');
+            if (fromSelect) {
+                const value = fromSelect.value;
+                const others = this.currencies.filter(currency => currency !== this.homeCurrency);
+                fromSelect.innerHTML = others.map(currency => `<option value="${currency}">1 ${currency}</option>`).join('');
+                if (others.includes(value)) fromSelect.value = value;
+            }
+
+            const toLabel = document.getElementById('exchange-rate-to');
+            if (toLabel) toLabel.textContent = this.homeCurrency;
+
+            const dateInput = document.getElementById('exchange-rate-date');
+            if (dateInput && !dateInput.value) dateInput.value = new Date().toISOString().split('T')[0];
+
+            const list = document.getElementById('exchange-rate-list');
+            if (!list) return;
+
+            if (this.rates.length === 0) {
+                list.innerHTML = '<p class="exchange-rate-empty">No exchange rates yet. Amounts in other currencies are left out of totals.</p>';
+                return;
+            }
+
+            list.innerHTML = this.rates.map(rate => `
+                <div class="exchange-rate-row" data-rate-id="${rate.id}">
+                    <span class="exchange-rate-date">${rate.date}</span>
+                    <span class="exchange-rate-pair">1 ${rate.from} =</span>
+                    <input type="number" class="exchange-rate-input" value="${rate.rate}" step="any" min="0" aria-label="Rate">
+                    <span class="exchange-rate-pair">${rate.to}</span>
+                    <button class="btn-icon exchange-rate-delete" title="Delete">
+                        <i data-feather="trash-2"></i>
+                    </button>
+                </div>
+            `).join('');
+
+            list.querySelectorAll('.exchange-rate-row').forEach(row => {
+                const rateId = row.dataset.rateId;
+                row.querySelector('.exchange-rate-input')?.addEventListener('change', (e) => {
+                    const rate = this.rates.find(r => r.id === rateId);
+                    if (rate && parseFloat(e.target.value) > 0) {
+                        this.saveRates(this.rates.map(r => r.id === rateId ? { ...r, rate: e.target.value } : r));
+                    } else {
+                        this.renderRateSettings();
+                    }
+                });
+                row.querySelector('.exchange-rate-delete')?.addEventListener('click', () => this.deleteRate(rateId));
+            });
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to render exchange rates:', error);
+        }
+    }
+}
+
+// Make CurrencyManager globally available
+if (typeof window !== 'undefined') {
+    window.CurrencyManager = CurrencyManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyManager;
+}
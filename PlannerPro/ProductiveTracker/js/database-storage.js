@@ -15,6 +15,8 @@ class DatabaseStorageManager {
             SETTINGS: 'plannerpro_settings',
             STATISTICS: 'plannerpro_statistics',
             EXPENSES: 'plannerpro_expenses',
+            PROJECTS: 'plannerpro_projects',
+            EXPENSE_CATEGORIES: 'plannerpro_expense_categories',
             PENDING_OPS: 'plannerpro_pending_ops'
         };
 
@@ -228,6 +230,25 @@ class DatabaseStorageManager {
         }
     }
 
+    /**
+     * Save and delete several tasks in one request
+     */
+    async batchUpdateTasks({ update = [], delete: deleteIds = [] }) {
+        try {
+            if (this.isOnline) {
+                return await this.makeApiRequest('/tasks/batch', {
+                    method: 'POST',
+                    body: JSON.stringify({ update, delete: deleteIds })
+                });
+            } else {
+                return this.batchUpdateTasksInLocalStorage(update, deleteIds);
+            }
+        } catch (error) {
+            console.error('❌ Failed to apply task batch:', error);
+            return this.batchUpdateTasksInLocalStorage(update, deleteIds);
+        }
+    }
+
     /**
      * Get tasks by date range
      */
@@ -474,6 +495,17 @@ class DatabaseStorageManager {
         localStorage.setItem(this.localStorageKeys.TASKS, JSON.stringify(filtered));
     }
 
+    batchUpdateTasksInLocalStorage(update, deleteIds) {
+        const updatedAt = new Date().toISOString();
+        const changes = new Map(update.map(task => [task.id, task]));
+        const tasks = this.getTasksFromLocalStorage()
+            .filter(task => !deleteIds.includes(task.id))
+            .map(task => changes.has(task.id) ? { ...changes.get(task.id), updatedAt } : task);
+
+        localStorage.setItem(this.localStorageKeys.TASKS, JSON.stringify(tasks));
+        return { updated: update, deleted: deleteIds };
+    }
+
     setSettingInLocalStorage(key, value) {
         const settings = this.getSettingsFromLocalStorage();
         settings[key] = value;
@@ -596,6 +628,26 @@ class DatabaseStorageManager {
         }
     }
 
+    /**
+     * Ask the server to generate due recurring expenses. Returns null when that isn't possible,
+     * so the caller can generate them locally instead.
+     */
+    async materializeRecurringExpenses(today) {
+        try {
+            if (!this.isOnline) return null;
+
+            const result = await this.makeApiRequest('/expenses/recurring/materialize', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ today })
+            });
+            return result.expenses || [];
+        } catch (error) {
+            console.error('❌ Failed to generate recurring expenses on the server:', error);
+            return null;
+        }
+    }
+
     /**
      * Get expense by ID
      */
@@ -664,21 +716,24 @@ class DatabaseStorageManager {
     }
 
     /**
-     * Get expenses by category
+     * Get expenses by category, including split expenses with a line in it
      */
     async getExpensesByCategory(category) {
+        const inCategory = expense => expense.category === category ||
+            (expense.splits || []).some(line => line.category === category);
+
         try {
             if (this.isOnline) {
                 const result = await this.makeApiRequest(`/expenses/category/${category}`);
                 return result.expenses || [];
             } else {
                 const expenses = this.getExpensesFromLocalStorage();
-                return expenses.filter(expense => expense.category === category);
+                return expenses.filter(inCategory);
             }
         } catch (error) {
             console.error('❌ Failed to get expenses by category from database:', error);
             const expenses = this.getExpensesFromLocalStorage();
-            return expenses.filter(expense => expense.category === category);
+            return expenses.filter(inCategory);
         }
     }
 
@@ -724,4 +779,245 @@ class DatabaseStorageManager {
         const filtered = expenses.filter(expense => expense.id !== id);
         localStorage.setItem(this.localStorageKeys.EXPENSES, JSON.stringify(filtered));
     }
+
+    // ===== EXPENSE CATEGORY METHODS =====
+
+    /**
+     * Save an expense category. Categories carry their key as id, so saving is always a PUT.
+     */
+    async saveExpenseCategory(category) {
+        const options = {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(category)
+        };
+        const endpoint = `/expense-categories/${encodeURIComponent(category.id)}`;
+
+        try {
+            if (this.isOnline) {
+                const result = await this.makeApiRequest(endpoint, options);
+                this.saveExpenseCategoryToLocalStorage(result.category);
+                return result.category;
+            } else {
+                this.addPendingOperation(endpoint, options);
+                return this.saveExpenseCategoryToLocalStorage(category);
+            }
+        } catch (error) {
+            console.error('❌ Failed to save expense category online, storing locally:', error);
+            return this.saveExpenseCategoryToLocalStorage(category);
+        }
+    }
+
+    /**
+     * Get all expense categories
+     */
+    async getAllExpenseCategories() {
+        try {
+            if (this.isOnline) {
+                const result = await this.makeApiRequest('/expense-categories');
+                
+                // Also sync with localStorage for offline access
+                if (result.categories) {
+                    localStorage.setItem(this.localStorageKeys.EXPENSE_CATEGORIES, JSON.stringify(result.categories));
+                }
+                
+                return result.categories || [];
+            } else {
+                return this.getExpenseCategoriesFromLocalStorage();
+            }
+        } catch (error) {
+            console.error('❌ Failed to get expense categories from database, using localStorage:', error);
+            return this.getExpenseCategoriesFromLocalStorage();
+        }
+    }
+
+    /**
+     * Delete an expense category, moving its expenses to reassignTo when given
+     */
+    async deleteExpenseCategory(id, reassignTo = null) {
+        const query = reassignTo ? `?reassignTo=${encodeURIComponent(reassignTo)}` : '';
+        const endpoint = `/expense-categories/${encodeURIComponent(id)}${query}`;
+
+        try {
+            if (this.isOnline) {
+                await this.makeApiRequest(endpoint, { method: 'DELETE' });
+            } else {
+                this.addPendingOperation(endpoint, { method: 'DELETE' });
+            }
+            
+            // Always remove from localStorage
+            this.deleteExpenseCategoryFromLocalStorage(id);
+        } catch (error) {
+            console.error('❌ Failed to delete expense category online, removing locally:', error);
+            this.deleteExpenseCategoryFromLocalStorage(id);
+        }
+    }
+
+    // ===== LOCAL STORAGE EXPENSE CATEGORY METHODS =====
+
+    saveExpenseCategoryToLocalStorage(category) {
+        const categories = this.getExpenseCategoriesFromLocalStorage();
+        const index = categories.findIndex(c => c.id === category.id);
+        
+        if (index >= 0) {
+            categories[index] = category;
+        } else {
+            categories.push(category);
+        }
+        
+        localStorage.setItem(this.localStorageKeys.EXPENSE_CATEGORIES, JSON.stringify(categories));
+        return category;
+    }
+
+    getExpenseCategoriesFromLocalStorage() {
+        try {
+            const stored = localStorage.getItem(this.localStorageKeys.EXPENSE_CATEGORIES);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('❌ Failed to parse expense categories from localStorage:', error);
+            return [];
+        }
+    }
+
+    deleteExpenseCategoryFromLocalStorage(id) {
+        const categories = this.getExpenseCategoriesFromLocalStorage();
+        const deleted = categories.find(category => category.id === id);
+        const remaining = categories
+            .filter(category => category.id !== id)
+            .map(category => category.parentId === id ? { ...category, parentId: deleted?.parentId || null } : category);
+        localStorage.setItem(this.localStorageKeys.EXPENSE_CATEGORIES, JSON.stringify(remaining));
+    }
+
+    // ===== PROJECT MANAGEMENT METHODS =====
+
+    /**
+     * Save a project. Projects without a server id yet are created with POST; the returned
+     * project carries the id the server gave it.
+     */
+    async saveProject(project) {
+        const hasServerId = /^\d+$/.test(String(project.id || ''));
+        const endpoint = hasServerId ? `/projects/${project.id}` : '/projects';
+        const options = {
+            method: hasServerId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(project)
+        };
+
+        try {
+            if (this.isOnline) {
+                const result = await this.makeApiRequest(endpoint, options);
+
+                if (result.project.id !== project.id) {
+                    this.deleteProjectFromLocalStorage(project.id);
+                }
+                this.saveProjectToLocalStorage(result.project);
+                return result.project;
+            } else {
+                // Store offline and add to pending operations
+                const savedProject = this.saveProjectToLocalStorage(project);
+                this.addPendingOperation(endpoint, options);
+                return savedProject;
+            }
+        } catch (error) {
+            console.error('❌ Failed to save project online, storing locally:', error);
+            return this.saveProjectToLocalStorage(project);
+        }
+    }
+
+    /**
+     * Get all projects
+     */
+    async getAllProjects() {
+        try {
+            if (this.isOnline) {
+                const result = await this.makeApiRequest('/projects');
+                
+                // Also sync with localStorage for offline access
+                if (result.projects) {
+                    localStorage.setItem(this.localStorageKeys.PROJECTS, JSON.stringify(result.projects));
+                }
+                
+                return result.projects || [];
+            } else {
+                return this.getProjectsFromLocalStorage();
+            }
+        } catch (error) {
+            console.error('❌ Failed to get projects from database, using localStorage:', error);
+            return this.getProjectsFromLocalStorage();
+        }
+    }
+
+    /**
+     * Get project by ID
+     */
+    async getProject(id) {
+        try {
+            if (this.isOnline) {
+                const result = await this.makeApiRequest(`/projects/${id}`);
+                return result.project;
+            } else {
+                return this.getProjectsFromLocalStorage().find(project => project.id === id);
+            }
+        } catch (error) {
+            console.error('❌ Failed to get project from database, using localStorage:', error);
+            return this.getProjectsFromLocalStorage().find(project => project.id === id);
+        }
+    }
+
+    /**
+     * Delete a project
+     */
+    async deleteProject(id) {
+        try {
+            if (this.isOnline) {
+                await this.makeApiRequest(`/projects/${id}`, { method: 'DELETE' });
+            } else {
+                this.addPendingOperation(`/projects/${id}`, { method: 'DELETE' });
+            }
+            
+            // Always remove from localStorage
+            this.deleteProjectFromLocalStorage(id);
+        } catch (error) {
+            console.error('❌ Failed to delete project online, removing locally:', error);
+            this.deleteProjectFromLocalStorage(id);
+        }
+    }
+
+    // ===== LOCAL STORAGE PROJECT METHODS =====
+
+    saveProjectToLocalStorage(project) {
+        const projects = this.getProjectsFromLocalStorage();
+        const updatedAt = new Date().toISOString();
+        
+        if (project.id) {
+            const index = projects.findIndex(p => p.id === project.id);
+            if (index >= 0) {
+                projects[index] = { ...project, updatedAt };
+            } else {
+                projects.push({ ...project, updatedAt });
+            }
+        } else {
+            project = { ...project, id: 'temp_' + Date.now(), createdAt: updatedAt, updatedAt };
+            projects.push(project);
+        }
+        
+        localStorage.setItem(this.localStorageKeys.PROJECTS, JSON.stringify(projects));
+        return project;
+    }
+
+    getProjectsFromLocalStorage() {
+        try {
+            const stored = localStorage.getItem(this.localStorageKeys.PROJECTS);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('❌ Failed to parse projects from localStorage:', error);
+            return [];
+        }
+    }
+
+    deleteProjectFromLocalStorage(id) {
+        const projects = this.getProjectsFromLocalStorage();
+        const filtered = projects.filter(project => project.id !== id);
+        localStorage.setItem(this.localStorageKeys.PROJECTS, JSON.stringify(filtered));
+    }
 }
\ No newline at end of file
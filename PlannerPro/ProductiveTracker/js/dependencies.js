@@ -0,0 +1,95 @@
+/**
+ * Task Dependencies - "blocked by" links between tasks
+ * Shared by the browser and the API server for blocked-state and cycle detection
+ */
+
+class TaskDependencies {
+    /**
+     * Normalize a blockedBy list to unique task ID strings
+     */
+    static normalize(blockedBy) {
+        if (!Array.isArray(blockedBy)) return [];
+        return [...new Set(blockedBy.filter(id => id !== null && id !== undefined && id !== '').map(String))];
+    }
+
+    /**
+     * Find a dependency cycle that saving `blockedBy` on a task would create.
+     * Returns the task IDs along the cycle (starting and ending at taskId), or null.
+     */
+    static findCycle(tasks, taskId, blockedBy) {
+        try {
+            const id = String(taskId);
+            const graph = new Map(tasks.map(task => [String(task.id), TaskDependencies.normalize(task.blockedBy)]));
+            graph.set(id, TaskDependencies.normalize(blockedBy));
+
+            if (graph.get(id).includes(id)) return [id, id];
+
+            const visited = new Set();
+            const walk = (currentId, path) => {
+                if (currentId === id) return path;
+                if (visited.has(currentId)) return null;
+                visited.add(currentId);
+
+                for (const nextId of graph.get(currentId) || []) {
+                    const cycle = walk(nextId, [...path, nextId]);
+                    if (cycle) return cycle;
+                }
+                return null;
+            };
+
+            for (const blockerId of graph.get(id)) {
+                const cycle = walk(blockerId, [id, blockerId]);
+                if (cycle) return cycle;
+            }
+
+            return null;
+        } catch (error) {
+            console.error('❌ Failed to check dependency cycle:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the prerequisite tasks of a task that are not completed yet
+     */
+    static getOpenBlockers(task, tasks) {
+        const blockerIds = TaskDependencies.normalize(task.blockedBy);
+        if (blockerIds.length === 0) return [];
+
+        return tasks.filter(other =>
+            blockerIds.includes(String(other.id)) && other.status !== 'completed'
+        );
+    }
+
+    /**
+     * Check whether a task still waits on unfinished prerequisites
+     */
+    static isBlocked(task, tasks) {
+        return task.status !== 'completed' && TaskDependencies.getOpenBlockers(task, tasks).length > 0;
+    }
+
+    /**
+     * Get prerequisites due after the task that depends on them
+     */
+    static getScheduleConflicts(task, tasks) {
+        if (!task.dueDate) return [];
+
+        const blockerIds = TaskDependencies.normalize(task.blockedBy);
+        return tasks.filter(other =>
+            blockerIds.includes(String(other.id)) &&
+            other.status !== 'completed' &&
+            other.dueDate &&
+            other.dueDate > task.dueDate
+        );
+    }
+}
+
+// Make TaskDependencies globally available
+if (typeof window !== 'undefined') {
+    window.TaskDependencies = TaskDependencies;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskDependencies;
+}
@@ -8,12 +8,15 @@ class DragDropManager {
         this.isDragging = false;
         this.draggedElement = null;
         this.draggedTaskId = null;
+        this.draggedTaskIds = []; // The whole multi-selection when a selected task is dragged
         this.dropZones = [];
         this.dragPreview = null;
         this.storage = null;
         this.tasks = [];
         this.dragStartPos = { x: 0, y: 0 };
         this.dragOffset = { x: 0, y: 0 };
+        this.positionStep = 1024; // Gap between manual positions when numbering a list
+        this.minPositionGap = 1e-6; // Renumber once neighbours get this close
         
         // Bind methods
         this.init = this.init.bind(this);
@@ -180,6 +183,28 @@ class DragDropManager {
         }
     }
 
+    /**
+     * Setup board cards and columns; the board calls this after each render
+     */
+    setupBoardDragAndDrop() {
+        try {
+            document.querySelectorAll('.board-card').forEach(card => {
+                card.addEventListener('dragstart', this.handleDragStart);
+                card.addEventListener('dragend', this.handleDragEnd);
+                card.addEventListener('mousedown', this.handleMouseDown);
+            });
+
+            document.querySelectorAll('.board-column').forEach(column => {
+                column.addEventListener('dragover', this.handleDragOver);
+                column.addEventListener('dragleave', this.handleDragLeave);
+                column.addEventListener('drop', this.handleDrop);
+            });
+
+        } catch (error) {
+            console.error('❌ Failed to setup board drag and drop:', error);
+        }
+    }
+
     /**
      * Setup task list drop zones
      */
@@ -231,6 +256,12 @@ class DragDropManager {
             this.draggedElement = e.target;
             this.draggedTaskId = e.target.dataset.taskId;
             
+            // Dragging a selected task carries the rest of the selection along
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            this.draggedTaskIds = taskManager?.isSelected(this.draggedTaskId)
+                ? Array.from(taskManager.selectedTaskIds)
+                : [this.draggedTaskId];
+            
             // Set drag data
             e.dataTransfer.setData('text/plain', this.draggedTaskId);
             e.dataTransfer.effectAllowed = 'move';
@@ -241,6 +272,7 @@ class DragDropManager {
             // Add dragging class
             this.draggedElement.classList.add('dragging');
             this.draggedElement.style.cursor = 'grabbing';
+            this.getGroupElements().forEach(item => item.classList.add('dragging'));
             
             // Create custom drag preview
             this.createDragPreview(e);
@@ -274,6 +306,7 @@ class DragDropManager {
                 this.draggedElement.style.transform = '';
                 this.draggedElement.style.boxShadow = '';
             }
+            this.getGroupElements().forEach(item => item.classList.remove('dragging'));
             
             // Remove drag preview
             this.removeDragPreview();
@@ -287,6 +320,7 @@ class DragDropManager {
             // Reset drag state
             this.draggedElement = null;
             this.draggedTaskId = null;
+            this.draggedTaskIds = [];
             
             console.log('✅ Drag operation ended');
             
@@ -306,7 +340,7 @@ class DragDropManager {
             const dropZone = e.currentTarget;
             
             // Add hover effect
-            if (dropZone.classList.contains('calendar-day')) {
+            if (dropZone.classList.contains('calendar-day') || dropZone.classList.contains('board-column')) {
                 dropZone.classList.add('drag-over');
             } else if (dropZone === document.getElementById('task-list')) {
                 this.handleTaskListDragOver(e);
@@ -350,7 +384,14 @@ class DragDropManager {
             if (dropZone.classList.contains('calendar-day')) {
                 // Dropped on calendar day
                 const date = dropZone.dataset.date;
-                this.moveTaskToDate(taskId, date);
+                if (this.draggedTaskIds.length > 1) {
+                    this.moveTasksToDate(this.draggedTaskIds, date);
+                } else {
+                    this.moveTaskToDate(taskId, date);
+                }
+            } else if (dropZone.classList.contains('board-column')) {
+                // Dropped on a board column: set the field the board is grouped by
+                this.moveTaskToColumn(taskId, dropZone.dataset.field, dropZone.dataset.value);
             } else if (dropZone === document.getElementById('task-list')) {
                 // Dropped on task list (reordering)
                 this.handleTaskListDrop(e, taskId);
@@ -525,7 +566,7 @@ class DragDropManager {
      */
     highlightDropZones() {
         try {
-            const calendarDays = document.querySelectorAll('.calendar-day');
+            const calendarDays = document.querySelectorAll('.calendar-day, .board-column');
             const taskList = document.getElementById('task-list');
             
             calendarDays.forEach(day => {
@@ -606,7 +647,8 @@ class DragDropManager {
             }
 
             // Update task date
-            task.dueDate = dateString;
+            const before = HistoryManager.snapshot(task);
+            this.rescheduleTask(task, dateString);
             task.updatedAt = new Date().toISOString();
 
             // Save to storage
@@ -624,7 +666,8 @@ class DragDropManager {
             // Show success notification
             const date = new Date(dateString);
             const formattedDate = date.toLocaleDateString();
-            NotificationManager.show('Task Moved', `Task moved to ${formattedDate}`, 'success');
+            const command = this.recordTaskHistory(`"${task.title}" moved to ${formattedDate}`, [before], [task]);
+            NotificationManager.show('Task Moved', `Task moved to ${formattedDate}`, 'success', HistoryManager.undoOptions(command));
             
             console.log(`✅ Task moved to ${dateString}: ${task.title}`);
 
@@ -635,19 +678,209 @@ class DragDropManager {
     }
 
     /**
-     * Reorder task in the list
+     * Set a task's status, category or priority from a board column
+     */
+    async moveTaskToColumn(taskId, field, value) {
+        try {
+            const task = this.tasks.find(t => t.id === taskId);
+            if (!task || task[field] === value) return;
+
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            const board = window.plannerApp?.getComponent('board');
+
+            // Completing goes through the usual flow: blocker check, timer, next occurrence
+            if (field === 'status' && value === 'completed' && taskManager) {
+                await taskManager.completeTask(taskId);
+                return;
+            }
+
+            const before = HistoryManager.snapshot(task);
+            task[field] = value;
+            if (field === 'status') {
+                task.completedAt = value === 'completed' ? new Date().toISOString() : null;
+            }
+            task.updatedAt = new Date().toISOString();
+
+            // Save to storage
+            await this.storage.saveTask(task);
+
+            // Trigger refresh for other components
+            this.triggerTaskUpdate();
+
+            const label = board ? board.getColumnLabel(field, value) : value;
+            const command = this.recordTaskHistory(`"${task.title}" moved to ${label}`, [before], [task]);
+            NotificationManager.show('Task Moved', `"${task.title}" moved to ${label}`, 'success', HistoryManager.undoOptions(command));
+
+            board?.warnIfOverLimit(field, value);
+
+            console.log(`✅ Task ${field} set to ${value}: ${task.title}`);
+
+        } catch (error) {
+            console.error('❌ Failed to move task to column:', error);
+            NotificationManager.show('Move Failed', 'Failed to move task. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Move every task in a dragged selection to a date in one batch
+     */
+    async moveTasksToDate(taskIds, dateString) {
+        try {
+            const movedTasks = this.tasks.filter(t => taskIds.includes(t.id));
+            if (movedTasks.length === 0) return;
+
+            const before = movedTasks.map(task => HistoryManager.snapshot(task));
+            const now = new Date().toISOString();
+            movedTasks.forEach(task => {
+                this.rescheduleTask(task, dateString);
+                task.updatedAt = now;
+            });
+
+            await this.storage.batchUpdateTasks({ update: movedTasks });
+
+            this.triggerTaskUpdate();
+
+            const formattedDate = new Date(dateString).toLocaleDateString();
+            const label = `${movedTasks.length} tasks moved to ${formattedDate}`;
+            const command = this.recordTaskHistory(label, before, movedTasks);
+            NotificationManager.show('Tasks Moved', label, 'success', HistoryManager.undoOptions(command));
+
+            console.log(`✅ ${movedTasks.length} tasks moved to ${dateString}`);
+
+        } catch (error) {
+            console.error('❌ Failed to move tasks to date:', error);
+            NotificationManager.show('Move Failed', 'Failed to move the selected tasks. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Reorder task in the list, saving its new manual position
      */
     async reorderTask(taskId, afterElement) {
         try {
-            // For now, we'll just trigger a refresh
-            // In a more advanced implementation, you might want to save task order
+            const task = this.tasks.find(t => t.id === taskId);
+            if (!task) return;
+
+            // A dragged selection lands together, in its current list order
+            const taskList = document.getElementById('task-list');
+            const listIds = Array.from(taskList.querySelectorAll('.task-item')).map(item => item.dataset.taskId);
+            const groupIds = this.draggedTaskIds.length > 1
+                ? listIds.filter(id => this.draggedTaskIds.includes(id))
+                : [taskId];
+
+            // Positions are shared by every task, not just the filtered ones on screen, so the
+            // dropped tasks are placed within the full list: in front of afterElement, or else
+            // just after the last visible task
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            const fullOrder = taskManager ? taskManager.sortTasks(this.tasks) : [...this.tasks];
+            const group = groupIds.map(id => this.tasks.find(t => t.id === id)).filter(Boolean);
+            const ordered = fullOrder.filter(t => !groupIds.includes(t.id));
+
+            const lastVisibleId = listIds.filter(id => !groupIds.includes(id)).pop();
+            let dropIndex = ordered.length;
+            if (afterElement) {
+                dropIndex = ordered.findIndex(t => t.id === afterElement.dataset.taskId);
+            } else if (lastVisibleId) {
+                dropIndex = ordered.findIndex(t => t.id === lastVisibleId) + 1;
+            }
+            ordered.splice(dropIndex >= 0 ? dropIndex : ordered.length, 0, ...group);
+
+            const changedTasks = groupIds.length > 1
+                ? this.numberPositions(ordered)
+                : this.assignPosition(ordered, ordered.indexOf(task));
+
+            // Save to storage
+            const now = new Date().toISOString();
+            changedTasks.forEach(changedTask => {
+                changedTask.updatedAt = now;
+            });
+            await this.storage.batchUpdateTasks({ update: changedTasks });
+
+            // Dragging means the user wants their own order shown
+            const filterManager = window.plannerApp?.getComponent('filters');
+            if (filterManager && filterManager.sortBy !== 'manual') {
+                filterManager.setSortBy('manual');
+                filterManager.populateFilterControls();
+            }
+
             this.triggerTaskUpdate();
             
             NotificationManager.show('Task Reordered', 'Task order updated', 'info');
             
         } catch (error) {
             console.error('❌ Failed to reorder task:', error);
+            NotificationManager.show('Reorder Failed', 'Failed to save the new order. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Place a task between its neighbours and return the tasks whose position changed.
+     * Only the moved task changes, so orders saved from other devices stay put; the list is
+     * numbered from scratch only while it still has unplaced tasks or the gap runs out.
+     */
+    assignPosition(ordered, index) {
+        const task = ordered[index];
+        const before = ordered[index - 1];
+        const after = ordered[index + 1];
+        const isPlaced = (t) => Number.isFinite(t.position);
+
+        const needsNumbering = ordered.some(t => t !== task && !isPlaced(t)) ||
+            (before && after && Math.abs(after.position - before.position) < this.minPositionGap);
+
+        if (needsNumbering) {
+            return this.numberPositions(ordered);
         }
+
+        if (before && after) {
+            task.position = (before.position + after.position) / 2;
+        } else if (before) {
+            task.position = before.position + this.positionStep;
+        } else if (after) {
+            task.position = after.position - this.positionStep;
+        } else {
+            task.position = this.positionStep;
+        }
+
+        return [task];
+    }
+
+    /**
+     * Record a move for undo through the task manager, which owns restoring tasks
+     */
+    recordTaskHistory(label, beforeTasks, afterTasks) {
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        return taskManager ? taskManager.recordTaskHistory(label, beforeTasks, afterTasks) : null;
+    }
+
+    /**
+     * Set a task's due date through the task manager, which keeps its start date in step
+     */
+    rescheduleTask(task, dateString) {
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        if (taskManager) {
+            taskManager.rescheduleTask(task, dateString);
+        } else {
+            task.dueDate = dateString;
+        }
+    }
+
+    /**
+     * Number a whole list from scratch, spacing positions by positionStep
+     */
+    numberPositions(ordered) {
+        ordered.forEach((t, i) => {
+            t.position = (i + 1) * this.positionStep;
+        });
+        return ordered;
+    }
+
+    /**
+     * Get the task list elements of a dragged selection
+     */
+    getGroupElements() {
+        return this.draggedTaskIds
+            .map(id => document.querySelector(`.task-item[data-task-id="${id}"]`))
+            .filter(Boolean);
     }
 
     /**
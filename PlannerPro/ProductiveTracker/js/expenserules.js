@@ -0,0 +1,140 @@
+/**
+ * Expense Rules - Auto-categorisation rules and learned category suggestions
+ * Shared by the expense form, the statement importers and the server's /api/import routes
+ */
+
+class ExpenseRules {
+    /**
+     * Normalize a rule, returning null when it has no conditions or no category
+     */
+    static normalize(rule) {
+        const amount = value => value === '' || value === null || value === undefined || isNaN(parseFloat(value)) ? null : parseFloat(value);
+        const conditions = {
+            descriptionContains: String(rule?.conditions?.descriptionContains || '').trim(),
+            locationContains: String(rule?.conditions?.locationContains || '').trim(),
+            paymentMethod: rule?.conditions?.paymentMethod || '',
+            minAmount: amount(rule?.conditions?.minAmount),
+            maxAmount: amount(rule?.conditions?.maxAmount)
+        };
+
+        const hasCondition = Object.values(conditions).some(value => value !== '' && value !== null);
+        if (!hasCondition || !rule.category) return null;
+
+        return {
+            id: rule.id || 'rule_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            conditions,
+            category: rule.category,
+            tags: Array.isArray(rule.tags) ? rule.tags.map(tag => String(tag).trim()).filter(Boolean) : [],
+            enabled: rule.enabled !== false
+        };
+    }
+
+    /**
+     * Whether an expense meets every condition a rule sets. Amounts are compared in the expense's own currency.
+     */
+    static matches(rule, expense) {
+        const { descriptionContains, locationContains, paymentMethod, minAmount, maxAmount } = rule.conditions;
+        const contains = (text, part) => String(text || '').toLowerCase().includes(part.toLowerCase());
+        const amount = parseFloat(expense.amount) || 0;
+
+        return rule.enabled &&
+            (!descriptionContains || contains(expense.description, descriptionContains)) &&
+            (!locationContains || contains(expense.location, locationContains)) &&
+            (!paymentMethod || expense.paymentMethod === paymentMethod) &&
+            (minAmount === null || amount >= minAmount) &&
+            (maxAmount === null || amount <= maxAmount);
+    }
+
+    /**
+     * The first rule, in list order, that an expense matches
+     */
+    static findRule(rules = [], expense) {
+        return rules.find(rule => ExpenseRules.matches(rule, expense)) || null;
+    }
+
+    /**
+     * Apply the first matching rule: its category (unless the expense keeps the one it has, as split
+     * expenses always do) and its tags
+     */
+    static apply(rules, expense, { keepCategory = false } = {}) {
+        const rule = ExpenseRules.findRule(rules, expense);
+        if (!rule) return expense;
+
+        const tags = Array.isArray(expense.tags) ? expense.tags : [];
+        return {
+            ...expense,
+            category: (keepCategory && expense.category) || expense.splits?.length > 0 ? expense.category : rule.category,
+            tags: [...tags, ...rule.tags.filter(tag => !tags.some(t => t.toLowerCase() === tag.toLowerCase()))]
+        };
+    }
+
+    /**
+     * Words of a description, without reference numbers and punctuation
+     */
+    static getWords(text) {
+        return new Set(String(text || '')
+            .toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(word => word.length > 2));
+    }
+
+    /**
+     * Suggest a category from past expenses with similar descriptions: each past expense sharing
+     * at least half the words of the shorter description votes for its category, weighted by overlap.
+     */
+    static suggestCategory(description, expenses = []) {
+        const words = ExpenseRules.getWords(description);
+        if (words.size === 0) return null;
+
+        const votes = new Map();
+        expenses.forEach(expense => {
+            const pastWords = ExpenseRules.getWords(expense.description);
+            if (pastWords.size === 0 || !expense.category) return;
+
+            const shared = [...words].filter(word => pastWords.has(word)).length;
+            const score = shared / Math.min(words.size, pastWords.size);
+            if (score >= 0.5) votes.set(expense.category, (votes.get(expense.category) || 0) + score);
+        });
+
+        const [best] = [...votes.entries()].sort((a, b) => b[1] - a[1]);
+        return best ? best[0] : null;
+    }
+
+    /**
+     * Category for new expense data: a matching rule first, then a learned suggestion
+     */
+    static suggest(rules, expense, expenses = []) {
+        const rule = ExpenseRules.findRule(rules, expense);
+        if (rule) return { category: rule.category, rule, source: 'rule' };
+
+        const category = ExpenseRules.suggestCategory(expense.description, expenses);
+        return category ? { category, rule: null, source: 'history' } : null;
+    }
+
+    /**
+     * Describe a rule's conditions, e.g. 'description contains "uber", 5–50'
+     */
+    static describe(rule) {
+        const { descriptionContains, locationContains, paymentMethod, minAmount, maxAmount } = rule.conditions;
+        const parts = [];
+
+        if (descriptionContains) parts.push(`description contains "${descriptionContains}"`);
+        if (locationContains) parts.push(`location contains "${locationContains}"`);
+        if (paymentMethod) parts.push(`paid by ${paymentMethod.replace(/_/g, ' ')}`);
+        if (minAmount !== null && maxAmount !== null) parts.push(`amount ${minAmount}–${maxAmount}`);
+        else if (minAmount !== null) parts.push(`amount at least ${minAmount}`);
+        else if (maxAmount !== null) parts.push(`amount up to ${maxAmount}`);
+
+        return parts.join(', ');
+    }
+}
+
+// Make ExpenseRules globally available
+if (typeof window !== 'undefined') {
+    window.ExpenseRules = ExpenseRules;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExpenseRules;
+}
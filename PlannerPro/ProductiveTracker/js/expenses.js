@@ -6,18 +6,23 @@
 class ExpenseManager {
     constructor() {
         this.expenses = [];
-        this.categories = [
-            { id: 'food', name: 'Food & Dining', icon: '🍔', color: '#FF6B6B' },
-            { id: 'transport', name: 'Transportation', icon: '🚗', color: '#4ECDC4' },
-            { id: 'shopping', name: 'Shopping', icon: '🛍️', color: '#45B7D1' },
-            { id: 'entertainment', name: 'Entertainment', icon: '🎬', color: '#FFA07A' },
-            { id: 'utilities', name: 'Utilities', icon: '⚡', color: '#98D8C8' },
-            { id: 'health', name: 'Health & Medical', icon: '🏥', color: '#F7DC6F' },
-            { id: 'education', name: 'Education', icon: '📚', color: '#BB8FCE' },
-            { id: 'travel', name: 'Travel', icon: '✈️', color: '#85C1E9' },
-            { id: 'home', name: 'Home & Garden', icon: '🏠', color: '#82E0AA' },
-            { id: 'other', name: 'Other', icon: '📦', color: '#D2B4DE' }
+        // Seeded into storage the first time; after that categories come from the expense_categories table
+        this.defaultCategories = [
+            { id: 'food', parentId: null, name: 'Food & Dining', icon: '🍔', color: '#FF6B6B' },
+            { id: 'groceries', parentId: 'food', name: 'Groceries', icon: '🛒', color: '#FF6B6B' },
+            { id: 'restaurants', parentId: 'food', name: 'Restaurants', icon: '🍽️', color: '#FF6B6B' },
+            { id: 'transport', parentId: null, name: 'Transportation', icon: '🚗', color: '#4ECDC4' },
+            { id: 'shopping', parentId: null, name: 'Shopping', icon: '🛍️', color: '#45B7D1' },
+            { id: 'entertainment', parentId: null, name: 'Entertainment', icon: '🎬', color: '#FFA07A' },
+            { id: 'utilities', parentId: null, name: 'Utilities', icon: '⚡', color: '#98D8C8' },
+            { id: 'health', parentId: null, name: 'Health & Medical', icon: '🏥', color: '#F7DC6F' },
+            { id: 'education', parentId: null, name: 'Education', icon: '📚', color: '#BB8FCE' },
+            { id: 'travel', parentId: null, name: 'Travel', icon: '✈️', color: '#85C1E9' },
+            { id: 'home', parentId: null, name: 'Home & Garden', icon: '🏠', color: '#82E0AA' },
+            { id: 'other', parentId: null, name: 'Other', icon: '📦', color: '#D2B4DE' }
         ];
+        this.categories = this.defaultCategories.map(category => ({ ...category }));
+        this.pendingCategoryDelete = null;
         this.currentFilters = {
             search: '',
             category: '',
@@ -38,7 +43,9 @@ class ExpenseManager {
         try {
             console.log('🔄 Initializing ExpenseManager...');
             
+            await this.loadCategories();
             await this.loadExpenses();
+            await this.materializeRecurringExpenses();
             this.setupEventListeners();
             this.setupExpenseUpdateListener();
             this.updateDisplay();
@@ -69,6 +76,380 @@ class ExpenseManager {
         }
     }
 
+    /**
+     * Load expense categories, seeding the defaults on first run
+     */
+    async loadCategories() {
+        try {
+            let categories = window.storageManager
+                ? await window.storageManager.getAllExpenseCategories() || []
+                : this.getCategoriesFromLocalStorage();
+
+            if (categories.length === 0) {
+                categories = this.defaultCategories.map(category => ({ ...category }));
+                for (const category of categories) {
+                    await this.saveCategory(category);
+                }
+            }
+
+            this.categories = categories.map(category => ({ ...category, parentId: category.parentId || null }));
+            this.populateCategorySelects();
+            console.log(`✅ Loaded ${this.categories.length} expense categories`);
+        } catch (error) {
+            console.error('❌ Failed to load expense categories:', error);
+        }
+    }
+
+    /**
+     * Get a category by id
+     */
+    getCategory(id) {
+        return this.categories.find(category => category.id === id);
+    }
+
+    /**
+     * Get top-level categories
+     */
+    getTopLevelCategories() {
+        return this.categories.filter(category => !category.parentId);
+    }
+
+    /**
+     * Get the sub-categories of a category
+     */
+    getSubcategories(parentId) {
+        return this.categories.filter(category => category.parentId === parentId);
+    }
+
+    /**
+     * Get a category id plus its sub-category ids, so a parent matches everything under it
+     */
+    getCategoryFamily(id) {
+        return [id, ...this.getSubcategories(id).map(category => category.id)];
+    }
+
+    /**
+     * Get the top-level category an expense rolls up into
+     */
+    getRootCategoryId(id) {
+        return this.getCategory(id)?.parentId || id;
+    }
+
+    /**
+     * Full category name, e.g. "Food & Dining › Groceries"
+     */
+    getCategoryLabel(id) {
+        const category = this.getCategory(id);
+        if (!category) return 'Other';
+
+        const parent = category.parentId ? this.getCategory(category.parentId) : null;
+        return parent ? `${parent.name} › ${category.name}` : category.name;
+    }
+
+    /**
+     * Categories in display order: each parent followed by its sub-categories
+     */
+    getOrderedCategories() {
+        return this.getTopLevelCategories().flatMap(category => [category, ...this.getSubcategories(category.id)]);
+    }
+
+    /**
+     * Category <option>s in display order, sub-categories indented
+     */
+    getCategoryOptionsHTML() {
+        return this.getOrderedCategories().map(category => {
+            const indent = category.parentId ? '&nbsp;&nbsp;&nbsp;&nbsp;' : '';
+            return `<option value="${this.escapeHtml(category.id)}">${indent}${this.escapeHtml(category.icon || '')} ${this.escapeHtml(category.name)}</option>`;
+        }).join('');
+    }
+
+    /**
+     * Fill the expense form and filter dropdowns from the category list
+     */
+    populateCategorySelects() {
+        const optionsHTML = this.getCategoryOptionsHTML();
+
+        [['expense-category', 'Select Category'], ['expense-category-filter', 'All Categories'], ['bank-import-category', 'Other']].forEach(([id, placeholder]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const value = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>${optionsHTML}`;
+            if (this.getCategory(value)) select.value = value;
+        });
+    }
+
+    /**
+     * Persist a single category
+     */
+    async saveCategory(category) {
+        if (window.storageManager) {
+            await window.storageManager.saveExpenseCategory(category);
+        } else {
+            this.saveCategoryToLocalStorage(category);
+        }
+    }
+
+    /**
+     * Reload categories after a change and redraw everything that shows them
+     */
+    async refreshCategories() {
+        await this.loadCategories();
+        this.renderCategorySettings();
+        this.updateDisplay();
+    }
+
+    /**
+     * Create a category, optionally as a sub-category of a top-level one
+     */
+    async addCategory({ name, icon, color, parentId }) {
+        try {
+            const trimmed = (name || '').trim();
+            if (!trimmed) return null;
+
+            if (this.categories.some(category => category.name.toLowerCase() === trimmed.toLowerCase() && category.parentId === (parentId || null))) {
+                NotificationManager.show('Category Exists', `There is already a "${trimmed}" category`, 'warning');
+                return null;
+            }
+
+            const baseId = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+            let id = baseId;
+            for (let n = 2; this.getCategory(id); n++) {
+                id = `${baseId}-${n}`;
+            }
+
+            const parent = parentId ? this.getCategory(parentId) : null;
+            const category = {
+                id,
+                parentId: parent && !parent.parentId ? parent.id : null,
+                name: trimmed,
+                icon: (icon || '').trim() || parent?.icon || '📦',
+                color: color || parent?.color || '#D2B4DE'
+            };
+
+            await this.saveCategory(category);
+            await this.refreshCategories();
+
+            NotificationManager.show('Category Added', `"${this.getCategoryLabel(id)}" is ready to use`, 'success');
+            return category;
+
+        } catch (error) {
+            console.error('❌ Failed to add expense category:', error);
+            NotificationManager.show('Save Failed', 'Failed to save category. Please try again.', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Rename, recolour, change the icon of or re-parent a category
+     */
+    async updateCategory(id, changes) {
+        try {
+            const category = this.getCategory(id);
+            if (!category) return;
+
+            const updated = { ...category, ...changes };
+            updated.name = (updated.name || '').trim();
+            if (!updated.name) {
+                this.renderCategorySettings();
+                return;
+            }
+
+            // Sub-categories are one level deep
+            if (updated.parentId) {
+                const parent = this.getCategory(updated.parentId);
+                if (!parent || parent.parentId || parent.id === id || this.getSubcategories(id).length > 0) {
+                    NotificationManager.show('Cannot Nest', 'Only categories without sub-categories can go under a top-level category', 'warning');
+                    this.renderCategorySettings();
+                    return;
+                }
+            }
+
+            await this.saveCategory(updated);
+            await this.refreshCategories();
+
+        } catch (error) {
+            console.error('❌ Failed to update expense category:', error);
+            NotificationManager.show('Save Failed', 'Failed to save category. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Delete a category, moving its expenses to another one. Its sub-categories move up a level.
+     */
+    async deleteCategory(id, reassignTo) {
+        try {
+            const category = this.getCategory(id);
+            const target = this.getCategory(reassignTo);
+            if (!category || !target || id === reassignTo) return false;
+
+            const beforeCategories = this.categories.map(c => HistoryManager.snapshot(c));
+            const affected = this.expenses.filter(expense => this.expenseInCategories(expense, [id]));
+            const now = new Date().toISOString();
+            const moved = affected.map(expense => ({
+                ...expense,
+                category: expense.category === id ? reassignTo : expense.category,
+                splits: (expense.splits || []).map(line => line.category === id ? { ...line, category: reassignTo } : line),
+                updatedAt: now
+            }));
+
+            for (const expense of moved) {
+                if (window.storageManager) {
+                    await window.storageManager.saveExpense(expense);
+                } else {
+                    this.saveExpenseToLocalStorage(expense);
+                }
+            }
+
+            if (window.storageManager) {
+                await window.storageManager.deleteExpenseCategory(id, reassignTo);
+            } else {
+                this.deleteCategoryFromLocalStorage(id);
+            }
+
+            if (this.currentFilters.category === id) {
+                this.currentFilters.category = '';
+            }
+            this.pendingCategoryDelete = null;
+
+            await this.refreshCategories();
+            this.triggerExpenseUpdate();
+
+            const afterCategories = this.categories.map(c => HistoryManager.snapshot(c));
+            const expenseIds = affected.map(expense => expense.id);
+            const before = affected.map(expense => HistoryManager.snapshot(expense));
+            const after = moved.map(expense => HistoryManager.snapshot(expense));
+            const label = affected.length > 0
+                ? `Category "${category.name}" deleted, ${affected.length} ${affected.length === 1 ? 'expense' : 'expenses'} moved to ${target.name}`
+                : `Category "${category.name}" deleted`;
+
+            const command = HistoryManager.record({
+                label,
+                undo: async () => {
+                    await this.restoreCategorySnapshots(beforeCategories);
+                    await this.restoreExpenseSnapshots(expenseIds, before);
+                },
+                redo: async () => {
+                    await this.restoreExpenseSnapshots(expenseIds, after);
+                    await this.restoreCategorySnapshots(afterCategories);
+                }
+            });
+            NotificationManager.show('Category Deleted', label, 'info', HistoryManager.undoOptions(command));
+
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to delete expense category:', error);
+            NotificationManager.show('Delete Failed', 'Failed to delete category. Please try again.', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Put the category list back to a recorded snapshot
+     */
+    async restoreCategorySnapshots(snapshots) {
+        for (const category of snapshots) {
+            await this.saveCategory(HistoryManager.snapshot(category));
+        }
+
+        const removed = this.categories.filter(category => !snapshots.some(snapshot => snapshot.id === category.id));
+        for (const category of removed) {
+            if (window.storageManager) {
+                await window.storageManager.deleteExpenseCategory(category.id);
+            } else {
+                this.deleteCategoryFromLocalStorage(category.id);
+            }
+        }
+
+        await this.refreshCategories();
+    }
+
+    /**
+     * Render the expense category editor in settings
+     */
+    renderCategorySettings() {
+        const list = document.getElementById('expense-category-list-settings');
+        if (!list) return;
+
+        const topLevel = this.getTopLevelCategories();
+        const parentOptions = (category) => `
+            <option value="">Top level</option>
+            ${topLevel
+                .filter(parent => parent.id !== category.id)
+                .map(parent => `<option value="${this.escapeHtml(parent.id)}" ${parent.id === category.parentId ? 'selected' : ''}>${this.escapeHtml(parent.name)}</option>`)
+                .join('')}
+        `;
+
+        list.innerHTML = this.getOrderedCategories().map(category => {
+            const count = this.expenses.filter(expense => this.expenseInCategories(expense, [category.id])).length;
+            const others = this.categories.filter(other => other.id !== category.id);
+
+            if (this.pendingCategoryDelete === category.id) {
+                return `
+                    <div class="category-settings-row deleting" data-category-id="${this.escapeHtml(category.id)}">
+                        <span class="category-settings-prompt">Move ${count} ${count === 1 ? 'expense' : 'expenses'} to</span>
+                        <select class="category-reassign">
+                            ${others.map(other => `<option value="${this.escapeHtml(other.id)}">${this.escapeHtml(this.getCategoryLabel(other.id))}</option>`).join('')}
+                        </select>
+                        <button class="btn-danger category-confirm-delete">Delete</button>
+                        <button class="btn-secondary category-cancel-delete">Cancel</button>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="category-settings-row ${category.parentId ? 'subcategory' : ''}" data-category-id="${this.escapeHtml(category.id)}">
+                    <input type="color" class="category-color-input" value="${this.escapeHtml(category.color || '#D2B4DE')}" aria-label="Colour">
+                    <input type="text" class="category-emoji-input" value="${this.escapeHtml(category.icon || '')}" maxlength="4" aria-label="Icon">
+                    <input type="text" class="category-name-input" value="${this.escapeHtml(category.name)}" maxlength="40" aria-label="Name">
+                    <select class="category-parent-select" aria-label="Parent category">${parentOptions(category)}</select>
+                    <span class="category-settings-count" title="Expenses in this category">${count}</span>
+                    <button class="btn-icon category-delete" title="Delete" ${others.length === 0 ? 'disabled' : ''}>
+                        <i data-feather="trash-2"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        const parentSelect = document.getElementById('expense-category-parent');
+        if (parentSelect) {
+            parentSelect.innerHTML = parentOptions({ id: null, parentId: parentSelect.value });
+        }
+
+        list.querySelectorAll('.category-settings-row').forEach(row => {
+            const id = row.dataset.categoryId;
+
+            row.querySelector('.category-color-input')?.addEventListener('change', (e) => this.updateCategory(id, { color: e.target.value }));
+            row.querySelector('.category-emoji-input')?.addEventListener('change', (e) => this.updateCategory(id, { icon: e.target.value.trim() || '📦' }));
+            row.querySelector('.category-name-input')?.addEventListener('change', (e) => this.updateCategory(id, { name: e.target.value }));
+            row.querySelector('.category-parent-select')?.addEventListener('change', (e) => this.updateCategory(id, { parentId: e.target.value || null }));
+
+            row.querySelector('.category-delete')?.addEventListener('click', () => {
+                // Empty categories go straight away; others ask where their expenses should move
+                if (!this.expenses.some(expense => this.expenseInCategories(expense, [id]))) {
+                    const category = this.getCategory(id);
+                    const target = this.getCategory(category.parentId) || this.categories.find(other => other.id !== id);
+                    this.deleteCategory(id, target.id);
+                } else {
+                    this.pendingCategoryDelete = id;
+                    this.renderCategorySettings();
+                }
+            });
+            row.querySelector('.category-confirm-delete')?.addEventListener('click', () => {
+                this.deleteCategory(id, row.querySelector('.category-reassign').value);
+            });
+            row.querySelector('.category-cancel-delete')?.addEventListener('click', () => {
+                this.pendingCategoryDelete = null;
+                this.renderCategorySettings();
+            });
+        });
+
+        if (typeof feather !== 'undefined') {
+            feather.replace();
+        }
+    }
+
     /**
      * Setup event listeners
      */
@@ -132,6 +513,51 @@ class ExpenseManager {
             });
         }
 
+        // Category management in settings
+        const categoryForm = document.getElementById('expense-category-add');
+        if (categoryForm) {
+            categoryForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const nameInput = document.getElementById('expense-category-name');
+                this.addCategory({
+                    name: nameInput.value,
+                    icon: document.getElementById('expense-category-icon').value,
+                    color: document.getElementById('expense-category-color').value,
+                    parentId: document.getElementById('expense-category-parent').value || null
+                }).then(category => {
+                    if (category) nameInput.value = '';
+                });
+            });
+        }
+
+        // Category suggestions follow the description until a category is picked by hand
+        ['expense-title', 'expense-amount', 'expense-payment', 'expense-location'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.updateCategorySuggestion());
+        });
+        document.getElementById('expense-category')?.addEventListener('change', (e) => {
+            e.target.dataset.suggested = '';
+            this.showCategoryHint('');
+        });
+
+        // Split lines
+        document.getElementById('expense-split-toggle')?.addEventListener('change', (e) => this.toggleSplit(e.target.checked));
+        document.getElementById('expense-split-add')?.addEventListener('click', () => this.addSplitLine());
+        document.getElementById('expense-amount')?.addEventListener('input', () => this.updateSplitRemaining());
+
+        const splitLines = document.getElementById('expense-split-lines');
+        if (splitLines) {
+            splitLines.addEventListener('input', () => this.updateSplitRemaining());
+            splitLines.addEventListener('click', (e) => {
+                if (!e.target.closest('.expense-split-remove')) return;
+                e.target.closest('.expense-split-line').remove();
+                this.updateSplitRemaining();
+            });
+        }
+
+        // Statement export in settings
+        document.getElementById('export-expenses-ofx')?.addEventListener('click', () => this.exportStatement('ofx'));
+        document.getElementById('export-expenses-qif')?.addEventListener('click', () => this.exportStatement('qif'));
+
         // Set today's date as default
         const expenseDate = document.getElementById('expense-date');
         if (expenseDate) {
@@ -185,6 +611,9 @@ class ExpenseManager {
         this.editingExpenseId = expense ? expense.id : null;
 
         title.textContent = expense ? 'Edit Expense' : 'Add New Expense';
+        document.getElementById('expense-category').dataset.suggested = '';
+        this.showCategoryHint('');
+        window.plannerApp?.getComponent('projects')?.populateProjectSelect(document.getElementById('expense-project'), expense?.projectId);
         
         if (expense) {
             this.populateExpenseForm(expense);
@@ -198,9 +627,15 @@ class ExpenseManager {
             // Set default currency
             const expenseCurrency = document.getElementById('expense-currency');
             if (expenseCurrency) {
-                expenseCurrency.value = 'USD';
+                expenseCurrency.value = window.plannerApp?.getComponent('currency')?.homeCurrency || 'USD';
+            }
+            const recurringOptions = document.getElementById('recurring-options');
+            if (recurringOptions) {
+                recurringOptions.style.display = 'none';
             }
+            this.updateSeriesFields(null);
         }
+        this.renderSplitLines(expense?.splits || []);
 
         modal.classList.add('active');
         
@@ -247,6 +682,7 @@ class ExpenseManager {
             'expense-amount': expense.amount,
             'expense-currency': expense.currency || 'USD',
             'expense-category': expense.category,
+            'expense-project': expense.projectId || '',
             'expense-payment': expense.paymentMethod || 'cash',
             'expense-date': expense.date,
             'expense-location': expense.location || '',
@@ -269,9 +705,35 @@ class ExpenseManager {
 
         // Show/hide recurring options
         const recurringOptions = document.getElementById('recurring-options');
-        if (recurringOptions && expense.isRecurring) {
-            recurringOptions.style.display = 'block';
+        if (recurringOptions) {
+            recurringOptions.style.display = expense.isRecurring ? 'block' : 'none';
         }
+
+        this.updateSeriesFields(expense);
+    }
+
+    /**
+     * Explain how an edit affects a recurring series. Occurrences can't start a series of their own.
+     */
+    updateSeriesFields(expense = null) {
+        const hint = document.getElementById('expense-series-hint');
+        const recurringGroup = document.getElementById('expense-recurring')?.closest('.form-group');
+        const isOccurrence = Boolean(expense?.templateId);
+
+        if (recurringGroup) {
+            recurringGroup.style.display = isOccurrence ? 'none' : '';
+        }
+
+        if (!hint) return;
+
+        if (isOccurrence) {
+            hint.textContent = 'This is one occurrence of a recurring expense. Changes apply to this date only.';
+        } else if (expense?.isRecurring) {
+            hint.textContent = 'Changes apply to future occurrences. This expense and occurrences already added stay as they are.';
+        } else {
+            hint.textContent = '';
+        }
+        hint.style.display = hint.textContent ? 'block' : 'none';
     }
 
     /**
@@ -288,28 +750,36 @@ class ExpenseManager {
                 return;
             }
 
-            if (this.isEditing) {
-                await this.updateExpense(this.editingExpenseId, expenseData);
+            const previous = this.isEditing ? this.getExpenseById(this.editingExpenseId) : null;
+            const action = this.isEditing ? 'updated' : 'added';
+            let saved;
+
+            if (previous && this.isStartedSeries(previous)) {
+                saved = await this.reviseSeries(previous, expenseData);
+            } else if (this.isEditing) {
+                saved = [await this.updateExpense(this.editingExpenseId, expenseData)];
             } else {
-                await this.createExpense(expenseData);
+                saved = [await this.createExpense(expenseData)];
             }
+            const expense = saved[saved.length - 1];
 
             this.closeExpenseModal();
             this.triggerExpenseUpdate();
             
             // Show success notification
-            if (window.notificationManager) {
-                window.notificationManager.show(
-                    `Expense ${this.isEditing ? 'updated' : 'added'} successfully!`,
-                    'success'
-                );
-            }
+            // Warn when this expense pushes a budget past a threshold
+            const savedIds = saved.map(e => e.id);
+            const others = this.expenses.filter(e => !savedIds.includes(e.id) && e.id !== previous?.id);
+            const beforeExpenses = others.concat(previous ? [previous] : []);
+            const afterExpenses = others.concat(saved);
+            window.plannerApp?.getComponent('budgets')?.checkThresholds(beforeExpenses, afterExpenses);
+
+            const command = this.recordExpenseHistory(`Expense "${expense.description}" ${action}`, previous ? [previous] : [], saved);
+            NotificationManager.show('Expense Saved', `Expense "${expense.description}" ${action} successfully`, 'success', HistoryManager.undoOptions(command));
             
         } catch (error) {
             console.error('❌ Failed to save expense:', error);
-            if (window.notificationManager) {
-                window.notificationManager.show('Failed to save expense', 'error');
-            }
+            NotificationManager.show('Save Failed', 'Failed to save expense. Please try again.', 'error');
         }
     }
 
@@ -320,19 +790,68 @@ class ExpenseManager {
         const tagsInput = document.getElementById('expense-tags').value;
         const tags = tagsInput ? tagsInput.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
 
-        return {
+        const expenseData = {
             description: document.getElementById('expense-title').value.trim(),
             amount: parseFloat(document.getElementById('expense-amount').value),
             currency: document.getElementById('expense-currency').value,
             category: document.getElementById('expense-category').value,
+            projectId: document.getElementById('expense-project').value || null,
             paymentMethod: document.getElementById('expense-payment').value,
             date: document.getElementById('expense-date').value,
             location: document.getElementById('expense-location').value.trim(),
             notes: document.getElementById('expense-notes').value.trim(),
             tags: tags,
+            splits: this.readSplitLines(),
             isRecurring: document.getElementById('expense-recurring').checked,
             recurringType: document.getElementById('expense-recurring-type').value
         };
+
+        // A split expense files under its largest line
+        if (expenseData.splits.length > 0) {
+            expenseData.category = this.getPrimaryCategory(expenseData.splits);
+        }
+
+        // Rules add their tags, and fill in the category when none was chosen
+        return window.plannerApp?.getComponent('rules')?.apply(expenseData, { keepCategory: true }) || expenseData;
+    }
+
+    /**
+     * Suggest a category from the rules and past expenses while a new expense is described,
+     * until a category is picked by hand
+     */
+    updateCategorySuggestion() {
+        const select = document.getElementById('expense-category');
+        const rules = window.plannerApp?.getComponent('rules');
+        if (!select || !rules || select.disabled || (select.value && !select.dataset.suggested)) return;
+
+        const suggestion = rules.suggest({
+            description: document.getElementById('expense-title').value.trim(),
+            amount: parseFloat(document.getElementById('expense-amount').value) || 0,
+            paymentMethod: document.getElementById('expense-payment').value,
+            location: document.getElementById('expense-location').value.trim()
+        });
+
+        select.value = suggestion && this.getCategory(suggestion.category) ? suggestion.category : '';
+        select.dataset.suggested = select.value ? 'true' : '';
+
+        if (!select.value) {
+            this.showCategoryHint('');
+        } else if (suggestion.source === 'rule') {
+            this.showCategoryHint(`Suggested by the rule: ${ExpenseRules.describe(suggestion.rule)}`);
+        } else {
+            this.showCategoryHint('Suggested from similar past expenses');
+        }
+    }
+
+    /**
+     * Show or hide the note under the category field
+     */
+    showCategoryHint(text) {
+        const hint = document.getElementById('expense-category-hint');
+        if (!hint) return;
+
+        hint.textContent = text;
+        hint.style.display = text ? 'block' : 'none';
     }
 
     /**
@@ -359,18 +878,147 @@ class ExpenseManager {
             return false;
         }
 
+        if (data.splits && data.splits.length > 0) {
+            if (data.splits.length < 2) {
+                this.showValidationError('A split needs at least two lines');
+                return false;
+            }
+
+            if (data.splits.some(line => !(line.amount > 0) || !line.category)) {
+                this.showValidationError('Please give every split line an amount and a category');
+                return false;
+            }
+
+            const splitTotal = data.splits.reduce((total, line) => total + line.amount, 0);
+            if (Math.abs(splitTotal - data.amount) >= 0.005) {
+                this.showValidationError(`The split lines add up to ${this.formatMoney(splitTotal, data.currency)}, but the total is ${this.formatMoney(data.amount, data.currency)}`);
+                return false;
+            }
+        }
+
         return true;
     }
 
     /**
-     * Show validation error
+     * Category of the largest line of a split
      */
-    showValidationError(message) {
-        if (window.notificationManager) {
-            window.notificationManager.show(message, 'error');
+    getPrimaryCategory(splits) {
+        return splits.reduce((largest, line) => line.amount > largest.amount ? line : largest, splits[0]).category;
+    }
+
+    /**
+     * Turn splitting on or off. A new split starts with the whole amount on the current category
+     * and an empty second line.
+     */
+    toggleSplit(enabled) {
+        if (!enabled) {
+            this.renderSplitLines([]);
+            return;
+        }
+
+        const amount = parseFloat(document.getElementById('expense-amount').value) || 0;
+        const category = document.getElementById('expense-category').value;
+        this.renderSplitLines([
+            { amount: amount || '', category, tags: [] },
+            { amount: '', category: '', tags: [] }
+        ]);
+    }
+
+    /**
+     * Show the split editor with the given lines, or hide it when there are none
+     */
+    renderSplitLines(lines) {
+        const container = document.getElementById('expense-split-lines');
+        const editor = document.getElementById('expense-split-editor');
+        const toggle = document.getElementById('expense-split-toggle');
+        if (!container) return;
+
+        container.innerHTML = '';
+        lines.forEach(line => this.addSplitLine(line));
+
+        if (toggle) toggle.checked = lines.length > 0;
+        if (editor) editor.style.display = lines.length > 0 ? 'block' : 'none';
+
+        this.updateSplitRemaining();
+    }
+
+    /**
+     * Append a line to the split editor
+     */
+    addSplitLine(line = { amount: '', category: '', tags: [] }) {
+        const container = document.getElementById('expense-split-lines');
+        if (!container) return;
+
+        const row = document.createElement('div');
+        row.className = 'expense-split-line';
+        row.innerHTML = `
+            <input type="number" class="expense-split-amount" step="0.01" min="0" placeholder="0.00" aria-label="Amount">
+            <select class="expense-split-category" aria-label="Category">
+                <option value="">Category</option>
+                ${this.getCategoryOptionsHTML()}
+            </select>
+            <input type="text" class="expense-split-tags" placeholder="Tags" aria-label="Tags">
+            <button type="button" class="btn-icon expense-split-remove" title="Remove line">
+                <i data-feather="x"></i>
+            </button>
+        `;
+        row.querySelector('.expense-split-amount').value = line.amount;
+        row.querySelector('.expense-split-category').value = this.getCategory(line.category) ? line.category : '';
+        row.querySelector('.expense-split-tags').value = (line.tags || []).join(', ');
+        container.appendChild(row);
+
+        if (typeof feather !== 'undefined') {
+            feather.replace();
+        }
+    }
+
+    /**
+     * Read the split lines from the editor; an unsplit expense has none
+     */
+    readSplitLines() {
+        if (!document.getElementById('expense-split-toggle')?.checked) return [];
+
+        return [...document.querySelectorAll('#expense-split-lines .expense-split-line')].map(row => ({
+            amount: parseFloat(row.querySelector('.expense-split-amount').value) || 0,
+            category: row.querySelector('.expense-split-category').value,
+            tags: row.querySelector('.expense-split-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag)
+        }));
+    }
+
+    /**
+     * Show how much of the total the split lines leave unassigned. While split, the category
+     * field follows the largest line.
+     */
+    updateSplitRemaining() {
+        const label = document.getElementById('expense-split-remaining');
+        const categorySelect = document.getElementById('expense-category');
+        const lines = this.readSplitLines();
+
+        if (categorySelect) categorySelect.disabled = lines.length > 0;
+        if (!label || lines.length === 0) return;
+
+        const total = parseFloat(document.getElementById('expense-amount').value) || 0;
+        const currency = document.getElementById('expense-currency').value;
+        const remaining = total - lines.reduce((sum, line) => sum + line.amount, 0);
+
+        if (Math.abs(remaining) < 0.005) {
+            label.textContent = 'Lines add up to the total';
+        } else if (remaining > 0) {
+            label.textContent = `${this.formatMoney(remaining, currency)} left to assign`;
         } else {
-            alert(message);
+            label.textContent = `${this.formatMoney(-remaining, currency)} over the total`;
         }
+        label.classList.toggle('over', Math.abs(remaining) >= 0.005);
+
+        const primary = lines.filter(line => line.category);
+        if (categorySelect && primary.length > 0) categorySelect.value = this.getPrimaryCategory(primary);
+    }
+
+    /**
+     * Show validation error
+     */
+    showValidationError(message) {
+        NotificationManager.show('Validation Error', message, 'error');
     }
 
     /**
@@ -389,13 +1037,17 @@ class ExpenseManager {
         } else {
             this.saveExpenseToLocalStorage(expense);
         }
+
+        return expense;
     }
 
     /**
      * Update existing expense
      */
     async updateExpense(id, expenseData) {
+        // Keep fields the form doesn't edit, like the series link
         const updatedExpense = {
+            ...this.getExpenseById(id),
             ...expenseData,
             id: id,
             updatedAt: new Date().toISOString()
@@ -406,6 +1058,8 @@ class ExpenseManager {
         } else {
             this.updateExpenseInLocalStorage(id, updatedExpense);
         }
+
+        return updatedExpense;
     }
 
     /**
@@ -417,6 +1071,8 @@ class ExpenseManager {
         }
 
         try {
+            const expense = this.getExpenseById(id);
+
             if (window.storageManager) {
                 await window.storageManager.deleteExpense(id);
             } else {
@@ -425,15 +1081,48 @@ class ExpenseManager {
 
             this.triggerExpenseUpdate();
             
-            if (window.notificationManager) {
-                window.notificationManager.show('Expense deleted successfully!', 'success');
-            }
+            const command = expense ? this.recordExpenseHistory(`Expense "${expense.description}" deleted`, [expense], []) : null;
+            NotificationManager.show('Expense Deleted', 'Expense deleted successfully', 'info', HistoryManager.undoOptions(command));
         } catch (error) {
             console.error('❌ Failed to delete expense:', error);
-            if (window.notificationManager) {
-                window.notificationManager.show('Failed to delete expense', 'error');
+            NotificationManager.show('Delete Failed', 'Failed to delete expense. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Record an expense change for undo. Expenses missing from one side were added or deleted by it.
+     */
+    recordExpenseHistory(label, beforeExpenses, afterExpenses) {
+        const before = beforeExpenses.map(expense => HistoryManager.snapshot(expense));
+        const after = afterExpenses.map(expense => HistoryManager.snapshot(expense));
+        const expenseIds = [...new Set([...before, ...after].map(expense => expense.id))];
+
+        return HistoryManager.record({
+            label,
+            undo: () => this.restoreExpenseSnapshots(expenseIds, before),
+            redo: () => this.restoreExpenseSnapshots(expenseIds, after)
+        });
+    }
+
+    /**
+     * Put expenses back to recorded snapshots, deleting the ids that have none
+     */
+    async restoreExpenseSnapshots(expenseIds, snapshots) {
+        for (const id of expenseIds) {
+            const snapshot = snapshots.find(expense => expense.id === id);
+
+            if (snapshot && window.storageManager) {
+                await window.storageManager.saveExpense(HistoryManager.snapshot(snapshot));
+            } else if (snapshot) {
+                this.saveExpenseToLocalStorage(HistoryManager.snapshot(snapshot));
+            } else if (window.storageManager) {
+                await window.storageManager.deleteExpense(id);
+            } else {
+                this.deleteExpenseFromLocalStorage(id);
             }
         }
+
+        this.triggerExpenseUpdate();
     }
 
     /**
@@ -442,6 +1131,7 @@ class ExpenseManager {
     updateDisplay() {
         this.renderExpenseList();
         this.updateSummary();
+        this.renderUpcomingBills();
         this.updateCategoryList();
         this.updateChart();
     }
@@ -481,16 +1171,23 @@ class ExpenseManager {
      * Create expense element HTML
      */
     createExpenseElement(expense) {
-        const category = this.categories.find(cat => cat.id === expense.category);
-        const categoryInfo = category || { icon: '📦', name: 'Other', color: '#D2B4DE' };
+        const category = this.getCategory(expense.category);
+        const categoryInfo = category
+            ? { ...category, name: this.getCategoryLabel(category.id) }
+            : { icon: '📦', name: 'Other', color: '#D2B4DE' };
+        const splits = expense.splits || [];
+        if (splits.length > 0) {
+            categoryInfo.name = `Split across ${new Set(splits.map(line => line.category)).size} categories`;
+        }
         
-        const formattedAmount = this.formatCurrency(expense.amount, expense.currency);
+        const formattedAmount = this.formatCurrency(expense.amount, expense.currency, expense.date);
         const formattedDate = this.formatDate(expense.date);
+        const project = expense.projectId ? window.plannerApp?.getComponent('projects')?.getProjectById(expense.projectId) : null;
         
         return `
             <div class="expense-item" data-id="${expense.id}">
                 <div class="expense-item-icon" style="background-color: ${categoryInfo.color}20; color: ${categoryInfo.color}">
-                    ${categoryInfo.icon}
+                    ${this.escapeHtml(categoryInfo.icon)}
                 </div>
                 
                 <div class="expense-item-content">
@@ -501,12 +1198,23 @@ class ExpenseManager {
                     
                     <div class="expense-item-details">
                         <span class="expense-category" style="color: ${categoryInfo.color}">
-                            ${categoryInfo.name}
+                            ${this.escapeHtml(categoryInfo.name)}
                         </span>
                         <span class="expense-date">${formattedDate}</span>
+                        ${this.getRecurringBadge(expense)}
+                        ${project ? `<span class="expense-project" style="--project-color: ${project.color};">${this.escapeHtml(project.name)}</span>` : ''}
                         ${expense.location ? `<span class="expense-location">📍 ${this.escapeHtml(expense.location)}</span>` : ''}
                     </div>
                     
+                    ${splits.length > 0 ? `
+                        <div class="expense-splits">
+                            ${splits.map(line => {
+                                const lineCategory = this.getCategory(line.category);
+                                return `<span class="expense-split" style="--category-color: ${lineCategory?.color || '#D2B4DE'}">${this.escapeHtml(lineCategory?.icon || '📦')} ${this.escapeHtml(this.getCategoryLabel(line.category))} ${this.formatMoney(line.amount, expense.currency || 'USD')}</span>`;
+                            }).join('')}
+                        </div>
+                    ` : ''}
+                    
                     ${expense.notes ? `<div class="expense-notes">${this.escapeHtml(expense.notes)}</div>` : ''}
                     
                     ${expense.tags && expense.tags.length > 0 ? `
@@ -528,6 +1236,224 @@ class ExpenseManager {
         `;
     }
 
+    /**
+     * Badge marking a recurring expense or an occurrence generated from one
+     */
+    getRecurringBadge(expense) {
+        if (expense.templateId) {
+            return '<span class="expense-recurring" title="Added from a recurring expense">↻</span>';
+        }
+        if (!expense.isRecurring) return '';
+
+        const type = (expense.recurringType || 'monthly').replace(/^./, letter => letter.toUpperCase());
+        const stopped = expense.recurringEndDate ? ` · ends ${this.formatDate(expense.recurringEndDate)}` : '';
+        return `<span class="expense-recurring" title="Recurring expense">↻ ${type}${stopped}</span>`;
+    }
+
+    /**
+     * Recurring expenses that act as templates for a series
+     */
+    getRecurringTemplates() {
+        return this.expenses.filter(expense => expense.isRecurring && !expense.templateId);
+    }
+
+    /**
+     * The first date a series would repeat on after its last generated occurrence, or null once it has ended
+     */
+    getNextSeriesDate(template) {
+        const last = template.lastOccurrenceDate || template.date;
+        return RecurrenceRule.getOccurrencesBetween(this.getSeriesRule(template), template.date,
+            RecurrenceRule.addDays(last, 1), RecurrenceRule.addDays(last, 366))[0] || null;
+    }
+
+    /**
+     * Whether a recurring template's first date has passed and the series still has dates to come
+     */
+    isStartedSeries(expense) {
+        const today = new Date().toISOString().split('T')[0];
+        return Boolean(expense.isRecurring && !expense.templateId && expense.date <= today && this.getNextSeriesDate(expense));
+    }
+
+    /**
+     * Edit a series that has started without rewriting its past: the template ends at its last
+     * generated occurrence and a new template carries the edits from the next due date. Turning
+     * repeat off just ends the series. Returns the saved templates.
+     */
+    async reviseSeries(template, expenseData) {
+        // Generate anything already due first, so it keeps the old values
+        await this.materializeRecurringExpenses();
+        const current = this.getExpenseById(template.id) || template;
+        const lastDate = current.lastOccurrenceDate || current.date;
+        const nextDate = this.getNextSeriesDate(current);
+
+        const ended = await this.updateExpense(current.id, { recurringEndDate: lastDate });
+        if (!expenseData.isRecurring || !nextDate) return [ended];
+
+        const next = await this.createExpense({
+            ...expenseData,
+            date: expenseData.date > lastDate ? expenseData.date : nextDate,
+            recurringEndDate: current.recurringEndDate || null,
+            lastOccurrenceDate: null
+        });
+        return [ended, next];
+    }
+
+    /**
+     * Repeat rule of a recurring expense, for RecurrenceRule
+     */
+    getSeriesRule(template) {
+        return { freq: template.recurringType || 'monthly', until: template.recurringEndDate || null };
+    }
+
+    /**
+     * Add the occurrences of recurring expenses that are due by today. The server does this when it
+     * can; offline, the same rules run here. Each template remembers the last date it generated and
+     * existing occurrences are skipped, so running this again adds nothing.
+     */
+    async materializeRecurringExpenses(today = new Date().toISOString().split('T')[0]) {
+        try {
+            const beforeExpenses = [...this.expenses];
+            let created = window.storageManager ? await window.storageManager.materializeRecurringExpenses(today) : null;
+
+            if (created === null) {
+                created = [];
+
+                for (const template of this.getRecurringTemplates()) {
+                    const after = template.lastOccurrenceDate || template.date;
+                    const dueDates = RecurrenceRule.getOccurrencesBetween(this.getSeriesRule(template), template.date, after, today)
+                        .filter(date => date > after);
+                    if (dueDates.length === 0) continue;
+
+                    for (const date of dueDates) {
+                        if (this.expenses.some(expense => expense.templateId === template.id && expense.date === date)) continue;
+
+                        const occurrence = {
+                            id: this.generateId(),
+                            description: template.description,
+                            amount: template.amount,
+                            currency: template.currency,
+                            category: template.category,
+                            projectId: template.projectId || null,
+                            paymentMethod: template.paymentMethod,
+                            date,
+                            location: template.location,
+                            notes: template.notes,
+                            tags: template.tags || [],
+                            splits: (template.splits || []).map(line => ({ ...line })),
+                            isRecurring: false,
+                            recurringType: null,
+                            templateId: template.id,
+                            createdAt: new Date().toISOString(),
+                            updatedAt: new Date().toISOString()
+                        };
+
+                        if (window.storageManager) {
+                            await window.storageManager.saveExpense(occurrence);
+                        } else {
+                            this.saveExpenseToLocalStorage(occurrence);
+                        }
+                        created.push(occurrence);
+                    }
+
+                    const updatedTemplate = { ...template, lastOccurrenceDate: dueDates[dueDates.length - 1] };
+                    if (window.storageManager) {
+                        await window.storageManager.saveExpense(updatedTemplate);
+                    } else {
+                        this.saveExpenseToLocalStorage(updatedTemplate);
+                    }
+                }
+            }
+
+            if (created.length > 0) {
+                await this.loadExpenses();
+                window.plannerApp?.getComponent('budgets')?.checkThresholds(beforeExpenses, this.expenses);
+                NotificationManager.show('Recurring Expenses', `${created.length} recurring ${created.length === 1 ? 'expense' : 'expenses'} added`, 'info');
+            }
+
+            return created;
+        } catch (error) {
+            console.error('❌ Failed to generate recurring expenses:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Occurrences of recurring expenses due in the next few days, soonest first
+     */
+    getUpcomingBills(days = 30) {
+        const today = new Date().toISOString().split('T')[0];
+        const start = RecurrenceRule.addDays(today, 1);
+        const end = RecurrenceRule.addDays(today, days);
+
+        return this.getRecurringTemplates()
+            .flatMap(template => RecurrenceRule.getOccurrencesBetween(this.getSeriesRule(template), template.date, start, end)
+                .map(date => ({ template, date })))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Render the upcoming bills list
+     */
+    renderUpcomingBills() {
+        const container = document.getElementById('upcoming-bills');
+        if (!container) return;
+
+        const bills = this.getUpcomingBills();
+        if (bills.length === 0) {
+            container.innerHTML = '<p class="upcoming-bills-empty">No bills due in the next 30 days</p>';
+            return;
+        }
+
+        container.innerHTML = bills.map(({ template, date }) => {
+            const category = this.getCategory(template.category);
+            return `
+                <div class="upcoming-bill" data-template-id="${template.id}">
+                    <span class="category-icon" style="color: ${category?.color || '#D2B4DE'}">${this.escapeHtml(category?.icon || '📦')}</span>
+                    <div class="upcoming-bill-info">
+                        <span class="upcoming-bill-name">${this.escapeHtml(template.description)}</span>
+                        <span class="upcoming-bill-date">${this.formatDate(date)}</span>
+                    </div>
+                    <span class="upcoming-bill-amount">${this.formatCurrency(template.amount, template.currency, date)}</span>
+                    <button class="btn-icon" onclick="expenseManager.stopSeries('${template.id}')" title="Stop repeating">
+                        <i data-feather="x-circle"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        if (typeof feather !== 'undefined') {
+            feather.replace();
+        }
+    }
+
+    /**
+     * Stop a recurring series after today. Expenses already added are kept.
+     */
+    async stopSeries(templateId) {
+        try {
+            const template = this.getExpenseById(templateId);
+            if (!template || !template.isRecurring) return;
+
+            const today = new Date().toISOString().split('T')[0];
+            const stopped = { ...template, recurringEndDate: today, updatedAt: new Date().toISOString() };
+
+            if (window.storageManager) {
+                await window.storageManager.saveExpense(stopped);
+            } else {
+                this.saveExpenseToLocalStorage(stopped);
+            }
+
+            this.triggerExpenseUpdate();
+
+            const label = `"${template.description}" stopped repeating`;
+            const command = this.recordExpenseHistory(label, [template], [stopped]);
+            NotificationManager.show('Series Stopped', label, 'info', HistoryManager.undoOptions(command));
+        } catch (error) {
+            console.error('❌ Failed to stop recurring expense:', error);
+            NotificationManager.show('Update Failed', 'Failed to stop the recurring expense. Please try again.', 'error');
+        }
+    }
+
     /**
      * Update summary display
      */
@@ -549,6 +1475,17 @@ class ExpenseManager {
         this.updateSummaryElement('today-spending', todaySpending);
         this.updateSummaryElement('week-spending', weekSpending);
         this.updateSummaryElement('month-spending', monthSpending);
+
+        const notice = document.getElementById('currency-notice');
+        if (notice) {
+            const unconverted = this.getUnconvertedCurrencies();
+            notice.textContent = unconverted.length > 0
+                ? `No exchange rate for ${unconverted.join(', ')}; those amounts are left out of the totals.`
+                : '';
+            notice.style.display = unconverted.length > 0 ? 'block' : 'none';
+        }
+
+        window.plannerApp?.getComponent('budgets')?.renderOverallBudget();
     }
 
     /**
@@ -567,7 +1504,7 @@ class ExpenseManager {
     calculateSpending(filterFn) {
         return this.expenses
             .filter(filterFn)
-            .reduce((total, expense) => total + expense.amount, 0);
+            .reduce((total, expense) => total + this.getHomeAmount(expense), 0);
     }
 
     /**
@@ -578,18 +1515,24 @@ class ExpenseManager {
         if (!container) return;
 
         const categorySpending = this.calculateCategorySpending();
+        const budgetManager = window.plannerApp?.getComponent('budgets');
         
-        container.innerHTML = this.categories.map(category => {
-            const spending = categorySpending[category.id] || 0;
+        // Parents show their own spending plus their sub-categories'
+        container.innerHTML = this.getOrderedCategories().map(category => {
+            const spending = category.parentId
+                ? categorySpending[category.id] || 0
+                : this.getCategoryFamily(category.id).reduce((total, id) => total + (categorySpending[id] || 0), 0);
             const formattedAmount = this.formatCurrency(spending);
+            const budget = budgetManager?.getBudget(category.id);
             
             return `
-                <div class="category-item" data-category="${category.id}">
+                <div class="category-item ${category.parentId ? 'subcategory' : ''} ${budget ? 'has-budget' : ''}" data-category="${this.escapeHtml(category.id)}">
                     <div class="category-info">
-                        <span class="category-icon" style="color: ${category.color}">${category.icon}</span>
-                        <span class="category-name">${category.name}</span>
+                        <span class="category-icon" style="color: ${category.color}">${this.escapeHtml(category.icon || '')}</span>
+                        <span class="category-name">${this.escapeHtml(category.name)}</span>
                     </div>
                     <span class="category-amount">${formattedAmount}</span>
+                    ${budget ? budgetManager.getProgressHTML(budgetManager.getBudgetStatus(budget, this.expenses)) : ''}
                 </div>
             `;
         }).join('');
@@ -601,13 +1544,32 @@ class ExpenseManager {
     calculateCategorySpending() {
         const spending = {};
         
+        // Split expenses count each line under its own category
         this.expenses.forEach(expense => {
-            spending[expense.category] = (spending[expense.category] || 0) + expense.amount;
+            this.getExpenseLines(expense).forEach(line => {
+                spending[line.category] = (spending[line.category] || 0) + this.getHomeAmount({ ...expense, amount: line.amount });
+            });
         });
         
         return spending;
     }
 
+    /**
+     * An expense's category lines: its split lines, or one line for the whole amount
+     */
+    getExpenseLines(expense) {
+        return Array.isArray(expense.splits) && expense.splits.length > 0
+            ? expense.splits
+            : [{ amount: expense.amount, category: expense.category, tags: expense.tags || [] }];
+    }
+
+    /**
+     * Whether any line of an expense is in one of the categories
+     */
+    expenseInCategories(expense, categoryIds) {
+        return this.getExpenseLines(expense).some(line => categoryIds.includes(line.category));
+    }
+
     /**
      * Initialize chart
      */
@@ -647,8 +1609,13 @@ class ExpenseManager {
     updateChart() {
         if (!this.chart) return;
 
-        const categorySpending = this.calculateCategorySpending();
-        const categories = this.categories.filter(cat => categorySpending[cat.id] > 0);
+        // The doughnut rolls sub-categories up into their parent
+        const categorySpending = {};
+        Object.entries(this.calculateCategorySpending()).forEach(([id, amount]) => {
+            const rootId = this.getRootCategoryId(id);
+            categorySpending[rootId] = (categorySpending[rootId] || 0) + amount;
+        });
+        const categories = this.getTopLevelCategories().filter(cat => categorySpending[cat.id] > 0);
         
         if (categories.length === 0) {
             this.chart.data.labels = ['No expenses'];
@@ -675,13 +1642,14 @@ class ExpenseManager {
                     expense.description.toLowerCase().includes(searchTerm) ||
                     expense.notes?.toLowerCase().includes(searchTerm) ||
                     expense.location?.toLowerCase().includes(searchTerm) ||
-                    expense.tags?.some(tag => tag.toLowerCase().includes(searchTerm));
+                    expense.tags?.some(tag => tag.toLowerCase().includes(searchTerm)) ||
+                    expense.splits?.some(line => line.tags?.some(tag => tag.toLowerCase().includes(searchTerm)));
                 
                 if (!matchesSearch) return false;
             }
 
             // Category filter
-            if (this.currentFilters.category && expense.category !== this.currentFilters.category) {
+            if (this.currentFilters.category && !this.expenseInCategories(expense, this.getCategoryFamily(this.currentFilters.category))) {
                 return false;
             }
 
@@ -730,18 +1698,57 @@ class ExpenseManager {
     /**
      * Format currency
      */
-    formatCurrency(amount, currency = 'USD') {
+    formatCurrency(amount, currency = null, date = null) {
+        const currencyManager = window.plannerApp?.getComponent('currency');
+        const homeCurrency = currencyManager?.homeCurrency || 'USD';
+        const original = this.formatMoney(amount, currency || homeCurrency);
+
+        // Foreign amounts also show their value in the home currency
+        if (!currency || currency === homeCurrency || !currencyManager) return original;
+
+        const converted = currencyManager.convert(amount, currency, date);
+        return converted === null ? original : `${original} (≈ ${this.formatMoney(converted, homeCurrency)})`;
+    }
+
+    /**
+     * Format an amount in one currency
+     */
+    formatMoney(amount, currency) {
         try {
             return new Intl.NumberFormat('en-US', {
                 style: 'currency',
-                currency: currency,
-                minimumFractionDigits: 2
+                currency: currency
             }).format(amount);
         } catch (error) {
-            return `$${amount.toFixed(2)}`;
+            return `${amount.toFixed(2)} ${currency}`;
         }
     }
 
+    /**
+     * An expense's amount in the home currency for totals. Without a rate it counts as 0 rather
+     * than mixing currencies; getUnconvertedCurrencies lists what was left out.
+     */
+    getHomeAmount(expense) {
+        const amount = parseFloat(expense.amount) || 0;
+        const currencyManager = window.plannerApp?.getComponent('currency');
+        if (!currencyManager) return amount;
+
+        const converted = currencyManager.convert(amount, expense.currency, expense.date);
+        return converted === null ? 0 : converted;
+    }
+
+    /**
+     * Currencies used by expenses (all of them by default) that have no rate into the home currency
+     */
+    getUnconvertedCurrencies(expenses = this.expenses) {
+        const currencyManager = window.plannerApp?.getComponent('currency');
+        if (!currencyManager) return [];
+
+        return [...new Set(expenses
+            .filter(expense => currencyManager.convert(expense.amount, expense.currency, expense.date) === null)
+            .map(expense => expense.currency))];
+    }
+
     /**
      * Format date
      */
@@ -803,6 +1810,38 @@ class ExpenseManager {
         this.expenses = filteredExpenses;
     }
 
+    saveCategoryToLocalStorage(category) {
+        const categories = this.getCategoriesFromLocalStorage();
+        const index = categories.findIndex(c => c.id === category.id);
+        
+        if (index >= 0) {
+            categories[index] = category;
+        } else {
+            categories.push(category);
+        }
+        
+        localStorage.setItem('planner_expense_categories', JSON.stringify(categories));
+    }
+
+    deleteCategoryFromLocalStorage(id) {
+        const categories = this.getCategoriesFromLocalStorage();
+        const deleted = categories.find(c => c.id === id);
+        const remaining = categories
+            .filter(c => c.id !== id)
+            .map(c => c.parentId === id ? { ...c, parentId: deleted?.parentId || null } : c);
+        localStorage.setItem('planner_expense_categories', JSON.stringify(remaining));
+    }
+
+    getCategoriesFromLocalStorage() {
+        try {
+            const stored = localStorage.getItem('planner_expense_categories');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Failed to parse expense categories from localStorage:', error);
+            return [];
+        }
+    }
+
     getExpensesFromLocalStorage() {
         try {
             const stored = localStorage.getItem('planner_expenses');
@@ -824,10 +1863,48 @@ class ExpenseManager {
         };
     }
 
+    /**
+     * Download expenses as an OFX or QIF statement for finance tools
+     */
+    exportStatement(format) {
+        try {
+            const currencyManager = window.plannerApp?.getComponent('currency');
+            const homeCurrency = currencyManager?.homeCurrency || 'USD';
+            const getRate = currencyManager ? expense => currencyManager.getRate(expense.currency, homeCurrency, expense.date) : null;
+            const statement = format === 'ofx'
+                ? StatementFormats.toOFX(this.expenses, { currency: homeCurrency, getRate })
+                : StatementFormats.toQIF(this.expenses, { categories: this.categories, currency: homeCurrency, getRate });
+
+            const blob = new Blob([statement], { type: format === 'ofx' ? 'application/x-ofx' : 'application/qif' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `plannerpro-expenses-${new Date().toISOString().split('T')[0]}.${format}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            NotificationManager.show('Export Successful', `${this.expenses.length} expenses exported as ${format.toUpperCase()}`, 'success');
+
+        } catch (error) {
+            console.error('❌ Failed to export expenses:', error);
+            NotificationManager.show('Export Failed', 'Failed to export expenses', 'error');
+        }
+    }
+
     /**
      * Import expenses data
      */
     async importExpenses(data) {
+        if (data.categories && Array.isArray(data.categories)) {
+            for (const category of data.categories) {
+                await this.saveCategory({ ...category, parentId: category.parentId || null });
+            }
+            await this.refreshCategories();
+        }
+
         if (data.expenses && Array.isArray(data.expenses)) {
             for (const expense of data.expenses) {
                 if (window.storageManager) {
@@ -859,14 +1936,10 @@ class ExpenseManager {
             
             this.triggerExpenseUpdate();
             
-            if (window.notificationManager) {
-                window.notificationManager.show('All expenses cleared successfully!', 'success');
-            }
+            NotificationManager.show('Expenses Cleared', 'All expenses cleared successfully', 'success');
         } catch (error) {
             console.error('❌ Failed to clear expenses:', error);
-            if (window.notificationManager) {
-                window.notificationManager.show('Failed to clear expenses', 'error');
-            }
+            NotificationManager.show('Clear Failed', 'Failed to clear expenses. Please try again.', 'error');
         }
     }
 
@@ -874,7 +1947,7 @@ class ExpenseManager {
      * Get expense statistics
      */
     getExpenseStatistics() {
-        const total = this.expenses.reduce((sum, expense) => sum + expense.amount, 0);
+        const total = this.expenses.reduce((sum, expense) => sum + this.getHomeAmount(expense), 0);
         const categorySpending = this.calculateCategorySpending();
         const mostExpensiveCategory = Object.entries(categorySpending)
             .sort(([,a], [,b]) => b - a)[0];
@@ -895,7 +1968,8 @@ class ExpenseManager {
      * Refresh expenses
      */
     refresh() {
-        this.loadExpenses().then(() => {
+        this.loadExpenses().then(async () => {
+            await this.materializeRecurringExpenses();
             this.updateDisplay();
         });
     }
@@ -16,7 +16,7 @@ class FilterManager {
             },
             tags: []
         };
-        this.sortBy = 'dueDate';
+        this.sortBy = 'manual';
         this.sortOrder = 'asc';
         this.tasks = [];
         this.filteredTasks = [];
@@ -86,6 +86,10 @@ class FilterManager {
             if (this.storage) {
                 const savedFilters = await this.storage.getSetting('filters', {});
                 this.filters = { ...this.filters, ...savedFilters };
+
+                const savedSort = await this.storage.getSetting('taskSort', {});
+                this.sortBy = savedSort.sortBy || this.sortBy;
+                this.sortOrder = savedSort.sortOrder || this.sortOrder;
                 this.populateFilterControls();
             }
         } catch (error) {
@@ -145,6 +149,14 @@ class FilterManager {
                 });
             }
 
+            const sortSelect = document.getElementById('sort-select');
+            if (sortSelect) {
+                sortSelect.addEventListener('change', (e) => {
+                    const [sortBy, sortOrder] = e.target.value.split(':');
+                    this.setSortBy(sortBy, sortOrder);
+                });
+            }
+
             // Add clear filters button functionality
             this.addClearFiltersButton();
 
@@ -320,6 +332,8 @@ class FilterManager {
                     return tasks.filter(task => task.status === 'completed');
                 case 'pending':
                     return tasks.filter(task => task.status !== 'completed');
+                case 'blocked':
+                    return tasks.filter(task => TaskDependencies.isBlocked(task, this.tasks));
                 case 'overdue':
                     const today = new Date().toISOString().split('T')[0];
                     return tasks.filter(task => 
@@ -379,6 +393,14 @@ class FilterManager {
      */
     sortTasks(tasks) {
         try {
+            // Manual order is the task list's drag order, shared with TaskManager
+            if (this.sortBy === 'manual') {
+                const taskManager = window.plannerApp?.getComponent('tasks');
+                if (taskManager) {
+                    return taskManager.sortTasks(tasks);
+                }
+            }
+
             return [...tasks].sort((a, b) => {
                 let aValue, bValue;
                 
@@ -404,6 +426,10 @@ class FilterManager {
                         aValue = a.status === 'completed' ? 1 : 0;
                         bValue = b.status === 'completed' ? 1 : 0;
                         break;
+                    case 'manual':
+                        aValue = Number.isFinite(a.position) ? a.position : Number.NEGATIVE_INFINITY;
+                        bValue = Number.isFinite(b.position) ? b.position : Number.NEGATIVE_INFINITY;
+                        break;
                     default:
                         aValue = a.createdAt;
                         bValue = b.createdAt;
@@ -427,6 +453,10 @@ class FilterManager {
             this.sortBy = sortBy;
             this.sortOrder = sortOrder;
             this.applyFilters();
+
+            if (this.storage) {
+                this.storage.setSetting('taskSort', { sortBy, sortOrder });
+            }
             
             console.log(`✅ Sort set to: ${sortBy} ${sortOrder}`);
         } catch (error) {
@@ -525,6 +555,12 @@ class FilterManager {
                 categoryFilter.value = this.filters.category || '';
             }
             
+            // Sort select
+            const sortSelect = document.getElementById('sort-select');
+            if (sortSelect) {
+                sortSelect.value = this.sortBy === 'manual' ? 'manual:asc' : `${this.sortBy}:${this.sortOrder}`;
+            }
+            
         } catch (error) {
             console.error('❌ Failed to populate filter controls:', error);
         }
@@ -665,7 +701,7 @@ class FilterManager {
                          onclick="filterManager.setFilter('category', '${isActive ? '' : category}')">
                         <div class="category-name">
                             <div class="category-color" style="background-color: ${this.getCategoryColor(category)}"></div>
-                            <span>${category.charAt(0).toUpperCase() + category.slice(1)}</span>
+                            <span>${this.escapeHtml(this.getCategoryName(category))}</span>
                         </div>
                         <span class="category-count">${count}</span>
                     </div>
@@ -683,15 +719,26 @@ class FilterManager {
      * Get color for category
      */
     getCategoryColor(category) {
-        const colors = {
-            work: '#4F46E5',
-            personal: '#10B981',
-            health: '#F59E0B',
-            education: '#7C3AED',
-            shopping: '#EC4899',
-            uncategorized: '#6B7280'
-        };
-        return colors[category] || colors.uncategorized;
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        return taskManager ? taskManager.getCategoryColor(category) : '#6B7280';
+    }
+
+    /**
+     * Get display name for category
+     */
+    getCategoryName(category) {
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        if (taskManager) return taskManager.getCategoryName(category);
+        return category.charAt(0).toUpperCase() + category.slice(1);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
@@ -0,0 +1,165 @@
+/**
+ * History Manager - Application-wide undo/redo for task and expense changes
+ * Components record commands with undo/redo functions; Ctrl+Z / Ctrl+Shift+Z replay them
+ */
+
+class HistoryManager {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxEntries = 50;
+        this.isBusy = false; // A command is being undone or redone
+
+        // Bind methods
+        this.undo = this.undo.bind(this);
+        this.redo = this.redo.bind(this);
+    }
+
+    /**
+     * Initialize history manager
+     */
+    async init() {
+        console.log('✅ HistoryManager initialized');
+    }
+
+    /**
+     * Record a command: { label, undo: async () => {}, redo: async () => {} }
+     */
+    record(command) {
+        try {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.maxEntries) {
+                this.undoStack.shift();
+            }
+
+            // A new change forks history; the undone branch can't be redone
+            this.redoStack = [];
+            return command;
+
+        } catch (error) {
+            console.error('❌ Failed to record history:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Undo the most recent command
+     */
+    async undo() {
+        return this.replay(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Redo the most recently undone command
+     */
+    async redo() {
+        return this.replay(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * Undo a specific command from its toast, as long as nothing newer is in the way
+     */
+    async undoCommand(command) {
+        if (this.undoStack[this.undoStack.length - 1] !== command) {
+            const reason = this.undoStack.includes(command) ? 'Undo the newer changes first' : 'This change was already undone';
+            NotificationManager.show('Cannot Undo', reason, 'warning');
+            return false;
+        }
+
+        return this.undo();
+    }
+
+    /**
+     * Pop a command from one stack, run it and move it to the other
+     */
+    async replay(fromStack, toStack, direction) {
+        if (this.isBusy || fromStack.length === 0) return false;
+
+        const command = fromStack.pop();
+        this.isBusy = true;
+
+        try {
+            await command[direction]();
+            toStack.push(command);
+
+            const isUndo = direction === 'undo';
+            NotificationManager.show(isUndo ? 'Undone' : 'Redone', command.label, 'info', {
+                actions: [{
+                    id: direction,
+                    label: isUndo ? 'Redo' : 'Undo',
+                    handler: isUndo ? this.redo : this.undo
+                }]
+            });
+
+            console.log(`✅ ${isUndo ? 'Undid' : 'Redid'}: ${command.label}`);
+            return true;
+
+        } catch (error) {
+            console.error(`❌ Failed to ${direction}:`, error);
+            fromStack.push(command);
+            NotificationManager.show(direction === 'undo' ? 'Undo Failed' : 'Redo Failed', command.label, 'error');
+            return false;
+
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * Check whether there is anything to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is anything to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Deep copy a record so later edits don't leak into a snapshot
+     */
+    static snapshot(record) {
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+}
+
+// History Manager static methods for components that may run before the app registers it
+HistoryManager.record = function(command) {
+    const history = window.plannerApp?.getComponent('history');
+    return history ? history.record(command) : null;
+};
+
+// Toast options with an Undo button for a recorded command
+HistoryManager.undoOptions = function(command) {
+    if (!command) return {};
+
+    return {
+        actions: [{
+            id: 'undo',
+            label: 'Undo',
+            handler: () => window.plannerApp?.getComponent('history')?.undoCommand(command)
+        }]
+    };
+};
+
+// Make HistoryManager globally available
+if (typeof window !== 'undefined') {
+    window.HistoryManager = HistoryManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+}
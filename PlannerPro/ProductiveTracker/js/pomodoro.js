@@ -0,0 +1,500 @@
+/**
+ * Pomodoro Manager - Focus/break cycles attached to a task
+ * Completed focus sessions are logged as time entries on the task, so they add to its timeSpent
+ */
+
+class PomodoroManager {
+    constructor() {
+        this.storage = null;
+        this.tasks = [];
+        this.settings = {
+            workMinutes: 25,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            longBreakEvery: 4 // Focus sessions per long break
+        };
+        this.state = this.getIdleState();
+        this.tickInterval = null;
+        this.phaseLabels = {
+            work: 'Focus',
+            shortBreak: 'Short Break',
+            longBreak: 'Long Break'
+        };
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * Initialize pomodoro manager
+     */
+    async init() {
+        try {
+            // Get storage instance
+            this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
+
+            // Load tasks, settings and any session left running before a reload
+            this.tasks = await this.storage.getAllTasks();
+            await this.loadSettings();
+            await this.loadState();
+
+            // Setup event listeners
+            this.setupEventListeners();
+            this.setupTaskUpdateListener();
+
+            this.populateTaskOptions();
+            this.render();
+
+            if (this.state.status === 'running') {
+                this.startTicking();
+            }
+
+            console.log('✅ PomodoroManager initialized');
+
+        } catch (error) {
+            console.error('❌ PomodoroManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the state of a fresh cycle
+     */
+    getIdleState() {
+        return {
+            taskId: null,
+            phase: 'work',
+            status: 'idle', // idle | running | paused
+            endsAt: null,
+            remaining: null,
+            completedCycles: 0
+        };
+    }
+
+    /**
+     * Load pomodoro settings
+     */
+    async loadSettings() {
+        try {
+            const savedSettings = await this.storage.getSetting('pomodoro', {});
+            this.settings = this.normalizeSettings({ ...this.settings, ...savedSettings });
+        } catch (error) {
+            console.error('❌ Failed to load pomodoro settings:', error);
+        }
+    }
+
+    /**
+     * Keep lengths and the long break interval positive whole numbers
+     */
+    normalizeSettings(settings) {
+        const normalized = {};
+        Object.keys(this.settings).forEach(key => {
+            const value = parseInt(settings[key], 10);
+            normalized[key] = value > 0 ? value : this.settings[key];
+        });
+        return normalized;
+    }
+
+    /**
+     * Update and save pomodoro settings
+     */
+    async updateSettings(changes) {
+        try {
+            this.settings = this.normalizeSettings({ ...this.settings, ...changes });
+            await this.storage.setSetting('pomodoro', this.settings);
+
+            // A waiting phase picks up its new length straight away
+            if (this.state.status === 'idle') {
+                this.state.remaining = null;
+                await this.saveState();
+            }
+
+            this.render();
+            console.log('✅ Pomodoro settings saved');
+
+        } catch (error) {
+            console.error('❌ Failed to save pomodoro settings:', error);
+        }
+    }
+
+    /**
+     * Load the current session so it survives a reload
+     */
+    async loadState() {
+        try {
+            const savedState = await this.storage.getSetting('pomodoroState', null);
+            this.state = { ...this.getIdleState(), ...savedState };
+        } catch (error) {
+            console.error('❌ Failed to load pomodoro state:', error);
+        }
+    }
+
+    /**
+     * Save the current session
+     */
+    async saveState() {
+        try {
+            await this.storage.setSetting('pomodoroState', this.state);
+        } catch (error) {
+            console.error('❌ Failed to save pomodoro state:', error);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        try {
+            document.getElementById('pomodoro-start')?.addEventListener('click', () => {
+                if (this.state.status === 'running') {
+                    this.pause();
+                } else {
+                    this.start();
+                }
+            });
+
+            document.getElementById('pomodoro-skip')?.addEventListener('click', () => this.skip());
+            document.getElementById('pomodoro-reset')?.addEventListener('click', () => this.reset());
+
+            document.getElementById('pomodoro-task')?.addEventListener('change', (e) => {
+                this.state.taskId = e.target.value || null;
+                this.saveState();
+            });
+
+        } catch (error) {
+            console.error('❌ Failed to setup pomodoro event listeners:', error);
+        }
+    }
+
+    /**
+     * Setup task update listener
+     */
+    setupTaskUpdateListener() {
+        try {
+            document.addEventListener('tasksUpdated', (e) => {
+                this.tasks = e.detail.tasks || [];
+                this.populateTaskOptions();
+                this.renderTodayCount();
+            });
+        } catch (error) {
+            console.error('❌ Failed to setup task update listener:', error);
+        }
+    }
+
+    /**
+     * Fill the task picker with open tasks
+     */
+    populateTaskOptions() {
+        try {
+            const select = document.getElementById('pomodoro-task');
+            if (!select) return;
+
+            const openTasks = this.tasks.filter(task => task.status !== 'completed' || task.id === this.state.taskId);
+            select.innerHTML = '<option value="">Choose a task...</option>' + openTasks
+                .map(task => `<option value="${task.id}">${this.escapeHtml(task.title)}</option>`)
+                .join('');
+            select.value = this.state.taskId || '';
+
+        } catch (error) {
+            console.error('❌ Failed to populate pomodoro tasks:', error);
+        }
+    }
+
+    /**
+     * Start or resume the current phase
+     */
+    async start() {
+        try {
+            const taskId = this.state.taskId || document.getElementById('pomodoro-task')?.value;
+            if (!taskId) {
+                NotificationManager.show('Pick a Task', 'Choose a task to focus on first', 'warning');
+                return;
+            }
+
+            // Don't count the same minutes twice on the task timer
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            if (this.state.phase === 'work' && taskManager?.activeTimer?.status === 'running') {
+                await taskManager.pauseTimer();
+            }
+
+            const remaining = this.state.remaining || this.getPhaseLength(this.state.phase);
+            this.state = {
+                ...this.state,
+                taskId,
+                status: 'running',
+                endsAt: Date.now() + remaining,
+                remaining: null
+            };
+
+            await this.saveState();
+            this.startTicking();
+            this.render();
+
+        } catch (error) {
+            console.error('❌ Failed to start pomodoro:', error);
+        }
+    }
+
+    /**
+     * Pause the current phase
+     */
+    async pause() {
+        try {
+            if (this.state.status !== 'running') return;
+
+            this.state = {
+                ...this.state,
+                status: 'paused',
+                remaining: Math.max(this.state.endsAt - Date.now(), 0),
+                endsAt: null
+            };
+
+            this.stopTicking();
+            await this.saveState();
+            this.render();
+
+        } catch (error) {
+            console.error('❌ Failed to pause pomodoro:', error);
+        }
+    }
+
+    /**
+     * Skip to the next phase without logging the current one
+     */
+    async skip() {
+        try {
+            this.stopTicking();
+            await this.advancePhase();
+        } catch (error) {
+            console.error('❌ Failed to skip pomodoro phase:', error);
+        }
+    }
+
+    /**
+     * Reset the cycle, keeping the selected task
+     */
+    async reset() {
+        try {
+            this.stopTicking();
+            this.state = { ...this.getIdleState(), taskId: this.state.taskId };
+            await this.saveState();
+            this.render();
+        } catch (error) {
+            console.error('❌ Failed to reset pomodoro:', error);
+        }
+    }
+
+    /**
+     * Start the countdown clock
+     */
+    startTicking() {
+        this.stopTicking();
+        this.tickInterval = setInterval(this.tick, 1000);
+    }
+
+    /**
+     * Stop the countdown clock
+     */
+    stopTicking() {
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+    }
+
+    /**
+     * Update the clock and finish the phase once its time is up
+     */
+    async tick() {
+        try {
+            // Wait for the app so a finished session can be logged on its task
+            if (!window.plannerApp?.isInitialized) return;
+
+            if (this.state.status === 'running' && Date.now() >= this.state.endsAt) {
+                this.stopTicking();
+                await this.completePhase();
+            } else {
+                this.renderClock();
+            }
+
+        } catch (error) {
+            console.error('❌ Pomodoro tick failed:', error);
+        }
+    }
+
+    /**
+     * Finish the current phase, logging focus sessions and announcing what comes next
+     */
+    async completePhase() {
+        try {
+            const finishedPhase = this.state.phase;
+
+            if (finishedPhase === 'work') {
+                this.state.completedCycles++;
+                await this.logPomodoro(this.state.taskId, this.state.endsAt);
+            }
+
+            await this.advancePhase();
+
+            const nextLabel = this.phaseLabels[this.state.phase].toLowerCase();
+            const message = finishedPhase === 'work'
+                ? `Focus session done. Time for a ${nextLabel} (${this.getPhaseLength(this.state.phase) / 60000} min).`
+                : 'Break is over. Ready for the next focus session?';
+
+            NotificationManager.show('Pomodoro', message, 'success', { browserNotification: true });
+
+        } catch (error) {
+            console.error('❌ Failed to complete pomodoro phase:', error);
+        }
+    }
+
+    /**
+     * Move to the next phase: focus alternates with breaks, with a long break every N sessions
+     */
+    async advancePhase() {
+        let nextPhase = 'work';
+        if (this.state.phase === 'work') {
+            const isLongBreak = this.state.completedCycles > 0 &&
+                this.state.completedCycles % this.settings.longBreakEvery === 0;
+            nextPhase = isLongBreak ? 'longBreak' : 'shortBreak';
+        }
+
+        this.state = {
+            ...this.state,
+            phase: nextPhase,
+            status: 'idle',
+            endsAt: null,
+            remaining: null
+        };
+
+        await this.saveState();
+        this.render();
+    }
+
+    /**
+     * Log a finished focus session as a time entry on its task
+     */
+    async logPomodoro(taskId, endedAt) {
+        try {
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            if (!taskManager || !taskId) return;
+
+            await taskManager.addTimeEntry(taskId, {
+                start: new Date(endedAt - this.getPhaseLength('work')).toISOString(),
+                end: new Date(endedAt).toISOString(),
+                source: 'pomodoro'
+            });
+
+            console.log(`✅ Pomodoro logged on task ${taskId}`);
+
+        } catch (error) {
+            console.error('❌ Failed to log pomodoro:', error);
+        }
+    }
+
+    /**
+     * Get a phase's length in milliseconds
+     */
+    getPhaseLength(phase) {
+        const minutes = {
+            work: this.settings.workMinutes,
+            shortBreak: this.settings.shortBreakMinutes,
+            longBreak: this.settings.longBreakMinutes
+        };
+        return minutes[phase] * 60000;
+    }
+
+    /**
+     * Get the time left in the current phase in milliseconds
+     */
+    getRemainingTime() {
+        if (this.state.status === 'running') {
+            return Math.max(this.state.endsAt - Date.now(), 0);
+        }
+        return this.state.remaining || this.getPhaseLength(this.state.phase);
+    }
+
+    /**
+     * Count pomodoros finished on a given day (YYYY-MM-DD) across all tasks
+     */
+    getPomodoroCountForDate(dateString) {
+        return this.tasks.reduce((total, task) => total + (task.timeEntries || []).filter(entry =>
+            entry.source === 'pomodoro' && entry.end && entry.end.split('T')[0] === dateString
+        ).length, 0);
+    }
+
+    /**
+     * Render the pomodoro panel
+     */
+    render() {
+        try {
+            const panel = document.getElementById('pomodoro-panel');
+            if (!panel) return;
+
+            panel.dataset.phase = this.state.phase;
+            panel.classList.toggle('running', this.state.status === 'running');
+
+            document.getElementById('pomodoro-phase').textContent = this.phaseLabels[this.state.phase];
+
+            const startBtn = document.getElementById('pomodoro-start');
+            startBtn.textContent = this.state.status === 'running' ? 'Pause'
+                : this.state.status === 'paused' ? 'Resume' : 'Start';
+
+            // The task can only change between focus sessions
+            const taskSelect = document.getElementById('pomodoro-task');
+            taskSelect.disabled = this.state.phase === 'work' && this.state.status !== 'idle';
+
+            const sessionsUntilLongBreak = this.settings.longBreakEvery - (this.state.completedCycles % this.settings.longBreakEvery);
+            document.getElementById('pomodoro-cycles').textContent =
+                `${sessionsUntilLongBreak} session${sessionsUntilLongBreak !== 1 ? 's' : ''} until long break`;
+
+            this.renderClock();
+            this.renderTodayCount();
+
+        } catch (error) {
+            console.error('❌ Failed to render pomodoro panel:', error);
+        }
+    }
+
+    /**
+     * Render the countdown clock as "MM:SS"
+     */
+    renderClock() {
+        const clock = document.getElementById('pomodoro-clock');
+        if (!clock) return;
+
+        const totalSeconds = Math.ceil(this.getRemainingTime() / 1000);
+        const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        clock.textContent = `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Render how many pomodoros were finished today
+     */
+    renderTodayCount() {
+        const todayCount = document.getElementById('pomodoro-today');
+        if (!todayCount) return;
+
+        const count = this.getPomodoroCountForDate(new Date().toISOString().split('T')[0]);
+        todayCount.textContent = `Today: ${count} pomodoro${count !== 1 ? 's' : ''}`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Make PomodoroManager globally available
+if (typeof window !== 'undefined') {
+    window.PomodoroManager = PomodoroManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PomodoroManager;
+}
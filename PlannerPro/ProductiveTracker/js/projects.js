@@ -0,0 +1,780 @@
+/**
+ * Project Manager - Projects that group tasks and expenses
+ * Shows every project's task progress and spend, with a page per project
+ */
+
+class ProjectManager {
+    constructor() {
+        this.storage = null;
+        this.projects = [];
+        this.statuses = [
+            { id: 'active', name: 'Active' },
+            { id: 'on-hold', name: 'On Hold' },
+            { id: 'completed', name: 'Completed' },
+            { id: 'archived', name: 'Archived' }
+        ];
+        this.defaultColor = '#4F46E5';
+        this.currentProjectId = null; // Project whose page is open
+        this.editingProjectId = null;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.render = this.render.bind(this);
+    }
+
+    /**
+     * Initialize project manager
+     */
+    async init() {
+        try {
+            // Get storage instance
+            this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
+
+            await this.loadProjects();
+
+            // Setup event listeners
+            this.setupEventListeners();
+            this.setupDataUpdateListeners();
+
+            this.render();
+
+            console.log('✅ ProjectManager initialized');
+
+        } catch (error) {
+            console.error('❌ ProjectManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load projects from storage
+     */
+    async loadProjects() {
+        try {
+            const projects = await this.storage.getAllProjects();
+            this.projects = projects.map(project => this.normalizeProject(project));
+        } catch (error) {
+            console.error('❌ Failed to load projects:', error);
+            this.projects = [];
+        }
+    }
+
+    /**
+     * Normalize project object to ensure all required properties exist
+     */
+    normalizeProject(project) {
+        return {
+            id: project.id || this.generateProjectId(),
+            name: project.name || '',
+            color: project.color || this.defaultColor,
+            description: project.description || '',
+            status: this.statuses.some(status => status.id === project.status) ? project.status : 'active',
+            deadline: project.deadline || null,
+            createdAt: project.createdAt || new Date().toISOString(),
+            updatedAt: project.updatedAt || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Generate unique project ID
+     */
+    generateProjectId() {
+        return 'project_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        try {
+            document.getElementById('add-project-btn')?.addEventListener('click', () => this.openProjectModal());
+            document.getElementById('close-project-modal')?.addEventListener('click', () => this.closeProjectModal());
+            document.getElementById('cancel-project')?.addEventListener('click', () => this.closeProjectModal());
+            document.getElementById('project-form')?.addEventListener('submit', (e) => this.handleFormSubmit(e));
+
+            const modalOverlay = document.getElementById('project-modal-overlay');
+            modalOverlay?.addEventListener('click', (e) => {
+                if (e.target === modalOverlay) {
+                    this.closeProjectModal();
+                }
+            });
+
+            console.log('✅ Project event listeners setup');
+
+        } catch (error) {
+            console.error('❌ Failed to setup project event listeners:', error);
+        }
+    }
+
+    /**
+     * Redraw progress and spend when tasks or expenses change
+     */
+    setupDataUpdateListeners() {
+        try {
+            document.addEventListener('tasksUpdated', () => this.render());
+            document.addEventListener('expenseUpdated', () => this.render());
+        } catch (error) {
+            console.error('❌ Failed to setup project update listeners:', error);
+        }
+    }
+
+    /**
+     * Refresh projects view
+     */
+    refresh() {
+        this.render();
+    }
+
+    /**
+     * Get project by ID
+     */
+    getProjectById(projectId) {
+        return this.projects.find(project => project.id === projectId);
+    }
+
+    /**
+     * Get the tasks assigned to a project
+     */
+    getProjectTasks(projectId) {
+        const tasks = window.plannerApp?.getComponent('tasks')?.getAllTasks() || [];
+        return tasks.filter(task => task.projectId === projectId);
+    }
+
+    /**
+     * Get the expenses assigned to a project
+     */
+    getProjectExpenses(projectId) {
+        const expenses = window.plannerApp?.getComponent('expenses')?.expenses || [];
+        return expenses.filter(expense => expense.projectId === projectId);
+    }
+
+    /**
+     * Task progress and spend in the home currency for a project
+     */
+    getProjectStats(projectId) {
+        const tasks = this.getProjectTasks(projectId);
+        const completed = tasks.filter(task => task.status === 'completed').length;
+        const expenses = this.getProjectExpenses(projectId);
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+
+        return {
+            totalTasks: tasks.length,
+            completedTasks: completed,
+            progress: tasks.length > 0 ? Math.round((completed / tasks.length) * 100) : 0,
+            expenseCount: expenses.length,
+            spent: expenses.reduce((total, expense) => total + (expenseManager ? expenseManager.getHomeAmount(expense) : parseFloat(expense.amount) || 0), 0),
+            unconverted: expenseManager ? expenseManager.getUnconvertedCurrencies(expenses) : []
+        };
+    }
+
+    /**
+     * Fill a project dropdown, keeping an archived project that is already selected
+     */
+    populateProjectSelect(select, selectedId = '') {
+        if (!select) return;
+
+        const options = this.projects
+            .filter(project => project.status !== 'archived' || project.id === selectedId)
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        select.innerHTML = `
+            <option value="">No project</option>
+            ${options.map(project => `<option value="${project.id}">${this.escapeHtml(project.name)}</option>`).join('')}
+        `;
+        select.value = selectedId || '';
+    }
+
+    /**
+     * Open project modal for creating or editing
+     */
+    openProjectModal(projectId = null) {
+        try {
+            const modal = document.getElementById('project-modal-overlay');
+            const form = document.getElementById('project-form');
+            if (!modal || !form) return;
+
+            const project = projectId ? this.getProjectById(projectId) : null;
+            this.editingProjectId = project ? project.id : null;
+
+            form.reset();
+            document.getElementById('project-modal-title').textContent = project ? 'Edit Project' : 'New Project';
+            document.getElementById('project-name').value = project?.name || '';
+            document.getElementById('project-color').value = project?.color || this.defaultColor;
+            document.getElementById('project-description').value = project?.description || '';
+            document.getElementById('project-status').value = project?.status || 'active';
+            document.getElementById('project-deadline').value = project?.deadline || '';
+
+            modal.classList.add('active');
+            setTimeout(() => document.getElementById('project-name')?.focus(), 100);
+
+            // Animate modal appearance
+            if (typeof gsap !== 'undefined') {
+                gsap.fromTo(modal.querySelector('.modal'),
+                    { scale: 0.8, opacity: 0 },
+                    { scale: 1, opacity: 1, duration: 0.3, ease: "power2.out" }
+                );
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to open project modal:', error);
+        }
+    }
+
+    /**
+     * Close project modal
+     */
+    closeProjectModal() {
+        try {
+            const modal = document.getElementById('project-modal-overlay');
+            if (modal) {
+                // Animate modal disappearance
+                if (typeof gsap !== 'undefined') {
+                    gsap.to(modal.querySelector('.modal'), {
+                        scale: 0.8,
+                        opacity: 0,
+                        duration: 0.2,
+                        ease: "power2.in",
+                        onComplete: () => {
+                            modal.classList.remove('active');
+                        }
+                    });
+                } else {
+                    modal.classList.remove('active');
+                }
+            }
+
+            this.editingProjectId = null;
+        } catch (error) {
+            console.error('❌ Failed to close project modal:', error);
+        }
+    }
+
+    /**
+     * Handle project form submission
+     */
+    async handleFormSubmit(e) {
+        e.preventDefault();
+
+        try {
+            const formData = {
+                name: document.getElementById('project-name').value.trim(),
+                color: document.getElementById('project-color').value,
+                description: document.getElementById('project-description').value.trim(),
+                status: document.getElementById('project-status').value,
+                deadline: document.getElementById('project-deadline').value || null
+            };
+
+            if (!formData.name) {
+                NotificationManager.show('Validation Error', 'Project name is required', 'error');
+                return;
+            }
+
+            if (formData.name.length > 100) {
+                NotificationManager.show('Validation Error', 'Project name is too long (max 100 characters)', 'error');
+                return;
+            }
+
+            const previous = this.editingProjectId ? this.getProjectById(this.editingProjectId) : null;
+            const action = previous ? 'updated' : 'created';
+            const project = this.normalizeProject({
+                ...previous,
+                ...formData,
+                updatedAt: new Date().toISOString()
+            });
+
+            const saved = await this.adoptSavedProject(project, await this.storage.saveProject(project));
+
+            this.closeProjectModal();
+            this.render();
+
+            const command = this.recordProjectHistory(`Project "${saved.name}" ${action}`, previous, saved);
+            NotificationManager.show('Project Saved', `Project "${saved.name}" ${action}`, 'success', HistoryManager.undoOptions(command));
+
+            console.log(`✅ Project ${action}: ${saved.name}`);
+
+        } catch (error) {
+            console.error('❌ Failed to save project:', error);
+            NotificationManager.show('Save Failed', 'Failed to save project. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Take the project storage returned into the local list. A new project gets its id from the
+     * server, so the client id it was saved under is replaced, along with any task or expense using it.
+     */
+    async adoptSavedProject(project, saved) {
+        const adopted = this.normalizeProject(saved || project);
+
+        if (adopted.id !== project.id) {
+            this.projects = this.projects.filter(p => p.id !== project.id);
+            if (this.currentProjectId === project.id) {
+                this.currentProjectId = adopted.id;
+            }
+
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            const expenseManager = window.plannerApp?.getComponent('expenses');
+            const tasks = this.getProjectTasks(project.id);
+            const expenses = this.getProjectExpenses(project.id);
+
+            if (taskManager && tasks.length > 0) {
+                const moved = tasks.map(task => ({ ...HistoryManager.snapshot(task), projectId: adopted.id }));
+                await taskManager.restoreTaskSnapshots(moved.map(task => task.id), moved);
+            }
+            if (expenseManager && expenses.length > 0) {
+                const moved = expenses.map(expense => ({ ...HistoryManager.snapshot(expense), projectId: adopted.id }));
+                await expenseManager.restoreExpenseSnapshots(moved.map(expense => expense.id), moved);
+            }
+        }
+
+        this.upsertProject(adopted);
+        return adopted;
+    }
+
+    /**
+     * Put a project into the local list, replacing any copy with the same id
+     */
+    upsertProject(project) {
+        const index = this.projects.findIndex(p => p.id === project.id);
+        if (index >= 0) {
+            this.projects[index] = project;
+        } else {
+            this.projects.push(project);
+        }
+    }
+
+    /**
+     * Delete a project; its tasks and expenses stay, without a project
+     */
+    async deleteProject(projectId) {
+        try {
+            const project = this.getProjectById(projectId);
+            if (!project) return;
+
+            const tasks = this.getProjectTasks(projectId);
+            const expenses = this.getProjectExpenses(projectId);
+            const itemCount = tasks.length + expenses.length;
+            const message = itemCount > 0
+                ? `Delete "${project.name}"? Its ${tasks.length} tasks and ${expenses.length} expenses will be kept without a project.`
+                : `Are you sure you want to delete "${project.name}"?`;
+            if (!confirm(message)) return;
+
+            const before = {
+                project: HistoryManager.snapshot(project),
+                tasks: tasks.map(task => HistoryManager.snapshot(task)),
+                expenses: expenses.map(expense => HistoryManager.snapshot(expense))
+            };
+
+            await this.removeProject(projectId, tasks, expenses);
+
+            // Restoring may give the project a new server id, which a redo then deletes
+            let currentId = projectId;
+            const label = `Project "${project.name}" deleted`;
+            const command = HistoryManager.record({
+                label,
+                undo: async () => { currentId = await this.restoreProject(before); },
+                redo: () => this.removeProject(currentId, this.getProjectTasks(currentId), this.getProjectExpenses(currentId))
+            });
+            NotificationManager.show('Project Deleted', label, 'info', HistoryManager.undoOptions(command));
+
+            console.log(`✅ Project deleted: ${project.name}`);
+
+        } catch (error) {
+            console.error('❌ Failed to delete project:', error);
+            NotificationManager.show('Delete Failed', 'Failed to delete project. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Unassign a project's tasks and expenses, then delete it
+     */
+    async removeProject(projectId, tasks, expenses) {
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        const now = new Date().toISOString();
+
+        if (taskManager && tasks.length > 0) {
+            const unassigned = tasks.map(task => ({ ...HistoryManager.snapshot(task), projectId: null, updatedAt: now }));
+            await taskManager.restoreTaskSnapshots(unassigned.map(task => task.id), unassigned);
+        }
+
+        if (expenseManager && expenses.length > 0) {
+            const unassigned = expenses.map(expense => ({ ...HistoryManager.snapshot(expense), projectId: null, updatedAt: now }));
+            await expenseManager.restoreExpenseSnapshots(unassigned.map(expense => expense.id), unassigned);
+        }
+
+        await this.storage.deleteProject(projectId);
+        this.projects = this.projects.filter(project => project.id !== projectId);
+
+        if (this.currentProjectId === projectId) {
+            this.currentProjectId = null;
+        }
+        this.render();
+    }
+
+    /**
+     * Bring back a deleted project along with its task and expense assignments; returns its id
+     */
+    async restoreProject({ project, tasks, expenses }) {
+        const restored = this.normalizeProject(HistoryManager.snapshot(project));
+        const saved = await this.adoptSavedProject(restored, await this.storage.saveProject(restored));
+        const reassign = items => items.map(item => ({ ...item, projectId: saved.id }));
+
+        if (tasks.length > 0) {
+            await window.plannerApp?.getComponent('tasks')?.restoreTaskSnapshots(tasks.map(task => task.id), reassign(tasks));
+        }
+        if (expenses.length > 0) {
+            await window.plannerApp?.getComponent('expenses')?.restoreExpenseSnapshots(expenses.map(expense => expense.id), reassign(expenses));
+        }
+
+        this.render();
+        return saved.id;
+    }
+
+    /**
+     * Record a project create or edit for undo
+     */
+    recordProjectHistory(label, beforeProject, afterProject) {
+        const before = HistoryManager.snapshot(beforeProject);
+        const after = HistoryManager.snapshot(afterProject);
+
+        // Re-creating an undone project gives it a new server id
+        let projectId = after.id;
+        return HistoryManager.record({
+            label,
+            undo: async () => { projectId = await this.restoreProjectSnapshot(projectId, before); },
+            redo: async () => { projectId = await this.restoreProjectSnapshot(projectId, after); }
+        });
+    }
+
+    /**
+     * Put a project back to a snapshot, or delete it when there is none; returns the project's id
+     */
+    async restoreProjectSnapshot(projectId, snapshot) {
+        if (snapshot) {
+            const project = this.normalizeProject({ ...HistoryManager.snapshot(snapshot), id: projectId });
+            projectId = (await this.adoptSavedProject(project, await this.storage.saveProject(project))).id;
+        } else {
+            await this.storage.deleteProject(projectId);
+            this.projects = this.projects.filter(project => project.id !== projectId);
+            if (this.currentProjectId === projectId) {
+                this.currentProjectId = null;
+            }
+        }
+
+        this.render();
+        return projectId;
+    }
+
+    /**
+     * Open a project's page
+     */
+    openProject(projectId) {
+        this.currentProjectId = projectId;
+        this.render();
+    }
+
+    /**
+     * Go back from a project's page to the list
+     */
+    closeProject() {
+        this.currentProjectId = null;
+        this.render();
+    }
+
+    /**
+     * Add a task to the open project through the task form
+     */
+    addTaskToProject(projectId) {
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        if (!taskManager) return;
+
+        taskManager.openTaskModal();
+        const select = document.getElementById('task-project');
+        if (select) select.value = projectId;
+    }
+
+    /**
+     * Add an expense to the open project through the expense form
+     */
+    addExpenseToProject(projectId) {
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        if (!expenseManager) return;
+
+        expenseManager.openExpenseModal();
+        const select = document.getElementById('expense-project');
+        if (select) select.value = projectId;
+    }
+
+    /**
+     * Render the project list, or the open project's page
+     */
+    render() {
+        try {
+            const container = document.getElementById('projects');
+            if (!container) return;
+
+            const project = this.currentProjectId ? this.getProjectById(this.currentProjectId) : null;
+            document.getElementById('projects-header').hidden = !!project;
+
+            if (project) {
+                container.innerHTML = this.createProjectPageHTML(project);
+                this.setupProjectPageListeners(container, project);
+            } else {
+                this.currentProjectId = null;
+                container.innerHTML = this.createProjectListHTML();
+                container.querySelectorAll('.project-card').forEach(card => {
+                    card.addEventListener('click', () => this.openProject(card.dataset.projectId));
+                });
+            }
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to render projects:', error);
+        }
+    }
+
+    /**
+     * Create HTML for the grid of project cards, archived projects last
+     */
+    createProjectListHTML() {
+        if (this.projects.length === 0) {
+            return `
+                <div class="empty-state">
+                    <i data-feather="briefcase"></i>
+                    <h3>No projects yet</h3>
+                    <p>Create a project to group related tasks and expenses</p>
+                </div>
+            `;
+        }
+
+        const statusOrder = this.statuses.map(status => status.id);
+        const projects = [...this.projects].sort((a, b) =>
+            statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) || a.name.localeCompare(b.name)
+        );
+
+        return `
+            <div class="project-grid">
+                ${projects.map(project => this.createProjectCardHTML(project)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a project card
+     */
+    createProjectCardHTML(project) {
+        const stats = this.getProjectStats(project.id);
+
+        return `
+            <div class="project-card ${project.status}" data-project-id="${project.id}" style="--project-color: ${project.color};">
+                <div class="project-card-header">
+                    <h3>${this.escapeHtml(project.name)}</h3>
+                    <span class="project-status ${project.status}">${this.getStatusName(project.status)}</span>
+                </div>
+                ${project.description ? `<p class="project-card-description">${this.escapeHtml(project.description)}</p>` : ''}
+                ${this.createProgressHTML(stats)}
+                <div class="project-card-meta">
+                    <span><i data-feather="credit-card"></i>${this.formatSpend(stats)}</span>
+                    ${project.deadline ? `
+                        <span class="${this.isOverdue(project) ? 'overdue' : ''}">
+                            <i data-feather="flag"></i>${this.formatDate(project.deadline)}
+                        </span>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a task progress bar
+     */
+    createProgressHTML(stats) {
+        return `
+            <div class="project-progress">
+                <div class="project-progress-bar">
+                    <div class="project-progress-fill" style="width: ${stats.progress}%;"></div>
+                </div>
+                <span class="project-progress-label">${stats.completedTasks}/${stats.totalTasks} tasks · ${stats.progress}%</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a project's page: details, progress, spend, tasks and expenses
+     */
+    createProjectPageHTML(project) {
+        const stats = this.getProjectStats(project.id);
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        const tasks = taskManager ? taskManager.sortTasks(this.getProjectTasks(project.id)) : this.getProjectTasks(project.id);
+        const expenses = this.getProjectExpenses(project.id).sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+        return `
+            <div class="project-page" style="--project-color: ${project.color};">
+                <div class="project-page-header">
+                    <button class="btn-icon" id="project-back" title="All projects">
+                        <i data-feather="arrow-left"></i>
+                    </button>
+                    <h2>${this.escapeHtml(project.name)}</h2>
+                    <span class="project-status ${project.status}">${this.getStatusName(project.status)}</span>
+                    <div class="project-page-actions">
+                        <button class="btn-secondary" id="project-edit">
+                            <i data-feather="edit-2"></i>
+                            Edit
+                        </button>
+                        <button class="btn-secondary" id="project-delete">
+                            <i data-feather="trash-2"></i>
+                            Delete
+                        </button>
+                    </div>
+                </div>
+
+                ${project.description ? `<p class="project-page-description">${this.escapeHtml(project.description)}</p>` : ''}
+
+                <div class="project-summary">
+                    <div class="project-summary-item">
+                        <span class="project-summary-label">Progress</span>
+                        ${this.createProgressHTML(stats)}
+                    </div>
+                    <div class="project-summary-item">
+                        <span class="project-summary-label">Total spend</span>
+                        <span class="project-summary-value">${this.formatSpend(stats)}</span>
+                        ${stats.unconverted.length > 0 ? `
+                            <p class="currency-notice">No exchange rate for ${this.escapeHtml(stats.unconverted.join(', '))}; those amounts are left out of the total.</p>
+                        ` : ''}
+                    </div>
+                    <div class="project-summary-item">
+                        <span class="project-summary-label">Deadline</span>
+                        <span class="project-summary-value ${this.isOverdue(project) ? 'overdue' : ''}">
+                            ${project.deadline ? this.formatDate(project.deadline) : 'None'}
+                        </span>
+                    </div>
+                </div>
+
+                <div class="project-sections">
+                    <section class="project-section">
+                        <div class="project-section-header">
+                            <h3>Tasks</h3>
+                            <button class="btn-secondary" id="project-add-task">
+                                <i data-feather="plus"></i>
+                                Add Task
+                            </button>
+                        </div>
+                        ${tasks.length > 0 ? `
+                            <ul class="project-item-list">
+                                ${tasks.map(task => `
+                                    <li class="project-task ${task.status === 'completed' ? 'completed' : ''}" data-task-id="${task.id}">
+                                        <div class="task-checkbox ${task.status === 'completed' ? 'completed' : ''}">
+                                            ${task.status === 'completed' ? '<i data-feather="check"></i>' : ''}
+                                        </div>
+                                        <span class="project-item-title">${this.escapeHtml(task.title)}</span>
+                                        <span class="project-item-meta">${taskManager ? this.escapeHtml(taskManager.formatTaskDate(task) || '') : ''}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : '<p class="project-section-empty">No tasks in this project yet</p>'}
+                    </section>
+
+                    <section class="project-section">
+                        <div class="project-section-header">
+                            <h3>Expenses</h3>
+                            <button class="btn-secondary" id="project-add-expense">
+                                <i data-feather="plus"></i>
+                                Add Expense
+                            </button>
+                        </div>
+                        ${expenses.length > 0 ? `
+                            <ul class="project-item-list">
+                                ${expenses.map(expense => `
+                                    <li class="project-expense" data-expense-id="${expense.id}">
+                                        <span class="project-item-title">${this.escapeHtml(expense.description)}</span>
+                                        <span class="project-item-meta">${expenseManager ? expenseManager.formatDate(expense.date) : expense.date}</span>
+                                        <span class="project-item-amount">${expenseManager ? expenseManager.formatCurrency(expense.amount, expense.currency, expense.date) : expense.amount}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : '<p class="project-section-empty">No expenses in this project yet</p>'}
+                    </section>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire the buttons and rows on a project's page
+     */
+    setupProjectPageListeners(container, project) {
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+
+        container.querySelector('#project-back')?.addEventListener('click', () => this.closeProject());
+        container.querySelector('#project-edit')?.addEventListener('click', () => this.openProjectModal(project.id));
+        container.querySelector('#project-delete')?.addEventListener('click', () => this.deleteProject(project.id));
+        container.querySelector('#project-add-task')?.addEventListener('click', () => this.addTaskToProject(project.id));
+        container.querySelector('#project-add-expense')?.addEventListener('click', () => this.addExpenseToProject(project.id));
+
+        container.querySelectorAll('.project-task').forEach(row => {
+            row.addEventListener('click', (e) => {
+                if (e.target.closest('.task-checkbox')) {
+                    taskManager?.completeTask(row.dataset.taskId);
+                } else {
+                    taskManager?.editTask(row.dataset.taskId);
+                }
+            });
+        });
+
+        container.querySelectorAll('.project-expense').forEach(row => {
+            row.addEventListener('click', () => {
+                expenseManager?.openExpenseModal(expenseManager.getExpenseById(row.dataset.expenseId));
+            });
+        });
+    }
+
+    getStatusName(statusId) {
+        return this.statuses.find(status => status.id === statusId)?.name || statusId;
+    }
+
+    /**
+     * Check whether an unfinished project is past its deadline
+     */
+    isOverdue(project) {
+        if (!project.deadline || ['completed', 'archived'].includes(project.status)) return false;
+        return project.deadline < new Date().toISOString().split('T')[0];
+    }
+
+    /**
+     * Format a project's total spend in the home currency
+     */
+    formatSpend(stats) {
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        if (stats.expenseCount === 0) return 'No spend';
+
+        return expenseManager ? expenseManager.formatCurrency(stats.spent) : stats.spent.toFixed(2);
+    }
+
+    formatDate(dateString) {
+        return new Date(`${dateString}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Make ProjectManager globally available
+if (typeof window !== 'undefined') {
+    window.ProjectManager = ProjectManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectManager;
+}
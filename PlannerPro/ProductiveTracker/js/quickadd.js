@@ -0,0 +1,253 @@
+/**
+ * Quick Add Parser - Turns one line of text into task fields
+ * e.g. "Submit report friday 3pm #work !high @finance every week"
+ */
+
+class QuickAddParser {
+    /**
+     * Parse quick-add text into task fields; unrecognised words stay in the title
+     */
+    static parse(text, options = {}) {
+        try {
+            const categories = options.categories || [];
+            const today = QuickAddParser.startOfDay(options.now || new Date());
+            const result = {
+                title: '',
+                dueDate: null,
+                dueTime: null,
+                category: null,
+                priority: null,
+                tags: [],
+                recurrence: null
+            };
+
+            // Each pattern removes what it recognises; a handler returning false keeps the text in the title
+            let rest = ` ${text || ''} `;
+            const take = (pattern, handler) => {
+                rest = rest.replace(pattern, (...match) => handler(...match) === false ? match[0] : ' ');
+            };
+
+            // #category, falling back to a tag for unknown categories
+            take(/\s#([\w-]+)(?=\s)/g, (match, name) => {
+                const category = name.toLowerCase();
+                if (categories.includes(category) && !result.category) {
+                    result.category = category;
+                } else if (!result.tags.includes(name)) {
+                    result.tags.push(name);
+                }
+            });
+
+            // @tag
+            take(/\s@([\w-]+)(?=\s)/g, (match, name) => {
+                if (!result.tags.includes(name)) result.tags.push(name);
+            });
+
+            // !priority
+            take(/\s!(high|medium|med|low|h|m|l|1|2|3)(?=\s)/gi, (match, level) => {
+                result.priority = QuickAddParser.priorityAliases[level.toLowerCase()];
+            });
+
+            // Repeat rule: "every 2 weeks", "every monday and thursday", "every weekday", "daily"
+            take(/\s(?:every\s+(?:(\d+)\s+)?(day|week|month|year)s?|every\s+(weekday)|every\s+((?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*(?:\s*,\s*|\s+and\s+|\s+)?)+)|(daily|weekly|monthly|yearly))(?=\s)/gi,
+                (match, interval, unit, weekday, weekdays, adverb) => {
+                    if (result.recurrence) return false;
+                    result.recurrence = QuickAddParser.parseRecurrence(interval, unit, weekday, weekdays, adverb);
+                    return result.recurrence ? undefined : false;
+                });
+
+            // Time: "3pm", "3:30pm", "15:00", "at 9", "noon"
+            take(/\s(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)(?=\s)|\s(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)(?=\s)|\sat\s+(\d{1,2})(?=\s)|\s(noon|midnight)(?=\s)/gi,
+                (match, hour12, minute12, meridiem, hour24, minute24, atHour, named) => {
+                    if (result.dueTime) return false;
+                    result.dueTime = QuickAddParser.parseTime(hour12, minute12, meridiem, hour24, minute24, atHour, named);
+                    return result.dueTime ? undefined : false;
+                });
+
+            // Date: "today", "tomorrow", "friday", "next week", "in 3 days", "jul 14", "2025-07-14"
+            take(/\s(?:on\s+)?(today|tonight|tomorrow|tmrw|next\s+(?:week|month)|in\s+\d+\s+(?:day|week|month)s?|(?:next\s+)?(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*|\d{4}-\d{2}-\d{2}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{1,2}|\d{1,2}\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*)(?=\s)/gi,
+                (match, phrase) => {
+                    if (result.dueDate) return false;
+                    const date = QuickAddParser.parseDate(phrase, today);
+                    if (!date) return false;
+                    result.dueDate = QuickAddParser.formatDate(date);
+                });
+
+            // Repeating tasks start on their first occurrence when no date was given
+            if (result.recurrence && !result.dueDate) {
+                result.dueDate = QuickAddParser.formatDate(QuickAddParser.getFirstOccurrence(result.recurrence, today));
+            }
+
+            result.title = rest.replace(/\s+/g, ' ').trim();
+            return result;
+
+        } catch (error) {
+            console.error('❌ Failed to parse quick add text:', error);
+            return { title: (text || '').trim(), dueDate: null, dueTime: null, category: null, priority: null, tags: [], recurrence: null };
+        }
+    }
+
+    /**
+     * Build a repeat rule from the matched recurrence phrase
+     */
+    static parseRecurrence(interval, unit, weekday, weekdays, adverb) {
+        const frequencies = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+        if (adverb) {
+            return RecurrenceRule.normalize({ freq: adverb.toLowerCase() });
+        }
+
+        if (unit) {
+            return RecurrenceRule.normalize({ freq: frequencies[unit.toLowerCase()], interval: interval || 1 });
+        }
+
+        if (weekday) {
+            return RecurrenceRule.normalize({ freq: 'weekly', byWeekday: [1, 2, 3, 4, 5] });
+        }
+
+        const days = (weekdays.toLowerCase().match(/(mon|tue|wed|thu|fri|sat|sun)/g) || [])
+            .map(day => QuickAddParser.weekdayIndex[day]);
+        return days.length > 0 ? RecurrenceRule.normalize({ freq: 'weekly', byWeekday: days }) : null;
+    }
+
+    /**
+     * Convert the matched time phrase to "HH:MM"
+     */
+    static parseTime(hour12, minute12, meridiem, hour24, minute24, atHour, named) {
+        let hours;
+        let minutes = 0;
+
+        if (named) {
+            hours = named.toLowerCase() === 'noon' ? 12 : 0;
+        } else if (meridiem) {
+            hours = parseInt(hour12, 10);
+            minutes = parseInt(minute12 || '0', 10);
+            if (hours < 1 || hours > 12 || minutes > 59) return null;
+            hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+        } else if (hour24 !== undefined) {
+            hours = parseInt(hour24, 10);
+            minutes = parseInt(minute24, 10);
+        } else {
+            hours = parseInt(atHour, 10);
+            if (hours > 23) return null;
+        }
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Resolve a date phrase relative to today
+     */
+    static parseDate(phrase, today) {
+        const text = phrase.toLowerCase().replace(/\s+/g, ' ');
+        const date = new Date(today);
+
+        if (text === 'today' || text === 'tonight') return date;
+
+        if (text === 'tomorrow' || text === 'tmrw') {
+            date.setDate(date.getDate() + 1);
+            return date;
+        }
+
+        if (text === 'next week') {
+            date.setDate(date.getDate() + 7);
+            return date;
+        }
+
+        if (text === 'next month') {
+            date.setMonth(date.getMonth() + 1);
+            return date;
+        }
+
+        const relative = text.match(/^in (\d+) (day|week|month)s?$/);
+        if (relative) {
+            const amount = parseInt(relative[1], 10);
+            if (relative[2] === 'month') {
+                date.setMonth(date.getMonth() + amount);
+            } else {
+                date.setDate(date.getDate() + amount * (relative[2] === 'week' ? 7 : 1));
+            }
+            return date;
+        }
+
+        // Weekday names: the coming one (today counts), or the one after with "next"
+        const weekday = text.match(/^(next )?(mon|tue|wed|thu|fri|sat|sun)[a-z]*$/);
+        if (weekday) {
+            if (!QuickAddParser.isWeekdayName(text.replace(/^next /, ''))) return null;
+            const diff = (QuickAddParser.weekdayIndex[weekday[2]] - date.getDay() + 7) % 7;
+            date.setDate(date.getDate() + diff + (weekday[1] ? 7 : 0));
+            return date;
+        }
+
+        const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (iso) {
+            const parsed = new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+            return parsed.getMonth() === parseInt(iso[2], 10) - 1 ? parsed : null;
+        }
+
+        // Month and day, rolling over to next year once the date has passed
+        const monthDay = text.match(/^([a-z]+) (\d{1,2})$/) || text.match(/^(\d{1,2}) ([a-z]+)$/);
+        if (monthDay) {
+            const [monthName, day] = isNaN(monthDay[1]) ? [monthDay[1], monthDay[2]] : [monthDay[2], monthDay[1]];
+            const month = QuickAddParser.monthNames.findIndex(name => monthName.startsWith(name));
+            if (month < 0 || !QuickAddParser.monthNamesFull[month].startsWith(monthName)) return null;
+
+            const parsed = new Date(today.getFullYear(), month, parseInt(day, 10));
+            if (parsed.getMonth() !== month) return null;
+            if (parsed < today) parsed.setFullYear(parsed.getFullYear() + 1);
+            return parsed;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the first date on or after today that a repeat rule lands on
+     */
+    static getFirstOccurrence(rule, today) {
+        const date = new Date(today);
+        if (rule.freq === 'weekly' && rule.byWeekday.length > 0) {
+            while (!rule.byWeekday.includes(date.getDay())) {
+                date.setDate(date.getDate() + 1);
+            }
+        }
+        return date;
+    }
+
+    /**
+     * Check that a word is a weekday name or a prefix of one ("fri", "friday")
+     */
+    static isWeekdayName(word) {
+        return QuickAddParser.weekdayNamesFull.some(name => name.startsWith(word) && word.length >= 3);
+    }
+
+    static startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * Format a local date as YYYY-MM-DD
+     */
+    static formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+}
+
+QuickAddParser.priorityAliases = {
+    high: 'high', h: 'high', 1: 'high',
+    medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+    low: 'low', l: 'low', 3: 'low'
+};
+QuickAddParser.weekdayIndex = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+QuickAddParser.weekdayNamesFull = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+QuickAddParser.monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+QuickAddParser.monthNamesFull = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Make QuickAddParser globally available
+if (typeof window !== 'undefined') {
+    window.QuickAddParser = QuickAddParser;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuickAddParser;
+}
@@ -0,0 +1,287 @@
+/**
+ * Recurrence Rule - RRULE-style repeat rules for tasks
+ * Expands daily, weekly, monthly and yearly rules into occurrence dates
+ */
+
+class RecurrenceRule {
+    /**
+     * Normalize a repeat rule, returning null when the rule is empty or invalid
+     */
+    static normalize(rule) {
+        try {
+            if (!rule || !RecurrenceRule.frequencies.includes(rule.freq)) return null;
+
+            const interval = parseInt(rule.interval, 10);
+            const count = parseInt(rule.count, 10);
+            const byMonthDay = parseInt(rule.byMonthDay, 10);
+            const bySetPos = parseInt(rule.bySetPos, 10);
+
+            return {
+                freq: rule.freq,
+                interval: interval > 0 ? interval : 1,
+                byWeekday: Array.isArray(rule.byWeekday)
+                    ? [...new Set(rule.byWeekday.map(Number))].filter(day => day >= 0 && day <= 6).sort((a, b) => a - b)
+                    : [],
+                byMonthDay: byMonthDay >= 1 && byMonthDay <= 31 ? byMonthDay : null,
+                bySetPos: bySetPos === -1 || (bySetPos >= 1 && bySetPos <= 4) ? bySetPos : null,
+                until: rule.until || null,
+                count: count > 0 ? count : null,
+                anchor: rule.anchor || null
+            };
+        } catch (error) {
+            console.error('❌ Failed to normalize recurrence rule:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Iterate occurrence dates (YYYY-MM-DD) of a rule, starting at the anchor date, or at the
+     * period holding `fromDate` when given. maxPeriods counts from there, so old anchors still
+     * reach today; rules with a count always start at the anchor to count their occurrences.
+     */
+    static *iterate(rule, anchor, fromDate = null) {
+        const normalized = RecurrenceRule.normalize(rule);
+        if (!normalized || !anchor) return;
+
+        const start = RecurrenceRule.parseDate(anchor);
+        const until = normalized.until ? RecurrenceRule.parseDate(normalized.until) : null;
+        const firstPeriod = fromDate && !normalized.count ? RecurrenceRule.getPeriodIndex(normalized, anchor, fromDate) : 0;
+        let emitted = 0;
+
+        for (let period = firstPeriod; period < firstPeriod + RecurrenceRule.maxPeriods; period++) {
+            const candidates = RecurrenceRule.getPeriodCandidates(normalized, start, period * normalized.interval);
+
+            for (const candidate of candidates) {
+                if (candidate < start) continue;
+                if (until && candidate > until) return;
+
+                yield RecurrenceRule.formatDate(candidate);
+                emitted++;
+
+                if (normalized.count && emitted >= normalized.count) return;
+            }
+        }
+    }
+
+    /**
+     * Index of the period (counted in steps of the rule's interval from the anchor) that holds a date
+     */
+    static getPeriodIndex(rule, anchor, dateString) {
+        if (dateString <= anchor) return 0;
+
+        const start = RecurrenceRule.parseDate(anchor);
+        const date = RecurrenceRule.parseDate(dateString);
+        let units;
+
+        switch (rule.freq) {
+            case 'daily':
+                units = RecurrenceRule.daysBetween(anchor, dateString);
+                break;
+            case 'weekly':
+                units = Math.floor((RecurrenceRule.daysBetween(anchor, dateString) + start.getUTCDay()) / 7);
+                break;
+            case 'monthly':
+                units = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+                break;
+            case 'yearly':
+                units = date.getUTCFullYear() - start.getUTCFullYear();
+                break;
+            default:
+                units = 0;
+        }
+
+        return Math.max(0, Math.floor(units / rule.interval));
+    }
+
+    /**
+     * Get candidate dates for one period (day, week, month or year) of a rule
+     */
+    static getPeriodCandidates(rule, start, offset) {
+        const year = start.getUTCFullYear();
+        const month = start.getUTCMonth();
+        const day = start.getUTCDate();
+
+        switch (rule.freq) {
+            case 'daily':
+                return [RecurrenceRule.utcDate(year, month, day + offset)];
+
+            case 'weekly': {
+                const weekdays = rule.byWeekday.length > 0 ? rule.byWeekday : [start.getUTCDay()];
+                const weekStart = day - start.getUTCDay() + offset * 7;
+                return weekdays.map(weekday => RecurrenceRule.utcDate(year, month, weekStart + weekday));
+            }
+
+            case 'monthly': {
+                const targetYear = year + Math.floor((month + offset) / 12);
+                const targetMonth = (month + offset) % 12;
+
+                if (rule.bySetPos) {
+                    const weekday = rule.byWeekday.length > 0 ? rule.byWeekday[0] : start.getUTCDay();
+                    const date = RecurrenceRule.getNthWeekdayOfMonth(targetYear, targetMonth, weekday, rule.bySetPos);
+                    return date ? [date] : [];
+                }
+
+                // Clamp to the last day so "every month on the 31st" still fires in short months
+                const monthDay = Math.min(rule.byMonthDay || day, RecurrenceRule.getDaysInMonth(targetYear, targetMonth));
+                return [RecurrenceRule.utcDate(targetYear, targetMonth, monthDay)];
+            }
+
+            case 'yearly': {
+                const targetYear = year + offset;
+                const monthDay = Math.min(day, RecurrenceRule.getDaysInMonth(targetYear, month));
+                return [RecurrenceRule.utcDate(targetYear, month, monthDay)];
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Get occurrence dates of a rule that fall within a date range (inclusive)
+     */
+    static getOccurrencesBetween(rule, anchor, rangeStart, rangeEnd) {
+        try {
+            const occurrences = [];
+
+            for (const date of RecurrenceRule.iterate(rule, anchor, rangeStart)) {
+                if (date > rangeEnd) break;
+                if (date >= rangeStart) occurrences.push(date);
+            }
+
+            return occurrences;
+        } catch (error) {
+            console.error('❌ Failed to expand recurrence rule:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the first occurrence strictly after a given date, or null when the series has ended
+     */
+    static getNextOccurrence(rule, anchor, afterDate) {
+        try {
+            for (const date of RecurrenceRule.iterate(rule, anchor, afterDate)) {
+                if (date > afterDate) return date;
+            }
+            return null;
+        } catch (error) {
+            console.error('❌ Failed to get next occurrence:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the "nth weekday of month" position of a date (1-4, or -1 for the last one)
+     */
+    static getSetPosForDate(dateString) {
+        const date = RecurrenceRule.parseDate(dateString);
+        const position = Math.ceil(date.getUTCDate() / 7);
+        return position > 4 ? -1 : position;
+    }
+
+    /**
+     * Describe a rule in plain English
+     */
+    static describe(rule) {
+        try {
+            const normalized = RecurrenceRule.normalize(rule);
+            if (!normalized) return '';
+
+            const units = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+            const unit = units[normalized.freq];
+            let description = normalized.interval === 1
+                ? `Every ${unit}`
+                : `Every ${normalized.interval} ${unit}s`;
+
+            if (normalized.freq === 'weekly' && normalized.byWeekday.length > 0) {
+                description += ` on ${normalized.byWeekday.map(day => RecurrenceRule.weekdayNames[day]).join(', ')}`;
+            } else if (normalized.freq === 'monthly' && normalized.bySetPos) {
+                const ordinals = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' };
+                const weekday = normalized.byWeekday.length > 0 ? RecurrenceRule.weekdayNames[normalized.byWeekday[0]] : '';
+                description += ` on the ${ordinals[normalized.bySetPos]} ${weekday}`.trimEnd();
+            } else if (normalized.freq === 'monthly' && normalized.byMonthDay) {
+                description += ` on day ${normalized.byMonthDay}`;
+            }
+
+            if (normalized.until) {
+                description += ` until ${normalized.until}`;
+            } else if (normalized.count) {
+                description += `, ${normalized.count} time${normalized.count !== 1 ? 's' : ''}`;
+            }
+
+            return description;
+        } catch (error) {
+            console.error('❌ Failed to describe recurrence rule:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Get the nth weekday of a month as a UTC date (position -1 means the last one)
+     */
+    static getNthWeekdayOfMonth(year, month, weekday, position) {
+        if (position === -1) {
+            const lastDay = RecurrenceRule.getDaysInMonth(year, month);
+            const lastDate = RecurrenceRule.utcDate(year, month, lastDay);
+            const diff = (lastDate.getUTCDay() - weekday + 7) % 7;
+            return RecurrenceRule.utcDate(year, month, lastDay - diff);
+        }
+
+        const firstDate = RecurrenceRule.utcDate(year, month, 1);
+        const diff = (weekday - firstDate.getUTCDay() + 7) % 7;
+        const day = 1 + diff + (position - 1) * 7;
+
+        return day <= RecurrenceRule.getDaysInMonth(year, month)
+            ? RecurrenceRule.utcDate(year, month, day)
+            : null;
+    }
+
+    static getDaysInMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    static utcDate(year, month, day) {
+        return new Date(Date.UTC(year, month, day));
+    }
+
+    static parseDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return RecurrenceRule.utcDate(year, month - 1, day);
+    }
+
+    static formatDate(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Number of days from one YYYY-MM-DD date to another
+     */
+    static daysBetween(fromDate, toDate) {
+        return Math.round((RecurrenceRule.parseDate(toDate) - RecurrenceRule.parseDate(fromDate)) / 86400000);
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     */
+    static addDays(dateString, days) {
+        const date = RecurrenceRule.parseDate(dateString);
+        date.setUTCDate(date.getUTCDate() + days);
+        return RecurrenceRule.formatDate(date);
+    }
+}
+
+RecurrenceRule.frequencies = ['daily', 'weekly', 'monthly', 'yearly'];
+RecurrenceRule.weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Upper bound on periods scanned so open-ended rules can't loop forever
+RecurrenceRule.maxPeriods = 5000;
+
+// Make RecurrenceRule globally available
+if (typeof window !== 'undefined') {
+    window.RecurrenceRule = RecurrenceRule;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecurrenceRule;
+}
@@ -0,0 +1,430 @@
+/**
+ * Rule Manager - User-defined auto-categorisation rules for expenses
+ * Rules are checked in list order and the first match sets the category and adds its tags
+ */
+
+class RuleManager {
+    constructor() {
+        this.storage = null;
+        this.rules = [];
+        this.editingRuleId = null;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+    }
+
+    /**
+     * Initialize rule manager
+     */
+    async init() {
+        try {
+            // Get storage instance
+            this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
+
+            await this.loadRules();
+
+            // Setup event listeners
+            this.setupEventListeners();
+
+            console.log('✅ RuleManager initialized');
+
+        } catch (error) {
+            console.error('❌ RuleManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load rules from settings
+     */
+    async loadRules() {
+        try {
+            const rules = await this.storage.getSetting('expenseRules', []);
+            this.rules = Array.isArray(rules) ? rules.map(rule => ExpenseRules.normalize(rule)).filter(Boolean) : [];
+        } catch (error) {
+            console.error('❌ Failed to load expense rules:', error);
+            this.rules = [];
+        }
+    }
+
+    /**
+     * Save the rule list and redraw it
+     */
+    async saveRules(rules) {
+        this.rules = rules.map(rule => ExpenseRules.normalize(rule)).filter(Boolean);
+        await this.storage.setSetting('expenseRules', this.rules);
+        this.renderRuleList();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        try {
+            document.getElementById('manage-rules-btn')?.addEventListener('click', () => this.openRuleModal());
+            document.getElementById('close-rule-modal')?.addEventListener('click', () => this.closeRuleModal());
+            document.getElementById('cancel-rule')?.addEventListener('click', () => this.resetRuleForm());
+            document.getElementById('rule-form')?.addEventListener('submit', (e) => this.handleFormSubmit(e));
+            document.getElementById('apply-rules-btn')?.addEventListener('click', () => this.applyToExistingExpenses());
+
+            const modalOverlay = document.getElementById('rule-modal-overlay');
+            modalOverlay?.addEventListener('click', (e) => {
+                if (e.target === modalOverlay) {
+                    this.closeRuleModal();
+                }
+            });
+
+            console.log('✅ Rule event listeners setup');
+
+        } catch (error) {
+            console.error('❌ Failed to setup rule event listeners:', error);
+        }
+    }
+
+    /**
+     * Apply the rules to new expense data
+     */
+    apply(expenseData, options = {}) {
+        return ExpenseRules.apply(this.rules, expenseData, options);
+    }
+
+    /**
+     * Suggest a category for new expense data from the rules, then from past expenses
+     */
+    suggest(expenseData) {
+        const expenses = window.plannerApp?.getComponent('expenses')?.expenses || [];
+        return ExpenseRules.suggest(this.rules, expenseData, expenses);
+    }
+
+    /**
+     * Open the rule modal
+     */
+    openRuleModal() {
+        try {
+            const modal = document.getElementById('rule-modal-overlay');
+            if (!modal) return;
+
+            this.resetRuleForm();
+            this.renderRuleList();
+            modal.classList.add('active');
+
+            // Animate modal appearance
+            if (typeof gsap !== 'undefined') {
+                gsap.fromTo(modal.querySelector('.modal'),
+                    { scale: 0.8, opacity: 0 },
+                    { scale: 1, opacity: 1, duration: 0.3, ease: "power2.out" }
+                );
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to open rule modal:', error);
+        }
+    }
+
+    /**
+     * Close the rule modal
+     */
+    closeRuleModal() {
+        try {
+            const modal = document.getElementById('rule-modal-overlay');
+            if (modal) {
+                // Animate modal disappearance
+                if (typeof gsap !== 'undefined') {
+                    gsap.to(modal.querySelector('.modal'), {
+                        scale: 0.8,
+                        opacity: 0,
+                        duration: 0.2,
+                        ease: "power2.in",
+                        onComplete: () => {
+                            modal.classList.remove('active');
+                        }
+                    });
+                } else {
+                    modal.classList.remove('active');
+                }
+            }
+
+            this.editingRuleId = null;
+        } catch (error) {
+            console.error('❌ Failed to close rule modal:', error);
+        }
+    }
+
+    /**
+     * Fill the category dropdown with every expense category
+     */
+    populateCategorySelect(selectedId = '') {
+        const select = document.getElementById('rule-category');
+        if (!select) return;
+
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        const categories = expenseManager ? expenseManager.getOrderedCategories() : [];
+
+        select.innerHTML = `
+            <option value="">Select Category</option>
+            ${categories.map(category => `
+                <option value="${this.escapeHtml(category.id)}">${category.parentId ? '&nbsp;&nbsp;&nbsp;&nbsp;' : ''}${this.escapeHtml(category.icon || '')} ${this.escapeHtml(category.name)}</option>
+            `).join('')}
+        `;
+        select.value = selectedId || '';
+    }
+
+    /**
+     * Put the form back to adding a new rule, or load an existing one to edit
+     */
+    resetRuleForm(rule = null) {
+        const form = document.getElementById('rule-form');
+        if (!form) return;
+
+        form.reset();
+        this.editingRuleId = rule ? rule.id : null;
+        this.populateCategorySelect(rule?.category);
+
+        const conditions = rule?.conditions || {};
+        document.getElementById('rule-description').value = conditions.descriptionContains || '';
+        document.getElementById('rule-location').value = conditions.locationContains || '';
+        document.getElementById('rule-payment').value = conditions.paymentMethod || '';
+        document.getElementById('rule-min').value = conditions.minAmount ?? '';
+        document.getElementById('rule-max').value = conditions.maxAmount ?? '';
+        document.getElementById('rule-tags').value = rule ? rule.tags.join(', ') : '';
+        document.getElementById('save-rule').textContent = rule ? 'Save Rule' : 'Add Rule';
+        document.getElementById('cancel-rule').style.display = rule ? '' : 'none';
+    }
+
+    /**
+     * Handle rule form submission
+     */
+    async handleFormSubmit(e) {
+        e.preventDefault();
+
+        try {
+            const previous = this.rules.find(rule => rule.id === this.editingRuleId);
+            const rule = ExpenseRules.normalize({
+                id: previous?.id,
+                enabled: previous?.enabled,
+                conditions: {
+                    descriptionContains: document.getElementById('rule-description').value,
+                    locationContains: document.getElementById('rule-location').value,
+                    paymentMethod: document.getElementById('rule-payment').value,
+                    minAmount: document.getElementById('rule-min').value,
+                    maxAmount: document.getElementById('rule-max').value
+                },
+                category: document.getElementById('rule-category').value,
+                tags: document.getElementById('rule-tags').value.split(',')
+            });
+
+            if (!rule) {
+                NotificationManager.show('Validation Error', 'Please set at least one condition and a category', 'error');
+                return;
+            }
+
+            if (rule.conditions.minAmount !== null && rule.conditions.maxAmount !== null && rule.conditions.minAmount > rule.conditions.maxAmount) {
+                NotificationManager.show('Validation Error', 'The minimum amount is above the maximum', 'error');
+                return;
+            }
+
+            const before = this.rules.map(r => HistoryManager.snapshot(r));
+            await this.saveRules(previous
+                ? this.rules.map(r => r.id === rule.id ? rule : r)
+                : [...this.rules, rule]);
+            this.resetRuleForm();
+
+            const label = `Rule ${previous ? 'updated' : 'added'}`;
+            const command = this.recordRuleHistory(label, before);
+            NotificationManager.show('Rule Saved', `${label}: ${ExpenseRules.describe(rule)}`, 'success', HistoryManager.undoOptions(command));
+
+        } catch (error) {
+            console.error('❌ Failed to save rule:', error);
+            NotificationManager.show('Save Failed', 'Failed to save rule. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Delete a rule
+     */
+    async deleteRule(ruleId) {
+        try {
+            if (!this.rules.some(r => r.id === ruleId)) return;
+
+            const before = this.rules.map(r => HistoryManager.snapshot(r));
+            await this.saveRules(this.rules.filter(r => r.id !== ruleId));
+            if (this.editingRuleId === ruleId) this.resetRuleForm();
+
+            const command = this.recordRuleHistory('Rule deleted', before);
+            NotificationManager.show('Rule Deleted', 'Rule deleted', 'info', HistoryManager.undoOptions(command));
+
+        } catch (error) {
+            console.error('❌ Failed to delete rule:', error);
+            NotificationManager.show('Delete Failed', 'Failed to delete rule. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Move a rule up or down; earlier rules win
+     */
+    async moveRule(ruleId, offset) {
+        const index = this.rules.findIndex(r => r.id === ruleId);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.rules.length) return;
+
+        const rules = [...this.rules];
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        await this.saveRules(rules);
+    }
+
+    /**
+     * Turn a rule on or off
+     */
+    async toggleRule(ruleId, enabled) {
+        await this.saveRules(this.rules.map(r => r.id === ruleId ? { ...r, enabled } : r));
+    }
+
+    /**
+     * Record a change to the rule list for undo
+     */
+    recordRuleHistory(label, beforeRules) {
+        const before = beforeRules;
+        const after = this.rules.map(rule => HistoryManager.snapshot(rule));
+
+        return HistoryManager.record({
+            label,
+            undo: () => this.saveRules(HistoryManager.snapshot(before)),
+            redo: () => this.saveRules(HistoryManager.snapshot(after))
+        });
+    }
+
+    /**
+     * Expenses whose category or tags the rules would change
+     */
+    getPendingChanges() {
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        if (!expenseManager) return [];
+
+        return expenseManager.expenses
+            .map(expense => ({ before: expense, after: this.apply(expense) }))
+            .filter(({ before, after }) =>
+                after.category !== before.category || (after.tags || []).length !== (before.tags || []).length);
+    }
+
+    /**
+     * Re-run the rules over existing expenses
+     */
+    async applyToExistingExpenses() {
+        const expenseManager = window.plannerApp?.getComponent('expenses');
+        if (!expenseManager) return;
+
+        const changes = this.getPendingChanges();
+        if (changes.length === 0) {
+            NotificationManager.show('Rules Applied', 'All expenses already match the rules', 'info');
+            return;
+        }
+
+        if (!confirm(`Re-categorise ${changes.length} ${changes.length === 1 ? 'expense' : 'expenses'} using the rules?`)) {
+            return;
+        }
+
+        try {
+            const updated = [];
+            for (const { before, after } of changes) {
+                updated.push(await expenseManager.updateExpense(before.id, { category: after.category, tags: after.tags }));
+            }
+
+            expenseManager.triggerExpenseUpdate();
+            this.renderRuleList();
+
+            const label = `${updated.length} ${updated.length === 1 ? 'expense' : 'expenses'} re-categorised`;
+            const command = expenseManager.recordExpenseHistory(label, changes.map(change => change.before), updated);
+            NotificationManager.show('Rules Applied', label, 'success', HistoryManager.undoOptions(command));
+
+        } catch (error) {
+            console.error('❌ Failed to apply rules:', error);
+            NotificationManager.show('Apply Failed', 'Failed to apply rules. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Render the rules in the rule modal
+     */
+    renderRuleList() {
+        try {
+            const list = document.getElementById('rule-list');
+            if (!list) return;
+
+            const applyButton = document.getElementById('apply-rules-btn');
+            if (applyButton) applyButton.disabled = this.rules.length === 0;
+
+            if (this.rules.length === 0) {
+                list.innerHTML = '<p class="rule-empty">No rules yet. Add one below, e.g. description contains "starbucks" → Food & Dining.</p>';
+                return;
+            }
+
+            const expenseManager = window.plannerApp?.getComponent('expenses');
+            const expenses = expenseManager?.expenses || [];
+
+            list.innerHTML = this.rules.map((rule, index) => {
+                const matches = expenses.filter(expense => ExpenseRules.matches({ ...rule, enabled: true }, expense)).length;
+                const category = expenseManager ? expenseManager.getCategoryLabel(rule.category) : rule.category;
+
+                return `
+                    <div class="rule-item ${rule.enabled ? '' : 'disabled'}" data-rule-id="${rule.id}">
+                        <input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''} title="Enabled">
+                        <div class="rule-item-content">
+                            <span class="rule-item-conditions">${this.escapeHtml(ExpenseRules.describe(rule))}</span>
+                            <span class="rule-item-result">→ ${this.escapeHtml(category)}${rule.tags.length > 0 ? ` · ${rule.tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ')}` : ''}</span>
+                            <span class="rule-item-matches">Matches ${matches} existing ${matches === 1 ? 'expense' : 'expenses'}</span>
+                        </div>
+                        <button class="btn-icon rule-up" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                            <i data-feather="chevron-up"></i>
+                        </button>
+                        <button class="btn-icon rule-down" title="Move down" ${index === this.rules.length - 1 ? 'disabled' : ''}>
+                            <i data-feather="chevron-down"></i>
+                        </button>
+                        <button class="btn-icon rule-edit" title="Edit">
+                            <i data-feather="edit-2"></i>
+                        </button>
+                        <button class="btn-icon btn-danger rule-delete" title="Delete">
+                            <i data-feather="trash-2"></i>
+                        </button>
+                    </div>
+                `;
+            }).join('');
+
+            list.querySelectorAll('.rule-item').forEach(item => {
+                const ruleId = item.dataset.ruleId;
+                item.querySelector('.rule-enabled')?.addEventListener('change', (e) => this.toggleRule(ruleId, e.target.checked));
+                item.querySelector('.rule-up')?.addEventListener('click', () => this.moveRule(ruleId, -1));
+                item.querySelector('.rule-down')?.addEventListener('click', () => this.moveRule(ruleId, 1));
+                item.querySelector('.rule-edit')?.addEventListener('click', () => {
+                    this.resetRuleForm(this.rules.find(rule => rule.id === ruleId));
+                });
+                item.querySelector('.rule-delete')?.addEventListener('click', () => this.deleteRule(ruleId));
+            });
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to render rules:', error);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Make RuleManager globally available
+if (typeof window !== 'undefined') {
+    window.RuleManager = RuleManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleManager;
+}
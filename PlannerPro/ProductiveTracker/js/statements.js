@@ -0,0 +1,437 @@
+/**
+ * Statement Formats - OFX and QIF readers and writers for expenses
+ * Shared by the browser import/export and the server's /api/export and /api/import routes
+ */
+
+class StatementFormats {
+    /**
+     * Work out a statement's format from its file name or, failing that, its contents
+     */
+    static detectFormat(text, fileName = '') {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+        if (extension === 'qif') return 'qif';
+
+        if (/<OFX>|OFXHEADER/i.test(text)) return 'ofx';
+        if (/^!Type:/im.test(text)) return 'qif';
+        return null;
+    }
+
+    /**
+     * Read transactions from OFX or QIF text
+     */
+    static parse(text, format) {
+        return format === 'qif' ? StatementFormats.parseQIF(text) : StatementFormats.parseOFX(text);
+    }
+
+    /**
+     * Read transactions from OFX. Handles both the SGML (1.x) and XML (2.x) flavours,
+     * where 1.x leaves leaf elements unclosed.
+     */
+    static parseOFX(text) {
+        // A file can hold several statements, each with its own default currency
+        const statements = String(text).split(/<(?:CC)?STMTRS>/i);
+
+        return (statements.length > 1 ? statements.slice(1) : statements).flatMap(statement =>
+            StatementFormats.parseOFXStatement(statement));
+    }
+
+    /**
+     * Read the transactions of one OFX statement
+     */
+    static parseOFXStatement(text) {
+        const statementCurrency = (String(text).match(/<CURDEF>\s*([A-Z]{3})/i) || [])[1] || null;
+
+        return String(text).split(/<STMTTRN>/i).slice(1).map(block => {
+            const body = block.split(/<\/STMTTRN>/i)[0];
+            const field = tag => {
+                const match = body.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+                return match ? StatementFormats.decodeXml(match[1].trim()) : '';
+            };
+
+            return {
+                externalId: field('FITID') || null,
+                date: StatementFormats.parseOFXDate(field('DTPOSTED')),
+                amount: parseFloat(field('TRNAMT').replace(',', '.')),
+                payee: field('NAME') || field('PAYEEID'),
+                memo: field('MEMO'),
+                category: null,
+                currency: (field('CURSYM') || statementCurrency || '').toUpperCase() || null
+            };
+        }).filter(transaction => transaction.date && !isNaN(transaction.amount));
+    }
+
+    /**
+     * Read transactions from QIF. QIF has no transaction ids, so re-imports rely on duplicate matching.
+     */
+    static parseQIF(text) {
+        const transactions = [];
+        let current = {};
+        let inAccount = false;
+        let accountCurrency = null;
+
+        String(text).split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            // Our own exports put amounts without a known rate in accounts named "Expenses (EUR)"
+            if (line[0] === '!') {
+                inAccount = /^!Account/i.test(line);
+                if (inAccount) accountCurrency = null;
+                return;
+            }
+            if (inAccount) {
+                if (line[0] === 'N') accountCurrency = (line.match(/\(([A-Z]{3})\)$/) || [])[1] || null;
+                return;
+            }
+
+            if (line[0] === '^') {
+                // Account and category list blocks have no date and are dropped here
+                if (current.date && !isNaN(current.amount)) {
+                    transactions.push({ externalId: null, payee: '', memo: '', category: null, currency: accountCurrency, splits: [], ...current });
+                }
+                current = {};
+                return;
+            }
+
+            const value = line.slice(1).trim();
+            switch (line[0]) {
+                case 'D':
+                    current.date = StatementFormats.parseQIFDate(value);
+                    break;
+                case 'T':
+                case 'U':
+                    current.amount = parseFloat(value.replace(/,/g, ''));
+                    break;
+                case 'P':
+                    current.payee = value;
+                    break;
+                case 'M':
+                    current.memo = value;
+                    break;
+                case 'L':
+                    // "[Account]" is a transfer, and "Category/Class" carries a class we don't use
+                    current.category = /^\[.*\]$/.test(value) ? null : value.split('/')[0] || null;
+                    break;
+                case 'S':
+                    current.splits = [...(current.splits || []), { category: /^\[.*\]$/.test(value) ? null : value.split('/')[0] || null, amount: NaN }];
+                    break;
+                case '$':
+                    if (current.splits?.length > 0) {
+                        current.splits[current.splits.length - 1].amount = parseFloat(value.replace(/,/g, ''));
+                    }
+                    break;
+            }
+        });
+
+        return transactions;
+    }
+
+    /**
+     * OFX dates look like 20261019 or 20261019120000.000[-5:EST]
+     */
+    static parseOFXDate(value) {
+        const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    /**
+     * QIF dates are US month-first, e.g. 10/19/2026, 10/19'26 or 10-19-26; ISO dates are accepted too
+     */
+    static parseQIFDate(value) {
+        const iso = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (iso) return iso[0];
+
+        const parts = String(value || '').split(/[\/'\-.]/).map(part => parseInt(part.trim(), 10));
+        if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+        let [month, day, year] = parts;
+        if (year < 100) year += year < 70 ? 2000 : 1900;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * A category's QIF path, e.g. "Food & Dining:Groceries"
+     */
+    static getCategoryPath(categoryId, categories = []) {
+        const category = categories.find(c => c.id === categoryId);
+        if (!category) return categoryId || '';
+
+        const parent = category.parentId ? categories.find(c => c.id === category.parentId) : null;
+        return parent ? `${parent.name}:${category.name}` : category.name;
+    }
+
+    /**
+     * Find the category a statement names, by QIF path, name or id
+     */
+    static matchCategory(name, categories = []) {
+        if (!name) return null;
+
+        const segments = name.split(':').map(segment => segment.trim().toLowerCase());
+        const leaf = segments[segments.length - 1];
+        const parentName = segments.length > 1 ? segments[segments.length - 2] : null;
+        const byName = categories.filter(c => c.name.toLowerCase() === leaf || c.id === leaf);
+
+        const match = byName.find(c => {
+            const parent = categories.find(p => p.id === c.parentId);
+            return !parentName || parent?.name.toLowerCase() === parentName;
+        }) || byName[0] || categories.find(c => c.name.toLowerCase() === segments[0]);
+
+        return match ? match.id : null;
+    }
+
+    /**
+     * Payee text reduced to its words, so "AMAZON MKTPLACE 1234" and "Amazon Mktplace" compare equal
+     */
+    static normalizePayee(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+    }
+
+    /**
+     * The category last used for each payee, from existing expenses
+     */
+    static getPayeeCategories(expenses = []) {
+        const payeeCategories = new Map();
+
+        [...expenses]
+            .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+            .forEach(expense => {
+                const payee = StatementFormats.normalizePayee(expense.description);
+                if (payee && !payeeCategories.has(payee)) payeeCategories.set(payee, expense.category);
+            });
+
+        return payeeCategories;
+    }
+
+    /**
+     * Turn a statement transaction into expense data, or null for credits. The payee becomes the
+     * description, and the category comes from the statement, else from earlier expenses with that payee.
+     * QIF split lines become expense splits, filed under the category of the largest line. Lines are
+     * netted against the transaction's sign, and a split whose lines don't add up to the total (a refund
+     * line, a line with no amount) is imported unsplit.
+     */
+    static toExpenseData(transaction, { categories = [], payeeCategories = new Map(), currency = 'USD', paymentMethod = 'debit_card' } = {}) {
+        if (!(transaction.amount < 0)) return null;
+
+        const description = transaction.payee || transaction.memo || 'Bank transaction';
+        const amount = Math.round(Math.abs(transaction.amount) * 100) / 100;
+        const lines = (transaction.splits || []).map(line => ({
+            amount: Math.round(-line.amount * 100) / 100,
+            category: StatementFormats.matchCategory(line.category, categories) || 'other',
+            tags: []
+        }));
+        const linesAddUp = lines.length > 1 &&
+            lines.every(line => line.amount > 0) &&
+            Math.abs(lines.reduce((total, line) => total + line.amount, 0) - amount) < 0.005;
+        const splits = linesAddUp ? lines : [];
+        const largestSplit = splits.reduce((largest, line) => !largest || line.amount > largest.amount ? line : largest, null);
+
+        return {
+            description,
+            amount,
+            currency: transaction.currency || currency,
+            category: largestSplit?.category
+                || StatementFormats.matchCategory(transaction.category, categories)
+                || payeeCategories.get(StatementFormats.normalizePayee(description))
+                || 'other',
+            projectId: null,
+            paymentMethod,
+            date: transaction.date,
+            location: '',
+            notes: transaction.payee && transaction.memo ? transaction.memo : '',
+            tags: [],
+            splits,
+            isRecurring: false,
+            recurringType: 'monthly',
+            externalId: transaction.externalId || null
+        };
+    }
+
+    /**
+     * An existing expense this data was already imported as: the same FITID, or for statements
+     * without ids the same date, amount and payee. FITIDs from our own OFX export name the expense id.
+     */
+    static findImported(data, expenses = []) {
+        if (data.externalId) {
+            const exportedId = (String(data.externalId).match(/^plannerpro-(.+)$/) || [])[1];
+            return expenses.find(expense =>
+                expense.externalId === data.externalId ||
+                (exportedId && !expense.externalId && String(expense.id) === exportedId)) || null;
+        }
+
+        const payee = StatementFormats.normalizePayee(data.description);
+        return expenses.find(expense =>
+            expense.date === data.date &&
+            Math.abs((parseFloat(expense.amount) || 0) - data.amount) < 0.005 &&
+            StatementFormats.normalizePayee(expense.description) === payee) || null;
+    }
+
+    /**
+     * Write expenses as an OFX 2 bank statement. Each expense's id becomes its FITID, so
+     * importing the file elsewhere and back again doesn't duplicate anything. Expenses in a
+     * currency with no known rate to `currency` go in a statement of their own currency
+     * rather than being labelled as `currency` amounts.
+     */
+    static toOFX(expenses, { currency = 'USD', getRate = null } = {}) {
+        const now = StatementFormats.formatOFXDate(new Date().toISOString().split('T')[0]);
+        const escape = StatementFormats.escapeXml;
+
+        const statements = new Map([[currency, []]]);
+        expenses.forEach(expense => {
+            const expenseCurrency = expense.currency || currency;
+            const rate = expenseCurrency !== currency && getRate ? getRate(expense) : null;
+            const statementCurrency = expenseCurrency === currency || rate ? currency : expenseCurrency;
+
+            if (!statements.has(statementCurrency)) statements.set(statementCurrency, []);
+            statements.get(statementCurrency).push({ expense, rate });
+        });
+
+        const toTransaction = ({ expense, rate }) => [
+            '<STMTTRN>',
+            '<TRNTYPE>DEBIT</TRNTYPE>',
+            `<DTPOSTED>${StatementFormats.formatOFXDate(expense.date)}</DTPOSTED>`,
+            `<TRNAMT>${(-Math.abs(parseFloat(expense.amount) || 0)).toFixed(2)}</TRNAMT>`,
+            `<FITID>${escape(expense.externalId || `plannerpro-${expense.id}`)}</FITID>`,
+            `<NAME>${escape(StatementFormats.singleLine(expense.description).slice(0, 32))}</NAME>`,
+            expense.notes ? `<MEMO>${escape(StatementFormats.singleLine(expense.notes).slice(0, 255))}</MEMO>` : '',
+            // Foreign amounts say which currency they are in, when the rate to the statement currency is known
+            rate ? `<CURRENCY><CURRATE>${rate}</CURRATE><CURSYM>${escape(expense.currency)}</CURSYM></CURRENCY>` : '',
+            '</STMTTRN>'
+        ].filter(Boolean).join('\n');
+
+        const toStatement = ([statementCurrency, entries]) => {
+            const dates = entries.map(({ expense }) => expense.date).sort();
+
+            return [
+                '<STMTTRNRS>',
+                '<TRNUID>0</TRNUID>',
+                '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+                '<STMTRS>',
+                `<CURDEF>${escape(statementCurrency)}</CURDEF>`,
+                `<BANKACCTFROM><BANKID>PLANNERPRO</BANKID><ACCTID>${statementCurrency === currency ? 'EXPENSES' : `EXPENSES-${escape(statementCurrency)}`}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+                '<BANKTRANLIST>',
+                `<DTSTART>${dates.length > 0 ? StatementFormats.formatOFXDate(dates[0]) : now}</DTSTART>`,
+                `<DTEND>${dates.length > 0 ? StatementFormats.formatOFXDate(dates[dates.length - 1]) : now}</DTEND>`,
+                ...entries.map(toTransaction),
+                '</BANKTRANLIST>',
+                `<LEDGERBAL><BALAMT>0.00</BALAMT><DTASOF>${now}</DTASOF></LEDGERBAL>`,
+                '</STMTRS>',
+                '</STMTTRNRS>'
+            ].join('\n');
+        };
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+            '<OFX>',
+            '<SIGNONMSGSRSV1><SONRS>',
+            '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+            `<DTSERVER>${now}</DTSERVER>`,
+            '<LANGUAGE>ENG</LANGUAGE>',
+            '</SONRS></SIGNONMSGSRSV1>',
+            '<BANKMSGSRSV1>',
+            ...[...statements.entries()].map(toStatement),
+            '</BANKMSGSRSV1>',
+            '</OFX>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Write expenses as a QIF bank register, with categories as "Parent:Child" paths and split lines as S/$ pairs.
+     * QIF amounts carry no currency, so foreign amounts are converted into `currency` when the rate is known;
+     * the rest go in an account of their own currency, named e.g. "Expenses (EUR)".
+     */
+    static toQIF(expenses, { categories = [], currency = 'USD', getRate = null } = {}) {
+        const registers = new Map([[currency, []]]);
+        expenses.forEach(expense => {
+            const expenseCurrency = expense.currency || currency;
+            const rate = expenseCurrency === currency ? 1 : (getRate ? getRate(expense) : null);
+            const registerCurrency = rate ? currency : expenseCurrency;
+
+            if (!registers.has(registerCurrency)) registers.set(registerCurrency, []);
+            registers.get(registerCurrency).push({ expense, rate: rate || 1 });
+        });
+
+        const cents = (value, rate) => Math.round(Math.abs((parseFloat(value) || 0) * rate) * 100);
+        const amount = value => (-value / 100).toFixed(2);
+        const lines = [];
+
+        registers.forEach((entries, registerCurrency) => {
+            if (entries.length === 0) return;
+
+            lines.push('!Account', `NExpenses (${registerCurrency})`, 'TBank', '^', '!Type:Bank');
+            entries.forEach(({ expense, rate }) => {
+                const [year, month, day] = expense.date.split('-');
+                lines.push(`D${month}/${day}/${year}`);
+                const total = cents(expense.amount, rate);
+                lines.push(`T${amount(total)}`);
+                lines.push(`P${StatementFormats.singleLine(expense.description)}`);
+                if (expense.notes) lines.push(`M${StatementFormats.singleLine(expense.notes)}`);
+                lines.push(`L${StatementFormats.getCategoryPath(expense.category, categories)}`);
+                // Converted lines are rounded separately; the largest takes up the rounding so they still add up
+                const splitCents = (expense.splits || []).map(line => cents(line.amount, rate));
+                if (splitCents.length > 0) {
+                    const largest = splitCents.indexOf(Math.max(...splitCents));
+                    splitCents[largest] += total - splitCents.reduce((sum, value) => sum + value, 0);
+                }
+                (expense.splits || []).forEach((line, index) => {
+                    lines.push(`S${StatementFormats.getCategoryPath(line.category, categories)}`);
+                    lines.push(`$${amount(splitCents[index])}`);
+                });
+                lines.push('^');
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * YYYY-MM-DD as an OFX date
+     */
+    static formatOFXDate(date) {
+        return String(date || '').replace(/-/g, '');
+    }
+
+    /**
+     * QIF fields are one line each
+     */
+    static singleLine(text) {
+        return String(text || '').replace(/\s*[\r\n]+\s*/g, ' ');
+    }
+
+    /**
+     * Escape text for an XML element
+     */
+    static escapeXml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Undo XML escaping in an OFX value
+     */
+    static decodeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Make StatementFormats globally available
+if (typeof window !== 'undefined') {
+    window.StatementFormats = StatementFormats;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementFormats;
+}
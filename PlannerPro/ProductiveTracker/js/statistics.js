@@ -9,6 +9,7 @@ class StatisticsManager {
         this.storage = null;
         this.tasks = [];
         this.currentPeriod = 'week';
+        this.pomodoroBreakdown = []; // Per-day { taskTitle: count } for the pomodoro chart tooltip
         this.chartColors = {
             primary: '#4F46E5',
             success: '#10B981',
@@ -129,6 +130,7 @@ class StatisticsManager {
             this.initDailyChart();
             this.initCategoryChart();
             this.initPriorityChart();
+            this.initPomodoroChart();
 
             console.log('✅ Charts initialized');
 
@@ -279,15 +281,7 @@ class StatisticsManager {
                     labels: categoryData.labels,
                     datasets: [{
                         data: categoryData.data,
-                        backgroundColor: [
-                            this.chartColors.primary,
-                            this.chartColors.success,
-                            this.chartColors.warning,
-                            this.chartColors.danger,
-                            this.chartColors.purple,
-                            this.chartColors.pink,
-                            this.chartColors.info
-                        ],
+                        backgroundColor: categoryData.colors,
                         borderWidth: 2,
                         borderColor: '#ffffff'
                     }]
@@ -396,6 +390,110 @@ class StatisticsManager {
         }
     }
 
+    /**
+     * Initialize pomodoro chart (bar), listing the day's tasks in the tooltip
+     */
+    initPomodoroChart() {
+        try {
+            const ctx = document.getElementById('pomodoro-chart');
+            if (!ctx) return;
+
+            const pomodoroData = this.getPomodoroData();
+
+            this.charts.pomodoro = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: pomodoroData.labels,
+                    datasets: [{
+                        label: 'Pomodoros',
+                        data: pomodoroData.counts,
+                        backgroundColor: this.chartColors.danger,
+                        borderRadius: 4,
+                        borderSkipped: false
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: {
+                                stepSize: 1
+                            }
+                        },
+                        x: {
+                            grid: {
+                                display: false
+                            }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        tooltip: {
+                            callbacks: {
+                                afterBody: (items) => {
+                                    const byTask = this.pomodoroBreakdown[items[0].dataIndex] || {};
+                                    return Object.entries(byTask).map(([title, count]) => `${title}: ${count}`);
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+            this.pomodoroBreakdown = pomodoroData.tasks;
+
+        } catch (error) {
+            console.error('❌ Failed to initialize pomodoro chart:', error);
+        }
+    }
+
+    /**
+     * Get completed pomodoros per day, with a per-task breakdown for each day
+     */
+    getPomodoroData() {
+        try {
+            const days = this.currentPeriod === 'week' ? 7 :
+                         this.currentPeriod === 'month' ? 30 : 365;
+
+            const labels = [];
+            const counts = [];
+            const tasks = [];
+
+            for (let i = days - 1; i >= 0; i--) {
+                const date = new Date();
+                date.setDate(date.getDate() - i);
+                const dateString = date.toISOString().split('T')[0];
+
+                labels.push(this.currentPeriod === 'week'
+                    ? date.toLocaleDateString('en', { weekday: 'short' })
+                    : this.currentPeriod === 'month'
+                        ? date.getDate().toString()
+                        : date.toLocaleDateString('en', { month: 'short' }));
+
+                const byTask = {};
+                this.tasks.forEach(task => {
+                    const count = (task.timeEntries || []).filter(entry =>
+                        entry.source === 'pomodoro' && entry.end && entry.end.split('T')[0] === dateString
+                    ).length;
+                    if (count > 0) {
+                        byTask[task.title] = (byTask[task.title] || 0) + count;
+                    }
+                });
+
+                counts.push(Object.values(byTask).reduce((sum, count) => sum + count, 0));
+                tasks.push(byTask);
+            }
+
+            return { labels, counts, tasks };
+        } catch (error) {
+            console.error('❌ Failed to get pomodoro data:', error);
+            return { labels: [], counts: [], tasks: [] };
+        }
+    }
+
     /**
      * Get completion statistics
      */
@@ -479,6 +577,24 @@ class StatisticsManager {
         }
     }
 
+    /**
+     * Get display name for a category id
+     */
+    getCategoryName(category) {
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        if (taskManager) return taskManager.getCategoryName(category);
+        return category.charAt(0).toUpperCase() + category.slice(1);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Get category distribution data
      */
@@ -492,15 +608,17 @@ class StatisticsManager {
                 categories[category] = (categories[category] || 0) + 1;
             });
             
-            const labels = Object.keys(categories).map(cat => 
-                cat.charAt(0).toUpperCase() + cat.slice(1)
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            const labels = Object.keys(categories).map(cat => this.getCategoryName(cat));
+            const colors = Object.keys(categories).map(cat =>
+                taskManager ? taskManager.getCategoryColor(cat) : this.chartColors.primary
             );
             const data = Object.values(categories);
             
-            return { labels, data };
+            return { labels, data, colors };
         } catch (error) {
             console.error('❌ Failed to get category data:', error);
-            return { labels: [], data: [] };
+            return { labels: [], data: [], colors: [] };
         }
     }
 
@@ -638,6 +756,7 @@ class StatisticsManager {
                 const categoryData = this.getCategoryData();
                 this.charts.category.data.labels = categoryData.labels;
                 this.charts.category.data.datasets[0].data = categoryData.data;
+                this.charts.category.data.datasets[0].backgroundColor = categoryData.colors;
                 this.charts.category.update('none');
             }
 
@@ -657,6 +776,15 @@ class StatisticsManager {
                 this.charts.priority.update('none');
             }
 
+            // Update pomodoro chart
+            if (this.charts.pomodoro) {
+                const pomodoroData = this.getPomodoroData();
+                this.charts.pomodoro.data.labels = pomodoroData.labels;
+                this.charts.pomodoro.data.datasets[0].data = pomodoroData.counts;
+                this.pomodoroBreakdown = pomodoroData.tasks;
+                this.charts.pomodoro.update('none');
+            }
+
         } catch (error) {
             console.error('❌ Failed to update charts:', error);
         }
@@ -707,7 +835,7 @@ class StatisticsManager {
                 return `
                     <div class="time-stat-item">
                         <div class="time-stat-category">
-                            <span class="category-name">${category.charAt(0).toUpperCase() + category.slice(1)}</span>
+                            <span class="category-name">${this.escapeHtml(this.getCategoryName(category))}</span>
                             <span class="time-percentage">${percentage}%</span>
                         </div>
                         <div class="time-stat-duration">
@@ -881,7 +1009,10 @@ class StatisticsManager {
      */
     checkCategoryAchievement() {
         try {
-            const categories = ['work', 'personal', 'health', 'education', 'shopping'];
+            // Archived categories don't count against the achievement
+            const taskManager = window.plannerApp?.getComponent('tasks');
+            const categories = taskManager ? taskManager.getCategoryIds() : [];
+            if (categories.length === 0) return false;
             const usedCategories = new Set(this.tasks.map(t => t.category));
             return categories.every(cat => usedCategories.has(cat));
         } catch (error) {
@@ -6,11 +6,12 @@
 class StorageManager {
     constructor() {
         this.dbName = 'PlannerProDB';
-        this.dbVersion = 1;
+        this.dbVersion = 2;
         this.db = null;
         this.isIndexedDBAvailable = false;
         this.storageKeys = {
             TASKS: 'plannerpro_tasks',
+            PROJECTS: 'plannerpro_projects',
             SETTINGS: 'plannerpro_settings',
             THEMES: 'plannerpro_themes',
             STATISTICS: 'plannerpro_statistics',
@@ -117,6 +118,11 @@ class StorageManager {
                     taskStore.createIndex('status', 'status', { unique: false });
                 }
                 
+                if (!db.objectStoreNames.contains('projects')) {
+                    const projectStore = db.createObjectStore('projects', { keyPath: 'id' });
+                    projectStore.createIndex('status', 'status', { unique: false });
+                }
+                
                 if (!db.objectStoreNames.contains('settings')) {
                     db.createObjectStore('settings', { keyPath: 'key' });
                 }
@@ -305,6 +311,138 @@ class StorageManager {
         }
     }
 
+    /**
+     * Save and delete several tasks in a single transaction
+     */
+    async batchUpdateTasks({ update = [], delete: deleteIds = [] }) {
+        try {
+            if (this.isIndexedDBAvailable && this.db) {
+                return new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction(['tasks'], 'readwrite');
+                    const store = transaction.objectStore('tasks');
+
+                    update.forEach(task => store.put(task));
+                    deleteIds.forEach(id => store.delete(id));
+
+                    transaction.oncomplete = () => resolve({ updated: update, deleted: deleteIds });
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error);
+                });
+            } else {
+                // Fallback to localStorage
+                const changes = new Map(update.map(task => [task.id, task]));
+                const tasks = (await this.getAllTasks())
+                    .filter(task => !deleteIds.includes(task.id))
+                    .map(task => changes.get(task.id) || task);
+
+                localStorage.setItem(this.storageKeys.TASKS, JSON.stringify(tasks));
+                return { updated: update, deleted: deleteIds };
+            }
+        } catch (error) {
+            console.error('❌ Failed to apply task batch:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a project
+     */
+    async saveProject(project) {
+        try {
+            if (this.isIndexedDBAvailable && this.db) {
+                return new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction(['projects'], 'readwrite');
+                    const store = transaction.objectStore('projects');
+                    const request = store.put(project);
+                    
+                    request.onsuccess = () => resolve(project);
+                    request.onerror = () => reject(request.error);
+                });
+            } else {
+                // Fallback to localStorage
+                const projects = await this.getAllProjects();
+                const existingIndex = projects.findIndex(p => p.id === project.id);
+                
+                if (existingIndex >= 0) {
+                    projects[existingIndex] = project;
+                } else {
+                    projects.push(project);
+                }
+                
+                localStorage.setItem(this.storageKeys.PROJECTS, JSON.stringify(projects));
+                return project;
+            }
+        } catch (error) {
+            console.error('❌ Failed to save project:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all projects
+     */
+    async getAllProjects() {
+        try {
+            if (this.isIndexedDBAvailable && this.db) {
+                return new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction(['projects'], 'readonly');
+                    const store = transaction.objectStore('projects');
+                    const request = store.getAll();
+                    
+                    request.onsuccess = () => resolve(request.result || []);
+                    request.onerror = () => reject(request.error);
+                });
+            } else {
+                // Fallback to localStorage
+                const projects = localStorage.getItem(this.storageKeys.PROJECTS);
+                return projects ? JSON.parse(projects) : [];
+            }
+        } catch (error) {
+            console.error('❌ Failed to get projects:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get project by ID
+     */
+    async getProject(id) {
+        try {
+            const projects = await this.getAllProjects();
+            return projects.find(project => project.id === id) || null;
+        } catch (error) {
+            console.error('❌ Failed to get project:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a project
+     */
+    async deleteProject(id) {
+        try {
+            if (this.isIndexedDBAvailable && this.db) {
+                return new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction(['projects'], 'readwrite');
+                    const store = transaction.objectStore('projects');
+                    const request = store.delete(id);
+                    
+                    request.onsuccess = () => resolve(true);
+                    request.onerror = () => reject(request.error);
+                });
+            } else {
+                // Fallback to localStorage
+                const projects = await this.getAllProjects();
+                const filteredProjects = projects.filter(project => project.id !== id);
+                localStorage.setItem(this.storageKeys.PROJECTS, JSON.stringify(filteredProjects));
+                return true;
+            }
+        } catch (error) {
+            console.error('❌ Failed to delete project:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get tasks by date range
      */
@@ -477,6 +615,7 @@ class StorageManager {
         try {
             const data = {
                 tasks: await this.getAllTasks(),
+                projects: await this.getAllProjects(),
                 settings: {},
                 statistics: await this.getStatistics(),
                 exportDate: new Date().toISOString(),
@@ -512,6 +651,13 @@ class StorageManager {
                 }
             }
 
+            // Import projects
+            if (data.projects && Array.isArray(data.projects)) {
+                for (const project of data.projects) {
+                    await this.saveProject(project);
+                }
+            }
+
             // Import settings
             if (data.settings && typeof data.settings === 'object') {
                 for (const [key, value] of Object.entries(data.settings)) {
@@ -543,7 +689,7 @@ class StorageManager {
         try {
             if (this.isIndexedDBAvailable && this.db) {
                 // Clear IndexedDB
-                const transaction = this.db.transaction(['tasks', 'settings', 'statistics'], 'readwrite');
+                const transaction = this.db.transaction(['tasks', 'projects', 'settings', 'statistics'], 'readwrite');
                 
                 await Promise.all([
                     new Promise((resolve, reject) => {
@@ -551,6 +697,11 @@ class StorageManager {
                         request.onsuccess = () => resolve();
                         request.onerror = () => reject(request.error);
                     }),
+                    new Promise((resolve, reject) => {
+                        const request = transaction.objectStore('projects').clear();
+                        request.onsuccess = () => resolve();
+                        request.onerror = () => reject(request.error);
+                    }),
                     new Promise((resolve, reject) => {
                         const request = transaction.objectStore('settings').clear();
                         request.onsuccess = () => resolve();
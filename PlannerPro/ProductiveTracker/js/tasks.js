@@ -6,10 +6,24 @@
 class TaskManager {
     constructor() {
         this.tasks = [];
-        this.categories = ['work', 'personal', 'health', 'education', 'shopping'];
+        this.defaultCategories = [
+            { id: 'work', name: 'Work', color: '#4F46E5', icon: 'briefcase', archived: false },
+            { id: 'personal', name: 'Personal', color: '#10B981', icon: 'user', archived: false },
+            { id: 'health', name: 'Health', color: '#F59E0B', icon: 'heart', archived: false },
+            { id: 'education', name: 'Education', color: '#7C3AED', icon: 'book', archived: false },
+            { id: 'shopping', name: 'Shopping', color: '#EC4899', icon: 'shopping-bag', archived: false }
+        ];
+        this.categories = this.defaultCategories.map(category => ({ ...category }));
+        this.categoryIcons = ['folder', 'briefcase', 'user', 'heart', 'book', 'shopping-bag', 'home', 'star', 'coffee', 'code', 'dollar-sign', 'music', 'globe', 'tool'];
+        this.pendingCategoryDelete = null; // Category whose delete is waiting for a reassign target
         this.priorities = ['low', 'medium', 'high'];
         this.storage = null;
         this.currentEditingTask = null;
+        this.formSubtasks = [];
+        this.activeTimer = null; // { taskId, status: 'running' | 'paused' }
+        this.timerInterval = null;
+        this.selectedTaskIds = new Set();
+        this.selectionAnchorId = null; // Where shift-click ranges start
         
         // Bind methods
         this.init = this.init.bind(this);
@@ -27,9 +41,15 @@ class TaskManager {
             // Get storage instance
             this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
             
+            // Load categories before tasks so forms and lists can name them
+            await this.loadCategories();
+            
             // Load tasks from storage
             await this.loadTasks();
             
+            // Pick up a timer left running before the last reload
+            await this.restoreTimer();
+            
             // Setup event listeners
             this.setupEventListeners();
             
@@ -80,12 +100,53 @@ class TaskManager {
                 });
             }
 
+            // Repeat rule controls
+            ['task-repeat', 'task-repeat-end', 'task-date'].forEach(id => {
+                const element = document.getElementById(id);
+                if (element) {
+                    element.addEventListener('change', () => this.updateRecurrenceFields());
+                }
+            });
+
+            // Checklist editor in the task modal
+            this.setupSubtaskEditorListeners();
+
+            // Natural-language quick add
+            this.setupQuickAddListeners();
+
+            // Multi-select bulk action bar
+            this.setupBulkActionListeners();
+
+            // Category management in settings
+            document.getElementById('task-category-add')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const nameInput = document.getElementById('task-category-name');
+                const colorInput = document.getElementById('task-category-color');
+                this.addCategory(nameInput.value, colorInput.value).then(category => {
+                    if (category) nameInput.value = '';
+                });
+            });
+
+            // Header timer controls
+            document.getElementById('active-timer-toggle')?.addEventListener('click', () => {
+                if (this.activeTimer?.status === 'running') {
+                    this.pauseTimer();
+                } else if (this.activeTimer) {
+                    this.startTimer(this.activeTimer.taskId);
+                }
+            });
+            document.getElementById('active-timer-stop')?.addEventListener('click', () => this.stopTimer());
+
             // Quick add task shortcut
             document.addEventListener('keydown', (e) => {
                 if ((e.ctrlKey || e.metaKey) && e.key === 'n' && !e.target.matches('input, textarea')) {
                     e.preventDefault();
                     this.openTaskModal();
                 }
+
+                if (e.key === 'Escape' && this.selectedTaskIds.size > 0 && !e.target.matches('input, textarea, select')) {
+                    this.clearSelection();
+                }
             });
 
             console.log('✅ Task event listeners setup');
@@ -117,26 +178,401 @@ class TaskManager {
      * Normalize task object to ensure all required properties exist
      */
     normalizeTask(task) {
+        const timeEntries = this.normalizeTimeEntries(task.timeEntries);
+
         return {
             id: task.id || this.generateTaskId(),
             title: task.title || '',
             description: task.description || '',
+            startDate: task.startDate || null,
             dueDate: task.dueDate || null,
             dueTime: task.dueTime || null,
+            startTime: task.startTime || null,
+            endTime: task.endTime || null,
+            duration: parseInt(task.duration, 10) || null,
             priority: task.priority || 'medium',
-            category: task.category || 'personal',
+            category: task.category || this.getDefaultCategory(),
+            projectId: task.projectId || null,
             status: task.status || 'pending',
             tags: task.tags || [],
             createdAt: task.createdAt || new Date().toISOString(),
             updatedAt: task.updatedAt || new Date().toISOString(),
             completedAt: task.completedAt || null,
             reminder: task.reminder || false,
-            timeSpent: task.timeSpent || 0,
+            timeSpent: timeEntries.length > 0 ? this.calculateTimeSpent(timeEntries) : task.timeSpent || 0,
+            timeEntries,
             notifiedReminder: task.notifiedReminder || false,
-            notifiedOverdue: task.notifiedOverdue || false
+            notifiedOverdue: task.notifiedOverdue || false,
+            recurrence: RecurrenceRule.normalize(task.recurrence),
+            seriesId: task.seriesId || null,
+            subtasks: this.normalizeSubtasks(task.subtasks),
+            blockedBy: TaskDependencies.normalize(task.blockedBy),
+            position: Number.isFinite(task.position) ? task.position : null
         };
     }
 
+    /**
+     * Normalize a checklist, keeping its order
+     */
+    normalizeSubtasks(subtasks) {
+        if (!Array.isArray(subtasks)) return [];
+
+        return subtasks
+            .filter(subtask => subtask && subtask.title)
+            .map(subtask => ({
+                id: subtask.id || this.generateSubtaskId(),
+                title: String(subtask.title),
+                completed: Boolean(subtask.completed)
+            }));
+    }
+
+    /**
+     * Load task categories, falling back to the built-in set
+     */
+    async loadCategories() {
+        try {
+            const saved = await this.storage.getSetting('taskCategories', null);
+            if (Array.isArray(saved) && saved.length > 0) {
+                this.categories = this.normalizeCategories(saved);
+            }
+            this.populateCategorySelects();
+        } catch (error) {
+            console.error('❌ Failed to load task categories:', error);
+        }
+    }
+
+    /**
+     * Drop malformed or duplicate categories
+     */
+    normalizeCategories(categories) {
+        const seen = new Set();
+        return categories
+            .filter(category => category && category.id && category.name && !seen.has(category.id) && seen.add(category.id))
+            .map(category => ({
+                id: String(category.id),
+                name: String(category.name),
+                color: category.color || '#6B7280',
+                icon: this.categoryIcons.includes(category.icon) ? category.icon : 'folder',
+                archived: Boolean(category.archived)
+            }));
+    }
+
+    /**
+     * Save categories and redraw everything that lists them
+     */
+    async saveCategories() {
+        try {
+            this.categories = this.normalizeCategories(this.categories);
+            await this.storage.setSetting('taskCategories', this.categories);
+            this.refreshCategoryViews();
+        } catch (error) {
+            console.error('❌ Failed to save task categories:', error);
+            NotificationManager.show('Save Failed', 'Failed to save categories. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Repopulate category dropdowns and let other views redraw with the new names and colours
+     */
+    refreshCategoryViews() {
+        this.populateCategorySelects();
+        this.renderCategorySettings();
+        this.refreshTaskList();
+        this.triggerTaskUpdate();
+    }
+
+    /**
+     * Get a category by id
+     */
+    getCategory(categoryId) {
+        return this.categories.find(category => category.id === categoryId);
+    }
+
+    /**
+     * Get category ids, leaving out archived ones unless asked
+     */
+    getCategoryIds(includeArchived = false) {
+        return this.categories
+            .filter(category => includeArchived || !category.archived)
+            .map(category => category.id);
+    }
+
+    /**
+     * Display name for a category id, including ids no longer defined
+     */
+    getCategoryName(categoryId) {
+        const category = this.getCategory(categoryId);
+        if (category) return category.name;
+        return categoryId ? categoryId.charAt(0).toUpperCase() + categoryId.slice(1) : 'Uncategorized';
+    }
+
+    /**
+     * Category for new tasks: Personal while it is active, otherwise the first active one
+     */
+    getDefaultCategory() {
+        const active = this.getCategoryIds();
+        return active.includes('personal') ? 'personal' : (active[0] || 'personal');
+    }
+
+    getCategoryColor(categoryId) {
+        return this.getCategory(categoryId)?.color || '#6B7280';
+    }
+
+    getCategoryIcon(categoryId) {
+        return this.getCategory(categoryId)?.icon || 'folder';
+    }
+
+    /**
+     * Fill the task form, bulk bar and filter dropdowns with the current categories.
+     * Archived categories can still be filtered on, but not assigned.
+     */
+    populateCategorySelects() {
+        try {
+            const optionsHTML = (categories) => categories
+                .map(category => `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.name)}${category.archived ? ' (archived)' : ''}</option>`)
+                .join('');
+            const active = this.categories.filter(category => !category.archived);
+
+            const fill = (id, placeholder, categories) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const value = select.value;
+                select.innerHTML = (placeholder ? `<option value="">${placeholder}</option>` : '') + optionsHTML(categories);
+                if (Array.from(select.options).some(option => option.value === value)) {
+                    select.value = value;
+                }
+            };
+
+            fill('task-category', '', active);
+            fill('bulk-category', 'Category...', active);
+            fill('category-filter', 'All Categories', this.categories);
+
+        } catch (error) {
+            console.error('❌ Failed to populate category dropdowns:', error);
+        }
+    }
+
+    /**
+     * Make sure a task's own category is selectable in the form, even when archived
+     */
+    ensureCategoryOption(categoryId) {
+        const select = document.getElementById('task-category');
+        if (!select || !categoryId || Array.from(select.options).some(option => option.value === categoryId)) return;
+
+        const option = document.createElement('option');
+        option.value = categoryId;
+        option.textContent = this.getCategoryName(categoryId);
+        select.appendChild(option);
+    }
+
+    /**
+     * Create a category from a name, deriving a unique id from it
+     */
+    async addCategory(name, color) {
+        try {
+            const trimmed = (name || '').trim();
+            if (!trimmed) return null;
+
+            if (this.categories.some(category => category.name.toLowerCase() === trimmed.toLowerCase())) {
+                NotificationManager.show('Category Exists', `There is already a "${trimmed}" category`, 'warning');
+                return null;
+            }
+
+            const baseId = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+            let id = baseId;
+            for (let n = 2; this.getCategory(id); n++) {
+                id = `${baseId}-${n}`;
+            }
+
+            const category = { id, name: trimmed, color: color || '#6B7280', icon: 'folder', archived: false };
+            this.categories.push(category);
+            await this.saveCategories();
+
+            NotificationManager.show('Category Added', `"${trimmed}" is ready to use`, 'success');
+            return category;
+
+        } catch (error) {
+            console.error('❌ Failed to add category:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Rename, recolour, change the icon of or archive a category
+     */
+    async updateCategory(categoryId, changes) {
+        try {
+            const category = this.getCategory(categoryId);
+            if (!category) return;
+
+            if ('name' in changes) {
+                const name = (changes.name || '').trim();
+                if (!name) {
+                    this.renderCategorySettings();
+                    return;
+                }
+                changes = { ...changes, name };
+            }
+
+            // At least one category has to stay assignable
+            if (changes.archived && this.getCategoryIds().length <= 1) {
+                NotificationManager.show('Cannot Archive', 'Keep at least one active category', 'warning');
+                this.renderCategorySettings();
+                return;
+            }
+
+            Object.assign(category, changes);
+            await this.saveCategories();
+
+        } catch (error) {
+            console.error('❌ Failed to update category:', error);
+        }
+    }
+
+    /**
+     * Delete a category, moving its tasks to another one
+     */
+    async deleteCategory(categoryId, reassignTo) {
+        try {
+            const category = this.getCategory(categoryId);
+            const target = this.getCategory(reassignTo);
+            if (!category || !target || categoryId === reassignTo) return false;
+
+            const beforeCategories = HistoryManager.snapshot(this.categories);
+            const affected = this.getTasksByCategory(categoryId);
+            const beforeTasks = affected.map(task => HistoryManager.snapshot(task));
+            const now = new Date().toISOString();
+
+            affected.forEach(task => {
+                task.category = reassignTo;
+                task.updatedAt = now;
+            });
+            if (affected.length > 0) {
+                await this.storage.batchUpdateTasks({ update: affected });
+            }
+
+            this.categories = this.categories.filter(c => c.id !== categoryId);
+            this.pendingCategoryDelete = null;
+
+            // A filter on the removed category would hide everything
+            const filters = window.plannerApp?.getComponent('filters');
+            if (filters?.filters.category === categoryId) {
+                filters.setFilter('category', '');
+            }
+
+            await this.saveCategories();
+
+            const afterCategories = HistoryManager.snapshot(this.categories);
+            const afterTasks = affected.map(task => HistoryManager.snapshot(task));
+            const taskIds = affected.map(task => task.id);
+            const label = affected.length > 0
+                ? `Category "${category.name}" deleted, ${this.pluralizeTasks(affected.length)} moved to ${target.name}`
+                : `Category "${category.name}" deleted`;
+            const command = HistoryManager.record({
+                label,
+                undo: async () => {
+                    this.categories = HistoryManager.snapshot(beforeCategories);
+                    await this.restoreTaskSnapshots(taskIds, beforeTasks);
+                    await this.saveCategories();
+                },
+                redo: async () => {
+                    this.categories = HistoryManager.snapshot(afterCategories);
+                    await this.restoreTaskSnapshots(taskIds, afterTasks);
+                    await this.saveCategories();
+                }
+            });
+            NotificationManager.show('Category Deleted', label, 'info', HistoryManager.undoOptions(command));
+
+            console.log(`✅ Category deleted: ${category.name}`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to delete category:', error);
+            NotificationManager.show('Delete Failed', 'Failed to delete category. Please try again.', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Render the category editor in settings: name, colour, icon, archive and delete per category
+     */
+    renderCategorySettings() {
+        try {
+            const list = document.getElementById('task-category-list');
+            if (!list) return;
+
+            list.innerHTML = this.categories.map(category => {
+                const count = this.getTasksByCategory(category.id).length;
+                const others = this.categories.filter(other => other.id !== category.id);
+
+                if (this.pendingCategoryDelete === category.id) {
+                    return `
+                        <div class="category-settings-row deleting" data-category-id="${this.escapeHtml(category.id)}">
+                            <span class="category-settings-prompt">Move ${this.pluralizeTasks(count)} to</span>
+                            <select class="category-reassign">
+                                ${others.map(other => `<option value="${this.escapeHtml(other.id)}">${this.escapeHtml(other.name)}</option>`).join('')}
+                            </select>
+                            <button class="btn-danger category-confirm-delete">Delete</button>
+                            <button class="btn-secondary category-cancel-delete">Cancel</button>
+                        </div>
+                    `;
+                }
+
+                return `
+                    <div class="category-settings-row ${category.archived ? 'archived' : ''}" data-category-id="${this.escapeHtml(category.id)}">
+                        <input type="color" class="category-color-input" value="${this.escapeHtml(category.color)}" aria-label="Colour">
+                        <select class="category-icon-select" aria-label="Icon">
+                            ${this.categoryIcons.map(icon => `<option value="${icon}" ${icon === category.icon ? 'selected' : ''}>${icon}</option>`).join('')}
+                        </select>
+                        <input type="text" class="category-name-input" value="${this.escapeHtml(category.name)}" maxlength="40" aria-label="Name">
+                        <span class="category-settings-count" title="Tasks in this category">${count}</span>
+                        <button class="btn-icon category-archive" title="${category.archived ? 'Restore' : 'Archive'}">
+                            <i data-feather="${category.archived ? 'rotate-ccw' : 'archive'}"></i>
+                        </button>
+                        <button class="btn-icon category-delete" title="Delete" ${others.length === 0 ? 'disabled' : ''}>
+                            <i data-feather="trash-2"></i>
+                        </button>
+                    </div>
+                `;
+            }).join('');
+
+            list.querySelectorAll('.category-settings-row').forEach(row => {
+                const categoryId = row.dataset.categoryId;
+                const category = this.getCategory(categoryId);
+
+                row.querySelector('.category-color-input')?.addEventListener('change', (e) => this.updateCategory(categoryId, { color: e.target.value }));
+                row.querySelector('.category-icon-select')?.addEventListener('change', (e) => this.updateCategory(categoryId, { icon: e.target.value }));
+                row.querySelector('.category-name-input')?.addEventListener('change', (e) => this.updateCategory(categoryId, { name: e.target.value }));
+                row.querySelector('.category-archive')?.addEventListener('click', () => this.updateCategory(categoryId, { archived: !category.archived }));
+
+                row.querySelector('.category-delete')?.addEventListener('click', () => {
+                    // Empty categories go straight away; others ask where their tasks should move
+                    if (this.getTasksByCategory(categoryId).length === 0) {
+                        const target = this.categories.find(other => other.id !== categoryId);
+                        this.deleteCategory(categoryId, target.id);
+                    } else {
+                        this.pendingCategoryDelete = categoryId;
+                        this.renderCategorySettings();
+                    }
+                });
+                row.querySelector('.category-confirm-delete')?.addEventListener('click', () => {
+                    this.deleteCategory(categoryId, row.querySelector('.category-reassign').value);
+                });
+                row.querySelector('.category-cancel-delete')?.addEventListener('click', () => {
+                    this.pendingCategoryDelete = null;
+                    this.renderCategorySettings();
+                });
+            });
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to render category settings:', error);
+        }
+    }
+
     /**
      * Generate unique task ID
      */
@@ -144,6 +580,20 @@ class TaskManager {
         return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Generate unique subtask ID
+     */
+    generateSubtaskId() {
+        return 'subtask_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Generate unique time entry ID
+     */
+    generateTimeEntryId() {
+        return 'time_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
     /**
      * Open task modal for creating or editing
      */
@@ -161,6 +611,8 @@ class TaskManager {
             // Reset form
             form.reset();
             this.currentEditingTask = null;
+            this.populateDependencyOptions(taskId);
+            window.plannerApp?.getComponent('projects')?.populateProjectSelect(document.getElementById('task-project'), this.getTaskById(taskId)?.projectId);
 
             if (taskId) {
                 // Editing existing task
@@ -236,17 +688,148 @@ class TaskManager {
         try {
             document.getElementById('task-title').value = task.title || '';
             document.getElementById('task-description').value = task.description || '';
+            document.getElementById('task-start-date').value = task.startDate || '';
             document.getElementById('task-date').value = task.dueDate || '';
             document.getElementById('task-time').value = task.dueTime || '';
+            document.getElementById('task-start-time').value = task.startTime || '';
+            document.getElementById('task-end-time').value = task.endTime || '';
+            document.getElementById('task-duration').value = task.duration || '';
             document.getElementById('task-priority').value = task.priority || 'medium';
-            document.getElementById('task-category').value = task.category || 'personal';
+            this.populateCategorySelects();
+            this.ensureCategoryOption(task.category);
+            document.getElementById('task-category').value = task.category || this.getDefaultCategory();
+            document.getElementById('task-project').value = task.projectId || '';
             document.getElementById('task-tags').value = (task.tags || []).join(', ');
             document.getElementById('task-reminder').checked = task.reminder || false;
+            this.populateRecurrenceFields(task.recurrence);
+
+            this.formSubtasks = (task.subtasks || []).map(subtask => ({ ...subtask }));
+            this.renderSubtaskEditor();
+
+            const blockedBy = task.blockedBy || [];
+            Array.from(document.getElementById('task-blocked-by').options).forEach(option => {
+                option.selected = blockedBy.includes(option.value);
+            });
         } catch (error) {
             console.error('❌ Failed to populate task form:', error);
         }
     }
 
+    /**
+     * Fill the "blocked by" picker with every task except the one being edited
+     */
+    populateDependencyOptions(taskId = null) {
+        try {
+            const select = document.getElementById('task-blocked-by');
+            if (!select) return;
+
+            select.innerHTML = this.sortTasks(this.tasks.filter(task => task.id !== taskId))
+                .map(task => `
+                    <option value="${task.id}">
+                        ${this.escapeHtml(task.title)}${task.status === 'completed' ? ' (done)' : ''}
+                    </option>
+                `).join('');
+        } catch (error) {
+            console.error('❌ Failed to populate dependency options:', error);
+        }
+    }
+
+    /**
+     * Populate repeat rule fields
+     */
+    populateRecurrenceFields(rule) {
+        try {
+            const recurrence = RecurrenceRule.normalize(rule);
+
+            document.getElementById('task-repeat').value = recurrence ? recurrence.freq : '';
+            document.getElementById('task-repeat-interval').value = recurrence ? recurrence.interval : 1;
+            document.getElementById('task-repeat-monthly').value = recurrence?.bySetPos ? 'weekday' : 'date';
+            document.getElementById('task-repeat-until').value = recurrence?.until || '';
+            document.getElementById('task-repeat-count').value = recurrence?.count || '';
+            document.getElementById('task-repeat-end').value = recurrence?.until
+                ? 'until'
+                : recurrence?.count ? 'count' : 'never';
+
+            document.querySelectorAll('#task-repeat-weekdays input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = recurrence?.freq === 'weekly' && recurrence.byWeekday.includes(parseInt(checkbox.value, 10));
+            });
+
+            this.updateRecurrenceFields();
+        } catch (error) {
+            console.error('❌ Failed to populate repeat fields:', error);
+        }
+    }
+
+    /**
+     * Show the repeat rule fields relevant to the selected frequency and end condition
+     */
+    updateRecurrenceFields() {
+        try {
+            const freq = document.getElementById('task-repeat')?.value;
+            const end = document.getElementById('task-repeat-end')?.value;
+            const options = document.getElementById('recurrence-options');
+            if (!options) return;
+
+            options.style.display = freq ? 'block' : 'none';
+
+            const units = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' };
+            document.getElementById('task-repeat-unit').textContent = units[freq] || '';
+            document.getElementById('repeat-weekdays-group').style.display = freq === 'weekly' ? 'block' : 'none';
+            document.getElementById('repeat-monthly-group').style.display = freq === 'monthly' ? 'block' : 'none';
+            document.getElementById('task-repeat-until').style.display = end === 'until' ? 'block' : 'none';
+            document.getElementById('task-repeat-count').style.display = end === 'count' ? 'block' : 'none';
+
+            // Default the weekday selection to the due date's weekday
+            const dueDate = document.getElementById('task-date')?.value;
+            const weekdayBoxes = document.querySelectorAll('#task-repeat-weekdays input[type="checkbox"]');
+            if (freq === 'weekly' && dueDate && !Array.from(weekdayBoxes).some(box => box.checked)) {
+                const weekday = RecurrenceRule.parseDate(dueDate).getUTCDay();
+                weekdayBoxes.forEach(box => {
+                    box.checked = parseInt(box.value, 10) === weekday;
+                });
+            }
+        } catch (error) {
+            console.error('❌ Failed to update repeat fields:', error);
+        }
+    }
+
+    /**
+     * Read the repeat rule from the task form
+     */
+    getRecurrenceFormData(dueDate) {
+        try {
+            const freq = document.getElementById('task-repeat').value;
+            if (!freq) return null;
+
+            const end = document.getElementById('task-repeat-end').value;
+            const rule = {
+                freq,
+                interval: document.getElementById('task-repeat-interval').value,
+                until: end === 'until' ? document.getElementById('task-repeat-until').value || null : null,
+                count: end === 'count' ? document.getElementById('task-repeat-count').value : null
+            };
+
+            if (freq === 'weekly') {
+                rule.byWeekday = Array.from(document.querySelectorAll('#task-repeat-weekdays input:checked'))
+                    .map(checkbox => parseInt(checkbox.value, 10));
+            }
+
+            if (freq === 'monthly' && dueDate) {
+                if (document.getElementById('task-repeat-monthly').value === 'weekday') {
+                    rule.bySetPos = RecurrenceRule.getSetPosForDate(dueDate);
+                    rule.byWeekday = [RecurrenceRule.parseDate(dueDate).getUTCDay()];
+                } else {
+                    rule.byMonthDay = RecurrenceRule.parseDate(dueDate).getUTCDate();
+                }
+            }
+
+            return RecurrenceRule.normalize(rule);
+        } catch (error) {
+            console.error('❌ Failed to get repeat rule:', error);
+            return null;
+        }
+    }
+
     /**
      * Set default form values for new task
      */
@@ -257,253 +840,1429 @@ class TaskManager {
             
             document.getElementById('task-date').value = todayString;
             document.getElementById('task-priority').value = 'medium';
-            document.getElementById('task-category').value = 'personal';
+            this.populateCategorySelects();
+            document.getElementById('task-category').value = this.getDefaultCategory();
+            this.populateRecurrenceFields(null);
+
+            this.formSubtasks = [];
+            this.renderSubtaskEditor();
         } catch (error) {
             console.error('❌ Failed to set default form values:', error);
         }
     }
 
     /**
-     * Save task (create or update)
+     * Setup checklist editor event listeners
+     */
+    setupSubtaskEditorListeners() {
+        try {
+            const editor = document.getElementById('subtask-editor');
+            const input = document.getElementById('subtask-input');
+            const addBtn = document.getElementById('add-subtask-btn');
+
+            const addFromInput = () => {
+                const title = input.value.trim();
+                if (!title) return;
+
+                this.formSubtasks.push({ id: this.generateSubtaskId(), title, completed: false });
+                input.value = '';
+                this.renderSubtaskEditor();
+            };
+
+            if (input) {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        // Keep Enter from submitting the task form
+                        e.preventDefault();
+                        addFromInput();
+                    }
+                });
+            }
+
+            if (addBtn) {
+                addBtn.addEventListener('click', addFromInput);
+            }
+
+            if (editor) {
+                editor.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-action]');
+                    if (!button) return;
+
+                    const subtaskId = button.closest('.subtask-item').dataset.subtaskId;
+                    const action = button.dataset.action;
+
+                    if (action === 'remove') {
+                        this.formSubtasks = this.formSubtasks.filter(subtask => subtask.id !== subtaskId);
+                    } else {
+                        this.formSubtasks = this.reorderSubtasks(this.formSubtasks, subtaskId, action === 'move-up' ? -1 : 1);
+                    }
+
+                    this.renderSubtaskEditor();
+                });
+
+                editor.addEventListener('change', (e) => {
+                    const item = e.target.closest('.subtask-item');
+                    const subtask = item && this.formSubtasks.find(s => s.id === item.dataset.subtaskId);
+                    if (!subtask) return;
+
+                    if (e.target.matches('.subtask-checkbox')) {
+                        subtask.completed = e.target.checked;
+                    } else if (e.target.matches('.subtask-title-input')) {
+                        subtask.title = e.target.value.trim() || subtask.title;
+                    }
+                });
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to setup checklist editor listeners:', error);
+        }
+    }
+
+    /**
+     * Render the checklist editor inside the task modal
+     */
+    renderSubtaskEditor() {
+        try {
+            const editor = document.getElementById('subtask-editor');
+            if (!editor) return;
+
+            editor.innerHTML = this.formSubtasks.map((subtask, index) => `
+                <div class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+                    <input type="checkbox" class="subtask-checkbox" ${subtask.completed ? 'checked' : ''}>
+                    <input type="text" class="subtask-title-input" value="${this.escapeHtml(subtask.title)}">
+                    <button type="button" class="btn-icon" data-action="move-up" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                        <i data-feather="chevron-up"></i>
+                    </button>
+                    <button type="button" class="btn-icon" data-action="move-down" title="Move down" ${index === this.formSubtasks.length - 1 ? 'disabled' : ''}>
+                        <i data-feather="chevron-down"></i>
+                    </button>
+                    <button type="button" class="btn-icon" data-action="remove" title="Remove step">
+                        <i data-feather="x"></i>
+                    </button>
+                </div>
+            `).join('');
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+        } catch (error) {
+            console.error('❌ Failed to render checklist editor:', error);
+        }
+    }
+
+    /**
+     * Move a subtask one position up (-1) or down (1), returning the reordered checklist
+     */
+    reorderSubtasks(subtasks, subtaskId, direction) {
+        const index = subtasks.findIndex(subtask => subtask.id === subtaskId);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= subtasks.length) return subtasks;
+
+        const reordered = [...subtasks];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        return reordered;
+    }
+
+    /**
+     * Save task (create or update) from the task form, or from already parsed task data.
+     * Returns the saved task, or false when it was rejected or could not be saved.
+     */
+    async saveTask(taskData = null) {
+        try {
+            const formData = taskData || this.getFormData();
+            
+            // Validate form data
+            if (!this.validateTaskForm(formData)) {
+                return false;
+            }
+
+            // Anchor the repeat rule to the due date unless an existing series keeps its date
+            if (formData.recurrence) {
+                const previous = this.currentEditingTask;
+                const keepAnchor = previous?.recurrence?.anchor && previous.dueDate === formData.dueDate;
+                formData.recurrence.anchor = keepAnchor ? previous.recurrence.anchor : formData.dueDate;
+            }
+
+            let task;
+            const previous = this.currentEditingTask;
+            const action = previous ? 'updated' : 'created';
+            
+            if (previous) {
+                // Update existing task
+                task = {
+                    ...this.currentEditingTask,
+                    ...formData,
+                    updatedAt: new Date().toISOString()
+                };
+            } else {
+                // Create new task
+                task = {
+                    ...formData,
+                    id: this.generateTaskId(),
+                    status: 'pending',
+                    createdAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString(),
+                    completedAt: null,
+                    timeSpent: 0,
+                    timeEntries: [],
+                    notifiedReminder: false,
+                    notifiedOverdue: false
+                };
+            }
+
+            // Reject links that would make tasks wait on each other
+            const cycle = TaskDependencies.findCycle(this.tasks, task.id, task.blockedBy);
+            if (cycle) {
+                const titles = cycle.map(id => id === task.id ? task.title : this.getTaskById(id)?.title || id);
+                NotificationManager.show('Dependency Cycle', `These tasks would block each other: ${titles.join(' → ')}`, 'error');
+                return false;
+            }
+
+            // Save to storage
+            await this.storage.saveTask(task);
+            
+            // Update local tasks array
+            if (previous) {
+                const index = this.tasks.findIndex(t => t.id === task.id);
+                if (index >= 0) {
+                    this.tasks[index] = task;
+                }
+            } else {
+                this.tasks.push(task);
+            }
+
+            // Close modal
+            if (!taskData) {
+                this.closeTaskModal();
+            }
+            
+            // Refresh UI
+            this.refreshTaskList();
+            this.updateQuickStats();
+            
+            // Trigger refresh for other components
+            this.triggerTaskUpdate();
+            
+            // Show success notification
+            const command = this.recordTaskHistory(`Task "${task.title}" ${action}`, previous ? [previous] : [], [task]);
+            NotificationManager.show('Task Saved', `Task "${task.title}" ${action} successfully`, 'success', HistoryManager.undoOptions(command));
+            
+            console.log(`✅ Task ${action}: ${task.title}`);
+            return task;
+
+        } catch (error) {
+            console.error('❌ Failed to save task:', error);
+            NotificationManager.show('Save Failed', 'Failed to save task. Please try again.', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Setup quick add event listeners
+     */
+    setupQuickAddListeners() {
+        try {
+            const overlay = document.getElementById('quick-add-overlay');
+            const input = document.getElementById('quick-add-input');
+            if (!overlay || !input) return;
+
+            document.getElementById('quick-add-btn')?.addEventListener('click', () => this.openQuickAdd());
+
+            input.addEventListener('input', () => this.renderQuickAddPreview());
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.submitQuickAdd();
+                } else if (e.key === 'Escape') {
+                    this.closeQuickAdd();
+                }
+            });
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    this.closeQuickAdd();
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Failed to setup quick add listeners:', error);
+        }
+    }
+
+    /**
+     * Open the quick add input
+     */
+    openQuickAdd() {
+        try {
+            const overlay = document.getElementById('quick-add-overlay');
+            const input = document.getElementById('quick-add-input');
+            if (!overlay || !input) return;
+
+            input.value = '';
+            this.renderQuickAddPreview();
+            overlay.classList.add('active');
+            setTimeout(() => input.focus(), 50);
+
+        } catch (error) {
+            console.error('❌ Failed to open quick add:', error);
+        }
+    }
+
+    /**
+     * Close the quick add input
+     */
+    closeQuickAdd() {
+        document.getElementById('quick-add-overlay')?.classList.remove('active');
+    }
+
+    /**
+     * Parse the quick add input against the known categories
+     */
+    parseQuickAdd() {
+        const input = document.getElementById('quick-add-input');
+        return QuickAddParser.parse(input ? input.value : '', { categories: this.getCategoryIds() });
+    }
+
+    /**
+     * Show the fields parsed from the quick add input
+     */
+    renderQuickAddPreview() {
+        try {
+            const preview = document.getElementById('quick-add-preview');
+            if (!preview) return;
+
+            const parsed = this.parseQuickAdd();
+            const fields = [
+                ['Title', parsed.title || '(none)'],
+                ['Due', parsed.dueDate ? this.formatTaskDate(parsed) : null],
+                ['Category', parsed.category ? this.getCategoryName(parsed.category) : null],
+                ['Priority', parsed.priority],
+                ['Tags', parsed.tags.length > 0 ? parsed.tags.join(', ') : null],
+                ['Repeats', parsed.recurrence ? RecurrenceRule.describe(parsed.recurrence) : null]
+            ].filter(([, value]) => value);
+
+            preview.innerHTML = fields.map(([label, value]) => `
+                <span class="quick-add-field">
+                    <span class="quick-add-label">${label}</span>
+                    ${this.escapeHtml(value)}
+                </span>
+            `).join('');
+
+        } catch (error) {
+            console.error('❌ Failed to render quick add preview:', error);
+        }
+    }
+
+    /**
+     * Create a task from the quick add input
+     */
+    async submitQuickAdd() {
+        try {
+            const parsed = this.parseQuickAdd();
+            if (!parsed.title) {
+                NotificationManager.show('Validation Error', 'Task title is required', 'error');
+                return;
+            }
+
+            this.currentEditingTask = null;
+            const saved = await this.saveTask({
+                title: parsed.title,
+                description: '',
+                dueDate: parsed.dueDate,
+                dueTime: parsed.dueTime,
+                startTime: null,
+                endTime: null,
+                duration: null,
+                priority: parsed.priority || 'medium',
+                category: parsed.category || this.getDefaultCategory(),
+                tags: parsed.tags,
+                reminder: false,
+                recurrence: parsed.recurrence,
+                subtasks: [],
+                blockedBy: []
+            });
+
+            // Keep the typed text to fix when the task was rejected
+            if (saved) {
+                this.closeQuickAdd();
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to quick add task:', error);
+        }
+    }
+
+    /**
+     * Get form data
+     */
+    getFormData() {
+        try {
+            const title = document.getElementById('task-title').value.trim();
+            const description = document.getElementById('task-description').value.trim();
+            const startDate = document.getElementById('task-start-date').value;
+            const dueDate = document.getElementById('task-date').value;
+            const dueTime = document.getElementById('task-time').value;
+            const startTime = document.getElementById('task-start-time').value;
+            const endTime = document.getElementById('task-end-time').value;
+            const durationValue = parseInt(document.getElementById('task-duration').value, 10);
+            const priority = document.getElementById('task-priority').value;
+            const category = document.getElementById('task-category').value;
+            const projectId = document.getElementById('task-project').value;
+            const tagsString = document.getElementById('task-tags').value.trim();
+            const reminder = document.getElementById('task-reminder').checked;
+            const blockedBy = Array.from(document.getElementById('task-blocked-by').selectedOptions)
+                .map(option => option.value);
+
+            // Parse tags
+            const tags = tagsString ? tagsString.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+
+            return {
+                title,
+                description,
+                startDate: startDate || null,
+                dueDate: dueDate || null,
+                dueTime: dueTime || null,
+                startTime: startTime || null,
+                endTime: endTime || null,
+                duration: this.getTimeBlockDuration(startTime, endTime) || (durationValue > 0 ? durationValue : null),
+                priority,
+                category,
+                projectId: projectId || null,
+                tags,
+                reminder,
+                recurrence: this.getRecurrenceFormData(dueDate),
+                subtasks: this.normalizeSubtasks(this.formSubtasks),
+                blockedBy
+            };
+        } catch (error) {
+            console.error('❌ Failed to get form data:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Validate task form
+     */
+    validateTaskForm(formData) {
+        try {
+            if (!formData.title) {
+                NotificationManager.show('Validation Error', 'Task title is required', 'error');
+                return false;
+            }
+
+            if (formData.title.length > 200) {
+                NotificationManager.show('Validation Error', 'Task title is too long (max 200 characters)', 'error');
+                return false;
+            }
+
+            if (formData.description && formData.description.length > 1000) {
+                NotificationManager.show('Validation Error', 'Task description is too long (max 1000 characters)', 'error');
+                return false;
+            }
+
+            if (formData.startDate && !formData.dueDate) {
+                NotificationManager.show('Validation Error', 'Set a due date along with the start date', 'error');
+                return false;
+            }
+
+            if (formData.startDate && formData.startDate > formData.dueDate) {
+                NotificationManager.show('Validation Error', 'Start date must not be after the due date', 'error');
+                return false;
+            }
+
+            if (formData.endTime && !formData.startTime) {
+                NotificationManager.show('Validation Error', 'Set a start time along with the end time', 'error');
+                return false;
+            }
+
+            if (formData.startTime && formData.endTime && formData.endTime <= formData.startTime) {
+                NotificationManager.show('Validation Error', 'End time must be after the start time', 'error');
+                return false;
+            }
+
+            if (formData.recurrence && !formData.dueDate) {
+                NotificationManager.show('Validation Error', 'Repeating tasks need a due date', 'error');
+                return false;
+            }
+
+            if (formData.recurrence?.until && formData.recurrence.until < formData.dueDate) {
+                NotificationManager.show('Validation Error', 'Repeat end date must be after the due date', 'error');
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('❌ Form validation failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete task
+     */
+    async deleteTask(taskId) {
+        try {
+            const task = this.getTaskById(taskId);
+            if (!task) {
+                console.error('❌ Task not found for deletion:', taskId);
+                return;
+            }
+
+            // Confirm deletion
+            const confirmed = confirm(`Are you sure you want to delete "${task.title}"?`);
+            if (!confirmed) return;
+
+            // A deleted task can't keep the timer
+            if (this.activeTimer?.taskId === taskId) {
+                await this.setActiveTimer(null);
+            }
+
+            // Delete from storage
+            await this.storage.deleteTask(taskId);
+            
+            // Remove from local array
+            this.tasks = this.tasks.filter(t => t.id !== taskId);
+            
+            // Refresh UI
+            this.refreshTaskList();
+            this.updateQuickStats();
+            
+            // Trigger refresh for other components
+            this.triggerTaskUpdate();
+            
+            // Show success notification
+            const command = this.recordTaskHistory(`Task "${task.title}" deleted`, [task], []);
+            NotificationManager.show('Task Deleted', `Task "${task.title}" deleted successfully`, 'info', HistoryManager.undoOptions(command));
+            
+            console.log(`✅ Task deleted: ${task.title}`);
+
+        } catch (error) {
+            console.error('❌ Failed to delete task:', error);
+            NotificationManager.show('Delete Failed', 'Failed to delete task. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Complete/uncomplete task
+     */
+    async completeTask(taskId) {
+        try {
+            const task = this.getTaskById(taskId);
+            if (!task) {
+                console.error('❌ Task not found for completion:', taskId);
+                return;
+            }
+
+            // Warn before completing a task whose prerequisites are still open
+            const wasCompleted = task.status === 'completed';
+            const blockers = wasCompleted ? [] : this.getOpenBlockers(task);
+            if (blockers.length > 0) {
+                const names = blockers.map(blocker => `"${blocker.title}"`).join(', ');
+                const confirmed = confirm(`"${task.title}" is blocked by ${names}. Complete it anyway?`);
+                if (!confirmed) return;
+            }
+
+            // Get task element for animation
+            const taskElement = document.querySelector(`[data-task-id="${taskId}"]`);
+
+            // Finishing a task ends its timer
+            if (!wasCompleted && this.activeTimer?.taskId === taskId) {
+                if (this.activeTimer.status === 'running') {
+                    await this.closeTimeEntry(task);
+                }
+                await this.setActiveTimer(null);
+            }
+
+            // Snapshot for undo, taken once the timer has let go of the task
+            const before = [HistoryManager.snapshot(task)];
+
+            // Toggle completion status
+            task.status = wasCompleted ? 'pending' : 'completed';
+            task.completedAt = wasCompleted ? null : new Date().toISOString();
+            task.updatedAt = new Date().toISOString();
+
+            // Add celebratory animation for completion
+            if (!wasCompleted && taskElement) {
+                taskElement.classList.add('just-completed');
+                taskElement.classList.add('animate-bounce');
+                
+                // Remove animation classes after animation completes
+                setTimeout(() => {
+                    taskElement.classList.remove('animate-bounce');
+                }, 600);
+                
+                setTimeout(() => {
+                    taskElement.classList.remove('just-completed');
+                }, 1000);
+            }
+
+            // Save to storage
+            await this.storage.saveTask(task);
+            
+            // Update local array
+            const index = this.tasks.findIndex(t => t.id === taskId);
+            if (index >= 0) {
+                this.tasks[index] = task;
+            }
+
+            // Schedule the next occurrence of a repeating task
+            const nextTask = wasCompleted ? null : await this.createNextOccurrence(task);
+            
+            // Refresh UI with animation delay for completion
+            if (!wasCompleted) {
+                setTimeout(() => {
+                    this.refreshTaskList();
+                    this.updateQuickStats();
+                }, 500);
+            } else {
+                this.refreshTaskList();
+                this.updateQuickStats();
+            }
+            
+            // Trigger refresh for other components
+            this.triggerTaskUpdate();
+            
+            // Show notification
+            const action = wasCompleted ? 'reopened' : 'completed';
+            const notificationType = wasCompleted ? 'info' : 'success';
+            const nextMessage = nextTask ? `. Next occurrence: ${this.formatTaskDate(nextTask)}` : '';
+            const command = this.recordTaskHistory(`Task "${task.title}" ${action}`, before, nextTask ? [task, nextTask] : [task]);
+            NotificationManager.show('Task Updated', `Task "${task.title}" ${action}${nextMessage}`, notificationType, HistoryManager.undoOptions(command));
+            
+            console.log(`✅ Task ${action}: ${task.title}`);
+
+        } catch (error) {
+            console.error('❌ Failed to complete task:', error);
+            NotificationManager.show('Update Failed', 'Failed to update task. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Create the next occurrence of a repeating task once the current one is completed
+     */
+    async createNextOccurrence(task) {
+        try {
+            if (!task.recurrence || !task.dueDate) return null;
+
+            const anchor = task.recurrence.anchor || task.dueDate;
+            const nextDate = RecurrenceRule.getNextOccurrence(task.recurrence, anchor, task.dueDate);
+            if (!nextDate) return null;
+
+            const seriesId = task.seriesId || task.id;
+            if (task.seriesId !== seriesId) {
+                task.seriesId = seriesId;
+                await this.storage.saveTask(task);
+            }
+
+            // Completing, reopening and completing again must not schedule the same occurrence twice
+            const alreadyScheduled = this.tasks.some(t =>
+                (t.seriesId || t.id) === seriesId && t.dueDate === nextDate
+            );
+            if (alreadyScheduled) return null;
+
+            const now = new Date().toISOString();
+            const nextTask = this.normalizeTask({
+                ...task,
+                id: this.generateTaskId(),
+                startDate: task.startDate ? RecurrenceRule.addDays(task.startDate, RecurrenceRule.daysBetween(task.dueDate, nextDate)) : null,
+                dueDate: nextDate,
+                status: 'pending',
+                createdAt: now,
+                updatedAt: now,
+                completedAt: null,
+                timeSpent: 0,
+                timeEntries: [],
+                notifiedReminder: false,
+                notifiedOverdue: false,
+                recurrence: { ...task.recurrence, anchor },
+                seriesId,
+                subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false }))
+            });
+
+            await this.storage.saveTask(nextTask);
+            this.tasks.push(nextTask);
+
+            console.log(`✅ Next occurrence of "${task.title}" scheduled for ${nextDate}`);
+            return nextTask;
+
+        } catch (error) {
+            console.error('❌ Failed to create next occurrence:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Setup the bulk action bar shown while tasks are selected
+     */
+    setupBulkActionListeners() {
+        document.getElementById('bulk-complete')?.addEventListener('click', () => this.bulkComplete());
+        document.getElementById('bulk-delete')?.addEventListener('click', () => this.bulkDelete());
+        document.getElementById('bulk-clear')?.addEventListener('click', () => this.clearSelection());
+
+        document.getElementById('bulk-date')?.addEventListener('change', (e) => {
+            if (e.target.value) this.bulkMoveToDate(e.target.value);
+            e.target.value = '';
+        });
+
+        document.getElementById('bulk-priority')?.addEventListener('change', (e) => {
+            const priority = e.target.value;
+            if (priority) {
+                this.bulkUpdate(task => { task.priority = priority; }, `set to ${priority} priority`);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('bulk-category')?.addEventListener('change', (e) => {
+            const category = e.target.value;
+            if (category) {
+                this.bulkUpdate(task => { task.category = category; }, `moved to ${this.getCategoryName(category)}`);
+            }
+            e.target.value = '';
+        });
+
+        const tagInput = document.getElementById('bulk-tag');
+        const changeTag = (add) => {
+            const tag = tagInput?.value.trim();
+            if (!tag) return;
+
+            if (add) {
+                this.bulkUpdate(task => {
+                    if (!task.tags.includes(tag)) task.tags = [...task.tags, tag];
+                }, `tagged "${tag}"`);
+            } else {
+                this.bulkUpdate(task => {
+                    task.tags = task.tags.filter(existing => existing !== tag);
+                }, `untagged "${tag}"`);
+            }
+            tagInput.value = '';
+        };
+
+        document.getElementById('bulk-add-tag')?.addEventListener('click', () => changeTag(true));
+        document.getElementById('bulk-remove-tag')?.addEventListener('click', () => changeTag(false));
+        tagInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                changeTag(true);
+            }
+        });
+    }
+
+    /**
+     * Update the selection for a click: ctrl/cmd toggles one task, shift selects a range
+     * of orderedIds from the last clicked task. Returns false for plain clicks.
+     */
+    handleSelectionClick(taskId, event, orderedIds = []) {
+        try {
+            const toggle = event.ctrlKey || event.metaKey;
+            if (!event.shiftKey && !toggle) return false;
+
+            const anchorIndex = orderedIds.indexOf(this.selectionAnchorId);
+            const targetIndex = orderedIds.indexOf(taskId);
+
+            if (event.shiftKey && anchorIndex >= 0 && targetIndex >= 0) {
+                if (!toggle) this.selectedTaskIds.clear();
+                const [from, to] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+                orderedIds.slice(from, to + 1).forEach(id => this.selectedTaskIds.add(id));
+            } else if (this.selectedTaskIds.has(taskId)) {
+                this.selectedTaskIds.delete(taskId);
+                this.selectionAnchorId = taskId;
+            } else {
+                this.selectedTaskIds.add(taskId);
+                this.selectionAnchorId = taskId;
+            }
+
+            this.renderSelection();
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to update selection:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if a task is part of the current selection
+     */
+    isSelected(taskId) {
+        return this.selectedTaskIds.has(taskId);
+    }
+
+    /**
+     * Get the selected tasks that still exist
+     */
+    getSelectedTasks() {
+        return this.tasks.filter(task => this.selectedTaskIds.has(task.id));
+    }
+
+    /**
+     * Clear the selection and hide the bulk action bar
+     */
+    clearSelection() {
+        this.selectedTaskIds.clear();
+        this.selectionAnchorId = null;
+        this.renderSelection();
+    }
+
+    /**
+     * Mark selected tasks in the list and calendar and update the bulk action bar
+     */
+    renderSelection() {
+        try {
+            // Drop ids of tasks deleted elsewhere
+            const existingIds = new Set(this.tasks.map(task => task.id));
+            this.selectedTaskIds.forEach(id => {
+                if (!existingIds.has(id)) this.selectedTaskIds.delete(id);
+            });
+
+            document.querySelectorAll('.task-item[data-task-id], .task-preview[data-task-id]').forEach(element => {
+                element.classList.toggle('selected', this.selectedTaskIds.has(element.dataset.taskId));
+            });
+
+            const bar = document.getElementById('bulk-action-bar');
+            if (bar) {
+                const count = this.selectedTaskIds.size;
+                bar.hidden = count === 0;
+                document.getElementById('bulk-count').textContent = `${count} selected`;
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to render selection:', error);
+        }
+    }
+
+    /**
+     * Apply a change to every selected task and save them in one batch.
+     * createFollowUps may add tasks afterwards (e.g. next occurrences) that undo removes again.
+     */
+    async bulkUpdate(changeTask, description, selected = this.getSelectedTasks(), createFollowUps = null) {
+        try {
+            if (selected.length === 0) return [];
+
+            const before = selected.map(task => HistoryManager.snapshot(task));
+            const now = new Date().toISOString();
+            selected.forEach(task => {
+                changeTask(task);
+                task.updatedAt = now;
+            });
+
+            await this.storage.batchUpdateTasks({ update: selected });
+            const followUps = createFollowUps ? await createFollowUps(selected) : [];
+
+            this.refreshTaskList();
+            this.updateQuickStats();
+            this.triggerTaskUpdate();
+
+            const label = `${this.pluralizeTasks(selected.length)} ${description}`;
+            const command = this.recordTaskHistory(label, before, [...selected, ...followUps]);
+            NotificationManager.show('Tasks Updated', label, 'success', HistoryManager.undoOptions(command));
+            console.log(`✅ Bulk update: ${selected.length} tasks ${description}`);
+            return selected;
+
+        } catch (error) {
+            console.error('❌ Failed to update selected tasks:', error);
+            NotificationManager.show('Update Failed', 'Failed to update the selected tasks. Please try again.', 'error');
+            return [];
+        }
+    }
+
+    /**
+     * Complete every selected task, scheduling next occurrences of repeating ones
+     */
+    async bulkComplete() {
+        try {
+            const openTasks = this.getSelectedTasks().filter(task => task.status !== 'completed');
+            if (openTasks.length === 0) return;
+
+            // Warn before completing tasks whose prerequisites stay open; blockers completed alongside don't count
+            const blockedTasks = openTasks.filter(task =>
+                this.getOpenBlockers(task).some(blocker => !openTasks.includes(blocker)));
+            if (blockedTasks.length > 0) {
+                const blockers = [...new Set(blockedTasks.flatMap(task => this.getOpenBlockers(task)))]
+                    .filter(blocker => !openTasks.includes(blocker));
+                const names = blockers.map(blocker => `"${blocker.title}"`).join(', ');
+                const subject = blockedTasks.length === 1 ? `"${blockedTasks[0].title}" is` : `${blockedTasks.length} selected tasks are`;
+                const confirmed = confirm(`${subject} blocked by ${names}. Complete anyway?`);
+                if (!confirmed) return;
+            }
+
+            // Finishing a task ends its timer
+            const timedTask = openTasks.find(task => task.id === this.activeTimer?.taskId);
+            if (timedTask) {
+                if (this.activeTimer.status === 'running') {
+                    await this.closeTimeEntry(timedTask);
+                }
+                await this.setActiveTimer(null);
+            }
+
+            // Repeating tasks carry on
+            const scheduleNextOccurrences = async (completed) => {
+                const nextTasks = [];
+                for (const task of completed) {
+                    const nextTask = await this.createNextOccurrence(task);
+                    if (nextTask) nextTasks.push(nextTask);
+                }
+                return nextTasks;
+            };
+
+            const completedAt = new Date().toISOString();
+            await this.bulkUpdate(task => {
+                task.status = 'completed';
+                task.completedAt = completedAt;
+            }, 'completed', openTasks, scheduleNextOccurrences);
+
+            this.clearSelection();
+
+        } catch (error) {
+            console.error('❌ Failed to complete selected tasks:', error);
+        }
+    }
+
+    /**
+     * Delete every selected task after confirmation
+     */
+    async bulkDelete() {
+        try {
+            const selected = this.getSelectedTasks();
+            if (selected.length === 0) return;
+
+            const confirmed = confirm(`Are you sure you want to delete ${this.pluralizeTasks(selected.length)}?`);
+            if (!confirmed) return;
+
+            const deleteIds = selected.map(task => task.id);
+
+            // A deleted task can't keep the timer
+            if (deleteIds.includes(this.activeTimer?.taskId)) {
+                await this.setActiveTimer(null);
+            }
+
+            await this.storage.batchUpdateTasks({ delete: deleteIds });
+
+            this.tasks = this.tasks.filter(task => !deleteIds.includes(task.id));
+            this.clearSelection();
+
+            this.refreshTaskList();
+            this.updateQuickStats();
+            this.triggerTaskUpdate();
+
+            const label = `${this.pluralizeTasks(deleteIds.length)} deleted`;
+            const command = this.recordTaskHistory(label, selected, []);
+            NotificationManager.show('Tasks Deleted', label, 'info', HistoryManager.undoOptions(command));
+            console.log(`✅ Bulk delete: ${deleteIds.length} tasks`);
+
+        } catch (error) {
+            console.error('❌ Failed to delete selected tasks:', error);
+            NotificationManager.show('Delete Failed', 'Failed to delete the selected tasks. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Reschedule every selected task to a date (YYYY-MM-DD)
+     */
+    async bulkMoveToDate(dateString) {
+        const formattedDate = new Date(`${dateString}T00:00:00`).toLocaleDateString();
+        return this.bulkUpdate(task => { this.rescheduleTask(task, dateString); }, `moved to ${formattedDate}`);
+    }
+
+    /**
+     * Move a task's due date, keeping its start date the same number of days before it
+     */
+    rescheduleTask(task, dueDate) {
+        if (task.startDate && task.dueDate && dueDate) {
+            task.startDate = RecurrenceRule.addDays(task.startDate, RecurrenceRule.daysBetween(task.dueDate, dueDate));
+        } else if (!dueDate) {
+            task.startDate = null;
+        }
+        task.dueDate = dueDate;
+    }
+
+    /**
+     * Set a task's start and due dates, e.g. after dragging its timeline bar
+     */
+    async updateTaskDates(taskId, startDate, dueDate) {
+        try {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+
+            const before = HistoryManager.snapshot(task);
+            task.startDate = startDate && startDate !== dueDate ? startDate : null;
+            task.dueDate = dueDate;
+            task.updatedAt = new Date().toISOString();
+
+            await this.storage.saveTask(task);
+
+            this.refreshTaskList();
+            this.triggerTaskUpdate();
+
+            const range = task.startDate
+                ? `${this.formatDateShort(task.startDate)} – ${this.formatDateShort(task.dueDate)}`
+                : this.formatDateShort(task.dueDate);
+            const label = `"${task.title}" scheduled for ${range}`;
+            const command = this.recordTaskHistory(label, [before], [task]);
+            NotificationManager.show('Task Rescheduled', label, 'success', HistoryManager.undoOptions(command));
+
+            console.log(`✅ Task dates updated: ${task.title}`);
+            return task;
+
+        } catch (error) {
+            console.error('❌ Failed to update task dates:', error);
+            NotificationManager.show('Update Failed', 'Failed to reschedule task. Please try again.', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Format a YYYY-MM-DD date as e.g. "Mar 4"
+     */
+    formatDateShort(dateString) {
+        return new Date(`${dateString}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Record a task change for undo. Tasks missing from one side were created or deleted by it.
+     */
+    recordTaskHistory(label, beforeTasks, afterTasks) {
+        const before = beforeTasks.map(task => HistoryManager.snapshot(task));
+        const after = afterTasks.map(task => HistoryManager.snapshot(task));
+        const taskIds = [...new Set([...before, ...after].map(task => task.id))];
+
+        return HistoryManager.record({
+            label,
+            undo: () => this.restoreTaskSnapshots(taskIds, before),
+            redo: () => this.restoreTaskSnapshots(taskIds, after)
+        });
+    }
+
+    /**
+     * Put tasks back to recorded snapshots, deleting the ids that have none
+     */
+    async restoreTaskSnapshots(taskIds, snapshots) {
+        const restored = snapshots.map(snapshot => this.normalizeTask(HistoryManager.snapshot(snapshot)));
+        const deleteIds = taskIds.filter(id => !restored.some(task => task.id === id));
+
+        await this.storage.batchUpdateTasks({ update: restored, delete: deleteIds });
+
+        // A timer can't stay on a task that no longer exists
+        if (deleteIds.includes(this.activeTimer?.taskId)) {
+            await this.setActiveTimer(null);
+        }
+
+        this.tasks = this.tasks.filter(task => !deleteIds.includes(task.id));
+        restored.forEach(task => {
+            const index = this.tasks.findIndex(t => t.id === task.id);
+            if (index >= 0) {
+                this.tasks[index] = task;
+            } else {
+                this.tasks.push(task);
+            }
+        });
+
+        this.refreshTaskList();
+        this.updateQuickStats();
+        this.triggerTaskUpdate();
+    }
+
+    /**
+     * Format a task count, e.g. "1 task" or "3 tasks"
+     */
+    pluralizeTasks(count) {
+        return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+    }
+
+    /**
+     * Get unfinished tasks that block a task
+     */
+    getOpenBlockers(task) {
+        return TaskDependencies.getOpenBlockers(task, this.tasks);
+    }
+
+    /**
+     * Check if a task is blocked by unfinished tasks
+     */
+    isTaskBlocked(task) {
+        return TaskDependencies.isBlocked(task, this.tasks);
+    }
+
+    /**
+     * Get checklist progress for a task
+     */
+    getSubtaskProgress(task) {
+        const subtasks = task.subtasks || [];
+        const completed = subtasks.filter(subtask => subtask.completed).length;
+
+        return {
+            completed,
+            total: subtasks.length,
+            percent: subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : 0
+        };
+    }
+
+    /**
+     * Persist a task's checklist and refresh the UI
+     */
+    async updateSubtasks(task, subtasks) {
+        task.subtasks = subtasks;
+        task.updatedAt = new Date().toISOString();
+
+        await this.storage.saveTask(task);
+
+        const index = this.tasks.findIndex(t => t.id === task.id);
+        if (index >= 0) {
+            this.tasks[index] = task;
+        }
+
+        this.refreshTaskList();
+        this.triggerTaskUpdate();
+    }
+
+    /**
+     * Check or uncheck a subtask
+     */
+    async toggleSubtask(taskId, subtaskId) {
+        try {
+            const task = this.getTaskById(taskId);
+            if (!task) return;
+
+            const subtasks = task.subtasks.map(subtask =>
+                subtask.id === subtaskId ? { ...subtask, completed: !subtask.completed } : subtask
+            );
+
+            await this.updateSubtasks(task, subtasks);
+
+        } catch (error) {
+            console.error('❌ Failed to toggle subtask:', error);
+            NotificationManager.show('Update Failed', 'Failed to update checklist. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Promote a subtask to a full task, removing it from the checklist
+     */
+    async promoteSubtask(taskId, subtaskId) {
+        try {
+            const parent = this.getTaskById(taskId);
+            const subtask = parent?.subtasks.find(s => s.id === subtaskId);
+            if (!subtask) return;
+
+            const now = new Date().toISOString();
+            const task = this.normalizeTask({
+                title: subtask.title,
+                description: `From "${parent.title}"`,
+                dueDate: parent.dueDate,
+                dueTime: parent.dueTime,
+                priority: parent.priority,
+                category: parent.category,
+                tags: [...parent.tags],
+                status: subtask.completed ? 'completed' : 'pending',
+                completedAt: subtask.completed ? now : null,
+                createdAt: now,
+                updatedAt: now
+            });
+
+            await this.storage.saveTask(task);
+            this.tasks.push(task);
+
+            await this.updateSubtasks(parent, parent.subtasks.filter(s => s.id !== subtaskId));
+            this.updateQuickStats();
+
+            NotificationManager.show('Subtask Promoted', `"${task.title}" is now a task`, 'success');
+            console.log(`✅ Subtask promoted: ${task.title}`);
+
+        } catch (error) {
+            console.error('❌ Failed to promote subtask:', error);
+            NotificationManager.show('Promote Failed', 'Failed to promote subtask. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Normalize time entries, oldest first
+     */
+    normalizeTimeEntries(entries) {
+        if (!Array.isArray(entries)) return [];
+
+        return entries
+            .filter(entry => entry && entry.start)
+            .map(entry => ({
+                id: entry.id || this.generateTimeEntryId(),
+                start: entry.start,
+                end: entry.end || null,
+                source: entry.source || 'timer' // timer | pomodoro
+            }))
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    /**
+     * Sum finished time entries in whole minutes
+     */
+    calculateTimeSpent(entries) {
+        const milliseconds = entries
+            .filter(entry => entry.end)
+            .reduce((total, entry) => total + Math.max(new Date(entry.end) - new Date(entry.start), 0), 0);
+
+        return Math.round(milliseconds / 60000);
+    }
+
+    /**
+     * Get tracked time in milliseconds, including a running entry
+     */
+    getTrackedTime(task) {
+        const now = Date.now();
+        return task.timeEntries.reduce((total, entry) => {
+            const end = entry.end ? new Date(entry.end).getTime() : now;
+            return total + Math.max(end - new Date(entry.start).getTime(), 0);
+        }, 0);
+    }
+
+    /**
+     * Get the time entry that is still running on a task
+     */
+    getOpenTimeEntry(task) {
+        return task.timeEntries.find(entry => !entry.end) || null;
+    }
+
+    /**
+     * Add a finished time entry to a task, e.g. a completed pomodoro
+     */
+    async addTimeEntry(taskId, entry) {
+        try {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+
+            task.timeEntries = this.normalizeTimeEntries([...task.timeEntries, entry]);
+            task.timeSpent = this.calculateTimeSpent(task.timeEntries);
+            task.updatedAt = new Date().toISOString();
+            await this.storage.saveTask(task);
+
+            this.refreshTaskList();
+            this.triggerTaskUpdate();
+            return task;
+
+        } catch (error) {
+            console.error('❌ Failed to add time entry:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Count the pomodoros completed on a task
+     */
+    getPomodoroCount(task) {
+        return task.timeEntries.filter(entry => entry.source === 'pomodoro').length;
+    }
+
+    /**
+     * Restore the timer after a reload; an open time entry means the timer is still running
+     */
+    async restoreTimer() {
+        try {
+            const runningTask = this.tasks.find(task => this.getOpenTimeEntry(task));
+            const saved = await this.storage.getSetting('activeTimer', null);
+
+            if (runningTask) {
+                this.activeTimer = { taskId: runningTask.id, status: 'running' };
+            } else if (saved?.status === 'paused' && this.getTaskById(saved.taskId)) {
+                this.activeTimer = saved;
+            } else {
+                this.activeTimer = null;
+            }
+
+            this.renderActiveTimer();
+
+        } catch (error) {
+            console.error('❌ Failed to restore timer:', error);
+        }
+    }
+
+    /**
+     * Start or resume the timer on a task, pausing any other running timer
      */
-    async saveTask() {
+    async startTimer(taskId) {
         try {
-            const formData = this.getFormData();
-            
-            // Validate form data
-            if (!this.validateTaskForm(formData)) {
-                return;
-            }
+            const task = this.getTaskById(taskId);
+            if (!task) return;
 
-            let task;
-            
-            if (this.currentEditingTask) {
-                // Update existing task
-                task = {
-                    ...this.currentEditingTask,
-                    ...formData,
-                    updatedAt: new Date().toISOString()
-                };
-            } else {
-                // Create new task
-                task = {
-                    ...formData,
-                    id: this.generateTaskId(),
-                    status: 'pending',
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString(),
-                    completedAt: null,
-                    timeSpent: 0,
-                    notifiedReminder: false,
-                    notifiedOverdue: false
-                };
+            if (this.activeTimer?.status === 'running') {
+                if (this.activeTimer.taskId === taskId) return;
+                await this.closeTimeEntry(this.getTaskById(this.activeTimer.taskId));
             }
 
-            // Save to storage
+            task.timeEntries.push({ id: this.generateTimeEntryId(), start: new Date().toISOString(), end: null });
+            task.updatedAt = new Date().toISOString();
             await this.storage.saveTask(task);
-            
-            // Update local tasks array
-            if (this.currentEditingTask) {
-                const index = this.tasks.findIndex(t => t.id === task.id);
-                if (index >= 0) {
-                    this.tasks[index] = task;
-                }
-            } else {
-                this.tasks.push(task);
-            }
 
-            // Close modal
-            this.closeTaskModal();
-            
-            // Refresh UI
+            await this.setActiveTimer({ taskId, status: 'running' });
             this.refreshTaskList();
-            this.updateQuickStats();
-            
-            // Trigger refresh for other components
             this.triggerTaskUpdate();
-            
-            // Show success notification
-            const action = this.currentEditingTask ? 'updated' : 'created';
-            NotificationManager.show('Task Saved', `Task "${task.title}" ${action} successfully`, 'success');
-            
-            console.log(`✅ Task ${action}: ${task.title}`);
+
+            console.log(`✅ Timer started: ${task.title}`);
 
         } catch (error) {
-            console.error('❌ Failed to save task:', error);
-            NotificationManager.show('Save Failed', 'Failed to save task. Please try again.', 'error');
+            console.error('❌ Failed to start timer:', error);
+            NotificationManager.show('Timer Failed', 'Failed to start the timer. Please try again.', 'error');
         }
     }
 
     /**
-     * Get form data
+     * Pause the running timer, keeping it attached to its task
      */
-    getFormData() {
+    async pauseTimer() {
         try {
-            const title = document.getElementById('task-title').value.trim();
-            const description = document.getElementById('task-description').value.trim();
-            const dueDate = document.getElementById('task-date').value;
-            const dueTime = document.getElementById('task-time').value;
-            const priority = document.getElementById('task-priority').value;
-            const category = document.getElementById('task-category').value;
-            const tagsString = document.getElementById('task-tags').value.trim();
-            const reminder = document.getElementById('task-reminder').checked;
+            if (this.activeTimer?.status !== 'running') return;
 
-            // Parse tags
-            const tags = tagsString ? tagsString.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+            await this.closeTimeEntry(this.getTaskById(this.activeTimer.taskId));
+            await this.setActiveTimer({ ...this.activeTimer, status: 'paused' });
+            this.refreshTaskList();
+            this.triggerTaskUpdate();
 
-            return {
-                title,
-                description,
-                dueDate: dueDate || null,
-                dueTime: dueTime || null,
-                priority,
-                category,
-                tags,
-                reminder
-            };
         } catch (error) {
-            console.error('❌ Failed to get form data:', error);
-            return {};
+            console.error('❌ Failed to pause timer:', error);
         }
     }
 
     /**
-     * Validate task form
+     * Stop the timer and detach it from its task
      */
-    validateTaskForm(formData) {
+    async stopTimer() {
         try {
-            if (!formData.title) {
-                NotificationManager.show('Validation Error', 'Task title is required', 'error');
-                return false;
-            }
+            if (!this.activeTimer) return;
 
-            if (formData.title.length > 200) {
-                NotificationManager.show('Validation Error', 'Task title is too long (max 200 characters)', 'error');
-                return false;
+            const task = this.getTaskById(this.activeTimer.taskId);
+            if (this.activeTimer.status === 'running') {
+                await this.closeTimeEntry(task);
             }
 
-            if (formData.description && formData.description.length > 1000) {
-                NotificationManager.show('Validation Error', 'Task description is too long (max 1000 characters)', 'error');
-                return false;
+            await this.setActiveTimer(null);
+            this.refreshTaskList();
+            this.triggerTaskUpdate();
+
+            if (task) {
+                NotificationManager.show('Timer Stopped', `${this.formatDuration(task.timeSpent)} tracked on "${task.title}"`, 'info');
             }
 
-            return true;
         } catch (error) {
-            console.error('❌ Form validation failed:', error);
-            return false;
+            console.error('❌ Failed to stop timer:', error);
         }
     }
 
     /**
-     * Delete task
+     * Finish a task's running time entry and update its timeSpent
      */
-    async deleteTask(taskId) {
-        try {
-            const task = this.getTaskById(taskId);
-            if (!task) {
-                console.error('❌ Task not found for deletion:', taskId);
-                return;
-            }
-
-            // Confirm deletion
-            const confirmed = confirm(`Are you sure you want to delete "${task.title}"?`);
-            if (!confirmed) return;
-
-            // Delete from storage
-            await this.storage.deleteTask(taskId);
-            
-            // Remove from local array
-            this.tasks = this.tasks.filter(t => t.id !== taskId);
-            
-            // Refresh UI
-            this.refreshTaskList();
-            this.updateQuickStats();
-            
-            // Trigger refresh for other components
-            this.triggerTaskUpdate();
-            
-            // Show success notification
-            NotificationManager.show('Task Deleted', `Task "${task.title}" deleted successfully`, 'info');
-            
-            console.log(`✅ Task deleted: ${task.title}`);
+    async closeTimeEntry(task) {
+        const entry = task && this.getOpenTimeEntry(task);
+        if (!entry) return;
+
+        entry.end = new Date().toISOString();
+        task.timeSpent = this.calculateTimeSpent(task.timeEntries);
+        task.updatedAt = entry.end;
+        await this.storage.saveTask(task);
+    }
 
-        } catch (error) {
-            console.error('❌ Failed to delete task:', error);
-            NotificationManager.show('Delete Failed', 'Failed to delete task. Please try again.', 'error');
-        }
+    /**
+     * Remember the active timer so it survives a reload
+     */
+    async setActiveTimer(timer) {
+        this.activeTimer = timer;
+        await this.storage.setSetting('activeTimer', timer);
+        this.renderActiveTimer();
     }
 
     /**
-     * Complete/uncomplete task
+     * Render the header timer widget and keep its clock ticking
      */
-    async completeTask(taskId) {
+    renderActiveTimer() {
         try {
-            const task = this.getTaskById(taskId);
-            if (!task) {
-                console.error('❌ Task not found for completion:', taskId);
-                return;
-            }
+            const widget = document.getElementById('active-timer');
+            if (!widget) return;
 
-            // Get task element for animation
-            const taskElement = document.querySelector(`[data-task-id="${taskId}"]`);
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
 
-            // Toggle completion status
-            const wasCompleted = task.status === 'completed';
-            task.status = wasCompleted ? 'pending' : 'completed';
-            task.completedAt = wasCompleted ? null : new Date().toISOString();
-            task.updatedAt = new Date().toISOString();
+            const task = this.activeTimer && this.getTaskById(this.activeTimer.taskId);
+            widget.classList.toggle('hidden', !task);
+            if (!task) return;
 
-            // Add celebratory animation for completion
-            if (!wasCompleted && taskElement) {
-                taskElement.classList.add('just-completed');
-                taskElement.classList.add('animate-bounce');
-                
-                // Remove animation classes after animation completes
-                setTimeout(() => {
-                    taskElement.classList.remove('animate-bounce');
-                }, 600);
-                
-                setTimeout(() => {
-                    taskElement.classList.remove('just-completed');
-                }, 1000);
-            }
+            const isRunning = this.activeTimer.status === 'running';
+            widget.classList.toggle('running', isRunning);
+            document.getElementById('active-timer-title').textContent = task.title;
 
-            // Save to storage
-            await this.storage.saveTask(task);
-            
-            // Update local array
-            const index = this.tasks.findIndex(t => t.id === taskId);
-            if (index >= 0) {
-                this.tasks[index] = task;
+            const toggleBtn = document.getElementById('active-timer-toggle');
+            toggleBtn.title = isRunning ? 'Pause timer' : 'Resume timer';
+            toggleBtn.innerHTML = `<i data-feather="${isRunning ? 'pause' : 'play'}"></i>`;
+
+            const clock = document.getElementById('active-timer-clock');
+            const updateClock = () => {
+                clock.textContent = this.formatClock(this.getTrackedTime(task));
+            };
+
+            updateClock();
+            if (isRunning) {
+                this.timerInterval = setInterval(updateClock, 1000);
             }
-            
-            // Refresh UI with animation delay for completion
-            if (!wasCompleted) {
-                setTimeout(() => {
-                    this.refreshTaskList();
-                    this.updateQuickStats();
-                }, 500);
-            } else {
-                this.refreshTaskList();
-                this.updateQuickStats();
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
             }
-            
-            // Trigger refresh for other components
-            this.triggerTaskUpdate();
-            
-            // Show notification
-            const action = wasCompleted ? 'reopened' : 'completed';
-            const notificationType = wasCompleted ? 'info' : 'success';
-            NotificationManager.show('Task Updated', `Task "${task.title}" ${action}`, notificationType);
-            
-            console.log(`✅ Task ${action}: ${task.title}`);
 
         } catch (error) {
-            console.error('❌ Failed to complete task:', error);
-            NotificationManager.show('Update Failed', 'Failed to update task. Please try again.', 'error');
+            console.error('❌ Failed to render active timer:', error);
         }
     }
 
+    /**
+     * Format minutes as "1h 25m"
+     */
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return `${hours > 0 ? `${hours}h ` : ''}${minutes % 60}m`;
+    }
+
+    /**
+     * Format milliseconds as "H:MM:SS"
+     */
+    formatClock(milliseconds) {
+        const totalSeconds = Math.floor(milliseconds / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${hours}:${minutes}:${seconds}`;
+    }
+
+    /**
+     * Create HTML for a task's timer controls and tracked time
+     */
+    createTimerHTML(task) {
+        const hasTimer = this.activeTimer?.taskId === task.id;
+        const isRunning = hasTimer && this.activeTimer.status === 'running';
+        const pomodoros = this.getPomodoroCount(task);
+        const pomodoroHTML = pomodoros > 0
+            ? `<span class="task-pomodoros" title="Pomodoros completed"><i data-feather="target"></i>${pomodoros}</span>`
+            : '';
+
+        if (task.status === 'completed') {
+            return task.timeSpent > 0 ? `
+                <div class="task-timer">
+                    <i data-feather="clock"></i>
+                    <span>${this.formatDuration(task.timeSpent)}</span>
+                    ${pomodoroHTML}
+                </div>
+            ` : '';
+        }
+
+        return `
+            <div class="task-timer ${isRunning ? 'running' : ''}">
+                <button class="btn-icon task-timer-toggle" title="${isRunning ? 'Pause timer' : 'Start timer'}">
+                    <i data-feather="${isRunning ? 'pause' : 'play'}"></i>
+                </button>
+                ${hasTimer ? `
+                    <button class="btn-icon task-timer-stop" title="Stop timer">
+                        <i data-feather="square"></i>
+                    </button>
+                ` : ''}
+                <span>${this.formatDuration(task.timeSpent)}</span>
+                ${pomodoroHTML}
+            </div>
+        `;
+    }
+
     /**
      * Edit task
      */
@@ -584,14 +2343,15 @@ class TaskManager {
                 emptyState.style.display = 'none';
             }
 
-            // Sort tasks
-            const sortedTasks = this.sortTasks(filteredTasks);
+            // Keep FilterManager's chosen order; sort ourselves only without it
+            const sortedTasks = filterManager ? filteredTasks : this.sortTasks(filteredTasks);
 
             // Generate HTML
             taskList.innerHTML = sortedTasks.map(task => this.createTaskHTML(task)).join('');
 
             // Setup task item event listeners
             this.setupTaskItemListeners();
+            this.renderSelection();
 
             // Animate task items
             this.animateTaskItems();
@@ -602,7 +2362,7 @@ class TaskManager {
     }
 
     /**
-     * Sort tasks by priority and due date
+     * Sort tasks by manual position, then priority and due date
      */
     sortTasks(tasks) {
         const priorityOrder = { high: 3, medium: 2, low: 1 };
@@ -612,6 +2372,12 @@ class TaskManager {
             if (a.status === 'completed' && b.status !== 'completed') return 1;
             if (b.status === 'completed' && a.status !== 'completed') return -1;
             
+            // Dragged tasks keep their place; tasks never dragged come first
+            const aPlaced = Number.isFinite(a.position);
+            const bPlaced = Number.isFinite(b.position);
+            if (aPlaced && bPlaced) return a.position - b.position;
+            if (aPlaced !== bPlaced) return aPlaced ? 1 : -1;
+            
             // Sort by priority
             const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
             if (priorityDiff !== 0) return priorityDiff;
@@ -634,11 +2400,13 @@ class TaskManager {
     createTaskHTML(task) {
         try {
             const isOverdue = this.isTaskOverdue(task);
+            const blockers = task.status === 'completed' ? [] : this.getOpenBlockers(task);
             const formattedDate = this.formatTaskDate(task);
             const tagsHTML = task.tags.map(tag => `<span class="task-tag">${this.escapeHtml(tag)}</span>`).join('');
+            const project = task.projectId ? window.plannerApp?.getComponent('projects')?.getProjectById(task.projectId) : null;
 
             return `
-                <div class="task-item ${task.status}" data-task-id="${task.id}" draggable="true">
+                <div class="task-item ${task.status} ${blockers.length > 0 ? 'blocked' : ''} ${this.isSelected(task.id) ? 'selected' : ''}" data-task-id="${task.id}" draggable="true">
                     <div class="task-priority-indicator ${task.priority}"></div>
                     
                     <div class="task-header">
@@ -655,6 +2423,8 @@ class TaskManager {
                     
                     ${task.description ? `<p class="task-description">${this.escapeHtml(task.description)}</p>` : ''}
                     
+                    ${task.subtasks.length > 0 ? this.createSubtaskListHTML(task) : ''}
+                    
                     <div class="task-meta">
                         <div class="task-info">
                             ${formattedDate ? `
@@ -664,11 +2434,39 @@ class TaskManager {
                                 </div>
                             ` : ''}
                             
-                            <div class="task-category">
-                                <i data-feather="folder"></i>
-                                <span>${this.escapeHtml(task.category)}</span>
+                            <div class="task-category" style="--category-color: ${this.escapeHtml(this.getCategoryColor(task.category))}">
+                                <i data-feather="${this.getCategoryIcon(task.category)}"></i>
+                                <span>${this.escapeHtml(this.getCategoryName(task.category))}</span>
                             </div>
                             
+                            ${project ? `
+                                <div class="task-project" style="--project-color: ${project.color};">
+                                    <i data-feather="briefcase"></i>
+                                    <span>${this.escapeHtml(project.name)}</span>
+                                </div>
+                            ` : ''}
+                            
+                            ${task.startTime || task.duration ? `
+                                <div class="task-time-block">
+                                    <i data-feather="clock"></i>
+                                    <span>${this.formatTimeBlock(task)}</span>
+                                </div>
+                            ` : ''}
+                            
+                            ${blockers.length > 0 ? `
+                                <div class="task-blocked" title="Blocked by: ${this.escapeHtml(blockers.map(blocker => blocker.title).join(', '))}">
+                                    <i data-feather="lock"></i>
+                                    <span>Blocked by ${blockers.length}</span>
+                                </div>
+                            ` : ''}
+                            
+                            ${task.recurrence ? `
+                                <div class="task-recurrence">
+                                    <i data-feather="repeat"></i>
+                                    <span>${this.escapeHtml(RecurrenceRule.describe(task.recurrence))}</span>
+                                </div>
+                            ` : ''}
+                            
                             ${task.tags.length > 0 ? `
                                 <div class="task-tags">
                                     ${tagsHTML}
@@ -676,6 +2474,8 @@ class TaskManager {
                             ` : ''}
                         </div>
                         
+                        ${this.createTimerHTML(task)}
+                        
                         <div class="task-completion">
                             <div class="task-checkbox ${task.status === 'completed' ? 'completed' : ''}" 
                                  onclick="taskManager.completeTask('${task.id}')">
@@ -691,6 +2491,35 @@ class TaskManager {
         }
     }
 
+    /**
+     * Create HTML for a task's checklist and progress
+     */
+    createSubtaskListHTML(task) {
+        const progress = this.getSubtaskProgress(task);
+
+        return `
+            <div class="task-subtasks">
+                <div class="subtask-progress" title="${progress.completed} of ${progress.total} steps done">
+                    <div class="subtask-progress-bar">
+                        <div class="subtask-progress-fill" style="width: ${progress.percent}%"></div>
+                    </div>
+                    <span class="subtask-progress-label">${progress.completed}/${progress.total}</span>
+                </div>
+                <ul class="subtask-list">
+                    ${task.subtasks.map(subtask => `
+                        <li class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+                            <input type="checkbox" class="subtask-checkbox" ${subtask.completed ? 'checked' : ''}>
+                            <span class="subtask-title">${this.escapeHtml(subtask.title)}</span>
+                            <button class="btn-icon subtask-promote" title="Promote to task">
+                                <i data-feather="arrow-up-right"></i>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
     /**
      * Check if task is overdue
      */
@@ -738,14 +2567,52 @@ class TaskManager {
         }
     }
 
+    /**
+     * Format a task's time block, e.g. "09:00 – 10:30" or "~45 min"
+     */
+    formatTimeBlock(task) {
+        if (task.startTime && task.endTime) {
+            return `${task.startTime} – ${task.endTime}`;
+        }
+        if (task.startTime) {
+            return task.duration ? `${task.startTime} (${task.duration} min)` : `From ${task.startTime}`;
+        }
+        return task.duration ? `~${task.duration} min` : '';
+    }
+
+    /**
+     * Get the minutes between a start and end time, or null when either is missing
+     */
+    getTimeBlockDuration(startTime, endTime) {
+        if (!startTime || !endTime) return null;
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        const duration = toMinutes(endTime) - toMinutes(startTime);
+        return duration > 0 ? duration : null;
+    }
+
     /**
      * Setup task item event listeners
      */
     setupTaskItemListeners() {
         try {
             const taskItems = document.querySelectorAll('.task-item');
+            const orderedIds = Array.from(taskItems).map(item => item.dataset.taskId);
             
             taskItems.forEach(item => {
+                // Shift/ctrl-click selects; a plain click on the card clears the selection
+                item.addEventListener('click', (e) => {
+                    if (e.target.closest('button, input, a, .task-checkbox, .subtask-item')) return;
+
+                    if (!this.handleSelectionClick(item.dataset.taskId, e, orderedIds) && this.selectedTaskIds.size > 0) {
+                        this.clearSelection();
+                    }
+                });
+
                 // Add hover effects
                 item.addEventListener('mouseenter', (e) => {
                     if (typeof gsap !== 'undefined') {
@@ -758,6 +2625,31 @@ class TaskManager {
                         gsap.to(e.target, { scale: 1, duration: 0.2 });
                     }
                 });
+
+                // Checklist controls
+                item.querySelectorAll('.subtask-item').forEach(subtaskItem => {
+                    const subtaskId = subtaskItem.dataset.subtaskId;
+
+                    subtaskItem.querySelector('.subtask-checkbox')?.addEventListener('change', () => {
+                        this.toggleSubtask(item.dataset.taskId, subtaskId);
+                    });
+
+                    subtaskItem.querySelector('.subtask-promote')?.addEventListener('click', () => {
+                        this.promoteSubtask(item.dataset.taskId, subtaskId);
+                    });
+                });
+
+                // Timer controls
+                item.querySelector('.task-timer-toggle')?.addEventListener('click', () => {
+                    const isRunning = this.activeTimer?.taskId === item.dataset.taskId && this.activeTimer.status === 'running';
+                    if (isRunning) {
+                        this.pauseTimer();
+                    } else {
+                        this.startTimer(item.dataset.taskId);
+                    }
+                });
+
+                item.querySelector('.task-timer-stop')?.addEventListener('click', () => this.stopTimer());
             });
 
             // Re-initialize feather icons
@@ -794,7 +2686,7 @@ class TaskManager {
         try {
             const totalTasks = this.tasks.length;
             const completedTasks = this.getTasksByStatus('completed').length;
-            const pendingTasks = this.getTasksByStatus('pending').length;
+            const pendingTasks = this.tasks.filter(task => task.status !== 'completed').length; // Includes board statuses like in-progress
             const overdueTasks = this.getOverdueTasks().length;
 
             // Update UI elements
@@ -862,7 +2754,7 @@ class TaskManager {
             const pending = this.getTasksByStatus('pending').length;
             const overdue = this.getOverdueTasks().length;
 
-            const byCategory = this.categories.reduce((acc, category) => {
+            const byCategory = this.getCategoryIds(true).reduce((acc, category) => {
                 acc[category] = this.getTasksByCategory(category).length;
                 return acc;
             }, {});
@@ -0,0 +1,585 @@
+/**
+ * Timeline Manager - Gantt view of tasks as bars from start date to due date
+ * Bars are grouped by category or tag, linked by dependency arrows, and can be dragged to reschedule
+ */
+
+class TimelineManager {
+    constructor() {
+        this.storage = null;
+        this.tasks = [];
+        this.settings = {
+            groupBy: 'category', // category | tag
+            zoom: 'week' // day | week | month
+        };
+        this.zoomLevels = {
+            day: { dayWidth: 48, days: 28 },
+            week: { dayWidth: 18, days: 84 },
+            month: { dayWidth: 5, days: 365 }
+        };
+        this.rangeStart = null; // YYYY-MM-DD of the first visible day
+        this.dragState = null;
+        this.lastDragAt = 0;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.render = this.render.bind(this);
+    }
+
+    /**
+     * Initialize timeline manager
+     */
+    async init() {
+        try {
+            // Get storage instance
+            this.storage = window.plannerApp?.getComponent('storage') || new StorageManager();
+
+            this.tasks = await this.storage.getAllTasks();
+            await this.loadSettings();
+            this.goToToday();
+
+            // Setup event listeners
+            this.setupEventListeners();
+            this.setupTaskUpdateListener();
+
+            this.render();
+
+            console.log('✅ TimelineManager initialized');
+
+        } catch (error) {
+            console.error('❌ TimelineManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load timeline settings
+     */
+    async loadSettings() {
+        try {
+            const savedSettings = await this.storage.getSetting('timeline', {});
+            this.settings = {
+                groupBy: savedSettings.groupBy === 'tag' ? 'tag' : 'category',
+                zoom: this.zoomLevels[savedSettings.zoom] ? savedSettings.zoom : 'week'
+            };
+        } catch (error) {
+            console.error('❌ Failed to load timeline settings:', error);
+        }
+    }
+
+    /**
+     * Save timeline settings and redraw
+     */
+    async saveSettings() {
+        try {
+            await this.storage.setSetting('timeline', this.settings);
+            this.render();
+        } catch (error) {
+            console.error('❌ Failed to save timeline settings:', error);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        try {
+            const groupBySelect = document.getElementById('timeline-group-by');
+            if (groupBySelect) {
+                groupBySelect.value = this.settings.groupBy;
+                groupBySelect.addEventListener('change', (e) => {
+                    this.settings.groupBy = e.target.value;
+                    this.saveSettings();
+                });
+            }
+
+            document.querySelectorAll('.timeline-zoom').forEach(button => {
+                button.addEventListener('click', () => this.setZoom(button.dataset.zoom));
+            });
+
+            document.getElementById('timeline-prev')?.addEventListener('click', () => this.shiftRange(-1));
+            document.getElementById('timeline-next')?.addEventListener('click', () => this.shiftRange(1));
+            document.getElementById('timeline-today')?.addEventListener('click', () => {
+                this.goToToday();
+                this.render();
+            });
+
+            // Arrows are drawn from bar positions, which move when the view is resized
+            window.addEventListener('resize', () => {
+                if (document.getElementById('timeline-view')?.classList.contains('active')) {
+                    this.drawDependencyArrows();
+                }
+            });
+
+            console.log('✅ Timeline event listeners setup');
+
+        } catch (error) {
+            console.error('❌ Failed to setup timeline event listeners:', error);
+        }
+    }
+
+    /**
+     * Setup task update listener
+     */
+    setupTaskUpdateListener() {
+        try {
+            document.addEventListener('tasksUpdated', (e) => {
+                this.tasks = e.detail.tasks || [];
+                this.render();
+            });
+        } catch (error) {
+            console.error('❌ Failed to setup task update listener:', error);
+        }
+    }
+
+    /**
+     * Refresh timeline
+     */
+    refresh() {
+        this.render();
+    }
+
+    /**
+     * Read tasks from the task manager, falling back to the last update received
+     */
+    getTasks() {
+        return window.plannerApp?.getComponent('tasks')?.getAllTasks() || this.tasks;
+    }
+
+    /**
+     * Switch between day, week and month scales, keeping today in view
+     */
+    setZoom(zoom) {
+        if (!this.zoomLevels[zoom] || zoom === this.settings.zoom) return;
+
+        this.settings.zoom = zoom;
+        this.goToToday();
+        this.saveSettings();
+    }
+
+    /**
+     * Start the visible range a little before today
+     */
+    goToToday() {
+        const { days } = this.zoomLevels[this.settings.zoom];
+        this.rangeStart = RecurrenceRule.addDays(this.getToday(), -Math.floor(days / 7));
+    }
+
+    /**
+     * Page the visible range back or forward by half its length
+     */
+    shiftRange(direction) {
+        const { days } = this.zoomLevels[this.settings.zoom];
+        this.rangeStart = RecurrenceRule.addDays(this.rangeStart, direction * Math.floor(days / 2));
+        this.render();
+    }
+
+    /**
+     * Get the last visible day
+     */
+    getRangeEnd() {
+        return RecurrenceRule.addDays(this.rangeStart, this.zoomLevels[this.settings.zoom].days - 1);
+    }
+
+    /**
+     * Get the tasks with a due date whose bars overlap the visible range
+     */
+    getTimelineTasks() {
+        const rangeEnd = this.getRangeEnd();
+
+        return this.getTasks()
+            .filter(task => task.dueDate && this.getStartDate(task) <= rangeEnd && task.dueDate >= this.rangeStart)
+            .sort((a, b) => this.getStartDate(a).localeCompare(this.getStartDate(b)) || a.dueDate.localeCompare(b.dueDate));
+    }
+
+    /**
+     * A task without a start date is a one-day bar on its due date
+     */
+    getStartDate(task) {
+        return task.startDate && task.startDate <= task.dueDate ? task.startDate : task.dueDate;
+    }
+
+    /**
+     * Group tasks into rows by category, or by tag with a task repeated under each of its tags
+     */
+    getGroups(tasks) {
+        const groups = new Map();
+        const addToGroup = (key, label, task) => {
+            if (!groups.has(key)) groups.set(key, { key, label, tasks: [] });
+            groups.get(key).tasks.push(task);
+        };
+
+        tasks.forEach(task => {
+            if (this.settings.groupBy === 'tag') {
+                const tags = task.tags || [];
+                if (tags.length === 0) addToGroup('', 'No tag', task);
+                tags.forEach(tag => addToGroup(tag, `#${tag}`, task));
+            } else {
+                const taskManager = window.plannerApp?.getComponent('tasks');
+                const label = taskManager ? taskManager.getCategoryName(task.category) : this.capitalize(task.category || 'uncategorized');
+                addToGroup(task.category || '', label, task);
+            }
+        });
+
+        return Array.from(groups.values()).sort((a, b) => {
+            // Untagged tasks go last
+            if (!a.key || !b.key) return a.key ? -1 : 1;
+            return a.label.localeCompare(b.label);
+        });
+    }
+
+    /**
+     * Split the visible range into header cells: days, weeks (from Monday) or months
+     */
+    getScaleUnits() {
+        const units = [];
+        const { days } = this.zoomLevels[this.settings.zoom];
+
+        for (let i = 0; i < days; i++) {
+            const dateString = RecurrenceRule.addDays(this.rangeStart, i);
+            const date = RecurrenceRule.parseDate(dateString);
+            let key;
+
+            if (this.settings.zoom === 'day') {
+                key = dateString;
+            } else if (this.settings.zoom === 'week') {
+                key = RecurrenceRule.addDays(dateString, -((date.getUTCDay() + 6) % 7));
+            } else {
+                key = dateString.slice(0, 7);
+            }
+
+            const last = units[units.length - 1];
+            if (last && last.key === key) {
+                last.days++;
+            } else {
+                units.push({ key, days: 1, label: this.formatScaleLabel(date), isWeekend: [0, 6].includes(date.getUTCDay()) });
+            }
+        }
+
+        return units;
+    }
+
+    /**
+     * Label a header cell for the current scale
+     */
+    formatScaleLabel(date) {
+        if (this.settings.zoom === 'day') {
+            return `${RecurrenceRule.weekdayNames[date.getUTCDay()]} ${date.getUTCDate()}`;
+        }
+
+        const options = this.settings.zoom === 'week' ? { month: 'short', day: 'numeric' } : { month: 'short', year: 'numeric' };
+        return date.toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+    }
+
+    /**
+     * Render the scale, grouped rows of bars and dependency arrows
+     */
+    render() {
+        try {
+            const timeline = document.getElementById('timeline');
+            if (!timeline || this.dragState) return;
+
+            const { dayWidth, days } = this.zoomLevels[this.settings.zoom];
+            const tasks = this.getTimelineTasks();
+            const groups = this.getGroups(tasks);
+            const todayOffset = this.getDayOffset(this.getToday());
+
+            document.querySelectorAll('.timeline-zoom').forEach(button => {
+                button.classList.toggle('active', button.dataset.zoom === this.settings.zoom);
+            });
+
+            const rangeLabel = document.getElementById('timeline-range');
+            if (rangeLabel) {
+                rangeLabel.textContent = `${this.formatDate(this.rangeStart)} – ${this.formatDate(this.getRangeEnd())}`;
+            }
+
+            if (tasks.length === 0) {
+                timeline.innerHTML = `
+                    <div class="empty-state">
+                        <i data-feather="sliders"></i>
+                        <h3>Nothing scheduled in this range</h3>
+                        <p>Give tasks a due date, and a start date to span several days</p>
+                    </div>
+                `;
+            } else {
+                timeline.innerHTML = `
+                    <div class="timeline-grid" style="--timeline-day-width: ${dayWidth}px; --timeline-days: ${days};">
+                        <div class="timeline-row timeline-scale">
+                            <div class="timeline-row-label"></div>
+                            <div class="timeline-track">
+                                ${this.getScaleUnits().map(unit => `
+                                    <div class="timeline-scale-cell ${this.settings.zoom === 'day' && unit.isWeekend ? 'weekend' : ''}" style="width: ${unit.days * dayWidth}px;">
+                                        ${unit.days * dayWidth >= 28 ? this.escapeHtml(unit.label) : ''}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                        <div class="timeline-body">
+                            ${groups.map(group => this.createGroupHTML(group)).join('')}
+                            ${todayOffset >= 0 && todayOffset < days ? `
+                                <div class="timeline-today-line" style="left: calc(var(--timeline-label-width) + ${(todayOffset + 0.5) * dayWidth}px);"></div>
+                            ` : ''}
+                            <svg class="timeline-arrows" aria-hidden="true">
+                                <defs>
+                                    <marker id="timeline-arrowhead" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="8" markerHeight="8" orient="auto">
+                                        <path d="M0,0 L8,4 L0,8 z"></path>
+                                    </marker>
+                                </defs>
+                            </svg>
+                        </div>
+                    </div>
+                `;
+
+                timeline.querySelectorAll('.timeline-bar').forEach(bar => this.setupBar(bar));
+            }
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+
+            this.drawDependencyArrows();
+
+        } catch (error) {
+            console.error('❌ Failed to render timeline:', error);
+        }
+    }
+
+    /**
+     * Create HTML for a group heading and one row per task
+     */
+    createGroupHTML(group) {
+        return `
+            <div class="timeline-group">
+                <div class="timeline-row timeline-group-header">
+                    <div class="timeline-row-label">
+                        ${this.escapeHtml(group.label)}
+                        <span class="timeline-group-count">${group.tasks.length}</span>
+                    </div>
+                    <div class="timeline-track"></div>
+                </div>
+                ${group.tasks.map(task => `
+                    <div class="timeline-row">
+                        <div class="timeline-row-label" title="${this.escapeHtml(task.title)}">${this.escapeHtml(task.title)}</div>
+                        <div class="timeline-track">${this.createBarHTML(task)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a task bar, clipped to the visible range
+     */
+    createBarHTML(task) {
+        const { dayWidth, days } = this.zoomLevels[this.settings.zoom];
+        const startOffset = this.getDayOffset(this.getStartDate(task));
+        const endOffset = this.getDayOffset(task.dueDate) + 1;
+        const left = Math.max(startOffset, 0);
+        const right = Math.min(endOffset, days);
+        const taskManager = window.plannerApp?.getComponent('tasks');
+        const isBlocked = taskManager ? taskManager.isTaskBlocked(task) : false;
+        const classes = [
+            'timeline-bar',
+            task.priority,
+            task.status === 'completed' ? 'completed' : '',
+            isBlocked ? 'blocked' : '',
+            startOffset < 0 ? 'clipped-start' : '',
+            endOffset > days ? 'clipped-end' : ''
+        ].filter(Boolean).join(' ');
+        const dates = task.startDate ? `${this.formatDate(task.startDate)} – ${this.formatDate(task.dueDate)}` : this.formatDate(task.dueDate);
+
+        return `
+            <div class="${classes}" data-task-id="${task.id}" style="left: ${left * dayWidth}px; width: ${(right - left) * dayWidth}px;" title="${this.escapeHtml(`${task.title} (${dates})`)}">
+                <span class="timeline-bar-handle start"></span>
+                <span class="timeline-bar-title">${this.escapeHtml(task.title)}</span>
+                <span class="timeline-bar-handle end"></span>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire a bar for opening, moving and resizing
+     */
+    setupBar(bar) {
+        bar.addEventListener('click', () => {
+            // Keep the click that ends a drag from opening the task
+            if (Date.now() - this.lastDragAt < 300) return;
+            window.plannerApp?.getComponent('tasks')?.editTask(bar.dataset.taskId);
+        });
+
+        bar.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            const handle = e.target.closest('.timeline-bar-handle');
+            const mode = handle ? (handle.classList.contains('start') ? 'start' : 'end') : 'move';
+            this.startBarDrag(e, bar, mode);
+        });
+    }
+
+    /**
+     * Move a bar, or resize it by one of its ends, snapping to whole days
+     */
+    startBarDrag(event, bar, mode) {
+        try {
+            const task = this.getTasks().find(t => t.id === bar.dataset.taskId);
+            if (!task) return;
+
+            event.preventDefault();
+
+            const { dayWidth } = this.zoomLevels[this.settings.zoom];
+            const startX = event.clientX;
+            const originalStart = this.getStartDate(task);
+            const originalDue = task.dueDate;
+            const spanDays = RecurrenceRule.daysBetween(originalStart, originalDue);
+            let newStart = originalStart;
+            let newDue = originalDue;
+
+            this.dragState = { taskId: task.id, mode };
+            bar.classList.add('dragging');
+            document.getElementById('timeline')?.classList.add('dragging');
+
+            const onMouseMove = (e) => {
+                const delta = Math.round((e.clientX - startX) / dayWidth);
+
+                if (mode === 'move') {
+                    newStart = RecurrenceRule.addDays(originalStart, delta);
+                    newDue = RecurrenceRule.addDays(originalDue, delta);
+                } else if (mode === 'start') {
+                    newStart = RecurrenceRule.addDays(originalStart, Math.min(delta, spanDays));
+                } else {
+                    newDue = RecurrenceRule.addDays(originalDue, Math.max(delta, -spanDays));
+                }
+
+                this.positionBar(bar, newStart, newDue);
+            };
+
+            const onMouseUp = async () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                bar.classList.remove('dragging');
+                document.getElementById('timeline')?.classList.remove('dragging');
+                this.dragState = null;
+
+                if (newStart === originalStart && newDue === originalDue) return;
+
+                this.lastDragAt = Date.now();
+                const taskManager = window.plannerApp?.getComponent('tasks');
+                if (taskManager) {
+                    await taskManager.updateTaskDates(task.id, newStart, newDue);
+                } else {
+                    this.render();
+                }
+            };
+
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+
+        } catch (error) {
+            console.error('❌ Failed to start dragging timeline bar:', error);
+        }
+    }
+
+    /**
+     * Place a bar for a date range while it is being dragged
+     */
+    positionBar(bar, startDate, dueDate) {
+        const { dayWidth } = this.zoomLevels[this.settings.zoom];
+        const startOffset = this.getDayOffset(startDate);
+        bar.style.left = `${startOffset * dayWidth}px`;
+        bar.style.width = `${(RecurrenceRule.daysBetween(startDate, dueDate) + 1) * dayWidth}px`;
+    }
+
+    /**
+     * Draw an elbow arrow from the end of each blocking task's bar to the start of the task it blocks
+     */
+    drawDependencyArrows() {
+        try {
+            const body = document.querySelector('#timeline .timeline-body');
+            const svg = body?.querySelector('.timeline-arrows');
+            if (!svg) return;
+
+            svg.querySelectorAll('path.timeline-arrow').forEach(path => path.remove());
+
+            const bodyRect = body.getBoundingClientRect();
+            svg.setAttribute('width', body.scrollWidth);
+            svg.setAttribute('height', body.scrollHeight);
+
+            const bars = Array.from(body.querySelectorAll('.timeline-bar'));
+            const tasksById = new Map(this.getTasks().map(task => [task.id, task]));
+            const gap = 8;
+
+            bars.forEach(bar => {
+                const task = tasksById.get(bar.dataset.taskId);
+                const blockedBy = TaskDependencies.normalize(task?.blockedBy);
+                if (blockedBy.length === 0) return;
+
+                const to = bar.getBoundingClientRect();
+                const x2 = to.left - bodyRect.left;
+                const y2 = to.top - bodyRect.top + to.height / 2;
+
+                blockedBy.forEach(blockerId => {
+                    // With tag grouping a task can appear more than once; link the nearest copy
+                    const from = bars
+                        .filter(candidate => candidate.dataset.taskId === blockerId)
+                        .map(candidate => candidate.getBoundingClientRect())
+                        .sort((a, b) => Math.abs(a.top - to.top) - Math.abs(b.top - to.top))[0];
+                    if (!from) return;
+
+                    const x1 = from.right - bodyRect.left;
+                    const y1 = from.top - bodyRect.top + from.height / 2;
+
+                    // Go straight across when there's room, otherwise loop back between the rows
+                    const d = x2 - x1 >= gap * 2
+                        ? `M ${x1} ${y1} H ${x1 + gap} V ${y2} H ${x2}`
+                        : `M ${x1} ${y1} H ${x1 + gap} V ${(y1 + y2) / 2} H ${x2 - gap} V ${y2} H ${x2}`;
+
+                    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+                    path.setAttribute('d', d);
+                    path.setAttribute('class', `timeline-arrow ${tasksById.get(blockerId)?.status === 'completed' ? 'satisfied' : ''}`);
+                    path.setAttribute('marker-end', 'url(#timeline-arrowhead)');
+                    svg.appendChild(path);
+                });
+            });
+
+        } catch (error) {
+            console.error('❌ Failed to draw dependency arrows:', error);
+        }
+    }
+
+    /**
+     * Number of days from the start of the visible range to a date
+     */
+    getDayOffset(dateString) {
+        return RecurrenceRule.daysBetween(this.rangeStart, dateString);
+    }
+
+    getToday() {
+        const today = new Date();
+        return RecurrenceRule.formatDate(RecurrenceRule.utcDate(today.getFullYear(), today.getMonth(), today.getDate()));
+    }
+
+    formatDate(dateString) {
+        return RecurrenceRule.parseDate(dateString).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    capitalize(text) {
+        return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Make TimelineManager globally available
+if (typeof window !== 'undefined') {
+    window.TimelineManager = TimelineManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelineManager;
+}
@@ -1,6 +1,9 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const TaskDependencies = require('../js/dependencies.js');
+const StatementFormats = require('../js/statements.js');
+const CurrencyManager = require('../js/currency.js');
 
 // Import database storage - we'll use dynamic import for ES modules
 let storage;
@@ -56,8 +59,42 @@ app.get('/api/tasks/:id', async (req, res) => {
   }
 });
 
+// Reject a task whose "blocked by" links would form a cycle
+async function findTaskDependencyCycle(task) {
+  const blockedBy = TaskDependencies.normalize(task.blockedBy);
+  if (blockedBy.length === 0) return null;
+
+  const existingTasks = await storage.getAllTasks();
+  return TaskDependencies.findCycle(existingTasks, task.id ?? 'new', blockedBy);
+}
+
+// Reject a batch whose "blocked by" edits would form a cycle once all of them are applied
+async function findBatchDependencyCycle(update, deleteIds) {
+  const changed = update.filter(task => TaskDependencies.normalize(task.blockedBy).length > 0);
+  if (changed.length === 0) return null;
+
+  const deleted = new Set(deleteIds.map(String));
+  const taskMap = new Map((await storage.getAllTasks()).map(task => [String(task.id), task]));
+  update.forEach(task => taskMap.set(String(task.id), task));
+  deleted.forEach(id => taskMap.delete(id));
+
+  const tasks = [...taskMap.values()];
+  for (const task of changed) {
+    if (deleted.has(String(task.id))) continue;
+
+    const cycle = TaskDependencies.findCycle(tasks, task.id, task.blockedBy);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
 app.post('/api/tasks', async (req, res) => {
   try {
+    const cycle = await findTaskDependencyCycle(req.body);
+    if (cycle) {
+      return res.status(400).json({ error: 'Task dependencies would form a cycle', cycle });
+    }
+
     const task = await storage.saveTask(req.body);
     res.json({ task });
   } catch (error) {
@@ -68,6 +105,11 @@ app.post('/api/tasks', async (req, res) => {
 
 app.put('/api/tasks', async (req, res) => {
   try {
+    const cycle = await findTaskDependencyCycle(req.body);
+    if (cycle) {
+      return res.status(400).json({ error: 'Task dependencies would form a cycle', cycle });
+    }
+
     const task = await storage.saveTask(req.body);
     res.json({ task });
   } catch (error) {
@@ -86,6 +128,27 @@ app.delete('/api/tasks/:id', async (req, res) => {
   }
 });
 
+// Bulk edits from multi-select: { update: [tasks], delete: [ids] }, applied in one transaction
+app.post('/api/tasks/batch', async (req, res) => {
+  try {
+    const { update = [], delete: deleteIds = [] } = req.body || {};
+    if (!Array.isArray(update) || !Array.isArray(deleteIds)) {
+      return res.status(400).json({ error: 'update and delete must be arrays' });
+    }
+
+    const cycle = await findBatchDependencyCycle(update, deleteIds);
+    if (cycle) {
+      return res.status(400).json({ error: 'Task dependencies would form a cycle', cycle });
+    }
+
+    const result = await storage.batchUpdateTasks({ update, delete: deleteIds });
+    res.json(result);
+  } catch (error) {
+    console.error('Error applying task batch:', error);
+    res.status(500).json({ error: 'Failed to apply task batch' });
+  }
+});
+
 app.get('/api/tasks/date-range', async (req, res) => {
   try {
     const { start, end } = req.query;
@@ -162,6 +225,57 @@ app.get('/api/export', async (req, res) => {
   }
 });
 
+// Expenses as an OFX or QIF statement for finance tools
+app.get('/api/export/:format', async (req, res) => {
+  try {
+    const format = req.params.format.toLowerCase();
+    if (format !== 'ofx' && format !== 'qif') {
+      return res.status(400).json({ error: 'Format must be ofx or qif' });
+    }
+
+    const expenses = await storage.getAllExpenses();
+
+    // Foreign amounts are labelled or converted with the saved exchange rates, as in the browser export
+    const currency = new CurrencyManager();
+    currency.storage = storage;
+    await currency.loadSettings();
+
+    const options = {
+      currency: currency.homeCurrency,
+      getRate: expense => currency.getRate(expense.currency, currency.homeCurrency, expense.date)
+    };
+    const statement = format === 'ofx'
+      ? StatementFormats.toOFX(expenses, options)
+      : StatementFormats.toQIF(expenses, { ...options, categories: await storage.getAllExpenseCategories() });
+
+    res.type(format === 'ofx' ? 'application/x-ofx' : 'application/qif');
+    res.attachment(`plannerpro-expenses.${format}`);
+    res.send(statement);
+  } catch (error) {
+    console.error('Error exporting statement:', error);
+    res.status(500).json({ error: 'Failed to export statement' });
+  }
+});
+
+// Statement files are posted as raw text
+app.post('/api/import/:format', express.text({ type: '*/*', limit: '10mb' }), async (req, res) => {
+  try {
+    const format = req.params.format.toLowerCase();
+    if (format !== 'ofx' && format !== 'qif') {
+      return res.status(400).json({ error: 'Format must be ofx or qif' });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Statement file is empty' });
+    }
+
+    const result = await storage.importStatement(StatementFormats.parse(req.body, format));
+    res.json(result);
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    res.status(500).json({ error: 'Failed to import statement' });
+  }
+});
+
 app.post('/api/import', async (req, res) => {
   try {
     await storage.importData(req.body);
@@ -192,6 +306,119 @@ app.get('/api/storage-info', async (req, res) => {
   }
 });
 
+// Projects endpoints
+app.get('/api/projects', async (req, res) => {
+  try {
+    const projects = await storage.getAllProjects();
+    res.json({ projects });
+  } catch (error) {
+    console.error('Error getting projects:', error);
+    res.status(500).json({ error: 'Failed to get projects' });
+  }
+});
+
+app.get('/api/projects/:id', async (req, res) => {
+  try {
+    const project = await storage.getProject(req.params.id);
+    if (project) {
+      res.json({ project });
+    } else {
+      res.status(404).json({ error: 'Project not found' });
+    }
+  } catch (error) {
+    console.error('Error getting project:', error);
+    res.status(500).json({ error: 'Failed to get project' });
+  }
+});
+
+app.post('/api/projects', async (req, res) => {
+  try {
+    if (!req.body?.name?.trim()) {
+      return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    const project = await storage.saveProject(req.body);
+    res.status(201).json({ project });
+  } catch (error) {
+    console.error('Error saving project:', error);
+    res.status(500).json({ error: 'Failed to save project' });
+  }
+});
+
+app.put('/api/projects/:id', async (req, res) => {
+  try {
+    if (!req.body?.name?.trim()) {
+      return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    const projectData = { ...req.body, id: req.params.id };
+    const project = await storage.saveProject(projectData);
+    res.json({ project });
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+app.delete('/api/projects/:id', async (req, res) => {
+  try {
+    await storage.deleteProject(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+// Expense category endpoints
+app.get('/api/expense-categories', async (req, res) => {
+  try {
+    const categories = await storage.getAllExpenseCategories();
+    res.json({ categories });
+  } catch (error) {
+    console.error('Error getting expense categories:', error);
+    res.status(500).json({ error: 'Failed to get expense categories' });
+  }
+});
+
+app.post('/api/expense-categories', async (req, res) => {
+  try {
+    if (!req.body?.id || !req.body?.name?.trim()) {
+      return res.status(400).json({ error: 'Category id and name are required' });
+    }
+
+    const category = await storage.saveExpenseCategory(req.body);
+    res.status(201).json({ category });
+  } catch (error) {
+    console.error('Error saving expense category:', error);
+    res.status(500).json({ error: 'Failed to save expense category' });
+  }
+});
+
+app.put('/api/expense-categories/:key', async (req, res) => {
+  try {
+    if (!req.body?.name?.trim()) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+
+    const category = await storage.saveExpenseCategory({ ...req.body, id: req.params.key });
+    res.json({ category });
+  } catch (error) {
+    console.error('Error updating expense category:', error);
+    res.status(500).json({ error: 'Failed to update expense category' });
+  }
+});
+
+app.delete('/api/expense-categories/:key', async (req, res) => {
+  try {
+    await storage.deleteExpenseCategory(req.params.key, req.query.reassignTo || null);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting expense category:', error);
+    res.status(500).json({ error: 'Failed to delete expense category' });
+  }
+});
+
 // Expenses endpoints
 app.get('/api/expenses', async (req, res) => {
   try {
@@ -203,6 +430,18 @@ app.get('/api/expenses', async (req, res) => {
   }
 });
 
+// Generate due recurring occurrences; clients pass their local date so "today" matches theirs
+app.post('/api/expenses/recurring/materialize', async (req, res) => {
+  try {
+    const today = /^\d{4}-\d{2}-\d{2}$/.test(req.body?.today || '') ? req.body.today : undefined;
+    const expenses = await storage.materializeRecurringExpenses(today);
+    res.json({ expenses });
+  } catch (error) {
+    console.error('Error generating recurring expenses:', error);
+    res.status(500).json({ error: 'Failed to generate recurring expenses' });
+  }
+});
+
 app.get('/api/expenses/:id', async (req, res) => {
   try {
     const expense = await storage.getExpense(req.params.id);
@@ -217,8 +456,33 @@ app.get('/api/expenses/:id', async (req, res) => {
   }
 });
 
+// Check an expense's split lines: none, or at least two with an amount and a category that add up to the total
+function validateExpenseSplits(expense) {
+  const splits = expense.splits ?? [];
+  if (!Array.isArray(splits)) return 'splits must be an array';
+  if (splits.length === 0) return null;
+  if (splits.length < 2) return 'A split needs at least two lines';
+
+  const amounts = splits.map(split => parseFloat(split?.amount));
+  if (amounts.some(amount => !(amount > 0)) || splits.some(split => !split.category)) {
+    return 'Every split line needs an amount above 0 and a category';
+  }
+
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (Math.abs(total - parseFloat(expense.amount)) >= 0.005) {
+    return 'Split lines must add up to the expense amount';
+  }
+
+  return null;
+}
+
 app.post('/api/expenses', async (req, res) => {
   try {
+    const splitError = validateExpenseSplits(req.body);
+    if (splitError) {
+      return res.status(400).json({ error: splitError });
+    }
+
     const expense = await storage.saveExpense(req.body);
     res.status(201).json({ expense });
   } catch (error) {
@@ -229,6 +493,11 @@ app.post('/api/expenses', async (req, res) => {
 
 app.put('/api/expenses/:id', async (req, res) => {
   try {
+    const splitError = validateExpenseSplits(req.body);
+    if (splitError) {
+      return res.status(400).json({ error: splitError });
+    }
+
     const expenseData = { ...req.body, id: req.params.id };
     const expense = await storage.saveExpense(expenseData);
     res.json({ expense });
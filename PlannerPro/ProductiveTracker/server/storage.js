@@ -1,6 +1,6 @@
 const { Pool, neonConfig } = require('@neondatabase/serverless');
 const { drizzle } = require('drizzle-orm/neon-serverless');
-const { eq, and, desc, gte, lte } = require('drizzle-orm');
+const { eq, and, or, desc, asc, gte, lte, inArray } = require('drizzle-orm');
 const { 
   pgTable, 
   serial, 
@@ -9,8 +9,13 @@ const {
   integer, 
   date,
   decimal,
-  boolean
+  boolean,
+  doublePrecision,
+  uniqueIndex
 } = require('drizzle-orm/pg-core');
+const RecurrenceRule = require('../js/recurrence.js');
+const StatementFormats = require('../js/statements.js');
+const ExpenseRules = require('../js/expenserules.js');
 
 // Define the schema in JavaScript
 const users = pgTable('users', {
@@ -21,6 +26,18 @@ const users = pgTable('users', {
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
 
+const projects = pgTable('projects', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  name: text('name').notNull(),
+  color: text('color'),
+  description: text('description'),
+  status: text('status').notNull().default('active'),
+  deadline: date('deadline'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
 const tasks = pgTable('tasks', {
   id: serial('id').primaryKey(),
   userId: integer('user_id').references(() => users.id).notNull(),
@@ -29,14 +46,43 @@ const tasks = pgTable('tasks', {
   status: text('status').notNull().default('pending'),
   priority: text('priority').notNull().default('medium'),
   category: text('category').notNull().default('personal'),
+  projectId: integer('project_id').references(() => projects.id, { onDelete: 'set null' }),
+  startDate: date('start_date'),
   dueDate: date('due_date'),
   dueTime: text('due_time'),
+  startTime: text('start_time'),
+  endTime: text('end_time'),
+  duration: integer('duration'),
   tags: text('tags').array(),
+  recurrence: text('recurrence'),
+  seriesId: text('series_id'),
+  blockedBy: text('blocked_by').array(),
+  position: doublePrecision('position'),
   completedAt: timestamp('completed_at'),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
 
+const subtasks = pgTable('subtasks', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  taskId: integer('task_id').references(() => tasks.id, { onDelete: 'cascade' }).notNull(),
+  title: text('title').notNull(),
+  completed: boolean('completed').notNull().default(false),
+  position: integer('position').notNull().default(0),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+});
+
+const timeEntries = pgTable('time_entries', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  taskId: integer('task_id').references(() => tasks.id, { onDelete: 'cascade' }).notNull(),
+  startedAt: timestamp('started_at').notNull(),
+  endedAt: timestamp('ended_at'),
+  source: text('source').notNull().default('timer'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+});
+
 const settings = pgTable('settings', {
   id: serial('id').primaryKey(),
   userId: integer('user_id').references(() => users.id).notNull(),
@@ -62,6 +108,7 @@ const expenses = pgTable('expenses', {
   amount: decimal('amount', { precision: 10, scale: 2 }).notNull(),
   currency: text('currency').notNull().default('USD'),
   category: text('category').notNull(),
+  projectId: integer('project_id').references(() => projects.id, { onDelete: 'set null' }),
   paymentMethod: text('payment_method'),
   date: date('date').notNull(),
   location: text('location'),
@@ -69,19 +116,43 @@ const expenses = pgTable('expenses', {
   tags: text('tags').array(),
   isRecurring: boolean('is_recurring').default(false),
   recurringType: text('recurring_type'),
+  recurringEndDate: date('recurring_end_date'), // Series stopped: no occurrences after this date
+  lastOccurrenceDate: date('last_occurrence_date'), // Latest occurrence generated from this template
+  templateId: integer('template_id').references(() => expenses.id, { onDelete: 'set null' }), // Recurring expense this occurrence came from
+  externalId: text('external_id'), // Bank transaction id (OFX FITID) of an imported expense
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => ({
+  // A template has at most one occurrence per date, however many requests materialize it at once
+  templateDate: uniqueIndex('expenses_template_date_idx').on(table.templateId, table.date),
+}));
+
+// Lines of an expense split across categories; their amounts add up to the expense's amount
+const expenseSplits = pgTable('expense_splits', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id).notNull(),
+  expenseId: integer('expense_id').references(() => expenses.id, { onDelete: 'cascade' }).notNull(),
+  amount: decimal('amount', { precision: 10, scale: 2 }).notNull(),
+  category: text('category').notNull(),
+  tags: text('tags').array(),
+  position: integer('position').notNull().default(0),
 });
 
+// Expenses refer to categories by key; parentKey nests a sub-category one level under another
 const expenseCategories = pgTable('expense_categories', {
   id: serial('id').primaryKey(),
   userId: integer('user_id').references(() => users.id).notNull(),
+  key: text('key').notNull(),
+  parentKey: text('parent_key'),
   name: text('name').notNull(),
   color: text('color'),
   icon: text('icon'),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
-});
+}, (table) => ({
+  // One row per category key, however many saves of a new category race each other
+  userKey: uniqueIndex('expense_categories_user_key_idx').on(table.userId, table.key),
+}));
 
 // Setup database connection
 if (!process.env.DATABASE_URL) {
@@ -89,7 +160,7 @@ if (!process.env.DATABASE_URL) {
 }
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-const db = drizzle(pool, { schema: { users, tasks, settings, statistics, expenses, expenseCategories } });
+const db = drizzle(pool, { schema: { users, projects, tasks, subtasks, timeEntries, settings, statistics, expenses, expenseSplits, expenseCategories } });
 
 // Database Storage Implementation
 class DatabaseStorage {
@@ -128,7 +199,13 @@ class DatabaseStorage {
     return user.id;
   }
 
-  async saveTask(task) {
+  // The task row, its checklist and its time entries are written in one transaction; tx lets
+  // batch updates run the same writes inside theirs
+  async saveTask(task, tx = null) {
+    if (!tx) {
+      return db.transaction(transaction => this.saveTask(task, transaction));
+    }
+
     const userId = await this.ensureDefaultUser();
     
     // Convert the existing task format to database format
@@ -139,31 +216,127 @@ class DatabaseStorage {
       status: task.status || 'pending',
       priority: task.priority || 'medium',
       category: task.category || 'personal',
+      projectId: this.parseDbId(task.projectId),
+      startDate: task.startDate || null,
       dueDate: task.dueDate || null,
       dueTime: task.dueTime || null,
+      startTime: task.startTime || null,
+      endTime: task.endTime || null,
+      duration: parseInt(task.duration, 10) || null,
       tags: task.tags || [],
+      recurrence: task.recurrence ? JSON.stringify(task.recurrence) : null,
+      seriesId: task.seriesId || null,
+      blockedBy: task.blockedBy || [],
+      position: Number.isFinite(task.position) ? task.position : null,
       completedAt: task.completedAt ? new Date(task.completedAt) : null,
       updatedAt: new Date()
     };
 
-    if (task.id && typeof task.id === 'number') {
+    // Tasks loaded from the database carry their numeric id as a string
+    const taskId = this.parseDbId(task.id);
+    let savedTask;
+
+    if (taskId) {
       // Update existing task
-      const [updatedTask] = await db
+      [savedTask] = await tx
         .update(tasks)
         .set(dbTask)
-        .where(and(eq(tasks.id, task.id), eq(tasks.userId, userId)))
+        .where(and(eq(tasks.id, taskId), eq(tasks.userId, userId)))
         .returning();
-      
-      return this.convertTaskFromDb(updatedTask);
-    } else {
+    }
+
+    if (!savedTask) {
       // Create new task
-      const [newTask] = await db
+      [savedTask] = await tx
         .insert(tasks)
         .values(dbTask)
         .returning();
-      
-      return this.convertTaskFromDb(newTask);
     }
+
+    const savedSubtasks = await this.saveSubtasks(savedTask.id, task.subtasks || [], userId, tx);
+    const savedTimeEntries = await this.saveTimeEntries(savedTask.id, task.timeEntries || [], userId, tx);
+    return this.convertTaskFromDb(savedTask, savedSubtasks, savedTimeEntries);
+  }
+
+  // Replace a task's checklist, keeping the client's order
+  async saveSubtasks(taskId, taskSubtasks, userId, tx = db) {
+    await tx.delete(subtasks).where(eq(subtasks.taskId, taskId));
+
+    if (taskSubtasks.length === 0) return [];
+
+    return tx
+      .insert(subtasks)
+      .values(taskSubtasks.map((subtask, index) => ({
+        userId,
+        taskId,
+        title: subtask.title,
+        completed: Boolean(subtask.completed),
+        position: index
+      })))
+      .returning();
+  }
+
+  // Replace a task's time entries; an entry without an end is a running timer
+  async saveTimeEntries(taskId, taskTimeEntries, userId, tx = db) {
+    await tx.delete(timeEntries).where(eq(timeEntries.taskId, taskId));
+
+    if (taskTimeEntries.length === 0) return [];
+
+    return tx
+      .insert(timeEntries)
+      .values(taskTimeEntries.map(entry => ({
+        userId,
+        taskId,
+        startedAt: new Date(entry.start),
+        endedAt: entry.end ? new Date(entry.end) : null,
+        source: entry.source || 'timer'
+      })))
+      .returning();
+  }
+
+  // Load time entries for a set of tasks, grouped by task id
+  async getTimeEntriesByTask(taskIds) {
+    if (taskIds.length === 0) return {};
+
+    const rows = await db
+      .select()
+      .from(timeEntries)
+      .where(inArray(timeEntries.taskId, taskIds))
+      .orderBy(asc(timeEntries.startedAt));
+
+    return rows.reduce((acc, row) => {
+      (acc[row.taskId] = acc[row.taskId] || []).push(row);
+      return acc;
+    }, {});
+  }
+
+  // Load checklists for a set of tasks, grouped by task id
+  async getSubtasksByTask(taskIds) {
+    if (taskIds.length === 0) return {};
+
+    const rows = await db
+      .select()
+      .from(subtasks)
+      .where(inArray(subtasks.taskId, taskIds))
+      .orderBy(asc(subtasks.position));
+
+    return rows.reduce((acc, row) => {
+      (acc[row.taskId] = acc[row.taskId] || []).push(row);
+      return acc;
+    }, {});
+  }
+
+  // Convert task rows to frontend format, attaching their checklists and time entries
+  async convertTasksFromDb(dbTasks) {
+    const taskIds = dbTasks.map(task => task.id);
+    const subtasksByTask = await this.getSubtasksByTask(taskIds);
+    const timeEntriesByTask = await this.getTimeEntriesByTask(taskIds);
+    return dbTasks.map(task => this.convertTaskFromDb(task, subtasksByTask[task.id], timeEntriesByTask[task.id]));
+  }
+
+  parseDbId(id) {
+    const parsed = parseInt(id);
+    return String(parsed) === String(id) ? parsed : null;
   }
 
   async getAllTasks(userId) {
@@ -175,7 +348,7 @@ class DatabaseStorage {
       .where(eq(tasks.userId, actualUserId))
       .orderBy(desc(tasks.createdAt));
     
-    return dbTasks.map(task => this.convertTaskFromDb(task));
+    return this.convertTasksFromDb(dbTasks);
   }
 
   async getTask(id, userId) {
@@ -187,18 +360,47 @@ class DatabaseStorage {
       .from(tasks)
       .where(and(eq(tasks.id, taskId), eq(tasks.userId, actualUserId)));
     
-    return task ? this.convertTaskFromDb(task) : undefined;
+    if (!task) return undefined;
+
+    const [converted] = await this.convertTasksFromDb([task]);
+    return converted;
   }
 
-  async deleteTask(id, userId) {
+  async deleteTask(id, userId, tx = db) {
     const actualUserId = userId || await this.ensureDefaultUser();
     const taskId = parseInt(id);
     
-    await db
+    await tx
+      .delete(subtasks)
+      .where(and(eq(subtasks.taskId, taskId), eq(subtasks.userId, actualUserId)));
+    
+    await tx
+      .delete(timeEntries)
+      .where(and(eq(timeEntries.taskId, taskId), eq(timeEntries.userId, actualUserId)));
+    
+    await tx
       .delete(tasks)
       .where(and(eq(tasks.id, taskId), eq(tasks.userId, actualUserId)));
   }
 
+  // Apply bulk edits and deletes together; any failure rolls back the whole batch
+  async batchUpdateTasks({ update = [], delete: deleteIds = [] }, userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+
+    return db.transaction(async (tx) => {
+      const updated = [];
+      for (const task of update) {
+        updated.push(await this.saveTask(task, tx));
+      }
+
+      for (const id of deleteIds) {
+        await this.deleteTask(id, actualUserId, tx);
+      }
+
+      return { updated, deleted: deleteIds };
+    });
+  }
+
   async getTasksByDateRange(startDate, endDate, userId) {
     const actualUserId = userId || await this.ensureDefaultUser();
     
@@ -207,13 +409,11 @@ class DatabaseStorage {
       .from(tasks)
       .where(eq(tasks.userId, actualUserId));
     
-    return dbTasks
-      .filter(task => {
-        if (!task.dueDate) return false;
-        const taskDate = task.dueDate;
-        return taskDate >= startDate && taskDate <= endDate;
-      })
-      .map(task => this.convertTaskFromDb(task));
+    return this.convertTasksFromDb(dbTasks.filter(task => {
+      if (!task.dueDate) return false;
+      const taskDate = task.dueDate;
+      return taskDate >= startDate && taskDate <= endDate;
+    }));
   }
 
   async getTasksByCategory(category, userId) {
@@ -224,7 +424,7 @@ class DatabaseStorage {
       .from(tasks)
       .where(and(eq(tasks.userId, actualUserId), eq(tasks.category, category)));
     
-    return dbTasks.map(task => this.convertTaskFromDb(task));
+    return this.convertTasksFromDb(dbTasks);
   }
 
   async setSetting(key, value, userId) {
@@ -313,6 +513,8 @@ class DatabaseStorage {
       version: '1.0',
       exportDate: new Date().toISOString(),
       tasks: userTasks,
+      projects: await this.getAllProjects(actualUserId),
+      expenseCategories: await this.getAllExpenseCategories(actualUserId),
       settings: userSettings.reduce((acc, setting) => {
         acc[setting.key] = setting.value;
         return acc;
@@ -327,13 +529,54 @@ class DatabaseStorage {
     // Clear existing data
     await this.clearAll(actualUserId);
     
-    // Import tasks
-    if (data.tasks) {
-      for (const task of data.tasks) {
-        await this.saveTask({ ...task, id: undefined }); // Remove ID to create new
+    // Import projects first so tasks can point at their new ids
+    const projectIds = {};
+    if (data.projects) {
+      for (const project of data.projects) {
+        const savedProject = await this.saveProject({ ...project, id: undefined }, actualUserId);
+        projectIds[project.id] = savedProject.id;
       }
     }
     
+    // Category keys are kept as-is, so expenses still match them
+    if (data.expenseCategories) {
+      for (const category of data.expenseCategories) {
+        await this.saveExpenseCategory(category, actualUserId);
+      }
+    }
+    
+    // Import tasks. They get new ids, so their "blocked by" links and series ids are rewritten
+    // once every task exists, in the same transaction
+    if (data.tasks) {
+      await db.transaction(async (tx) => {
+        const taskIds = {};
+        const saved = [];
+        for (const task of data.tasks) {
+          const savedTask = await this.saveTask({ ...task, id: undefined, projectId: projectIds[task.projectId] || null, blockedBy: [], seriesId: null }, tx); // Remove ID to create new
+          taskIds[task.id] = savedTask.id;
+          saved.push({ task, id: savedTask.id });
+        }
+
+        // A series whose first task is gone stays together under the first of its tasks imported
+        const seriesIds = {};
+        for (const { task, id } of saved) {
+          if (task.seriesId && !seriesIds[task.seriesId]) {
+            seriesIds[task.seriesId] = taskIds[task.seriesId] || id;
+          }
+        }
+
+        for (const { task, id } of saved) {
+          const blockedBy = (task.blockedBy || []).map(blockerId => taskIds[blockerId]).filter(Boolean);
+          if (blockedBy.length === 0 && !task.seriesId) continue;
+
+          await tx
+            .update(tasks)
+            .set({ blockedBy, seriesId: task.seriesId ? String(seriesIds[task.seriesId]) : null })
+            .where(eq(tasks.id, this.parseDbId(id)));
+        }
+      });
+    }
+    
     // Import settings
     if (data.settings) {
       for (const [key, value] of Object.entries(data.settings)) {
@@ -345,61 +588,387 @@ class DatabaseStorage {
   async clearAll(userId) {
     const actualUserId = userId || await this.ensureDefaultUser();
     
+    await db.delete(subtasks).where(eq(subtasks.userId, actualUserId));
+    await db.delete(timeEntries).where(eq(timeEntries.userId, actualUserId));
     await db.delete(tasks).where(eq(tasks.userId, actualUserId));
     await db.delete(settings).where(eq(settings.userId, actualUserId));
     await db.delete(statistics).where(eq(statistics.userId, actualUserId));
     await db.delete(expenses).where(eq(expenses.userId, actualUserId));
     await db.delete(expenseCategories).where(eq(expenseCategories.userId, actualUserId));
+    await db.delete(projects).where(eq(projects.userId, actualUserId));
   }
 
-  // Expense management methods
-  async saveExpense(expense, userId) {
+  // Project management methods
+  async saveProject(project, userId) {
     const actualUserId = userId || await this.ensureDefaultUser();
     
-    if (expense.id) {
-      // Update existing expense
-      const [updatedExpense] = await db
-        .update(expenses)
-        .set({
-          description: expense.description,
-          amount: expense.amount.toString(),
-          currency: expense.currency,
-          category: expense.category,
-          paymentMethod: expense.paymentMethod,
-          date: expense.date,
-          location: expense.location,
-          notes: expense.notes,
-          tags: expense.tags,
-          isRecurring: expense.isRecurring,
-          recurringType: expense.recurringType,
-          updatedAt: new Date()
-        })
-        .where(and(eq(expenses.id, parseInt(expense.id)), eq(expenses.userId, actualUserId)))
+    const dbProject = {
+      name: project.name,
+      color: project.color || null,
+      description: project.description || null,
+      status: project.status || 'active',
+      deadline: project.deadline || null,
+      updatedAt: new Date()
+    };
+
+    // Projects created offline carry a client id; those are inserted
+    const projectId = this.parseDbId(project.id);
+    let savedProject;
+
+    if (projectId) {
+      [savedProject] = await db
+        .update(projects)
+        .set(dbProject)
+        .where(and(eq(projects.id, projectId), eq(projects.userId, actualUserId)))
         .returning();
-      
-      return this.convertExpenseFromDb(updatedExpense);
-    } else {
-      // Create new expense
-      const [newExpense] = await db
-        .insert(expenses)
-        .values({
-          userId: actualUserId,
-          description: expense.description,
-          amount: expense.amount.toString(),
-          currency: expense.currency || 'USD',
-          category: expense.category,
-          paymentMethod: expense.paymentMethod || 'cash',
-          date: expense.date,
-          location: expense.location,
-          notes: expense.notes,
-          tags: expense.tags,
-          isRecurring: expense.isRecurring || false,
-          recurringType: expense.recurringType
-        })
+    }
+
+    if (!savedProject) {
+      [savedProject] = await db
+        .insert(projects)
+        .values({ ...dbProject, userId: actualUserId })
         .returning();
-      
-      return this.convertExpenseFromDb(newExpense);
     }
+
+    return this.convertProjectFromDb(savedProject);
+  }
+
+  async getAllProjects(userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+    
+    const dbProjects = await db
+      .select()
+      .from(projects)
+      .where(eq(projects.userId, actualUserId))
+      .orderBy(asc(projects.name));
+    
+    return dbProjects.map(project => this.convertProjectFromDb(project));
+  }
+
+  async getProject(id, userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+    
+    const [project] = await db
+      .select()
+      .from(projects)
+      .where(and(eq(projects.id, parseInt(id)), eq(projects.userId, actualUserId)));
+    
+    return project ? this.convertProjectFromDb(project) : null;
+  }
+
+  // Tasks and expenses in the project are kept; the foreign keys unassign them
+  async deleteProject(id, userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+    
+    await db
+      .delete(projects)
+      .where(and(eq(projects.id, parseInt(id)), eq(projects.userId, actualUserId)));
+  }
+
+  convertProjectFromDb(dbProject) {
+    return {
+      id: dbProject.id.toString(),
+      name: dbProject.name,
+      color: dbProject.color,
+      description: dbProject.description,
+      status: dbProject.status,
+      deadline: dbProject.deadline,
+      createdAt: dbProject.createdAt.toISOString(),
+      updatedAt: dbProject.updatedAt.toISOString()
+    };
+  }
+
+  // Expense category methods
+  async saveExpenseCategory(category, userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+    
+    const dbCategory = {
+      name: category.name,
+      parentKey: category.parentId || null,
+      color: category.color || null,
+      icon: category.icon || null,
+      updatedAt: new Date()
+    };
+
+    const [savedCategory] = await db
+      .insert(expenseCategories)
+      .values({ ...dbCategory, key: category.id, userId: actualUserId })
+      .onConflictDoUpdate({ target: [expenseCategories.userId, expenseCategories.key], set: dbCategory })
+      .returning();
+
+    return this.convertExpenseCategoryFromDb(savedCategory);
+  }
+
+  async getAllExpenseCategories(userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+    
+    const dbCategories = await db
+      .select()
+      .from(expenseCategories)
+      .where(eq(expenseCategories.userId, actualUserId))
+      .orderBy(asc(expenseCategories.id));
+    
+    return dbCategories.map(category => this.convertExpenseCategoryFromDb(category));
+  }
+
+  // Expenses move to reassignTo when given; sub-categories move up to the deleted category's parent
+  async deleteExpenseCategory(key, reassignTo, userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+    
+    const [category] = await db
+      .select()
+      .from(expenseCategories)
+      .where(and(eq(expenseCategories.key, key), eq(expenseCategories.userId, actualUserId)));
+    
+    if (!category) return;
+
+    if (reassignTo) {
+      await db
+        .update(expenses)
+        .set({ category: reassignTo, updatedAt: new Date() })
+        .where(and(eq(expenses.category, key), eq(expenses.userId, actualUserId)));
+
+      await db
+        .update(expenseSplits)
+        .set({ category: reassignTo })
+        .where(and(eq(expenseSplits.category, key), eq(expenseSplits.userId, actualUserId)));
+    }
+
+    await db
+      .update(expenseCategories)
+      .set({ parentKey: category.parentKey, updatedAt: new Date() })
+      .where(and(eq(expenseCategories.parentKey, key), eq(expenseCategories.userId, actualUserId)));
+
+    await db
+      .delete(expenseCategories)
+      .where(eq(expenseCategories.id, category.id));
+  }
+
+  convertExpenseCategoryFromDb(dbCategory) {
+    return {
+      id: dbCategory.key,
+      parentId: dbCategory.parentKey,
+      name: dbCategory.name,
+      color: dbCategory.color,
+      icon: dbCategory.icon
+    };
+  }
+
+  // Expense management methods
+  async saveExpense(expense, userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+    
+    const dbExpense = {
+      description: expense.description,
+      amount: expense.amount.toString(),
+      currency: expense.currency || 'USD',
+      category: expense.category,
+      projectId: this.parseDbId(expense.projectId),
+      paymentMethod: expense.paymentMethod || 'cash',
+      date: expense.date,
+      location: expense.location,
+      notes: expense.notes,
+      tags: expense.tags,
+      isRecurring: expense.isRecurring || false,
+      recurringType: expense.recurringType,
+      recurringEndDate: expense.recurringEndDate || null,
+      lastOccurrenceDate: expense.lastOccurrenceDate || null,
+      templateId: this.parseDbId(expense.templateId),
+      externalId: expense.externalId || null,
+      updatedAt: new Date()
+    };
+
+    // Expenses created offline carry a client id; those are inserted
+    let expenseId = this.parseDbId(expense.id);
+
+    // An occurrence the server already generated is updated rather than duplicated
+    if (!expenseId && dbExpense.templateId) {
+      const [existing] = await db
+        .select()
+        .from(expenses)
+        .where(and(
+          eq(expenses.templateId, dbExpense.templateId),
+          eq(expenses.date, dbExpense.date),
+          eq(expenses.userId, actualUserId)
+        ));
+      expenseId = existing?.id || null;
+    }
+
+    // Likewise a bank transaction that was imported before
+    if (!expenseId && dbExpense.externalId) {
+      const [existing] = await db
+        .select()
+        .from(expenses)
+        .where(and(eq(expenses.externalId, dbExpense.externalId), eq(expenses.userId, actualUserId)));
+      expenseId = existing?.id || null;
+    }
+
+    // The expense row and its split lines are written together
+    return db.transaction(async (tx) => {
+      let savedExpense;
+
+      if (expenseId) {
+        [savedExpense] = await tx
+          .update(expenses)
+          .set(dbExpense)
+          .where(and(eq(expenses.id, expenseId), eq(expenses.userId, actualUserId)))
+          .returning();
+      }
+
+      if (!savedExpense) {
+        // An occurrence generated meanwhile by another request is updated in place
+        [savedExpense] = await tx
+          .insert(expenses)
+          .values({ ...dbExpense, userId: actualUserId })
+          .onConflictDoUpdate({ target: [expenses.templateId, expenses.date], set: dbExpense })
+          .returning();
+      }
+
+      const splits = await this.saveExpenseSplits(savedExpense.id, expense.splits || [], actualUserId, tx);
+      return this.convertExpenseFromDb(savedExpense, splits);
+    });
+  }
+
+  // Replace an expense's split lines, keeping the client's order
+  async saveExpenseSplits(expenseId, splits, userId, tx = db) {
+    await tx.delete(expenseSplits).where(eq(expenseSplits.expenseId, expenseId));
+
+    if (splits.length === 0) return [];
+
+    return tx
+      .insert(expenseSplits)
+      .values(splits.map((split, index) => ({
+        userId,
+        expenseId,
+        amount: split.amount.toString(),
+        category: split.category,
+        tags: split.tags || [],
+        position: index
+      })))
+      .returning();
+  }
+
+  // Load split lines for a set of expenses, grouped by expense id
+  async getSplitsByExpense(expenseIds) {
+    if (expenseIds.length === 0) return {};
+
+    const rows = await db
+      .select()
+      .from(expenseSplits)
+      .where(inArray(expenseSplits.expenseId, expenseIds))
+      .orderBy(asc(expenseSplits.position));
+
+    return rows.reduce((acc, row) => {
+      (acc[row.expenseId] = acc[row.expenseId] || []).push(row);
+      return acc;
+    }, {});
+  }
+
+  // Convert expense rows to frontend format, attaching their split lines
+  async convertExpensesFromDb(dbExpenses) {
+    const splitsByExpense = await this.getSplitsByExpense(dbExpenses.map(expense => expense.id));
+    return dbExpenses.map(expense => this.convertExpenseFromDb(expense, splitsByExpense[expense.id]));
+  }
+
+  // Create the occurrences of recurring expenses that are due by today. Each template remembers the
+  // last date it generated, and existing occurrences are skipped, so running this again adds nothing.
+  async materializeRecurringExpenses(today = new Date().toISOString().split('T')[0], userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+    
+    const templates = await db
+      .select()
+      .from(expenses)
+      .where(and(eq(expenses.userId, actualUserId), eq(expenses.isRecurring, true)));
+    const splitsByTemplate = await this.getSplitsByExpense(templates.map(template => template.id));
+    
+    const created = [];
+
+    for (const template of templates) {
+      const rule = { freq: template.recurringType, until: template.recurringEndDate };
+      const after = template.lastOccurrenceDate || template.date;
+      const dueDates = RecurrenceRule.getOccurrencesBetween(rule, template.date, after, today)
+        .filter(date => date > after);
+
+      if (dueDates.length === 0) continue;
+
+      // Occurrences another request created first are skipped by the unique (template, date) index
+      created.push(...await db.transaction(async (tx) => {
+        const occurrences = [];
+
+        for (const date of dueDates) {
+          const [occurrence] = await tx
+            .insert(expenses)
+            .values({
+              userId: actualUserId,
+              description: template.description,
+              amount: template.amount,
+              currency: template.currency,
+              category: template.category,
+              projectId: template.projectId,
+              paymentMethod: template.paymentMethod,
+              date,
+              location: template.location,
+              notes: template.notes,
+              tags: template.tags,
+              isRecurring: false,
+              templateId: template.id
+            })
+            .onConflictDoNothing({ target: [expenses.templateId, expenses.date] })
+            .returning();
+          if (!occurrence) continue;
+
+          const splits = await this.saveExpenseSplits(occurrence.id, (splitsByTemplate[template.id] || []).map(split => ({
+            amount: split.amount,
+            category: split.category,
+            tags: split.tags
+          })), actualUserId, tx);
+          occurrences.push(this.convertExpenseFromDb(occurrence, splits));
+        }
+
+        await tx
+          .update(expenses)
+          .set({ lastOccurrenceDate: dueDates[dueDates.length - 1] })
+          .where(eq(expenses.id, template.id));
+
+        return occurrences;
+      }));
+    }
+
+    return created;
+  }
+
+  // Save the spending in parsed OFX or QIF transactions as expenses, skipping ones imported before
+  async importStatement(transactions, userId) {
+    const actualUserId = userId || await this.ensureDefaultUser();
+
+    const existing = await this.getAllExpenses(actualUserId);
+    const context = {
+      categories: await this.getAllExpenseCategories(actualUserId),
+      payeeCategories: StatementFormats.getPayeeCategories(existing),
+      currency: await this.getSetting('homeCurrency', 'USD', actualUserId)
+    };
+    const rules = (await this.getSetting('expenseRules', [], actualUserId) || [])
+      .map(rule => ExpenseRules.normalize(rule))
+      .filter(Boolean);
+
+    const imported = [];
+    let duplicates = 0;
+    let credits = 0;
+
+    for (const transaction of transactions) {
+      const parsed = StatementFormats.toExpenseData(transaction, context);
+      const expenseData = parsed && ExpenseRules.apply(rules, parsed);
+
+      if (!expenseData) {
+        credits++;
+      } else if (StatementFormats.findImported(expenseData, [...existing, ...imported])) {
+        duplicates++;
+      } else {
+        imported.push(await this.saveExpense(expenseData, actualUserId));
+      }
+    }
+
+    return { imported, duplicates, credits };
   }
 
   async getAllExpenses(userId) {
@@ -411,7 +980,7 @@ class DatabaseStorage {
       .where(eq(expenses.userId, actualUserId))
       .orderBy(desc(expenses.date));
     
-    return dbExpenses.map(expense => this.convertExpenseFromDb(expense));
+    return this.convertExpensesFromDb(dbExpenses);
   }
 
   async getExpense(id, userId) {
@@ -422,7 +991,10 @@ class DatabaseStorage {
       .from(expenses)
       .where(and(eq(expenses.id, parseInt(id)), eq(expenses.userId, actualUserId)));
     
-    return expense ? this.convertExpenseFromDb(expense) : null;
+    if (!expense) return null;
+
+    const splitsByExpense = await this.getSplitsByExpense([expense.id]);
+    return this.convertExpenseFromDb(expense, splitsByExpense[expense.id]);
   }
 
   async deleteExpense(id, userId) {
@@ -446,28 +1018,38 @@ class DatabaseStorage {
       ))
       .orderBy(desc(expenses.date));
     
-    return dbExpenses.map(expense => this.convertExpenseFromDb(expense));
+    return this.convertExpensesFromDb(dbExpenses);
   }
 
   async getExpensesByCategory(category, userId) {
     const actualUserId = userId || await this.ensureDefaultUser();
     
+    // Split expenses count when any of their lines is in the category
+    const splitExpenseIds = db
+      .select({ expenseId: expenseSplits.expenseId })
+      .from(expenseSplits)
+      .where(and(eq(expenseSplits.category, category), eq(expenseSplits.userId, actualUserId)));
+
     const dbExpenses = await db
       .select()
       .from(expenses)
-      .where(and(eq(expenses.userId, actualUserId), eq(expenses.category, category)))
+      .where(and(
+        eq(expenses.userId, actualUserId),
+        or(eq(expenses.category, category), inArray(expenses.id, splitExpenseIds))
+      ))
       .orderBy(desc(expenses.date));
     
-    return dbExpenses.map(expense => this.convertExpenseFromDb(expense));
+    return this.convertExpensesFromDb(dbExpenses);
   }
 
-  convertExpenseFromDb(dbExpense) {
+  convertExpenseFromDb(dbExpense, dbSplits = []) {
     return {
       id: dbExpense.id.toString(),
       description: dbExpense.description,
       amount: parseFloat(dbExpense.amount),
       currency: dbExpense.currency,
       category: dbExpense.category,
+      projectId: dbExpense.projectId ? dbExpense.projectId.toString() : null,
       paymentMethod: dbExpense.paymentMethod,
       date: dbExpense.date,
       location: dbExpense.location,
@@ -475,6 +1057,15 @@ class DatabaseStorage {
       tags: dbExpense.tags || [],
       isRecurring: dbExpense.isRecurring,
       recurringType: dbExpense.recurringType,
+      recurringEndDate: dbExpense.recurringEndDate,
+      lastOccurrenceDate: dbExpense.lastOccurrenceDate,
+      templateId: dbExpense.templateId ? dbExpense.templateId.toString() : null,
+      externalId: dbExpense.externalId,
+      splits: dbSplits.map(split => ({
+        amount: parseFloat(split.amount),
+        category: split.category,
+        tags: split.tags || []
+      })),
       createdAt: dbExpense.createdAt,
       updatedAt: dbExpense.updatedAt
     };
@@ -500,7 +1091,12 @@ class DatabaseStorage {
   }
 
   // Helper method to convert database task to frontend format
-  convertTaskFromDb(dbTask) {
+  convertTaskFromDb(dbTask, dbSubtasks = [], dbTimeEntries = []) {
+    // timeSpent (minutes) is derived from finished time entries
+    const trackedMs = dbTimeEntries
+      .filter(entry => entry.endedAt)
+      .reduce((total, entry) => total + (entry.endedAt - entry.startedAt), 0);
+
     return {
       id: dbTask.id.toString(), // Frontend expects string IDs
       title: dbTask.title,
@@ -508,9 +1104,30 @@ class DatabaseStorage {
       status: dbTask.status,
       priority: dbTask.priority,
       category: dbTask.category,
+      projectId: dbTask.projectId ? dbTask.projectId.toString() : null,
+      startDate: dbTask.startDate,
       dueDate: dbTask.dueDate,
       dueTime: dbTask.dueTime,
+      startTime: dbTask.startTime,
+      endTime: dbTask.endTime,
+      duration: dbTask.duration,
       tags: dbTask.tags || [],
+      recurrence: dbTask.recurrence ? JSON.parse(dbTask.recurrence) : null,
+      seriesId: dbTask.seriesId,
+      blockedBy: dbTask.blockedBy || [],
+      position: dbTask.position,
+      subtasks: dbSubtasks.map(subtask => ({
+        id: subtask.id.toString(),
+        title: subtask.title,
+        completed: subtask.completed
+      })),
+      timeEntries: dbTimeEntries.map(entry => ({
+        id: entry.id.toString(),
+        start: entry.startedAt.toISOString(),
+        end: entry.endedAt?.toISOString() || null,
+        source: entry.source
+      })),
+      timeSpent: Math.round(trackedMs / 60000),
       completedAt: dbTask.completedAt?.toISOString(),
       createdAt: dbTask.createdAt.toISOString(),
       updatedAt: dbTask.updatedAt.toISOString()